@@ -0,0 +1,658 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const axios = require('axios');
+const { config } = require('../lib/config');
+const { sniffMimeType } = require('../lib/uploads');
+const { findExtractorForName } = require('../lib/extractors');
+const { AuthError, UserStore } = require('../lib/auth');
+
+// --- gd-assistant CLI ---
+// One command line front end for the assistant. It does not talk to Ollama itself: it starts the
+// server's Express app in-process on a free local port (or uses a running server with --server) and
+// calls the same routes as the UI, so prompts, tool calls, CSV conversion and sessions behave exactly
+// like they do in the browser. Sessions live in the server's session store; the ID of the last one the
+// CLI used is kept next to it so `--resume` can pick the conversation up again, with the client token
+// that sessions made without an API key belong to.
+
+const USAGE = `Usage: gd-assistant <command> [options]
+
+Commands:
+  chat [question]            Chat with the assistant. Without a question (and with nothing piped in)
+                             an interactive session starts; type /help there for its commands.
+  analyze <file|-> [prompt]  Analyze a file (- reads the file from stdin): CSV, PDF, image, Excel (.xlsx),
+                             JSON/NDJSON, Word (.docx), HTML, Markdown or text.
+  generate-csv [prompt]      Generate a CSV file from a prompt.
+  batch <directory> [prompt] Answer the prompt for every PDF and image in the directory as a batch job
+                             and save the answers as one CSV (one row per file).
+  users <action> ...         Manage the server's user accounts (works on the users file, no server needed):
+                               users list
+                               users add <name> [--password]   (prints the user's first API key)
+                               users remove <name>
+                               users passwd <name>             (reads the new password; empty removes it)
+                               users key <name> [key name]     (creates and prints another API key)
+                               users revoke <name> <key id>
+                               users admin <name> [off]        (lets the user pull and delete models)
+
+Text piped into chat and generate-csv is added to the question or prompt.
+
+Options:
+  -s, --session <id>     Continue this session.
+  -r, --resume           Continue the last session the CLI used.
+  -m, --model <name>     Ollama model to use instead of the configured default.
+  -p, --preset <id>      chat, analyze and batch: prompt preset for the session ("" for none; see GET /presets).
+  -o, --output <path>    Where to write a generated file (- for stdout). Default: the file name the
+                         server suggests (batch: <directory>.csv), in the current directory.
+      --columns <spec>   generate-csv: column schema as JSON, or "Name,Age:integer,Team".
+      --all              generate-csv: use all attachments of the session.
+      --sheet <name|n>   analyze: the worksheet of an Excel file to read (default: the first).
+      --json             Print the server's JSON responses (one per line) instead of text.
+      --server <url>     Use a running server instead of starting one in-process.
+      --api-key <key>    API key for servers that require one. Default: GD_ASSISTANT_API_KEY.
+      --password         users add: also set a password (read from stdin) for logging in to the UI.
+      --verbose          Show the server's logs (on stderr).
+  -h, --help             Show this help.`;
+
+const OPTIONS = {
+    session: { type: 'string', short: 's' },
+    resume: { type: 'boolean', short: 'r' },
+    model: { type: 'string', short: 'm' },
+    preset: { type: 'string', short: 'p' },
+    output: { type: 'string', short: 'o' },
+    columns: { type: 'string' },
+    sheet: { type: 'string' },
+    all: { type: 'boolean' },
+    json: { type: 'boolean' },
+    server: { type: 'string' },
+    'api-key': { type: 'string' },
+    password: { type: 'boolean' },
+    verbose: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const ANALYZE_ROUTES = { 'text/csv': '/analyze-csv', 'application/pdf': '/analyze-pdf' };
+// The batch command polls the job, starting quickly and backing off while it runs.
+const BATCH_POLL_MS = 100;
+const BATCH_POLL_MAX_MS = 2000;
+const BATCH_FINISHED = ['completed', 'failed', 'cancelled'];
+const LAST_SESSION_FILE = path.join(path.dirname(config.sessionDir), 'cli-last-session');
+const CLIENT_TOKEN_FILE = path.join(path.dirname(config.sessionDir), 'cli-client-token');
+
+class CliError extends Error {
+    constructor(message, exitCode = 1) {
+        super(message);
+        this.name = 'CliError';
+        this.exitCode = exitCode;
+    }
+}
+
+// --- Server Connection ---
+
+// Starts the app from server.js on a free port. Its console output is dropped (or sent to stderr with
+// --verbose) so that stdout only carries the answers and can be piped.
+async function startLocalServer(verbose, stderr) {
+    const originalConsole = { log: console.log, info: console.info, warn: console.warn, error: console.error };
+    const toStderr = (...args) => stderr.write(`${args.map(arg => typeof arg === 'string' ? arg : JSON.stringify(arg)).join(' ')}\n`);
+    for (const method of Object.keys(originalConsole)) {
+        console[method] = verbose ? toStderr : () => {};
+    }
+    const { app } = require('../server');
+    const server = await new Promise((resolve, reject) => {
+        const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+        listener.on('error', reject);
+    });
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        async close() {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(() => resolve()));
+            Object.assign(console, originalConsole);
+        }
+    };
+}
+
+// The API key if there is one; the client token otherwise (the server ignores it for signed-in users).
+function requestHeaders(context) {
+    return context.apiKey ? { Authorization: `Bearer ${context.apiKey}` } : { 'X-Client-Token': context.clientToken };
+}
+
+function describeServerError(status, body) {
+    const detail = body && typeof body === 'object' ? (body.error || body.message || body.response) : body;
+    return `${status ? `Server returned ${status}` : 'Request failed'}: ${String(detail || 'no details').replace(/^❌\s*/, '')}`;
+}
+
+// POSTs a JSON body (or FormData) to the server, with the API key if there is one, and returns the
+// response body. With `onToken`, the request is sent with stream: true and the tokens of the NDJSON reply
+// are passed on as they arrive (and queue positions to `onQueued` while the server waits for the model);
+// the final line is returned.
+async function callRoute(context, route, body, onToken = null, onQueued = () => {}) {
+    const { baseUrl } = context;
+    const streaming = Boolean(onToken);
+    if (streaming) {
+        if (body instanceof FormData) body.append('stream', 'true');
+        else body = { ...body, stream: true };
+    }
+    let response;
+    try {
+        response = await axios.post(`${baseUrl}${route}`, body, {
+            responseType: streaming ? 'stream' : 'json',
+            headers: requestHeaders(context),
+            validateStatus: () => true
+        });
+    } catch (error) {
+        throw new CliError(`Could not reach the server at ${baseUrl}: ${error.message}`);
+    }
+
+    const contentType = String(response.headers['content-type'] || '');
+    if (!streaming) {
+        if (response.status >= 400) throw new CliError(describeServerError(response.status, response.data));
+        return response.data;
+    }
+    if (!contentType.includes('application/x-ndjson')) {
+        // Errors before the stream starts (and routes that answer without streaming) come back as plain JSON.
+        let text = '';
+        for await (const chunk of response.data) text += chunk;
+        const data = tryParse(text);
+        if (response.status >= 400) throw new CliError(describeServerError(response.status, data || text));
+        return data;
+    }
+
+    let buffer = '';
+    let finalLine = null;
+    for await (const chunk of response.data) {
+        buffer += chunk;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) >= 0) {
+            const line = tryParse(buffer.substring(0, newline));
+            buffer = buffer.substring(newline + 1);
+            if (!line) continue;
+            if (line.type === 'token') onToken(line.content);
+            else if (line.type === 'queued') onQueued(line.position);
+            else finalLine = line;
+        }
+    }
+    if (!finalLine) throw new CliError('The server closed the stream without a result.');
+    if (finalLine.type === 'error') throw new CliError(describeServerError(finalLine.status, finalLine));
+    return finalLine;
+}
+
+// GETs a route and returns the response body (text for non-JSON responses such as CSV downloads).
+async function getRoute(context, route) {
+    const { baseUrl } = context;
+    let response;
+    try {
+        response = await axios.get(`${baseUrl}${route}`, {
+            headers: requestHeaders(context),
+            validateStatus: () => true
+        });
+    } catch (error) {
+        throw new CliError(`Could not reach the server at ${baseUrl}: ${error.message}`);
+    }
+    if (response.status >= 400) throw new CliError(describeServerError(response.status, response.data));
+    return response.data;
+}
+
+function tryParse(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+}
+
+// --- Input and Output ---
+
+async function readStream(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    return Buffer.concat(chunks);
+}
+
+// Joins the words given on the command line with whatever was piped in.
+async function readPrompt(words, stdin) {
+    const parts = [words.join(' ').trim()];
+    if (!stdin.isTTY) parts.push((await readStream(stdin)).toString('utf8').trim());
+    return parts.filter(Boolean).join('\n\n');
+}
+
+// "Name,Age:integer,Team" or a JSON array in the format /generate-csv takes.
+function parseColumnsOption(spec) {
+    if (spec.trim().startsWith('[')) {
+        const columns = tryParse(spec);
+        if (!columns) throw new CliError('--columns is not valid JSON.', 2);
+        return columns;
+    }
+    return spec.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+        const [name, type] = item.split(':').map(part => part.trim());
+        return type ? { name: name, type: type } : name;
+    });
+}
+
+function readLastSession() {
+    try {
+        return fs.readFileSync(LAST_SESSION_FILE, 'utf8').trim() || null;
+    } catch {
+        return null;
+    }
+}
+
+function saveLastSession(sessionId) {
+    if (!sessionId) return;
+    try {
+        fs.mkdirSync(path.dirname(LAST_SESSION_FILE), { recursive: true });
+        fs.writeFileSync(LAST_SESSION_FILE, sessionId, 'utf8');
+    } catch (error) {
+        console.warn(`⚠️ [CLI] Could not remember the session ID: ${error.message}`);
+    }
+}
+
+// The token is made once and kept, so --resume and --session work across runs like in the same browser.
+function readClientToken() {
+    try {
+        const saved = fs.readFileSync(CLIENT_TOKEN_FILE, 'utf8').trim();
+        if (saved) return saved;
+    } catch {
+        // No token yet.
+    }
+    const token = crypto.randomBytes(24).toString('hex');
+    try {
+        fs.mkdirSync(path.dirname(CLIENT_TOKEN_FILE), { recursive: true });
+        fs.writeFileSync(CLIENT_TOKEN_FILE, token, { encoding: 'utf8', mode: 0o600 });
+    } catch (error) {
+        console.warn(`⚠️ [CLI] Could not save the client token, sessions of this run cannot be resumed: ${error.message}`);
+    }
+    return token;
+}
+
+// --- Commands ---
+
+function createCommandContext(baseUrl, values, io) {
+    const context = {
+        baseUrl: baseUrl,
+        apiKey: values['api-key'] || process.env.GD_ASSISTANT_API_KEY || null,
+        clientToken: readClientToken(),
+        io: io,
+        json: Boolean(values.json),
+        output: values.output,
+        model: values.model,
+        preset: values.preset,
+        sheet: values.sheet,
+        sessionId: values.session || (values.resume ? readLastSession() : null),
+
+        withModel(body) {
+            return context.model ? { ...body, model: context.model } : body;
+        },
+        print(text) {
+            io.stdout.write(`${text}\n`);
+        },
+        // Human output goes to stderr when a generated file is written to stdout.
+        notify(text) {
+            (context.output === '-' ? io.stderr : io.stdout).write(`${text}\n`);
+        },
+        // Records the session of a response and, with --json, prints the response.
+        handleResponse(data) {
+            if (data && data.sessionId) {
+                context.sessionId = data.sessionId;
+                saveLastSession(data.sessionId);
+            }
+            if (context.json) context.print(JSON.stringify(data));
+            return data;
+        },
+        // Streams tokens to stdout, unless the output is JSON.
+        tokenWriter() {
+            if (context.json) return null;
+            return token => io.stdout.write(token);
+        },
+        // Tells the user (on stderr) that the request waits for the model.
+        queueNotifier() {
+            if (context.json) return undefined;
+            return position => io.stderr.write(`⏳ Waiting for the model (position ${position} in the queue)...\n`);
+        }
+    };
+    if (values.resume && !context.sessionId) {
+        throw new CliError('There is no previous session to resume.', 2);
+    }
+    return context;
+}
+
+function writeFile(context, content, fileName) {
+    if (context.output === '-') {
+        context.io.stdout.write(content);
+        return null;
+    }
+    const target = path.resolve(context.output || fileName);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+    return target;
+}
+
+function printSources(context, data) {
+    if (data.citations && data.citations.length > 0) {
+        context.print(`\nSources: ${data.citations.map(c => `${c.attachmentName ? `${c.attachmentName} ` : ''}p. ${c.page} (chunk ${c.chunk})`).join(', ')}`);
+    }
+}
+
+async function generateCsv(context, prompt, extra = {}) {
+    const data = context.handleResponse(await callRoute(context, '/generate-csv', context.withModel({ prompt: prompt, sessionId: context.sessionId || undefined, ...extra })));
+    const target = writeFile(context, data.csvContent, data.fileName || 'generated_data.csv');
+    if (context.json) return data;
+    if (target) context.notify(`✅ CSV saved to ${target}`);
+    if (data.validation && data.validation.droppedRows > 0) {
+        context.notify(`⚠️ ${data.validation.droppedRows} row(s) did not match the column schema and were left out.`);
+    }
+    return data;
+}
+
+async function generateImage(context, prompt) {
+    const data = context.handleResponse(await callRoute(context, '/generate-image', context.withModel({ prompt: prompt, sessionId: context.sessionId || undefined })));
+    if (data.image && data.image.startsWith('data:')) {
+        const target = writeFile(context, Buffer.from(data.image.split(',')[1], 'base64'), data.fileName || 'generated_image.svg');
+        if (!context.json && target) context.notify(`✅ Image saved to ${target}`);
+    } else if (!context.json) {
+        context.print(data.response || '');
+    }
+    return data;
+}
+
+// Shows an answer from /chat or /analyze-*, following up on generate_file actions like the UI does.
+async function handleAnswer(context, data, streamed) {
+    if (data.action === 'generate_file') {
+        if (!context.json) context.notify(`${streamed ? '\n' : ''}🛠️ Generating a ${data.fileType}: ${data.generationPrompt}`);
+        return data.fileType === 'csv' ? generateCsv(context, data.generationPrompt) : generateImage(context, data.generationPrompt);
+    }
+    if (data.csvContent) {
+        const target = writeFile(context, data.csvContent, data.fileName || 'analyzed_data.csv');
+        if (!context.json && target) context.notify(`${streamed ? '\n' : ''}✅ CSV saved to ${target}`);
+        return data;
+    }
+    if (context.json) return data;
+    if (!streamed) context.print(data.answer || data.response || '');
+    else context.print('');
+    printSources(context, data);
+    return data;
+}
+
+async function ask(context, question) {
+    const onToken = context.tokenWriter();
+    const data = context.handleResponse(await callRoute(context, '/chat', context.withModel({ question: question, sessionId: context.sessionId || undefined, preset: context.preset }), onToken, context.queueNotifier()));
+    // Tokens were printed already, unless the reply was not streamed (direct "Generate CSV:" commands).
+    return handleAnswer(context, data, Boolean(onToken) && data.type === 'done');
+}
+
+// CSVs, PDFs and images go to their own routes; the other formats the server reads (by file name) to /analyze-file.
+async function analyzeFile(context, file, fileName, prompt) {
+    const mimeType = sniffMimeType(file.subarray(0, 4096));
+    const extractor = findExtractorForName(fileName);
+    const route = extractor && !['csv', 'pdf'].includes(extractor.format) ? '/analyze-file'
+        : ANALYZE_ROUTES[mimeType] || (mimeType.startsWith('image/') ? '/analyze-image' : null);
+    if (!route) {
+        throw new CliError(`Cannot analyze ${fileName}: expected a CSV, PDF, image or another supported file (see --help), but the content looks like ${mimeType}.`, 2);
+    }
+    const form = new FormData();
+    form.append('file', new Blob([file], { type: mimeType }), fileName);
+    form.append('fileName', fileName);
+    form.append('prompt', prompt);
+    if (context.sessionId) form.append('sessionId', context.sessionId);
+    if (context.model) form.append('model', context.model);
+    if (context.preset !== undefined) form.append('preset', context.preset);
+    if (context.sheet && route === '/analyze-file') form.append('sheet', context.sheet);
+    const onToken = context.tokenWriter();
+    const data = context.handleResponse(await callRoute(context, route, form, onToken, context.queueNotifier()));
+    return handleAnswer(context, data, Boolean(onToken) && data.type === 'done');
+}
+
+// Sends every PDF and image of `directory` to POST /jobs, reports the progress on stderr until the job
+// has finished, and writes the merged CSV.
+async function runBatch(context, directory, prompt) {
+    const { io } = context;
+    const form = new FormData();
+    const skipped = [];
+    let count = 0;
+    for (const name of fs.readdirSync(directory).sort()) {
+        const filePath = path.join(directory, name);
+        if (name.startsWith('.') || !fs.statSync(filePath).isFile()) continue;
+        const file = fs.readFileSync(filePath);
+        const mimeType = sniffMimeType(file.subarray(0, 4096));
+        if (mimeType !== 'application/pdf' && !mimeType.startsWith('image/')) {
+            skipped.push(name);
+            continue;
+        }
+        form.append('files', new Blob([file], { type: mimeType }), name);
+        count++;
+    }
+    if (skipped.length > 0) io.stderr.write(`⚠️ Skipped ${skipped.length} file(s) that are not PDFs or images: ${skipped.join(', ')}\n`);
+    if (count === 0) throw new CliError(`${directory} has no PDFs or images.`, 2);
+    form.append('prompt', prompt);
+    if (context.model) form.append('model', context.model);
+    if (context.preset !== undefined) form.append('preset', context.preset);
+
+    let job = await callRoute(context, '/jobs', form);
+    io.stderr.write(`⏳ Job ${job.jobId} started for ${count} file(s).\n`);
+    let reported = 0;
+    for (let delay = BATCH_POLL_MS; !BATCH_FINISHED.includes(job.status); delay = Math.min(delay * 2, BATCH_POLL_MAX_MS)) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        job = await getRoute(context, `/jobs/${job.jobId}`);
+        const finished = job.files.filter(file => file.status === 'done' || file.status === 'failed');
+        if (finished.length > reported) {
+            reported = finished.length;
+            io.stderr.write(`   ${reported}/${job.total} file(s) analyzed${job.failed > 0 ? `, ${job.failed} failed` : ''}\n`);
+        }
+    }
+    for (const file of job.files.filter(candidate => candidate.status === 'failed')) {
+        io.stderr.write(`❌ ${file.name}: ${file.error}\n`);
+    }
+    if (context.json) context.print(JSON.stringify(job));
+
+    if (job.completed > 0) {
+        const csv = await getRoute(context, `/jobs/${job.jobId}/csv`);
+        const target = writeFile(context, csv, `${path.basename(path.resolve(directory))}.csv`);
+        if (target) io.stderr.write(`✅ Job ${job.status}: ${job.completed} row(s) saved to ${target}\n`);
+    }
+    if (job.status !== 'completed') throw new CliError(`Job ${job.jobId} ${job.status}.`);
+}
+
+const REPL_HELP = `Commands:
+  /analyze <file> [prompt]  Add a file to the conversation and analyze it
+  /csv <prompt>             Generate a CSV file
+  /session                  Show the session ID
+  /new                      Start a new session
+  /exit                     Quit`;
+
+async function runRepl(context) {
+    const { io } = context;
+    const repl = readline.createInterface({ input: io.stdin, output: io.stdout, terminal: Boolean(io.stdout.isTTY), prompt: 'you> ' });
+    context.print(context.sessionId ? `Resuming session ${context.sessionId}. Type /help for commands.` : 'New session. Type /help for commands.');
+    repl.prompt();
+    for await (const input of repl) {
+        const line = input.trim();
+        try {
+            if (line === '/exit' || line === '/quit') {
+                break;
+            } else if (line === '/help') {
+                context.print(REPL_HELP);
+            } else if (line === '/session') {
+                context.print(context.sessionId || 'No session yet.');
+            } else if (line === '/new') {
+                context.sessionId = null;
+                context.print('Started a new session.');
+            } else if (line.startsWith('/analyze ')) {
+                const [filePath, ...words] = line.substring('/analyze '.length).trim().split(/\s+/);
+                await analyzeFile(context, fs.readFileSync(filePath), path.basename(filePath), words.join(' ') || 'Analyze this file.');
+            } else if (line.startsWith('/csv ')) {
+                await generateCsv(context, line.substring('/csv '.length).trim());
+            } else if (line) {
+                if (!context.json) io.stdout.write('assistant> ');
+                await ask(context, line);
+            }
+        } catch (error) {
+            if (!(error instanceof CliError) && error.code !== 'ENOENT') throw error;
+            io.stderr.write(`❌ ${error.message}\n`);
+        }
+        repl.prompt();
+    }
+    repl.close();
+}
+
+const COMMANDS = {
+    async chat(context, words) {
+        if (words.length === 0 && context.io.stdin.isTTY) return runRepl(context);
+        const question = await readPrompt(words, context.io.stdin);
+        if (!question) return runRepl(context);
+        await ask(context, question);
+    },
+
+    async analyze(context, [filePath, ...words]) {
+        if (!filePath) throw new CliError('analyze needs a file (or - for stdin).', 2);
+        const file = filePath === '-' ? await readStream(context.io.stdin) : fs.readFileSync(filePath);
+        const fileName = filePath === '-' ? 'stdin' : path.basename(filePath);
+        await analyzeFile(context, file, fileName, words.join(' ').trim() || 'Analyze this file.');
+    },
+
+    async 'generate-csv'(context, words, values) {
+        const prompt = await readPrompt(words, context.io.stdin);
+        if (!prompt) throw new CliError('generate-csv needs a prompt (as arguments or on stdin).', 2);
+        const extra = {};
+        if (values.columns) extra.columns = parseColumnsOption(values.columns);
+        if (values.all) extra.attachmentId = 'all';
+        await generateCsv(context, prompt, extra);
+    },
+
+    async batch(context, [directory, ...words]) {
+        if (!directory) throw new CliError('batch needs a directory.', 2);
+        if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) throw new CliError(`${directory} is not a directory.`, 2);
+        const prompt = await readPrompt(words, context.io.stdin);
+        if (!prompt) throw new CliError('batch needs a prompt (as arguments or on stdin), e.g. "Extract invoice number, date and total".', 2);
+        await runBatch(context, directory, prompt);
+    }
+};
+
+// --- User Accounts ---
+// `users` edits config.usersFile directly, so the first account can be created before the server runs;
+// a running server picks the changes up on its next request.
+
+// Reads a password: the first line of stdin, with a prompt when stdin is a terminal.
+async function readPassword(io) {
+    if (!io.stdin.isTTY) return (await readStream(io.stdin)).toString('utf8').split(/\r?\n/)[0];
+    const prompt = readline.createInterface({ input: io.stdin, output: io.stderr, terminal: true });
+    const password = await new Promise(resolve => prompt.question('Password: ', resolve));
+    prompt.close();
+    return password;
+}
+
+const USER_ACTIONS = {
+    list(userStore, words, values, io) {
+        const users = userStore.list();
+        if (values.json) return io.stdout.write(`${JSON.stringify(users)}\n`);
+        if (users.length === 0) return io.stdout.write(`No users in ${userStore.filePath}.\n`);
+        for (const user of users) {
+            io.stdout.write(`${user.username}${user.admin ? ' (admin)' : ''}${user.hasPassword ? '' : ' (no password)'}\n`);
+            for (const key of user.keys) {
+                io.stdout.write(`  ${key.id}  ${key.preview}  ${key.name}${key.expiresAt ? ` (expires ${new Date(key.expiresAt).toISOString()})` : ''}\n`);
+            }
+        }
+    },
+
+    async add(userStore, [name], values, io) {
+        if (!name) throw new CliError('users add needs a user name.', 2);
+        await userStore.addUser(name, values.password ? await readPassword(io) : '');
+        const created = userStore.createKey(name, { name: 'Created with the CLI' });
+        io.stdout.write(values.json ? `${JSON.stringify({ username: name, ...created })}\n` : `✅ Added user ${name}. API key (shown only now): ${created.key}\n`);
+    },
+
+    remove(userStore, [name], values, io) {
+        if (!name) throw new CliError('users remove needs a user name.', 2);
+        userStore.removeUser(name);
+        io.stdout.write(`✅ Removed user ${name}. Their sessions stay in the session store until they expire.\n`);
+    },
+
+    async passwd(userStore, [name], values, io) {
+        if (!name) throw new CliError('users passwd needs a user name.', 2);
+        const password = await readPassword(io);
+        await userStore.setPassword(name, password);
+        io.stdout.write(password ? `✅ Password of ${name} changed.\n` : `✅ Password of ${name} removed; only API keys work now.\n`);
+    },
+
+    key(userStore, [name, ...keyName], values, io) {
+        if (!name) throw new CliError('users key needs a user name.', 2);
+        const created = userStore.createKey(name, { name: keyName.join(' ') || 'Created with the CLI' });
+        io.stdout.write(values.json ? `${JSON.stringify(created)}\n` : `✅ API key ${created.id} for ${name} (shown only now): ${created.key}\n`);
+    },
+
+    revoke(userStore, [name, keyId], values, io) {
+        if (!name || !keyId) throw new CliError('users revoke needs a user name and a key ID (see users list).', 2);
+        if (!userStore.revokeKey(name, keyId)) throw new CliError(`User ${name} has no key ${keyId}.`);
+        io.stdout.write(`✅ Revoked key ${keyId} of ${name}.\n`);
+    },
+
+    admin(userStore, [name, setting], values, io) {
+        if (!name || (setting !== undefined && setting !== 'off')) throw new CliError('users admin needs a user name, optionally followed by "off".', 2);
+        userStore.setAdmin(name, setting !== 'off');
+        io.stdout.write(setting === 'off' ? `✅ ${name} is no longer an admin.\n` : `✅ ${name} is now an admin.\n`);
+    }
+};
+
+async function manageUsers([action, ...words], values, io) {
+    if (!USER_ACTIONS[action]) {
+        throw new CliError(`users needs one of: ${Object.keys(USER_ACTIONS).join(', ')}.`, 2);
+    }
+    try {
+        await USER_ACTIONS[action](new UserStore(config.usersFile), words, values, io);
+    } catch (error) {
+        if (!(error instanceof AuthError)) throw error;
+        throw new CliError(error.message, error.statusCode === 400 ? 2 : 1);
+    }
+}
+
+// Runs the CLI and returns its exit code. `io` replaces the process streams (used by the tests).
+async function main(argv = process.argv.slice(2), io = { stdin: process.stdin, stdout: process.stdout, stderr: process.stderr }) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        io.stderr.write(`❌ ${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+    const { values, positionals: [command, ...words] } = parsed;
+    if (values.help || !command) {
+        (values.help ? io.stdout : io.stderr).write(`${USAGE}\n`);
+        return values.help ? 0 : 2;
+    }
+    if (command === 'users') {
+        try {
+            await manageUsers(words, values, io);
+            return 0;
+        } catch (error) {
+            io.stderr.write(`❌ ${error.message}\n`);
+            return error instanceof CliError ? error.exitCode : 1;
+        }
+    }
+    if (!COMMANDS[command]) {
+        io.stderr.write(`❌ Unknown command "${command}".\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    let server = null;
+    try {
+        if (!values.server) server = await startLocalServer(values.verbose, io.stderr);
+        const baseUrl = values.server ? values.server.replace(/\/+$/, '') : server.baseUrl;
+        const context = createCommandContext(baseUrl, values, io);
+        await COMMANDS[command](context, words, values);
+        return 0;
+    } catch (error) {
+        io.stderr.write(`❌ ${error.message}\n`);
+        return error instanceof CliError ? error.exitCode : 1;
+    } finally {
+        if (server) await server.close();
+    }
+}
+
+if (require.main === module) {
+    main().then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main, parseColumnsOption };
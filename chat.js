@@ -1,21 +1,7 @@
-const axios = require('axios');
+// Kept for existing scripts: `node chat.js [question]` is `gd-assistant chat [question]`.
+// The CLI runs the server's pipeline (sessions, PDF support, the configured models); see bin/gd-assistant.js.
+const { main } = require('./bin/gd-assistant');
 
-const input = process.argv.slice(2).join(" ") || "Describe this model's capabilities.";
-
-async function chatWithQwen(prompt) {
-  try {
-    const response = await axios.post('http://localhost:11434/api/generate', {
-      model: 'qwen2.5vl:latest',
-      prompt: prompt,
-      stream: false
-    });
-
-    console.log("\n🤖 Qwen2.5VL says:\n");
-    console.log(response.data.response);
-
-  } catch (error) {
-    console.error("❌ Error:", error.message);
-  }
-}
-
-chatWithQwen(input);
+main(['chat', ...process.argv.slice(2)]).then(code => {
+  process.exitCode = code;
+});
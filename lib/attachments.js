@@ -0,0 +1,150 @@
+// --- Session Attachments ---
+// A session keeps a list of attached files instead of a single analyzedData/analyzedImage slot:
+//   { id: 'att1', type: 'csv' | 'pdf' | 'document' | 'image', name, createdAt, ...content }
+// Content per type: csv -> records (parsed rows); pdf -> text, numPages, documentIndex; document (Word,
+// HTML, text) -> text, documentIndex; image -> image (base64). Files read by an extractor (lib/extractors.js)
+// also carry their `format` (xlsx, docx, ...), and workbooks the `sheet` that was read and all `sheets`.
+// IDs are short and numbered per session so the user and the model can refer to them in prompts ("compare att1 with att2").
+
+const ATTACHMENT_TYPES = ['csv', 'pdf', 'document', 'image'];
+const ATTACHMENT_ID_PATTERN = /\batt\d+\b/gi;
+
+class AttachmentError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'AttachmentError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Sessions saved before attachments existed carry analyzedData/analyzedImage/documentIndex; turn those into attachments.
+function upgradeLegacySession(session) {
+    if (Array.isArray(session.attachments)) return session;
+    session.attachments = [];
+    session.nextAttachmentNumber = 1;
+    if (Array.isArray(session.analyzedData)) {
+        addAttachment(session, { type: 'csv', name: 'data.csv', records: session.analyzedData });
+    } else if (typeof session.analyzedData === 'string') {
+        addAttachment(session, { type: 'pdf', name: (session.documentIndex && session.documentIndex.name) || 'document.pdf', text: session.analyzedData, documentIndex: session.documentIndex || null });
+    }
+    if (session.analyzedImage) {
+        addAttachment(session, { type: 'image', name: 'image', image: session.analyzedImage });
+    }
+    delete session.analyzedData;
+    delete session.analyzedImage;
+    delete session.documentIndex;
+    return session;
+}
+
+function addAttachment(session, { type, name, ...content }) {
+    if (!ATTACHMENT_TYPES.includes(type)) {
+        throw new AttachmentError(`Unknown attachment type "${type}". Allowed: ${ATTACHMENT_TYPES.join(', ')}.`);
+    }
+    const number = session.nextAttachmentNumber || session.attachments.length + 1;
+    session.nextAttachmentNumber = number + 1;
+    const attachment = {
+        id: `att${number}`,
+        type: type,
+        name: name || `${type}-${number}`,
+        createdAt: Date.now(),
+        ...content
+    };
+    session.attachments.push(attachment);
+    return attachment;
+}
+
+// PDFs and other documents are both searched through their text and retrieval index.
+function isDocument(attachment) {
+    return attachment.type === 'pdf' || attachment.type === 'document';
+}
+
+function removeAttachment(session, attachmentId) {
+    const index = session.attachments.findIndex(attachment => attachment.id === attachmentId);
+    if (index === -1) return null;
+    return session.attachments.splice(index, 1)[0];
+}
+
+// Metadata only (no rows, text, embeddings or image data), for listings and API responses.
+function describeAttachment(attachment) {
+    const description = { id: attachment.id, type: attachment.type, name: attachment.name, createdAt: attachment.createdAt };
+    if (attachment.type === 'csv') {
+        description.rows = attachment.records.length;
+        description.columns = attachment.records.length > 0 ? Object.keys(attachment.records[0]) : [];
+    } else if (isDocument(attachment)) {
+        description.pages = attachment.numPages || null;
+        description.characters = attachment.text.length;
+        description.indexed = Boolean(attachment.documentIndex);
+    } else if (attachment.type === 'image') {
+        description.bytes = Math.floor(attachment.image.length * 3 / 4);
+    }
+    if (attachment.format) description.format = attachment.format;
+    if (attachment.sheet) {
+        description.sheet = attachment.sheet;
+        description.sheets = attachment.sheets;
+    }
+    return description;
+}
+
+function listAttachments(session) {
+    return session.attachments.map(describeAttachment);
+}
+
+// "12 rows; columns: a, b", "3 pages" or "40 KB", for attachment lists in prompts and transcripts.
+function describeDetails(d) {
+    if (d.type === 'csv') return `${d.rows} rows; columns: ${d.columns.join(', ')}${d.sheet ? `; sheet ${d.sheet}` : ''}`;
+    if (d.type === 'pdf') return `${d.pages || '?'} pages`;
+    if (d.type === 'document') return `${d.format || 'text'}, ${d.characters} characters`;
+    return `${Math.round(d.bytes / 1024)} KB`;
+}
+
+// One line per attachment, so prompts can list what is available and the model can refer to it by ID.
+function formatAttachmentList(attachments) {
+    return attachments.map(attachment => {
+        const d = describeAttachment(attachment);
+        return `- [${d.id}] ${d.name} (${d.type}, ${describeDetails(d)})`;
+    }).join('\n');
+}
+
+// Attachments a prompt refers to, by ID ("att2") or by file name ("invoice.pdf").
+function findMentionedAttachments(session, text) {
+    if (!text) return [];
+    const lowerText = text.toLowerCase();
+    const mentionedIds = new Set((text.match(ATTACHMENT_ID_PATTERN) || []).map(id => id.toLowerCase()));
+    return session.attachments.filter(attachment =>
+        mentionedIds.has(attachment.id) || (attachment.name.length >= 3 && lowerText.includes(attachment.name.toLowerCase()))
+    );
+}
+
+// Resolves which attachments a request targets:
+//   target 'all' -> every attachment; an ID or array of IDs -> those (unknown IDs are an error);
+//   no target -> the attachments mentioned in the prompt, or every attachment when none is mentioned.
+function resolveAttachments(session, target, prompt) {
+    if (target === 'all') return session.attachments;
+    if (target !== undefined && target !== null && target !== '') {
+        const ids = Array.isArray(target) ? target : [target];
+        return ids.map(id => {
+            const attachment = session.attachments.find(a => a.id === id);
+            if (!attachment) {
+                throw new AttachmentError(`Attachment "${id}" not found in this session.`, 404);
+            }
+            return attachment;
+        });
+    }
+    const mentioned = findMentionedAttachments(session, prompt);
+    return mentioned.length > 0 ? mentioned : session.attachments;
+}
+
+module.exports = {
+    ATTACHMENT_TYPES,
+    AttachmentError,
+    upgradeLegacySession,
+    addAttachment,
+    isDocument,
+    removeAttachment,
+    describeAttachment,
+    describeDetails,
+    listAttachments,
+    formatAttachmentList,
+    findMentionedAttachments,
+    resolveAttachments
+};
@@ -0,0 +1,280 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const cors = require('cors');
+const { v4: uuidv4 } = require('uuid');
+const { toOpenAIError } = require('./openaiCompat');
+
+// --- Accounts, API Keys and Allowed Origins ---
+// Users are local accounts kept in one JSON file (config.usersFile); there is no external identity
+// provider, so everything works offline. A user signs in with an API key, sent as
+// "Authorization: Bearer <key>" or "X-API-Key: <key>". Keys are created with the gd-assistant CLI
+// (`gd-assistant users ...`) or by the user through POST /auth/keys, and POST /auth/login trades a
+// username and password for a key that expires (what the UI uses). Only SHA-256 hashes of keys and
+// scrypt hashes of passwords are stored.
+// The file is re-read when it changes on disk, so users added with the CLI work without a restart.
+// Requests without a user (authentication off) are told apart by a client token instead, see identifyClient().
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const KEY_PREFIX = 'gda_';
+const CLIENT_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32,128}$/;
+const scrypt = promisify(crypto.scrypt);
+
+class AuthError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.name = 'AuthError';
+        this.statusCode = statusCode;
+    }
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Key details that are safe to show: never the key or its hash.
+function describeKey(key) {
+    return { id: key.id, name: key.name, type: key.type, preview: key.preview, createdAt: key.createdAt, expiresAt: key.expiresAt };
+}
+
+class UserStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.users = [];
+        this.loadedMtime = null;
+    }
+
+    // Re-reads the file when it was changed (or created) since the last read.
+    reload() {
+        let mtime;
+        try {
+            mtime = fs.statSync(this.filePath).mtimeMs;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.users = [];
+            this.loadedMtime = null;
+            return;
+        }
+        if (mtime === this.loadedMtime) return;
+        try {
+            this.users = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).users || [];
+        } catch (error) {
+            throw new Error(`Failed to read users file ${this.filePath}: ${error.message}`);
+        }
+        this.loadedMtime = mtime;
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        // Written to a temp file first, like the session files, so a crash never leaves half a users file.
+        const tempFile = `${this.filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify({ users: this.users }, null, 2), { encoding: 'utf8', mode: 0o600 });
+        fs.renameSync(tempFile, this.filePath);
+        this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+    }
+
+    count() {
+        this.reload();
+        return this.users.length;
+    }
+
+    list() {
+        this.reload();
+        return this.users.map(user => ({
+            username: user.username,
+            hasPassword: Boolean(user.passwordHash),
+            admin: Boolean(user.admin),
+            keys: user.keys.filter(key => !isExpiredKey(key)).map(describeKey),
+            createdAt: user.createdAt
+        }));
+    }
+
+    getUser(username) {
+        this.reload();
+        const user = this.users.find(candidate => candidate.username === username);
+        if (!user) throw new AuthError(`User "${username}" does not exist.`, 404);
+        return user;
+    }
+
+    async addUser(username, password = '') {
+        this.reload();
+        if (!USERNAME_PATTERN.test(String(username))) {
+            throw new AuthError('Usernames are 1-64 letters, digits, ".", "-" or "_".', 400);
+        }
+        if (this.users.some(user => user.username === username)) {
+            throw new AuthError(`User "${username}" already exists.`, 409);
+        }
+        const user = { id: uuidv4(), username: username, passwordHash: password ? await hashPassword(password) : null, keys: [], createdAt: Date.now() };
+        this.users.push(user);
+        this.save();
+        return user;
+    }
+
+    removeUser(username) {
+        const user = this.getUser(username);
+        this.users = this.users.filter(candidate => candidate !== user);
+        this.save();
+    }
+
+    async setPassword(username, password) {
+        const user = this.getUser(username);
+        user.passwordHash = password ? await hashPassword(password) : null;
+        this.save();
+    }
+
+    // Admins may also pull and delete Ollama models (POST /admin/models/pull, DELETE /admin/models/:model).
+    setAdmin(username, admin) {
+        const user = this.getUser(username);
+        user.admin = Boolean(admin);
+        this.save();
+    }
+
+    // Creates a key and returns it in plain text; this is the only time it is available.
+    createKey(username, { name = 'API key', type = 'api', ttlMs = 0 } = {}) {
+        const user = this.getUser(username);
+        const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+        const record = {
+            id: `key_${crypto.randomBytes(4).toString('hex')}`,
+            name: String(name).substring(0, 100),
+            type: type,
+            hash: hashKey(key),
+            preview: `${key.substring(0, KEY_PREFIX.length + 4)}...`,
+            createdAt: Date.now(),
+            expiresAt: ttlMs > 0 ? Date.now() + ttlMs : null
+        };
+        // Expired login keys are dropped whenever a new key is written.
+        user.keys = user.keys.filter(existing => !isExpiredKey(existing)).concat(record);
+        this.save();
+        return { key: key, ...describeKey(record) };
+    }
+
+    revokeKey(username, keyId) {
+        const user = this.getUser(username);
+        const remaining = user.keys.filter(key => key.id !== keyId);
+        if (remaining.length === user.keys.length) return false;
+        user.keys = remaining;
+        this.save();
+        return true;
+    }
+
+    // Returns { user, key } for a valid, unexpired key, or null.
+    findByKey(key) {
+        if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+        this.reload();
+        const hash = hashKey(key);
+        for (const user of this.users) {
+            const match = user.keys.find(candidate => candidate.hash === hash);
+            if (match) return isExpiredKey(match) ? null : { user: user, key: match };
+        }
+        return null;
+    }
+
+    // Returns the user for a correct username and password, or null.
+    async checkPassword(username, password) {
+        this.reload();
+        const user = this.users.find(candidate => candidate.username === username);
+        if (!user || !user.passwordHash || typeof password !== 'string') return null;
+        return await verifyPassword(password, user.passwordHash) ? user : null;
+    }
+}
+
+function isExpiredKey(key) {
+    return Boolean(key.expiresAt) && Date.now() > key.expiresAt;
+}
+
+function readApiKey(req) {
+    const header = req.headers.authorization || '';
+    if (/^Bearer\s+/i.test(header)) return header.replace(/^Bearer\s+/i, '').trim();
+    return req.headers['x-api-key'] || null;
+}
+
+function rejectRequest(req, res, message) {
+    console.warn(`⚠️ [AUTH] Rejected ${req.method} ${req.path}: ${message}`);
+    res.setHeader('WWW-Authenticate', 'Bearer realm="gd-assistant"');
+    // OpenAI clients expect their own error shape on the /v1 routes.
+    if (req.path.startsWith('/v1/')) {
+        return res.status(401).json(toOpenAIError(message, { code: 'invalid_api_key' }));
+    }
+    res.status(401).json({ error: `❌ ${message}` });
+}
+
+// Express middleware for every route after it: sets req.user ({ id, username, admin }, or null) and req.apiKey.
+// A key that is sent must be valid. Without one, the request passes only when `required` is off or
+// the route is in `publicRoutes` ("POST /auth/login").
+function authenticate(userStore, { required = false, publicRoutes = [] } = {}) {
+    return (req, res, next) => {
+        req.user = null;
+        req.apiKey = null;
+        const key = readApiKey(req);
+        if (key) {
+            const match = userStore.findByKey(key);
+            if (!match) return rejectRequest(req, res, 'Invalid or expired API key.');
+            req.user = { id: match.user.id, username: match.user.username, admin: Boolean(match.user.admin) };
+            req.apiKey = match.key;
+            return next();
+        }
+        if (!required || publicRoutes.includes(`${req.method} ${req.path}`)) return next();
+        rejectRequest(req, res, 'Authentication required. Send an API key as "Authorization: Bearer <key>" or "X-API-Key", or log in through POST /auth/login.');
+    };
+}
+
+// Express middleware after authenticate(): a request without a user gets req.clientId, derived from the
+// X-Client-Token header. The token is a random string the client makes up once and keeps (the UI in
+// localStorage, the CLI next to its last session) so that the sessions it creates belong to it and a
+// session ID alone does not open someone else's conversation. Clients that send no token (curl, scripts
+// written before tokens existed) keep working as before: their sessions have no owner and are open to
+// anyone who knows the ID. Only a hash of the token ends up in the sessions.
+function identifyClient() {
+    return (req, res, next) => {
+        req.clientId = null;
+        if (req.user) return next();
+        const token = req.get('X-Client-Token');
+        if (!token) return next();
+        if (!CLIENT_TOKEN_PATTERN.test(token)) {
+            return res.status(400).json({ error: '❌ X-Client-Token must be 32-128 letters, digits, "-" or "_".' });
+        }
+        req.clientId = `client:${hashKey(token).substring(0, 32)}`;
+        next();
+    };
+}
+
+function isSameOrigin(origin, req) {
+    try {
+        return new URL(origin).host === req.headers.host;
+    } catch {
+        return false;
+    }
+}
+
+// Cross-origin requests are only answered for origins in `allowedOrigins` ("*" allows every origin).
+// Others are refused with 403 instead of just missing CORS headers, since a browser still sends simple
+// requests (form posts, multipart uploads) and only hides the answer. Same-origin requests (the UI
+// served by this server) and clients without an Origin header (curl, the CLI) are not affected.
+function restrictOrigins(allowedOrigins) {
+    const allowAll = allowedOrigins.includes('*');
+    const corsHandler = cors({ origin: true, exposedHeaders: ['X-Request-Id', 'Content-Disposition'] });
+    return (req, res, next) => {
+        const origin = req.headers.origin;
+        if (!origin || isSameOrigin(origin, req)) return next();
+        if (allowAll || allowedOrigins.includes(origin)) return corsHandler(req, res, next);
+        console.warn(`⚠️ [CORS] Refused ${req.method} ${req.path} from origin ${origin}.`);
+        res.status(403).json({ error: `❌ Origin ${origin} is not allowed. Add it to corsOrigins (CORS_ORIGINS) to use this server from there.` });
+    };
+}
+
+module.exports = { AuthError, UserStore, authenticate, identifyClient, restrictOrigins };
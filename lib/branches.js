@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+
+// --- Answer Variants and Branches ---
+// Two ways to try a conversation differently without losing what is there:
+//   - The last question can be answered again (POST /sessions/:id/regenerate, e.g. with another model or
+//     temperature). Every answer is kept in session.answerVariants and one of them is in the history;
+//     the others can be switched back in. Variants belong to the last question only: once the conversation
+//     goes on, the answer in the history is the one that counts.
+//   - A session can be forked at any message (POST /sessions/:id/fork): the fork is a new session with the
+//     history before that message, so an earlier question can be edited and the conversation continued from
+//     there, while the original session stays as it was. Forks remember their parent (session.branch) and
+//     parents their forks (session.branches), so the UI can switch between the branches of a conversation.
+// Messages are addressed by their index in session.history, as listed by GET /sessions/:id/messages.
+
+class BranchError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'BranchError';
+        this.statusCode = statusCode;
+    }
+}
+
+function hashContent(content) {
+    return crypto.createHash('sha256').update(String(content)).digest('hex');
+}
+
+function lastQuestionIndex(history) {
+    for (let index = history.length - 1; index >= 0; index--) {
+        if (history[index].role === 'user') return index;
+    }
+    return -1;
+}
+
+// The variants of the last question, or null once they are out of date (a new question was asked, or
+// the history shifted).
+function currentVariants(session) {
+    const variants = session.answerVariants;
+    if (!variants) return null;
+    const index = lastQuestionIndex(session.history);
+    return index === variants.messageIndex && hashContent(session.history[index].content) === variants.questionHash ? variants : null;
+}
+
+// Cuts the history back to the last question, to be answered again. The current answer is kept as a
+// variant first (it becomes variant 0 when the question had none yet). Returns the question's index.
+function startRegeneration(session, current = {}) {
+    const index = lastQuestionIndex(session.history);
+    if (index === -1) throw new BranchError('The session has no question to answer again.', 409);
+    const answer = session.history.slice(index + 1);
+    if (!currentVariants(session)) {
+        session.answerVariants = { messageIndex: index, questionHash: hashContent(session.history[index].content), active: -1, variants: [] };
+        if (answer.length > 0) {
+            session.answerVariants.variants.push({ messages: answer, model: current.model || null, createdAt: current.createdAt || Date.now() });
+            session.answerVariants.active = 0;
+        }
+    }
+    session.history.splice(index + 1);
+    // A summary that already covers the answer being replaced is rebuilt from the history.
+    if (session.memory && session.memory.summarizedCount > index) {
+        session.memory = { summary: '', summarizedCount: 0 };
+    }
+    return index;
+}
+
+// Adds the new answer (the messages after the question) as a variant and makes it the active one.
+function addAnswerVariant(session, { model = null, options = undefined } = {}) {
+    const variants = currentVariants(session);
+    variants.variants.push({ messages: session.history.slice(variants.messageIndex + 1), model: model, options: options, createdAt: Date.now() });
+    variants.active = variants.variants.length - 1;
+    return variants.active;
+}
+
+// Puts variant `variant` of the last question back into the history.
+function selectAnswerVariant(session, variant) {
+    const variants = currentVariants(session);
+    if (!variants || !variants.variants[variant]) {
+        throw new BranchError(`The last question has no answer ${variant}; see GET /sessions/:sessionId/answers.`, 404);
+    }
+    session.history.splice(variants.messageIndex + 1, Infinity, ...variants.variants[variant].messages);
+    variants.active = variant;
+    if (session.memory && session.memory.summarizedCount > variants.messageIndex) {
+        session.memory = { summary: '', summarizedCount: 0 };
+    }
+    return variants.variants[variant];
+}
+
+// The answers of the last question: { messageIndex, active, answers: [{ variant, content, model, createdAt }] }.
+function listAnswerVariants(session) {
+    const variants = currentVariants(session);
+    const index = lastQuestionIndex(session.history);
+    if (!variants) {
+        const answer = session.history.slice(index + 1).filter(message => message.role === 'assistant').at(-1);
+        return { messageIndex: index, active: answer ? 0 : -1, answers: answer ? [{ variant: 0, content: answer.content, model: null, createdAt: null }] : [] };
+    }
+    return {
+        messageIndex: variants.messageIndex,
+        active: variants.active,
+        answers: variants.variants.map((entry, variant) => {
+            const answer = entry.messages.filter(message => message.role === 'assistant').at(-1);
+            return { variant: variant, content: answer ? answer.content : '', model: entry.model, createdAt: entry.createdAt };
+        })
+    };
+}
+
+// A new session with the history before message `messageIndex` (the whole history when it equals its
+// length). Attachments are copied; generated files, the summary and the preset only as far as they
+// belong to the kept messages.
+function forkSession(session, sessionId, messageIndex, owner = null) {
+    const history = session.history;
+    if (!Number.isInteger(messageIndex) || messageIndex < 1 || messageIndex > history.length) {
+        throw new BranchError(`\`messageIndex\` must be a message index from 1 to ${history.length}.`);
+    }
+    if (messageIndex < history.length && history[messageIndex].role !== 'user' && history[messageIndex].role !== 'assistant') {
+        throw new BranchError(`Message ${messageIndex} is a ${history[messageIndex].role} message; fork at a question or an answer.`);
+    }
+    const copy = structuredClone({
+        history: history.slice(0, messageIndex),
+        attachments: session.attachments || [],
+        generatedFiles: (session.generatedFiles || []).filter(file => file.afterMessage <= messageIndex)
+    });
+    const memory = session.memory && session.memory.summarizedCount <= messageIndex ? { ...session.memory } : { summary: '', summarizedCount: 0 };
+    const now = Date.now();
+    return {
+        owner: owner,
+        history: copy.history,
+        memory: memory,
+        attachments: copy.attachments,
+        nextAttachmentNumber: session.nextAttachmentNumber,
+        generatedFiles: copy.generatedFiles,
+        preset: copy.history.some(message => message.role === 'system' && message.preset) ? session.preset || null : null,
+        // The copied messages may hold placeholders of redacted values (lib/redaction.js); the audit starts anew.
+        redaction: session.redaction ? { placeholders: structuredClone(session.redaction.placeholders), audit: [] } : undefined,
+        branch: { parentId: sessionId, messageIndex: messageIndex, createdAt: now },
+        branches: [],
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+// The messages of the conversation with their history index, for picking one to fork at or answer again.
+function listMessages(session) {
+    return session.history
+        .map((message, index) => ({ index: index, role: message.role, content: message.content }))
+        .filter(message => message.role === 'user' || (message.role === 'assistant' && message.content));
+}
+
+module.exports = {
+    BranchError,
+    lastQuestionIndex,
+    startRegeneration,
+    addAnswerVariant,
+    selectAnswerVariant,
+    listAnswerVariants,
+    forkSession,
+    listMessages
+};
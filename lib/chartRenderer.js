@@ -0,0 +1,224 @@
+const { runQuery } = require('./csvQuery');
+
+// --- Chart Rendering ---
+// Turns a chart spec chosen by the model into an SVG drawn entirely on the server (no external service).
+// Spec: { "type": "bar" | "line" | "pie", "x": "<column>", "y": "<column or null>",
+//         "aggregation": "sum" | "avg" | "count" | "min" | "max" | "median", "title": "<text>", "limit": <int> }
+
+const CHART_TYPES = ['bar', 'line', 'pie'];
+const CHART_AGGREGATIONS = ['sum', 'avg', 'count', 'min', 'max', 'median'];
+const MAX_CATEGORIES = 50;
+const WIDTH = 800;
+const HEIGHT = 450;
+const MARGIN = { top: 50, right: 30, bottom: 110, left: 80 };
+const PALETTE = ['#007bff', '#28a745', '#fd7e14', '#6f42c1', '#dc3545', '#20c997', '#ffc107', '#17a2b8', '#e83e8c', '#6c757d'];
+
+class ChartSpecError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ChartSpecError';
+    }
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function truncateLabel(label, max = 18) {
+    const text = label === null || label === undefined || label === '' ? '(empty)' : String(label);
+    return text.length > max ? `${text.substring(0, max - 1)}…` : text;
+}
+
+function formatNumber(value) {
+    if (Math.abs(value) >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+    if (Math.abs(value) >= 1e3) return `${(value / 1e3).toFixed(1)}k`;
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+// Rounds the axis maximum up to a "nice" value so the ticks land on readable numbers.
+function niceMax(value) {
+    if (value <= 0) return 1;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const normalized = value / magnitude;
+    const step = [1, 2, 2.5, 5, 10].find(n => normalized <= n);
+    return step * magnitude;
+}
+
+function validateChartSpec(spec, columns) {
+    if (!spec || typeof spec !== 'object') {
+        throw new ChartSpecError('The chart spec must be a JSON object.');
+    }
+    if (!CHART_TYPES.includes(spec.type)) {
+        throw new ChartSpecError(`Unknown chart type "${spec.type}". Allowed: ${CHART_TYPES.join(', ')}.`);
+    }
+    if (!columns.includes(spec.x)) {
+        throw new ChartSpecError(`Unknown x column "${spec.x}". Available columns: ${columns.join(', ')}.`);
+    }
+    const aggregation = spec.aggregation || (spec.y ? 'sum' : 'count');
+    if (!CHART_AGGREGATIONS.includes(aggregation)) {
+        throw new ChartSpecError(`Unknown aggregation "${spec.aggregation}". Allowed: ${CHART_AGGREGATIONS.join(', ')}.`);
+    }
+    if (aggregation !== 'count' && !columns.includes(spec.y)) {
+        throw new ChartSpecError(`Aggregation "${aggregation}" needs a y column. Available columns: ${columns.join(', ')}.`);
+    }
+    if (spec.limit !== undefined && spec.limit !== null && (!Number.isInteger(spec.limit) || spec.limit < 1)) {
+        throw new ChartSpecError('"limit" must be a positive integer.');
+    }
+    return {
+        type: spec.type,
+        x: spec.x,
+        y: aggregation === 'count' ? null : spec.y,
+        aggregation: aggregation,
+        title: typeof spec.title === 'string' && spec.title.trim() ? spec.title.trim() : `${aggregation} of ${spec.y || 'rows'} by ${spec.x}`,
+        limit: Math.min(spec.limit || (spec.type === 'pie' ? 10 : 25), MAX_CATEGORIES)
+    };
+}
+
+// Aggregates the records through the query engine: one { label, value } point per x category.
+function buildChartData(records, spec) {
+    const query = {
+        groupBy: [spec.x],
+        aggregate: [{ fn: spec.aggregation, column: spec.y || undefined, as: 'value' }],
+        // Line charts follow the x axis order; bar and pie charts show the largest categories.
+        sort: [spec.type === 'line' ? { column: spec.x, direction: 'asc' } : { column: 'value', direction: 'desc' }],
+        limit: spec.limit
+    };
+    const result = runQuery(records, query);
+    return {
+        points: result.rows.map(row => ({ label: row[spec.x], value: typeof row.value === 'number' ? row.value : 0 })),
+        totalCategories: result.totalRows
+    };
+}
+
+function renderAxes(maxValue, spec) {
+    const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+    const parts = [];
+    for (let i = 0; i <= 5; i++) {
+        const value = (maxValue / 5) * i;
+        const y = MARGIN.top + plotHeight - (value / maxValue) * plotHeight;
+        parts.push(`<line x1="${MARGIN.left}" y1="${y}" x2="${WIDTH - MARGIN.right}" y2="${y}" stroke="#e5e5e5"/>`);
+        parts.push(`<text x="${MARGIN.left - 8}" y="${y + 4}" text-anchor="end" font-size="11" fill="#555">${formatNumber(value)}</text>`);
+    }
+    parts.push(`<line x1="${MARGIN.left}" y1="${MARGIN.top + plotHeight}" x2="${WIDTH - MARGIN.right}" y2="${MARGIN.top + plotHeight}" stroke="#333"/>`);
+    parts.push(`<line x1="${MARGIN.left}" y1="${MARGIN.top}" x2="${MARGIN.left}" y2="${MARGIN.top + plotHeight}" stroke="#333"/>`);
+    const yLabel = spec.y ? `${spec.aggregation} of ${spec.y}` : 'count';
+    parts.push(`<text transform="translate(18 ${MARGIN.top + plotHeight / 2}) rotate(-90)" text-anchor="middle" font-size="12" fill="#333">${escapeXml(yLabel)}</text>`);
+    parts.push(`<text x="${MARGIN.left + (WIDTH - MARGIN.left - MARGIN.right) / 2}" y="${HEIGHT - 10}" text-anchor="middle" font-size="12" fill="#333">${escapeXml(spec.x)}</text>`);
+    return parts;
+}
+
+function renderCategoryLabel(x, label) {
+    const y = HEIGHT - MARGIN.bottom + 14;
+    return `<text transform="translate(${x} ${y}) rotate(-35)" text-anchor="end" font-size="11" fill="#555">${escapeXml(truncateLabel(label))}</text>`;
+}
+
+function renderBarChart(points, spec) {
+    const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+    const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+    const maxValue = niceMax(Math.max(0, ...points.map(p => p.value)));
+    const slot = plotWidth / points.length;
+    const barWidth = Math.max(2, slot * 0.7);
+    const parts = renderAxes(maxValue, spec);
+    points.forEach((point, i) => {
+        const barHeight = Math.max(0, (point.value / maxValue) * plotHeight);
+        const x = MARGIN.left + i * slot + (slot - barWidth) / 2;
+        const y = MARGIN.top + plotHeight - barHeight;
+        parts.push(`<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" fill="${PALETTE[0]}"><title>${escapeXml(`${truncateLabel(point.label, 60)}: ${point.value}`)}</title></rect>`);
+        parts.push(renderCategoryLabel(x + barWidth / 2, point.label));
+    });
+    return parts;
+}
+
+function renderLineChart(points, spec) {
+    const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+    const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+    const maxValue = niceMax(Math.max(0, ...points.map(p => p.value)));
+    const step = points.length > 1 ? plotWidth / (points.length - 1) : 0;
+    const coords = points.map((point, i) => ({
+        x: MARGIN.left + (points.length > 1 ? i * step : plotWidth / 2),
+        y: MARGIN.top + plotHeight - (point.value / maxValue) * plotHeight,
+        point
+    }));
+    const parts = renderAxes(maxValue, spec);
+    parts.push(`<polyline fill="none" stroke="${PALETTE[0]}" stroke-width="2" points="${coords.map(c => `${c.x.toFixed(1)},${c.y.toFixed(1)}`).join(' ')}"/>`);
+    coords.forEach(c => {
+        parts.push(`<circle cx="${c.x.toFixed(1)}" cy="${c.y.toFixed(1)}" r="3.5" fill="${PALETTE[0]}"><title>${escapeXml(`${truncateLabel(c.point.label, 60)}: ${c.point.value}`)}</title></circle>`);
+        parts.push(renderCategoryLabel(c.x, c.point.label));
+    });
+    return parts;
+}
+
+function renderPieChart(points) {
+    const total = points.reduce((sum, p) => sum + Math.max(0, p.value), 0) || 1;
+    const cx = 260;
+    const cy = MARGIN.top + (HEIGHT - MARGIN.top) / 2 - 10;
+    const radius = 160;
+    const parts = [];
+    let angle = -Math.PI / 2;
+    points.forEach((point, i) => {
+        const share = Math.max(0, point.value) / total;
+        const color = PALETTE[i % PALETTE.length];
+        const label = `${truncateLabel(point.label, 24)} (${(share * 100).toFixed(1)}%)`;
+        if (share >= 0.9999) {
+            parts.push(`<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${color}"><title>${escapeXml(label)}</title></circle>`);
+        } else if (share > 0) {
+            const end = angle + share * 2 * Math.PI;
+            const x1 = cx + radius * Math.cos(angle);
+            const y1 = cy + radius * Math.sin(angle);
+            const x2 = cx + radius * Math.cos(end);
+            const y2 = cy + radius * Math.sin(end);
+            const largeArc = share > 0.5 ? 1 : 0;
+            parts.push(`<path d="M${cx},${cy} L${x1.toFixed(1)},${y1.toFixed(1)} A${radius},${radius} 0 ${largeArc} 1 ${x2.toFixed(1)},${y2.toFixed(1)} Z" fill="${color}" stroke="#fff"><title>${escapeXml(label)}</title></path>`);
+            angle = end;
+        }
+        const legendY = MARGIN.top + 20 + i * 22;
+        parts.push(`<rect x="480" y="${legendY - 11}" width="14" height="14" fill="${color}"/>`);
+        parts.push(`<text x="502" y="${legendY}" font-size="12" fill="#333">${escapeXml(label)}</text>`);
+    });
+    return parts;
+}
+
+// Returns { svg, spec, points, truncated } for the validated spec.
+function renderChart(records, rawSpec) {
+    const columns = records.length > 0 ? Object.keys(records[0]) : [];
+    const spec = validateChartSpec(rawSpec, columns);
+    const { points, totalCategories } = buildChartData(records, spec);
+    if (points.length === 0) {
+        throw new ChartSpecError('The chart has no data to plot.');
+    }
+    const body = spec.type === 'pie' ? renderPieChart(points)
+        : spec.type === 'line' ? renderLineChart(points, spec)
+            : renderBarChart(points, spec);
+    const truncated = totalCategories > points.length;
+    const subtitle = truncated ? `<text x="${WIDTH / 2}" y="42" text-anchor="middle" font-size="11" fill="#777">Showing ${points.length} of ${totalCategories} categories</text>` : '';
+    const svg = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="Arial, sans-serif">`,
+        `<rect width="${WIDTH}" height="${HEIGHT}" fill="#fff"/>`,
+        `<text x="${WIDTH / 2}" y="26" text-anchor="middle" font-size="16" font-weight="bold" fill="#333">${escapeXml(spec.title)}</text>`,
+        subtitle,
+        ...body,
+        '</svg>'
+    ].join('\n');
+    return { svg, spec, points, truncated };
+}
+
+// Instructions for the model that picks the chart spec.
+function buildChartPlannerPrompt(tableSummary) {
+    return `You choose a chart for a table. Never compute values yourself; the server aggregates the data.
+
+Table summary (JSON):
+${JSON.stringify(tableSummary)}
+
+Respond with ONE JSON object:
+{"type": "${CHART_TYPES.join('|')}", "x": "<category column>", "y": "<numeric column, or null for counts>",
+ "aggregation": "${CHART_AGGREGATIONS.join('|')}", "title": "<short chart title>", "limit": <max categories, optional>}
+Use "line" for dates or ordered values on x, "pie" for shares of a small number of categories, otherwise "bar".
+Column names must match the table exactly.`;
+}
+
+module.exports = { ChartSpecError, renderChart, validateChartSpec, buildChartPlannerPrompt };
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DETECTOR_NAMES } = require('./redaction');
+
+// --- Shared Configuration ---
+// Used by server.js and the CLI scripts. Values are resolved in this order (last wins):
+//   built-in defaults -> config file (config.json in the project root, or GD_ASSISTANT_CONFIG) -> environment variables
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+
+const DEFAULTS = {
+    port: 3000,
+    ollamaHost: 'http://localhost:11434',
+    defaultModel: 'llama3.2-vision:11b',
+    multimodalModel: 'llama3.2-vision:11b',
+    embeddingModel: 'nomic-embed-text',
+    ragChunkSize: 1200,
+    ragChunkOverlap: 200,
+    ragTopK: 4,
+    sessionStore: 'file',
+    sessionDir: 'data/sessions',
+    sessionTtlHours: 72,
+    sessionMax: 500,
+    // Empty means a folder in the system temp directory.
+    uploadDir: '',
+    uploadMaxMb: 50,
+    uploadAllowedTypes: [
+        'application/pdf', 'text/csv', 'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/bmp',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/json', 'application/x-ndjson', 'text/html', 'text/markdown', 'text/plain'
+    ],
+    // Context window (num_ctx) per model in tokens; contextReplyTokens of it are kept free for the answer.
+    contextTokens: 4096,
+    contextTokensByModel: {},
+    contextReplyTokens: 1024,
+    // Ollama calls running at once per model (the rest wait in a queue), how long one may run, and how many may wait.
+    queueConcurrency: 2,
+    queueConcurrencyByModel: {},
+    queueTimeoutSeconds: 300,
+    queueMaxWaiting: 50,
+    // With authRequired every route except the UI and POST /auth/login needs an API key of a user in usersFile.
+    authRequired: false,
+    usersFile: 'data/users.json',
+    authLoginTtlHours: 168,
+    // Origins (e.g. "http://intranet:8080") allowed to call the API from a browser; "*" allows any.
+    corsOrigins: [],
+    // System prompt templates and built-in presets, and where presets created through /presets are kept.
+    promptDir: 'prompts',
+    presetsFile: 'data/presets.json',
+    // Batch jobs (POST /jobs): how many files one job may hold, and how many of its files are analyzed at once.
+    jobMaxFiles: 100,
+    jobConcurrency: 2,
+    // Search across sessions (GET /search): where the index is kept with the file session store, and how often
+    // it is brought up to date in the background (0: only when someone searches).
+    searchIndexFile: 'data/search-index.json',
+    searchIndexIntervalMinutes: 10,
+    // Log lines below logLevel (debug, info, warn, error, silent) are dropped; logFormat is json or text.
+    // Prompts, answers and file contents are left out of the logs unless logContent is on.
+    logLevel: 'info',
+    logFormat: 'json',
+    logContent: false,
+    // Personal data (redactDetectors: email, phone, aadhaar, pan, card; and the cells of CSV columns named in
+    // redactColumns) is replaced with placeholders before it is sent to the model. redactRestore says who gets
+    // the values back in answers and generated files: all, admins or none.
+    redactPii: true,
+    redactDetectors: ['email', 'phone', 'aadhaar', 'pan', 'card'],
+    redactColumns: ['name', 'full name', 'first name', 'last name', 'customer', 'customer name', 'contact name'],
+    redactRestore: 'all'
+};
+
+const List = value => value.split(',').map(item => item.trim()).filter(Boolean);
+const Flag = value => ['1', 'true', 'yes', 'on'].includes(value.trim().toLowerCase());
+// "llama3.1:8b=8192,qwen2.5:7b=32768" -> { 'llama3.1:8b': 8192, 'qwen2.5:7b': 32768 }
+const ModelNumbers = value => Object.fromEntries(List(value).map(pair => {
+    const separator = pair.lastIndexOf('=');
+    return [pair.substring(0, separator).trim(), Number(pair.substring(separator + 1))];
+}));
+
+// Environment variable -> config key, plus how to read the value.
+const ENV_VARS = {
+    PORT: ['port', Number],
+    OLLAMA_HOST: ['ollamaHost', String],
+    OLLAMA_DEFAULT_MODEL: ['defaultModel', String],
+    OLLAMA_MULTIMODAL_MODEL: ['multimodalModel', String],
+    OLLAMA_EMBEDDING_MODEL: ['embeddingModel', String],
+    RAG_CHUNK_SIZE: ['ragChunkSize', Number],
+    RAG_CHUNK_OVERLAP: ['ragChunkOverlap', Number],
+    RAG_TOP_K: ['ragTopK', Number],
+    SESSION_STORE: ['sessionStore', String],
+    SESSION_DIR: ['sessionDir', String],
+    SESSION_TTL_HOURS: ['sessionTtlHours', Number],
+    SESSION_MAX: ['sessionMax', Number],
+    UPLOAD_DIR: ['uploadDir', String],
+    UPLOAD_MAX_MB: ['uploadMaxMb', Number],
+    UPLOAD_ALLOWED_TYPES: ['uploadAllowedTypes', List],
+    CONTEXT_TOKENS: ['contextTokens', Number],
+    CONTEXT_TOKENS_BY_MODEL: ['contextTokensByModel', ModelNumbers],
+    CONTEXT_REPLY_TOKENS: ['contextReplyTokens', Number],
+    QUEUE_CONCURRENCY: ['queueConcurrency', Number],
+    QUEUE_CONCURRENCY_BY_MODEL: ['queueConcurrencyByModel', ModelNumbers],
+    QUEUE_TIMEOUT_SECONDS: ['queueTimeoutSeconds', Number],
+    QUEUE_MAX_WAITING: ['queueMaxWaiting', Number],
+    AUTH_REQUIRED: ['authRequired', Flag],
+    USERS_FILE: ['usersFile', String],
+    AUTH_LOGIN_TTL_HOURS: ['authLoginTtlHours', Number],
+    CORS_ORIGINS: ['corsOrigins', List],
+    PROMPT_DIR: ['promptDir', String],
+    PRESETS_FILE: ['presetsFile', String],
+    JOB_MAX_FILES: ['jobMaxFiles', Number],
+    JOB_CONCURRENCY: ['jobConcurrency', Number],
+    SEARCH_INDEX_FILE: ['searchIndexFile', String],
+    SEARCH_INDEX_INTERVAL_MINUTES: ['searchIndexIntervalMinutes', Number],
+    LOG_LEVEL: ['logLevel', String],
+    LOG_FORMAT: ['logFormat', String],
+    LOG_CONTENT: ['logContent', Flag],
+    REDACT_PII: ['redactPii', Flag],
+    REDACT_DETECTORS: ['redactDetectors', List],
+    REDACT_COLUMNS: ['redactColumns', List],
+    REDACT_RESTORE: ['redactRestore', String]
+};
+
+// Who gets the values behind redaction placeholders back in replies (see canSeeRedactedValues in server.js).
+const REDACT_RESTORE_VALUES = ['all', 'admins', 'none'];
+
+// Model options a request may override; anything else in `options` is rejected.
+const ALLOWED_MODEL_OPTIONS = {
+    temperature: value => typeof value === 'number' && value >= 0 && value <= 2,
+    num_ctx: value => Number.isInteger(value) && value > 0,
+    seed: value => Number.isInteger(value)
+};
+
+function readConfigFile(filePath) {
+    if (!fs.existsSync(filePath)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to read config file ${filePath}: ${error.message}`);
+    }
+}
+
+function loadConfig(env = process.env) {
+    const configFile = env.GD_ASSISTANT_CONFIG || path.join(PROJECT_ROOT, 'config.json');
+    const config = { ...DEFAULTS, ...readConfigFile(configFile) };
+
+    for (const [name, [key, cast]] of Object.entries(ENV_VARS)) {
+        if (env[name] !== undefined && env[name] !== '') {
+            config[key] = cast(env[name]);
+        }
+    }
+    // Numbers are checked here, from the file and the environment alike: "abc" would otherwise become NaN,
+    // and e.g. a queue limit of NaN lets every call through.
+    for (const [name, [key, cast]] of Object.entries(ENV_VARS)) {
+        const source = env[name] !== undefined && env[name] !== '' ? name : key;
+        const shown = JSON.stringify(source === name ? env[name] : config[key]);
+        if (cast === Number && !(Number.isFinite(config[key]) && config[key] >= 0)) {
+            throw new Error(`${source} must be a number of 0 or more, not ${shown}.`);
+        }
+        if (cast === ModelNumbers && Object.values(config[key] || {}).some(value => !(Number.isFinite(value) && value > 0))) {
+            throw new Error(`${source} must map model names to numbers above 0 (model=number), not ${shown}.`);
+        }
+    }
+    // Accept OLLAMA_HOST values like "127.0.0.1:11434", as the Ollama CLI does.
+    if (!/^https?:\/\//.test(config.ollamaHost)) {
+        config.ollamaHost = `http://${config.ollamaHost}`;
+    }
+    config.ollamaHost = config.ollamaHost.replace(/\/+$/, '');
+    if (!REDACT_RESTORE_VALUES.includes(config.redactRestore)) {
+        throw new Error(`Unknown redactRestore "${config.redactRestore}". Use ${REDACT_RESTORE_VALUES.join(', ')}.`);
+    }
+    const unknownDetectors = Array.isArray(config.redactDetectors) ? config.redactDetectors.filter(name => !DETECTOR_NAMES.includes(name)) : [String(config.redactDetectors)];
+    if (unknownDetectors.length > 0) {
+        throw new Error(`Unknown redactDetectors ${unknownDetectors.map(name => `"${name}"`).join(', ')}. Use ${DETECTOR_NAMES.join(', ')}.`);
+    }
+    // Relative paths are relative to the project root, not to wherever the process was started.
+    config.sessionDir = path.resolve(PROJECT_ROOT, config.sessionDir);
+    config.usersFile = path.resolve(PROJECT_ROOT, config.usersFile);
+    config.promptDir = path.resolve(PROJECT_ROOT, config.promptDir);
+    config.presetsFile = path.resolve(PROJECT_ROOT, config.presetsFile);
+    config.searchIndexFile = path.resolve(PROJECT_ROOT, config.searchIndexFile);
+    config.uploadDir = config.uploadDir ? path.resolve(PROJECT_ROOT, config.uploadDir) : path.join(os.tmpdir(), 'gd-assistant-uploads');
+    return config;
+}
+
+// Validates the optional per-request `options` object. Returns { options } or { error }.
+function parseModelOptions(options) {
+    if (options === undefined || options === null) return { options: undefined };
+    if (typeof options !== 'object' || Array.isArray(options)) {
+        return { error: '`options` must be an object.' };
+    }
+    for (const [key, value] of Object.entries(options)) {
+        if (!ALLOWED_MODEL_OPTIONS[key]) {
+            return { error: `Unsupported option "${key}". Allowed: ${Object.keys(ALLOWED_MODEL_OPTIONS).join(', ')}.` };
+        }
+        if (!ALLOWED_MODEL_OPTIONS[key](value)) {
+            return { error: `Invalid value for option "${key}": ${JSON.stringify(value)}.` };
+        }
+    }
+    return { options: Object.keys(options).length > 0 ? options : undefined };
+}
+
+const config = loadConfig();
+
+module.exports = { config, loadConfig, parseModelOptions };
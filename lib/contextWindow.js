@@ -0,0 +1,202 @@
+const { config } = require('./config');
+
+// --- Context Window ---
+// session.history keeps every message of the conversation (it is what gets exported). What is sent to
+// Ollama is built from it here, within the model's token budget:
+//   1. the system prompts, each distinct one once;
+//   2. the summary of older turns (session.memory), as one system message;
+//   3. the turns after the summarized part, verbatim.
+// When that does not fit, the oldest turns are folded into the summary by the model, always keeping
+// the last RECENT_MESSAGES messages verbatim. session.memory = { summary, summarizedCount } records how
+// many history entries the summary covers.
+// Token counts are estimates (about 4 characters per token plus a fixed cost per image), since Ollama
+// does not expose its tokenizers over the API.
+
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const IMAGE_TOKENS = 768;
+const RECENT_MESSAGES = 4;
+const SUMMARY_MAX_WORDS = 250;
+// Long messages (attachment excerpts, query results) are cut to this length before they are summarized.
+const SUMMARY_INPUT_CHARS = 2000;
+
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+function countMessageTokens(message) {
+    let tokens = MESSAGE_OVERHEAD_TOKENS + estimateTokens(message.content);
+    if (message.images) tokens += message.images.length * IMAGE_TOKENS;
+    if (message.tool_calls) tokens += estimateTokens(JSON.stringify(message.tool_calls));
+    return tokens;
+}
+
+function countTokens(messages) {
+    return messages.reduce((total, message) => total + countMessageTokens(message), 0);
+}
+
+// Context length (num_ctx) used for a model: the request's num_ctx, the per-model setting, or the default.
+function getContextWindow(model, options) {
+    if (options && options.num_ctx) return options.num_ctx;
+    return (config.contextTokensByModel && config.contextTokensByModel[model]) || config.contextTokens;
+}
+
+// Tokens available for the prompt; contextReplyTokens of the window are left for the answer.
+function getContextBudget(model, options) {
+    const window = getContextWindow(model, options);
+    return Math.max(window - config.contextReplyTokens, Math.floor(window / 2));
+}
+
+// Request options with num_ctx set, so Ollama's context is the size the budget was computed for.
+function getContextOptions(model, options) {
+    return { ...options, num_ctx: getContextWindow(model, options) };
+}
+
+// Adds a system prompt to the history unless the same prompt is already in it. Returns whether it was added.
+// `meta` is stored on the message; prompts rendered from a template ({ template, templateVersion }) are
+// added once per template, so variables filled in later (a new attachment) do not add a second copy.
+function addSystemPrompt(session, content, meta = {}) {
+    const isSame = message => message.role === 'system' && (meta.template ? message.template === meta.template : message.content === content);
+    if (session.history.some(isSame)) return false;
+    session.history.push({ role: 'system', content: content, ...meta });
+    return true;
+}
+
+// Removes the system prompts matching `predicate` (e.g. the prompt of a preset that is switched off),
+// keeping session.memory pointing at the same messages.
+function removeSystemPrompts(session, predicate) {
+    const memory = session.memory || { summarizedCount: 0 };
+    const removedBeforeSummary = session.history.slice(0, memory.summarizedCount || 0).filter(message => message.role === 'system' && predicate(message)).length;
+    const before = session.history.length;
+    session.history = session.history.filter(message => !(message.role === 'system' && predicate(message)));
+    if (removedBeforeSummary > 0) memory.summarizedCount -= removedBeforeSummary;
+    return before - session.history.length;
+}
+
+// Each distinct system prompt once, in order of first appearance (sessions saved before addSystemPrompt
+// existed can hold the same prompt many times).
+function uniqueSystemMessages(history) {
+    const seen = new Set();
+    return history.filter(message => {
+        if (message.role !== 'system' || seen.has(message.content)) return false;
+        seen.add(message.content);
+        return true;
+    }).map(message => ({ role: 'system', content: message.content }));
+}
+
+function memoryMessage(summary) {
+    return { role: 'system', content: `Summary of the earlier conversation (older messages are not shown):\n${summary}` };
+}
+
+function formatForSummary(message) {
+    const speaker = message.role === 'tool' ? `TOOL (${message.tool_name || 'result'})` : message.role.toUpperCase();
+    let content = message.content || '';
+    if (content.length > SUMMARY_INPUT_CHARS) content = `${content.substring(0, SUMMARY_INPUT_CHARS)} …`;
+    if (message.images && message.images.length > 0) content += ` [${message.images.length} image(s) attached]`;
+    if (message.tool_calls && message.tool_calls.length > 0) {
+        content += ` [called tools: ${message.tool_calls.map(toolCall => toolCall.function.name).join(', ')}]`;
+    }
+    return `${speaker}: ${content}`;
+}
+
+// Messages asking the model to merge older turns into the running summary.
+function buildSummaryMessages(previousSummary, messages) {
+    return [
+        {
+            role: 'system',
+            content: `You keep the memory of a conversation between a user and an assistant. Merge the earlier summary and the new messages into one updated summary of at most ${SUMMARY_MAX_WORDS} words.
+Keep facts, numbers, names, attachment IDs (att1, att2, ...), decisions, the user's preferences and open questions. Leave out greetings and formatting.
+Reply with the summary only.`
+        },
+        { role: 'user', content: `Earlier summary:\n${previousSummary || '(none)'}\n\nNew messages:\n${messages.map(formatForSummary).join('\n\n')}` }
+    ];
+}
+
+// Splits the messages to summarize into batches whose summary prompt stays within the budget.
+function batchForSummary(messages, budget) {
+    const batches = [];
+    let batch = [];
+    let batchTokens = 0;
+    const limit = Math.floor(budget / 2);
+    for (const message of messages) {
+        const tokens = estimateTokens(formatForSummary(message));
+        if (batch.length > 0 && batchTokens + tokens > limit) {
+            batches.push(batch);
+            batch = [];
+            batchTokens = 0;
+        }
+        batch.push(message);
+        batchTokens += tokens;
+    }
+    if (batch.length > 0) batches.push(batch);
+    return batches;
+}
+
+// Builds the messages for the next call to the model. `summarize(previousSummary, messages)` resolves to
+// the new summary text; it is only called when the conversation does not fit the budget. If it fails,
+// the oldest turns are left out for this call without being summarized.
+// Returns { messages, promptTokens, budget, summarizedMessages, droppedMessages }.
+async function buildContextMessages(session, { budget, summarize }) {
+    const history = session.history;
+    const memory = session.memory || { summary: '', summarizedCount: 0 };
+    const systemMessages = uniqueSystemMessages(history);
+    const turnsFrom = index => history.slice(index).filter(message => message.role !== 'system');
+    const assemble = (summary, index) => [...systemMessages, ...(summary ? [memoryMessage(summary)] : []), ...turnsFrom(index)];
+    const result = { budget: budget, summarizedMessages: 0, droppedMessages: 0 };
+
+    const start = Math.min(memory.summarizedCount || 0, history.length);
+    let messages = assemble(memory.summary, start);
+    if (countTokens(messages) <= budget) {
+        return { ...result, messages: messages, promptTokens: countTokens(messages) };
+    }
+
+    // Keep as many recent turns as fit next to the system prompts and a full-length summary.
+    const reserved = countTokens(systemMessages) + countMessageTokens(memoryMessage('x'.repeat(SUMMARY_MAX_WORDS * 6)));
+    let cutoff = history.length;
+    let kept = 0;
+    let keptTokens = 0;
+    for (let index = history.length - 1; index >= start; index--) {
+        if (history[index].role === 'system') continue;
+        const tokens = countMessageTokens(history[index]);
+        if (kept >= RECENT_MESSAGES && reserved + keptTokens + tokens > budget) break;
+        cutoff = index;
+        kept++;
+        keptTokens += tokens;
+    }
+    // Tool results stay with the assistant message that called the tool.
+    while (cutoff > start && history[cutoff] && history[cutoff].role === 'tool') cutoff--;
+
+    const older = history.slice(start, cutoff).filter(message => message.role !== 'system');
+    if (older.length === 0) {
+        console.warn(`⚠️ [CONTEXT] The last ${kept} messages alone need about ${reserved + keptTokens} tokens (budget ${budget}); sending them anyway.`);
+        return { ...result, messages: messages, promptTokens: countTokens(messages) };
+    }
+
+    try {
+        let summary = memory.summary;
+        for (const batch of batchForSummary(older, budget)) {
+            summary = await summarize(summary, batch);
+        }
+        session.memory = { summary: summary, summarizedCount: cutoff, updatedAt: Date.now() };
+        messages = assemble(summary, cutoff);
+        console.log(`[CONTEXT] Summarized ${older.length} older messages (summary: ${estimateTokens(summary)} tokens).`);
+        return { ...result, messages: messages, promptTokens: countTokens(messages), summarizedMessages: older.length };
+    } catch (error) {
+        console.warn(`⚠️ [CONTEXT] Could not summarize older messages (${error.message}); leaving ${older.length} of them out of this request.`);
+        messages = assemble(memory.summary, cutoff);
+        return { ...result, messages: messages, promptTokens: countTokens(messages), droppedMessages: older.length };
+    }
+}
+
+module.exports = {
+    estimateTokens,
+    countMessageTokens,
+    countTokens,
+    getContextWindow,
+    getContextBudget,
+    getContextOptions,
+    addSystemPrompt,
+    removeSystemPrompts,
+    buildSummaryMessages,
+    buildContextMessages
+};
@@ -0,0 +1,311 @@
+// --- CSV Query Engine ---
+// Runs a small JSON query DSL over the records parsed from an uploaded CSV, so sums, averages,
+// filters and rankings are computed exactly by the server instead of by the model.
+//
+// Query shape (every key optional):
+//   {
+//     "filter":    [{ "column": "Department", "op": "eq", "value": "Marketing" }],
+//     "groupBy":   ["Region"],
+//     "aggregate": [{ "fn": "sum", "column": "Sales", "as": "total_sales" }],
+//     "select":    ["Name", "Email"],
+//     "sort":      [{ "column": "total_sales", "direction": "desc" }],
+//     "limit":     5,
+//     "describe":  true | ["Sales", "Region"]
+//   }
+
+const FILTER_OPS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'contains', 'in', 'is_empty', 'not_empty'];
+const AGGREGATE_FNS = ['count', 'sum', 'avg', 'min', 'max', 'median', 'distinct_count'];
+const MAX_LIMIT = 10000;
+
+class QueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QueryError';
+    }
+}
+
+// "1,234.50", " 42 " and "-3e2" are numbers; "", "N/A" and "12abc" are not.
+function toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (value === null || value === undefined) return null;
+    const cleaned = String(value).replace(/,/g, '').trim();
+    if (cleaned === '' || !/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(cleaned)) return null;
+    return Number(cleaned);
+}
+
+function isEmpty(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+}
+
+function compareValues(a, b) {
+    const numA = toNumber(a);
+    const numB = toNumber(b);
+    if (numA !== null && numB !== null) return numA - numB;
+    if (isEmpty(a) && isEmpty(b)) return 0;
+    if (isEmpty(a)) return 1;
+    if (isEmpty(b)) return -1;
+    return String(a).localeCompare(String(b), undefined, { sensitivity: 'base', numeric: true });
+}
+
+function median(numbers) {
+    if (numbers.length === 0) return null;
+    const sorted = [...numbers].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function round(value) {
+    return typeof value === 'number' ? Math.round(value * 10000) / 10000 : value;
+}
+
+function getColumns(records) {
+    const columns = [];
+    for (const record of records) {
+        for (const key of Object.keys(record)) {
+            if (!columns.includes(key)) columns.push(key);
+        }
+    }
+    return columns;
+}
+
+function assertColumn(column, columns, where) {
+    if (typeof column !== 'string' || !columns.includes(column)) {
+        throw new QueryError(`Unknown column "${column}" in ${where}. Available columns: ${columns.join(', ')}.`);
+    }
+}
+
+function matchesFilter(record, { column, op, value }) {
+    const cell = record[column];
+    switch (op) {
+        case 'eq': return compareValues(cell, value) === 0;
+        case 'ne': return compareValues(cell, value) !== 0;
+        case 'gt': return !isEmpty(cell) && compareValues(cell, value) > 0;
+        case 'gte': return !isEmpty(cell) && compareValues(cell, value) >= 0;
+        case 'lt': return !isEmpty(cell) && compareValues(cell, value) < 0;
+        case 'lte': return !isEmpty(cell) && compareValues(cell, value) <= 0;
+        case 'contains': return String(cell === undefined || cell === null ? '' : cell).toLowerCase().includes(String(value).toLowerCase());
+        case 'in': return value.some(candidate => compareValues(cell, candidate) === 0);
+        case 'is_empty': return isEmpty(cell);
+        case 'not_empty': return !isEmpty(cell);
+        default: return false;
+    }
+}
+
+function aggregate(records, { fn, column }) {
+    if (fn === 'count') {
+        return column ? records.filter(r => !isEmpty(r[column])).length : records.length;
+    }
+    if (fn === 'distinct_count') {
+        return new Set(records.map(r => r[column]).filter(v => !isEmpty(v))).size;
+    }
+    if (fn === 'min' || fn === 'max') {
+        const values = records.map(r => r[column]).filter(v => !isEmpty(v));
+        if (values.length === 0) return null;
+        const sorted = values.sort(compareValues);
+        const picked = fn === 'min' ? sorted[0] : sorted[sorted.length - 1];
+        const asNumber = toNumber(picked);
+        return asNumber !== null ? asNumber : picked;
+    }
+    const numbers = records.map(r => toNumber(r[column])).filter(n => n !== null);
+    if (fn === 'sum') return round(numbers.reduce((total, n) => total + n, 0));
+    if (numbers.length === 0) return null;
+    if (fn === 'avg') return round(numbers.reduce((total, n) => total + n, 0) / numbers.length);
+    if (fn === 'median') return round(median(numbers));
+    return null;
+}
+
+// Per-column statistics, used both for the "describe" query and for the schema shown to the model.
+function describeColumns(records, columnNames = getColumns(records)) {
+    return columnNames.map(name => {
+        const values = records.map(r => r[name]);
+        const present = values.filter(v => !isEmpty(v));
+        const numbers = present.map(toNumber).filter(n => n !== null);
+        const isNumeric = present.length > 0 && numbers.length === present.length;
+        const stats = {
+            column: name,
+            type: isNumeric ? 'number' : 'string',
+            count: present.length,
+            missing: values.length - present.length,
+            distinct: new Set(present.map(String)).size
+        };
+        if (isNumeric) {
+            const mean = numbers.reduce((total, n) => total + n, 0) / numbers.length;
+            const variance = numbers.reduce((total, n) => total + (n - mean) ** 2, 0) / numbers.length;
+            Object.assign(stats, {
+                min: Math.min(...numbers),
+                max: Math.max(...numbers),
+                sum: round(numbers.reduce((total, n) => total + n, 0)),
+                mean: round(mean),
+                median: round(median(numbers)),
+                std: round(Math.sqrt(variance))
+            });
+        } else {
+            const counts = {};
+            present.forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+            stats.topValues = Object.entries(counts)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 5)
+                .map(([value, count]) => ({ value, count }));
+        }
+        return stats;
+    });
+}
+
+function validateQuery(query, columns) {
+    if (!query || typeof query !== 'object' || Array.isArray(query)) {
+        throw new QueryError('The query must be a JSON object.');
+    }
+    const known = ['filter', 'groupBy', 'aggregate', 'select', 'sort', 'limit', 'describe'];
+    const unknownKeys = Object.keys(query).filter(key => !known.includes(key));
+    if (unknownKeys.length > 0) {
+        throw new QueryError(`Unknown query key(s): ${unknownKeys.join(', ')}. Allowed: ${known.join(', ')}.`);
+    }
+    for (const key of ['filter', 'groupBy', 'aggregate', 'select', 'sort']) {
+        if (query[key] !== undefined && !Array.isArray(query[key])) {
+            throw new QueryError(`"${key}" must be an array.`);
+        }
+    }
+    for (const key of ['filter', 'aggregate', 'sort']) {
+        if ((query[key] || []).some(item => !item || typeof item !== 'object')) {
+            throw new QueryError(`Every entry of "${key}" must be an object.`);
+        }
+    }
+    for (const condition of query.filter || []) {
+        assertColumn(condition.column, columns, 'filter');
+        if (!FILTER_OPS.includes(condition.op)) {
+            throw new QueryError(`Unknown filter op "${condition.op}". Allowed: ${FILTER_OPS.join(', ')}.`);
+        }
+        if (condition.op === 'in' && !Array.isArray(condition.value)) {
+            throw new QueryError('The "in" filter needs an array value.');
+        }
+    }
+    for (const column of query.groupBy || []) assertColumn(column, columns, 'groupBy');
+    for (const spec of query.aggregate || []) {
+        if (!AGGREGATE_FNS.includes(spec.fn)) {
+            throw new QueryError(`Unknown aggregate fn "${spec.fn}". Allowed: ${AGGREGATE_FNS.join(', ')}.`);
+        }
+        if (spec.column !== undefined || spec.fn !== 'count') assertColumn(spec.column, columns, 'aggregate');
+    }
+    for (const column of query.select || []) assertColumn(column, columns, 'select');
+    if (Array.isArray(query.describe)) query.describe.forEach(column => assertColumn(column, columns, 'describe'));
+    if (query.limit !== undefined && (!Number.isInteger(query.limit) || query.limit < 1 || query.limit > MAX_LIMIT)) {
+        throw new QueryError(`"limit" must be an integer between 1 and ${MAX_LIMIT}.`);
+    }
+}
+
+// Models often emit `"limit": null` or `"filter": null` for unused keys; treat those as absent.
+function normalizeQuery(query) {
+    if (!query || typeof query !== 'object' || Array.isArray(query)) {
+        throw new QueryError('The query must be a JSON object.');
+    }
+    return Object.fromEntries(Object.entries(query).filter(([, value]) => value !== null && value !== undefined));
+}
+
+// Runs a query and returns { columns, rows, totalRows } where totalRows is the count before "limit".
+function runQuery(records, rawQuery) {
+    const columns = getColumns(records);
+    const query = normalizeQuery(rawQuery);
+    validateQuery(query, columns);
+
+    let rows = records.filter(record => (query.filter || []).every(condition => matchesFilter(record, condition)));
+
+    if (query.describe) {
+        const stats = describeColumns(rows, Array.isArray(query.describe) ? query.describe : columns);
+        return { columns: Object.keys(stats[0] || {}), rows: stats, totalRows: stats.length };
+    }
+
+    const aggregates = (query.aggregate || []).map(spec => ({
+        ...spec,
+        as: spec.as || (spec.column ? `${spec.fn}_${spec.column}` : spec.fn)
+    }));
+    const groupBy = query.groupBy || [];
+
+    if (groupBy.length > 0 || aggregates.length > 0) {
+        const groups = new Map();
+        for (const record of rows) {
+            const key = JSON.stringify(groupBy.map(column => record[column]));
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(record);
+        }
+        if (groups.size === 0 && groupBy.length === 0) groups.set('[]', []);
+        rows = [...groups.values()].map(groupRecords => {
+            const row = {};
+            groupBy.forEach(column => { row[column] = groupRecords[0] ? groupRecords[0][column] : null; });
+            (aggregates.length > 0 ? aggregates : [{ fn: 'count', as: 'count' }]).forEach(spec => {
+                row[spec.as] = aggregate(groupRecords, spec);
+            });
+            return row;
+        });
+    } else if (query.select && query.select.length > 0) {
+        rows = rows.map(record => Object.fromEntries(query.select.map(column => [column, record[column]])));
+    }
+
+    const resultColumns = getColumns(rows);
+    for (const spec of [...(query.sort || [])].reverse()) {
+        if (!resultColumns.includes(spec.column)) {
+            throw new QueryError(`Cannot sort by "${spec.column}". Result columns: ${resultColumns.join(', ')}.`);
+        }
+        const direction = spec.direction === 'desc' ? -1 : 1;
+        // Array.prototype.sort is stable, so sorting by the last key first gives a multi-key sort.
+        rows = [...rows].sort((a, b) => direction * compareValues(a[spec.column], b[spec.column]));
+    }
+
+    const totalRows = rows.length;
+    if (query.limit) rows = rows.slice(0, query.limit);
+    return { columns: resultColumns.length > 0 ? resultColumns : columns, rows, totalRows };
+}
+
+// Compact description of the table for prompts: column types and stats plus a few sample rows,
+// instead of the full data.
+function summarizeTable(records, sampleSize = 3) {
+    return {
+        rowCount: records.length,
+        columns: describeColumns(records).map(({ column, type, missing, distinct, min, max, topValues }) => (
+            type === 'number'
+                ? { column, type, missing, distinct, min, max }
+                : { column, type, missing, distinct, examples: (topValues || []).map(t => t.value).slice(0, 3) }
+        )),
+        sampleRows: records.slice(0, sampleSize)
+    };
+}
+
+// Instructions for the model that plans queries; kept next to the engine so they stay in sync.
+function buildQueryPlannerPrompt(records) {
+    return `You translate requests about a table into a JSON query for a local query engine. Never compute results yourself.
+
+Table summary (JSON):
+${JSON.stringify(summarizeTable(records))}
+
+Respond with ONE JSON object: {"needsData": true|false, "query": <query or null>}
+Set "needsData" to false (and "query" to null) when the request does not need any values from the table.
+
+Query format (every key optional, column names must match exactly):
+{
+  "filter": [{"column": "<col>", "op": "${FILTER_OPS.join('|')}", "value": <value or array for "in">}],
+  "groupBy": ["<col>"],
+  "aggregate": [{"fn": "${AGGREGATE_FNS.join('|')}", "column": "<col>", "as": "<result name>"}],
+  "select": ["<col>"],
+  "sort": [{"column": "<col or aggregate name>", "direction": "asc|desc"}],
+  "limit": <integer>,
+  "describe": true or ["<col>"]
+}
+Use "describe" for general overviews or column statistics, "aggregate" with "groupBy" for totals per category,
+"sort" with "limit" for top-N questions, and "select" with "filter" to extract rows.`;
+}
+
+// Query results as shown to the model that writes the narrative. Long results are cut to maxRows.
+function formatQueryResult(result, maxRows = 50) {
+    const shown = result.rows.slice(0, maxRows);
+    const note = result.rows.length > maxRows ? ` (first ${maxRows} of ${result.rows.length} rows shown)` : '';
+    return `Query: ${JSON.stringify(result.query)}\nResult rows: ${result.totalRows}${note}\n\`\`\`json\n${JSON.stringify(shown, null, 2)}\n\`\`\``;
+}
+
+module.exports = {
+    QueryError,
+    runQuery,
+    describeColumns,
+    summarizeTable,
+    buildQueryPlannerPrompt,
+    formatQueryResult,
+    toNumber
+};
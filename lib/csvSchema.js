@@ -0,0 +1,189 @@
+const { describeColumns, toNumber } = require('./csvQuery');
+
+// --- CSV Column Schemas ---
+// /generate-csv asks Ollama for rows through a JSON schema `format` instead of fenced JSON in free text,
+// then checks every row against the column schema here. A column schema is a list of
+//   { "name": "Age", "type": "integer", "required": true, "enum": [...] }
+// with type one of COLUMN_TYPES (default string) and required defaulting to false. Callers send one in
+// `columns` (plain names are string columns), or it is inferred from the CSV attachment the request targets.
+
+const COLUMN_TYPES = ['string', 'number', 'integer', 'boolean', 'date'];
+const ISO_DATE_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+const BOOLEAN_VALUES = { true: true, false: false, yes: true, no: false, '1': true, '0': false };
+
+class ColumnSchemaError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ColumnSchemaError';
+        this.statusCode = 400;
+    }
+}
+
+// Validates the caller's `columns` and fills in the defaults.
+function parseColumnSchema(columns) {
+    if (!Array.isArray(columns) || columns.length === 0) {
+        throw new ColumnSchemaError('`columns` must be a non-empty array of column names or { name, type, required, enum } objects.');
+    }
+    const names = new Set();
+    return columns.map((column, index) => {
+        const spec = typeof column === 'string' ? { name: column } : column;
+        if (!spec || typeof spec.name !== 'string' || !spec.name.trim()) {
+            throw new ColumnSchemaError(`columns[${index}] needs a "name".`);
+        }
+        const name = spec.name.trim();
+        if (names.has(name)) {
+            throw new ColumnSchemaError(`Column "${name}" is listed twice.`);
+        }
+        names.add(name);
+        const type = spec.type || 'string';
+        if (!COLUMN_TYPES.includes(type)) {
+            throw new ColumnSchemaError(`Column "${name}" has unknown type "${type}". Allowed: ${COLUMN_TYPES.join(', ')}.`);
+        }
+        if (spec.enum !== undefined && (!Array.isArray(spec.enum) || spec.enum.length === 0)) {
+            throw new ColumnSchemaError(`The "enum" of column "${name}" must be a non-empty array.`);
+        }
+        const parsed = { name: name, type: type, required: spec.required === true };
+        if (spec.enum) parsed.enum = spec.enum;
+        return parsed;
+    });
+}
+
+// Column schema matching a parsed CSV: numeric columns become number/integer, ISO dates and
+// true/false columns are recognised, and columns without empty cells are required.
+function inferColumnSchema(records) {
+    return describeColumns(records).map(({ column, type, missing, count }) => {
+        const present = records.map(record => record[column]).filter(value => value !== undefined && value !== null && String(value).trim() !== '');
+        let inferred = 'string';
+        if (type === 'number') {
+            inferred = present.every(value => Number.isInteger(toNumber(value))) ? 'integer' : 'number';
+        } else if (count > 0 && present.every(value => ISO_DATE_PATTERN.test(String(value).trim()))) {
+            inferred = 'date';
+        } else if (count > 0 && present.every(value => ['true', 'false'].includes(String(value).trim().toLowerCase()))) {
+            inferred = 'boolean';
+        }
+        return { name: column, type: inferred, required: count > 0 && missing === 0 };
+    });
+}
+
+function toJsonSchemaType(column) {
+    const schema = column.type === 'date' ? { type: 'string', format: 'date' } : { type: column.type };
+    if (column.enum) schema.enum = column.enum;
+    return schema;
+}
+
+// JSON schema for Ollama's `format`: { "rows": [ { <column>: <value>, ... } ] }. Without a column schema
+// the rows are objects of plain values.
+function toRowsJsonSchema(columns) {
+    const items = columns
+        ? {
+            type: 'object',
+            properties: Object.fromEntries(columns.map(column => [column.name, toJsonSchemaType(column)])),
+            required: columns.filter(column => column.required).map(column => column.name),
+            additionalProperties: false
+        }
+        : { type: 'object', additionalProperties: { type: ['string', 'number', 'boolean', 'null'] } };
+    return { type: 'object', properties: { rows: { type: 'array', items: items } }, required: ['rows'] };
+}
+
+// The schema in words as well, for models that follow the prompt more closely than the format.
+function describeColumnSchema(columns) {
+    return columns.map(column => {
+        const details = [column.type, column.required ? 'required' : 'optional'];
+        if (column.enum) details.push(`one of: ${column.enum.map(value => JSON.stringify(value)).join(', ')}`);
+        return `- ${column.name} (${details.join(', ')})`;
+    }).join('\n');
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// Checks one value against its column. Returns { value } with the value in its canonical form
+// (numeric strings become numbers, "Yes" becomes true, ...), or { error }.
+function coerceValue(value, column) {
+    if (isBlank(value)) {
+        return column.required ? { error: `"${column.name}" is required` } : { value: '' };
+    }
+    if (typeof value === 'object') {
+        return { error: `"${column.name}" must be a single value, got ${JSON.stringify(value)}` };
+    }
+    let coerced = value;
+    if (column.type === 'number' || column.type === 'integer') {
+        coerced = toNumber(value);
+        if (coerced === null) return { error: `"${column.name}" must be a ${column.type}, got ${JSON.stringify(value)}` };
+        if (column.type === 'integer' && !Number.isInteger(coerced)) return { error: `"${column.name}" must be an integer, got ${JSON.stringify(value)}` };
+    } else if (column.type === 'boolean') {
+        coerced = BOOLEAN_VALUES[String(value).trim().toLowerCase()];
+        if (coerced === undefined) return { error: `"${column.name}" must be true or false, got ${JSON.stringify(value)}` };
+    } else if (column.type === 'date') {
+        const match = String(value).trim().match(ISO_DATE_PATTERN);
+        if (!match || Number.isNaN(Date.parse(match[1]))) return { error: `"${column.name}" must be a date (YYYY-MM-DD), got ${JSON.stringify(value)}` };
+        coerced = match[1];
+    }
+    if (column.enum) {
+        const allowed = column.enum.find(option => String(option).toLowerCase() === String(coerced).toLowerCase());
+        if (allowed === undefined) return { error: `"${column.name}" must be one of ${column.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}` };
+        coerced = allowed;
+    }
+    return { value: coerced };
+}
+
+// Validates one row. Returns { row, errors, coerced }: the row with its columns in schema order, the
+// problems found, and whether any value had to be converted. Unknown keys count as problems.
+function validateRow(row, columns) {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        return { row: null, errors: ['the row is not a JSON object'], coerced: false };
+    }
+    const errors = [];
+    const normalized = {};
+    let coerced = false;
+    for (const column of columns) {
+        const result = coerceValue(row[column.name], column);
+        if (result.error) {
+            errors.push(result.error);
+        } else {
+            normalized[column.name] = result.value;
+            if (result.value !== row[column.name] && !(result.value === '' && row[column.name] === undefined)) coerced = true;
+        }
+    }
+    const unknown = Object.keys(row).filter(key => !columns.some(column => column.name === key));
+    if (unknown.length > 0) errors.push(`unknown column(s): ${unknown.join(', ')}`);
+    return { row: normalized, errors: errors, coerced: coerced };
+}
+
+// Rows generated without a column schema only need to be objects of plain values; their columns are
+// every key seen, in order of appearance.
+function inferColumnsFromRows(rows) {
+    const names = [];
+    for (const row of rows) {
+        if (!row || typeof row !== 'object' || Array.isArray(row)) continue;
+        for (const key of Object.keys(row)) {
+            if (!names.includes(key)) names.push(key);
+        }
+    }
+    return names.map(name => ({ name: name, type: 'string', required: false }));
+}
+
+// Prompt asking the model to fix the rows that failed validation, returned in the same order.
+function buildRepairPrompt(request, columns, invalidRows) {
+    return `You generated rows for this request: ${request}
+
+The rows below do not match the column schema:
+${describeColumnSchema(columns)}
+
+${invalidRows.map(({ index, row, errors }) => `Row ${index + 1}: ${JSON.stringify(row)}\nProblems: ${errors.join('; ')}`).join('\n\n')}
+
+Respond with a JSON object {"rows": [...]} holding exactly ${invalidRows.length} corrected row(s), in the same order. Keep the values that were right.`;
+}
+
+module.exports = {
+    COLUMN_TYPES,
+    ColumnSchemaError,
+    parseColumnSchema,
+    inferColumnSchema,
+    toRowsJsonSchema,
+    describeColumnSchema,
+    validateRow,
+    inferColumnsFromRows,
+    buildRepairPrompt
+};
@@ -0,0 +1,135 @@
+const axios = require('axios');
+const pdf = require('pdf-parse');
+const { config } = require('./config');
+const { trackOllamaCall } = require('./metrics');
+const { toOllamaError } = require('./ollamaHealth');
+const { currentRedactor } = require('./redaction');
+
+// --- Document Retrieval (RAG) ---
+// Large PDFs do not fit in the model context, so their text is split into page-aware chunks,
+// embedded through Ollama's /api/embeddings, and only the top-k chunks relevant to each question
+// are sent to the model. The index is a plain object so it can be stored with the session.
+
+// Same text layout as pdf-parse's default page renderer, but keeps the page each string came from.
+async function extractPdfPages(pdfBuffer) {
+    const pages = [];
+    const renderPage = async (pageData) => {
+        const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+        let lastY;
+        let text = '';
+        for (const item of textContent.items) {
+            if (lastY == item.transform[5] || !lastY) {
+                text += item.str;
+            } else {
+                text += '\n' + item.str;
+            }
+            lastY = item.transform[5];
+        }
+        pages.push({ page: pageData.pageIndex + 1, text: text });
+        return text;
+    };
+    // pdf.js reads the Buffer's whole underlying ArrayBuffer, which for small Buffers is Node's shared pool;
+    // copy into a Uint8Array of its own so the byte offsets in the PDF line up.
+    const data = await pdf(new Uint8Array(pdfBuffer), { pagerender: renderPage });
+    return { text: data.text, pages: pages.sort((a, b) => a.page - b.page), numPages: data.numpages };
+}
+
+// Splits each page into chunks of roughly chunkSize characters, breaking on paragraph or sentence
+// boundaries where possible. Chunks never span pages so every chunk can be cited with one page number.
+function chunkPages(pages, { chunkSize = config.ragChunkSize, overlap = config.ragChunkOverlap } = {}) {
+    const chunks = [];
+    for (const { page, text } of pages) {
+        const clean = text.replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+        let start = 0;
+        while (start < clean.length) {
+            let end = Math.min(start + chunkSize, clean.length);
+            if (end < clean.length) {
+                const window = clean.slice(start, end);
+                const breakAt = Math.max(window.lastIndexOf('\n\n'), window.lastIndexOf('. '), window.lastIndexOf('\n'));
+                if (breakAt > chunkSize / 2) {
+                    end = start + breakAt + 1;
+                }
+            }
+            const chunkText = clean.slice(start, end).trim();
+            if (chunkText) {
+                chunks.push({ id: chunks.length + 1, page: page, text: chunkText });
+            }
+            if (end >= clean.length) break;
+            start = Math.max(end - overlap, start + 1);
+        }
+    }
+    return chunks;
+}
+
+// Within a request that redacts personal data (lib/redaction.js), the text is embedded with its placeholders.
+async function embedText(text, model = config.embeddingModel) {
+    const redactor = currentRedactor();
+    let response;
+    try {
+        response = await trackOllamaCall(model, 'embeddings', () => axios.post(`${config.ollamaHost}/api/embeddings`, { model: model, prompt: redactor ? redactor.redact(text) : text }));
+    } catch (error) {
+        throw toOllamaError(error, model);
+    }
+    if (!response.data || !Array.isArray(response.data.embedding) || response.data.embedding.length === 0) {
+        throw new Error(`Ollama returned no embedding for model ${model}.`);
+    }
+    return response.data.embedding;
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+// Embeds every chunk (one request at a time, to keep CPU-only Ollama hosts responsive).
+async function buildDocumentIndex(pages, { name = null, model = config.embeddingModel } = {}) {
+    const chunks = chunkPages(pages);
+    console.log(`[DOCUMENT-INDEX] Embedding ${chunks.length} chunk(s) from ${pages.length} page(s) with ${model}.`);
+    for (const chunk of chunks) {
+        chunk.embedding = await embedText(chunk.text, model);
+    }
+    return { name: name, embeddingModel: model, createdAt: Date.now(), chunks: chunks };
+}
+
+async function searchDocumentIndex(index, query, topK = config.ragTopK) {
+    if (!index || !index.chunks || index.chunks.length === 0) return [];
+    const queryEmbedding = await embedText(query, index.embeddingModel);
+    return index.chunks
+        .map(chunk => ({ id: chunk.id, page: chunk.page, text: chunk.text, score: cosineSimilarity(queryEmbedding, chunk.embedding) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK)
+        .sort((a, b) => a.id - b.id);
+}
+
+// Formats retrieved chunks for the prompt; the model is asked to cite them as [chunk N, p. X].
+function formatExcerpts(hits) {
+    return hits.map(hit => `[chunk ${hit.id}, p. ${hit.page}]\n${hit.text}`).join('\n\n---\n\n');
+}
+
+// Citation list returned to clients alongside the answer.
+function toCitations(hits) {
+    return hits.map(hit => ({
+        chunk: hit.id,
+        page: hit.page,
+        score: Number(hit.score.toFixed(4)),
+        excerpt: hit.text.length > 200 ? `${hit.text.substring(0, 200)}…` : hit.text
+    }));
+}
+
+module.exports = {
+    extractPdfPages,
+    chunkPages,
+    embedText,
+    cosineSimilarity,
+    buildDocumentIndex,
+    searchDocumentIndex,
+    formatExcerpts,
+    toCitations
+};
@@ -0,0 +1,451 @@
+const path = require('path');
+const zlib = require('zlib');
+const { parse: parseCsv } = require('csv-parse/sync');
+const { config } = require('./config');
+const { extractPdfPages } = require('./documentIndex');
+
+// --- File Extractors ---
+// POST /analyze-file takes any format registered here and turns the file into the content of a session
+// attachment. An extractor is
+//   { format, label, extensions, mimeType, detect(buffer), [check(buffer)], extract(buffer, options) }
+// and `extract` returns either tabular content, { type: 'csv', records } (queried like an analyzed CSV),
+// or text, { type: 'pdf' | 'document', text, pages: [{ page, text }] } (indexed for retrieval like a PDF).
+// The file name's extension picks the extractor; files without a known extension go to the first one
+// whose `detect` accepts the content. A file picked by its extension only has to pass `check` (by default
+// `detect`), which for text formats just makes sure the file is text: a one-line .ndjson file is fine. The extractor's MIME type must be in config.uploadAllowedTypes.
+// Supporting another format means calling registerExtractor(), not adding a route.
+
+const ATTACHMENT_KINDS = ['csv', 'pdf', 'document'];
+
+class ExtractionError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ExtractionError';
+        this.statusCode = statusCode;
+    }
+}
+
+const extractors = [];
+
+function registerExtractor(extractor) {
+    const { format, extensions, mimeType, detect, extract } = extractor;
+    if (!format || !Array.isArray(extensions) || !mimeType || typeof detect !== 'function' || typeof extract !== 'function') {
+        throw new Error('An extractor needs a format, extensions, a mimeType, detect() and extract().');
+    }
+    if (extractors.some(existing => existing.format === format)) {
+        throw new Error(`An extractor for "${format}" is already registered.`);
+    }
+    extractors.push({ label: format, ...extractor, extensions: extensions.map(extension => extension.toLowerCase()) });
+}
+
+// The registered formats, for GET /formats and the UI's file picker.
+function listFormats() {
+    return extractors.map(({ format, label, extensions, mimeType }) => ({
+        format: format,
+        label: label,
+        extensions: extensions,
+        mimeType: mimeType,
+        allowed: config.uploadAllowedTypes.includes(mimeType)
+    }));
+}
+
+function findExtractorForName(fileName) {
+    const extension = path.extname(fileName || '').toLowerCase();
+    return extension ? extractors.find(extractor => extractor.extensions.includes(extension)) || null : null;
+}
+
+// Picks the extractor for a file: the requested `format`, else the file name's extension, else the content.
+function findExtractor(buffer, { fileName = null, format = null } = {}) {
+    let extractor = format ? extractors.find(candidate => candidate.format === format) : findExtractorForName(fileName);
+    if (format && !extractor) {
+        throw new ExtractionError(`Unknown format "${format}". Supported: ${extractors.map(candidate => candidate.format).join(', ')}.`);
+    }
+    const named = Boolean(extractor);
+    if (!named) extractor = extractors.find(candidate => candidate.detect(buffer));
+    if (!extractor) {
+        const extensions = extractors.flatMap(candidate => candidate.extensions);
+        throw new ExtractionError(`Unsupported file type${fileName ? ` for ${fileName}` : ''}. Supported: ${extensions.join(', ')}.`, 415);
+    }
+    if (!config.uploadAllowedTypes.includes(extractor.mimeType)) {
+        throw new ExtractionError(`${extractor.label} files (${extractor.mimeType}) are not accepted by this server (check uploadAllowedTypes).`, 415);
+    }
+    if (named && !(extractor.check || extractor.detect)(buffer)) {
+        throw new ExtractionError(`${fileName || 'The file'} is not a valid ${extractor.label} file.`, 415);
+    }
+    return extractor;
+}
+
+// Returns { format, mimeType, content } for the file. Parse errors become 400 ExtractionErrors.
+async function extractFile(buffer, { fileName = null, format = null, ...options } = {}) {
+    const extractor = findExtractor(buffer, { fileName, format });
+    let content;
+    try {
+        content = await extractor.extract(buffer, options);
+    } catch (error) {
+        if (error instanceof ExtractionError) throw error;
+        throw new ExtractionError(`Failed to read ${fileName || 'the file'} as ${extractor.label}: ${error.message}`);
+    }
+    if (!ATTACHMENT_KINDS.includes(content.type)) {
+        throw new Error(`The ${extractor.format} extractor returned an unknown attachment type "${content.type}".`);
+    }
+    return { format: extractor.format, mimeType: extractor.mimeType, content: content };
+}
+
+// --- Helpers shared by the extractors ---
+
+// Text without control characters besides tab and line breaks (UTF-8 bytes are all >= 0x80).
+function isText(buffer) {
+    const head = buffer.subarray(0, 4096);
+    return head.length > 0 && head.every(byte => byte >= 0x20 || byte === 0x09 || byte === 0x0a || byte === 0x0d);
+}
+
+function decodeText(buffer) {
+    return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®', euro: '€', ndash: '–', mdash: '—', hellip: '…' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        return ENTITIES[entity.toLowerCase()] !== undefined ? ENTITIES[entity.toLowerCase()] : match;
+    });
+}
+
+function xmlAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? decodeEntities(match[1]) : null;
+}
+
+// Rows of objects with the same keys in every row. Values become strings, like the rows of a parsed CSV;
+// nested objects and arrays are kept as JSON.
+function toRecords(rows) {
+    const columns = [];
+    for (const row of rows) {
+        for (const key of Object.keys(row)) {
+            if (!columns.includes(key)) columns.push(key);
+        }
+    }
+    return rows.map(row => Object.fromEntries(columns.map(column => {
+        const value = row[column];
+        if (value === undefined || value === null) return [column, ''];
+        return [column, typeof value === 'object' ? JSON.stringify(value) : String(value)];
+    })));
+}
+
+// Documents without pages are kept as one page, which the retrieval index splits into chunks.
+function toDocument(text) {
+    const clean = text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+    return { type: 'document', text: clean, pages: [{ page: 1, text: clean }] };
+}
+
+// --- ZIP (XLSX and DOCX are ZIP packages of XML files) ---
+
+// Reads the central directory; returns a Map of entry name -> function that inflates the entry.
+// Entries may unpack to at most ten times the upload limit, so a crafted file cannot exhaust memory.
+function readZip(buffer) {
+    let end = -1;
+    for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xffff); offset--) {
+        if (buffer.readUInt32LE(offset) === 0x06054b50) {
+            end = offset;
+            break;
+        }
+    }
+    if (end === -1) throw new Error('the ZIP directory is missing');
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const maxOutputLength = config.uploadMaxMb * 1024 * 1024 * 10;
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('the ZIP directory is damaged');
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        entries.set(name, () => {
+            if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) throw new Error(`the ZIP entry ${name} is damaged`);
+            const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+            const data = buffer.subarray(start, start + compressedSize);
+            if (method === 0) return data;
+            if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: maxOutputLength });
+            throw new Error(`the ZIP entry ${name} uses an unsupported compression method (${method})`);
+        });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+function isZipWith(buffer, entryName) {
+    if (buffer.length < 4 || buffer.readUInt32LE(0) !== 0x04034b50) return false;
+    try {
+        return readZip(buffer).has(entryName);
+    } catch (error) {
+        return false;
+    }
+}
+
+function readZipText(entries, name) {
+    const entry = entries.get(name);
+    return entry ? entry().toString('utf8') : null;
+}
+
+// --- XLSX ---
+
+// Built-in number formats that show dates and times.
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+// The cell styles (by index) whose number format is a date, so their serial numbers can be shown as dates.
+function readDateStyles(stylesXml) {
+    if (!stylesXml) return new Set();
+    const customDateFormats = new Set();
+    for (const [tag] of stylesXml.matchAll(/<numFmt\s[^>]*>/g)) {
+        const code = (xmlAttribute(tag, 'formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]|\\./g, '');
+        if (/[dmyhs]/i.test(code)) customDateFormats.add(Number(xmlAttribute(tag, 'numFmtId')));
+    }
+    const cellXfs = (stylesXml.match(/<cellXfs[^>]*>([\s\S]*?)<\/cellXfs>/) || [])[1] || '';
+    const dateStyles = new Set();
+    [...cellXfs.matchAll(/<xf\s[^>]*?\/?>/g)].forEach(([tag], index) => {
+        const formatId = Number(xmlAttribute(tag, 'numFmtId'));
+        if (DATE_FORMAT_IDS.has(formatId) || customDateFormats.has(formatId)) dateStyles.add(index);
+    });
+    return dateStyles;
+}
+
+// Excel serial dates count days from 1899-12-30 (so that its 1900 leap-year bug works out).
+function serialToDate(serial) {
+    const date = new Date(Math.round((serial - 25569) * 86400 * 1000));
+    const iso = date.toISOString();
+    return serial % 1 === 0 ? iso.substring(0, 10) : iso.substring(0, 19).replace('T', ' ');
+}
+
+function columnNumber(reference) {
+    const letters = reference.replace(/\d+$/, '').toUpperCase();
+    return [...letters].reduce((number, letter) => number * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function readRichText(xml) {
+    return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(match => decodeEntities(match[1])).join('');
+}
+
+function readSheetRows(sheetXml, sharedStrings, dateStyles) {
+    const rows = [];
+    for (const [, rowXml] of sheetXml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+        const row = [];
+        for (const [, attributes, body = ''] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const reference = xmlAttribute(attributes, 'r');
+            const column = reference ? columnNumber(reference) : row.length;
+            const type = xmlAttribute(attributes, 't');
+            const raw = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+            let value;
+            if (type === 's') value = sharedStrings[Number(raw)] || '';
+            else if (type === 'inlineStr') value = readRichText(body);
+            else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+            else if (raw === undefined) value = '';
+            else if (type === 'str' || type === 'e') value = decodeEntities(raw);
+            else value = dateStyles.has(Number(xmlAttribute(attributes, 's'))) && Number.isFinite(Number(raw)) ? serialToDate(Number(raw)) : raw;
+            row[column] = value;
+        }
+        rows.push(Array.from(row, value => value === undefined ? '' : value));
+    }
+    return rows.filter(row => row.some(value => value !== ''));
+}
+
+// The first row holds the column names; empty ones are named after their position, repeated ones numbered.
+function rowsToRecords(rows) {
+    if (rows.length === 0) return [];
+    const width = Math.max(...rows.map(row => row.length));
+    const names = [];
+    for (let column = 0; column < width; column++) {
+        const base = String(rows[0][column] || '').trim() || `Column ${column + 1}`;
+        let name = base;
+        for (let suffix = 2; names.includes(name); suffix++) name = `${base} (${suffix})`;
+        names.push(name);
+    }
+    return rows.slice(1).map(row => Object.fromEntries(names.map((name, column) => [name, row[column] === undefined ? '' : row[column]])));
+}
+
+// `sheet` picks the worksheet by name or by number (1 is the first); without it the first sheet is read.
+function extractXlsx(buffer, { sheet = null } = {}) {
+    const entries = readZip(buffer);
+    const workbook = readZipText(entries, 'xl/workbook.xml');
+    const relations = readZipText(entries, 'xl/_rels/workbook.xml.rels') || '';
+    const targets = new Map([...relations.matchAll(/<Relationship\s[^>]*>/g)].map(([tag]) => [xmlAttribute(tag, 'Id'), xmlAttribute(tag, 'Target')]));
+    const sheets = [...workbook.matchAll(/<sheet\s[^>]*>/g)].map(([tag]) => {
+        const target = targets.get(xmlAttribute(tag, 'r:id')) || '';
+        return { name: xmlAttribute(tag, 'name'), path: target.startsWith('/') ? target.substring(1) : `xl/${target}` };
+    });
+    if (sheets.length === 0) throw new Error('the workbook has no worksheets');
+
+    let selected = sheets[0];
+    if (sheet !== null && sheet !== undefined && String(sheet).trim() !== '') {
+        const wanted = String(sheet).trim();
+        selected = sheets.find(candidate => candidate.name.toLowerCase() === wanted.toLowerCase())
+            || (/^\d+$/.test(wanted) ? sheets[Number(wanted) - 1] : undefined);
+        if (!selected) {
+            throw new ExtractionError(`The workbook has no sheet "${sheet}". Sheets: ${sheets.map(candidate => candidate.name).join(', ')}.`);
+        }
+    }
+    const sheetXml = readZipText(entries, selected.path);
+    if (sheetXml === null) throw new Error(`the sheet "${selected.name}" is missing from the workbook`);
+    const sharedStringsXml = readZipText(entries, 'xl/sharedStrings.xml') || '';
+    const sharedStrings = [...sharedStringsXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => readRichText(match[1].replace(/<rPh\b[\s\S]*?<\/rPh>/g, '')));
+    const rows = readSheetRows(sheetXml, sharedStrings, readDateStyles(readZipText(entries, 'xl/styles.xml')));
+    return { type: 'csv', records: rowsToRecords(rows), sheet: selected.name, sheets: sheets.map(candidate => candidate.name) };
+}
+
+// --- DOCX ---
+
+// Only the text runs are read: paragraphs become lines and table cells are separated by tabs, so
+// tables stay readable. Deleted text (tracked changes) and field codes are left out.
+function extractDocx(buffer) {
+    const documentXml = readZipText(readZip(buffer), 'word/document.xml');
+    let text = '';
+    for (const [token, content] of documentXml.matchAll(/<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:(?:br|cr)\b[^>]*\/>|<\/w:p>|<\/w:tc>|<\/w:tr>/g)) {
+        if (content !== undefined) text += decodeEntities(content);
+        else text += token === '<w:tab/>' || token === '</w:tc>' ? '\t' : '\n';
+    }
+    // A cell's last paragraph ends where the cell does, and a row's last cell where the row does.
+    return toDocument(text.replace(/\n\t/g, '\t').replace(/\t\n/g, '\n'));
+}
+
+// --- HTML ---
+
+const HTML_BLOCK_TAGS = /<\/?(?:p|div|br|h[1-6]|li|ul|ol|tr|table|section|article|header|footer|blockquote|pre|hr)\b[^>]*>/gi;
+
+// The visible text: scripts, styles and comments are dropped, block elements start new lines and
+// table cells are separated by tabs.
+function extractHtml(buffer) {
+    const html = decodeText(buffer);
+    const title = (html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1];
+    const text = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|noscript|template|head)\b[\s\S]*?<\/\1>/gi, '')
+        .replace(/<\/t[dh]>/gi, '\t')
+        .replace(HTML_BLOCK_TAGS, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/[ \t]*\n[ \t]*/g, '\n');
+    const content = decodeEntities(text);
+    return toDocument(title ? `${decodeEntities(title.trim())}\n\n${content}` : content);
+}
+
+// --- JSON ---
+
+// An array of objects, or an object holding one (e.g. { "data": [...] }); other values are one row.
+function extractJson(buffer) {
+    const data = JSON.parse(decodeText(buffer));
+    const isRows = value => Array.isArray(value) && value.length > 0 && value.every(item => item && typeof item === 'object' && !Array.isArray(item));
+    let rows;
+    if (isRows(data)) rows = data;
+    else if (Array.isArray(data)) rows = data.map(value => value && typeof value === 'object' && !Array.isArray(value) ? value : { value: value });
+    else if (data && typeof data === 'object') rows = Object.values(data).find(isRows) || [data];
+    else rows = [{ value: data }];
+    return { type: 'csv', records: toRecords(rows) };
+}
+
+function extractNdjson(buffer) {
+    const rows = decodeText(buffer).split(/\r?\n/).filter(line => line.trim()).map((line, index) => {
+        try {
+            const value = JSON.parse(line);
+            return value && typeof value === 'object' && !Array.isArray(value) ? value : { value: value };
+        } catch (error) {
+            throw new ExtractionError(`Line ${index + 1} is not valid JSON: ${error.message}`);
+        }
+    });
+    return { type: 'csv', records: toRecords(rows) };
+}
+
+// --- Built-in formats ---
+// Registered from the most specific content check to the most general, since files without a known
+// extension go to the first match: text that is neither JSON nor HTML is read as CSV, as before.
+
+registerExtractor({
+    format: 'pdf',
+    label: 'PDF',
+    extensions: ['.pdf'],
+    mimeType: 'application/pdf',
+    detect: buffer => buffer.subarray(0, 5).toString('latin1') === '%PDF-',
+    extract: async buffer => ({ type: 'pdf', ...await extractPdfPages(buffer) })
+});
+
+registerExtractor({
+    format: 'xlsx',
+    label: 'Excel workbook',
+    extensions: ['.xlsx', '.xlsm'],
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    detect: buffer => isZipWith(buffer, 'xl/workbook.xml'),
+    extract: extractXlsx
+});
+
+registerExtractor({
+    format: 'docx',
+    label: 'Word document',
+    extensions: ['.docx'],
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    detect: buffer => isZipWith(buffer, 'word/document.xml'),
+    extract: extractDocx
+});
+
+registerExtractor({
+    format: 'ndjson',
+    label: 'NDJSON',
+    extensions: ['.ndjson', '.jsonl'],
+    mimeType: 'application/x-ndjson',
+    detect: buffer => isText(buffer) && /^\s*\{[^\n]*\}\s*\r?\n\s*\{/.test(decodeText(buffer.subarray(0, 4096))),
+    check: isText,
+    extract: extractNdjson
+});
+
+registerExtractor({
+    format: 'json',
+    label: 'JSON',
+    extensions: ['.json'],
+    mimeType: 'application/json',
+    detect: buffer => isText(buffer) && /^\s*[[{]/.test(decodeText(buffer.subarray(0, 64))),
+    check: isText,
+    extract: extractJson
+});
+
+registerExtractor({
+    format: 'html',
+    label: 'HTML',
+    extensions: ['.html', '.htm'],
+    mimeType: 'text/html',
+    detect: buffer => isText(buffer) && /<(?:!doctype html|html|body)\b/i.test(decodeText(buffer.subarray(0, 4096))),
+    check: isText,
+    extract: extractHtml
+});
+
+registerExtractor({
+    format: 'csv',
+    label: 'CSV',
+    extensions: ['.csv'],
+    mimeType: 'text/csv',
+    detect: isText,
+    extract: buffer => ({ type: 'csv', records: parseCsv(decodeText(buffer), { columns: true, skip_empty_lines: true }) })
+});
+
+registerExtractor({
+    format: 'markdown',
+    label: 'Markdown',
+    extensions: ['.md', '.markdown'],
+    mimeType: 'text/markdown',
+    detect: isText,
+    extract: buffer => toDocument(decodeText(buffer))
+});
+
+registerExtractor({
+    format: 'text',
+    label: 'Text',
+    extensions: ['.txt', '.text', '.log'],
+    mimeType: 'text/plain',
+    detect: isText,
+    extract: buffer => toDocument(decodeText(buffer))
+});
+
+module.exports = { ExtractionError, registerExtractor, listFormats, findExtractorForName, extractFile };
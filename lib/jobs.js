@@ -0,0 +1,174 @@
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { startRequest, finishRequest, runInRequest, cancelRequest } = require('./ollamaQueue');
+
+// --- Batch Jobs ---
+// A job answers the same prompt for many files (PDFs and images) in the background: POST /jobs returns
+// at once, and GET /jobs/:jobId reports the progress and the error of every file that failed. Each file
+// is analyzed by `processFile(job, file)` (the analyze-pdf / analyze-image pipeline in server.js), which
+// returns the file's answer as one row; the rows of all files are merged into one CSV by `buildCsv`.
+// Every file runs as a request of its own (ID "<jobId>-<n>"), so its Ollama calls wait in the queue like
+// any other request and cancelling the job aborts them. Jobs are kept in memory: a restart loses them.
+
+const MAX_FINISHED_JOBS = 100;
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class JobError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'JobError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Job details for the API: the per-file state, without file contents or the CSV itself.
+function describeJob(job) {
+    const count = status => job.files.filter(file => file.status === status).length;
+    return {
+        jobId: job.id,
+        status: job.status,
+        prompt: job.prompt,
+        model: job.model,
+        preset: job.preset ? job.preset.id : null,
+        total: job.files.length,
+        completed: count('done'),
+        failed: count('failed'),
+        files: job.files.map(file => ({
+            name: file.name,
+            type: file.type,
+            status: file.status,
+            requestId: file.requestId,
+            error: file.error || undefined,
+            response: file.response || undefined
+        })),
+        rows: job.csv !== null ? job.rows.length : undefined,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    };
+}
+
+class JobRunner {
+    constructor({ processFile, buildCsv, concurrency = 1 }) {
+        this.processFile = processFile;
+        this.buildCsv = buildCsv;
+        this.concurrency = Math.max(1, concurrency);
+        this.jobs = new Map();
+    }
+
+    // Starts a job for `files` ([{ name, type: 'pdf' | 'image', path | content }]) and returns it right away.
+    create({ owner = null, user = null, prompt, model, options, preset = null, files }) {
+        const job = {
+            id: uuidv4(),
+            owner: owner,
+            user: user,
+            prompt: prompt,
+            model: model,
+            options: options,
+            preset: preset,
+            status: 'queued',
+            files: files.map((file, index) => ({ ...file, index: index, status: 'pending', requestId: null, error: null, response: null, row: null })),
+            rows: [],
+            csv: null,
+            cancelled: false,
+            createdAt: Date.now(),
+            startedAt: null,
+            finishedAt: null
+        };
+        this.jobs.set(job.id, job);
+        this.prune();
+        setImmediate(() => {
+            this.run(job).catch(error => console.error(`❌ [JOBS] Job ${job.id} stopped unexpectedly:`, error.message));
+        });
+        return job;
+    }
+
+    // Like sessions, jobs are only visible to the owner that started them: a user ID, a client token's key,
+    // or null for clients without either (who share the unowned jobs).
+    get(id, owner) {
+        const job = this.jobs.get(id);
+        if (!job || (job.owner || null) !== owner) throw new JobError(`No job with ID "${id}".`, 404);
+        return job;
+    }
+
+    list(owner) {
+        return [...this.jobs.values()].filter(job => (job.owner || null) === owner).sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    // Skips the files that have not started and aborts the running ones. Returns false for finished jobs.
+    cancel(job) {
+        if (FINISHED_STATUSES.includes(job.status)) return false;
+        job.cancelled = true;
+        for (const file of job.files) {
+            if (file.status === 'running') cancelRequest(file.requestId, 'The job was cancelled.');
+        }
+        return true;
+    }
+
+    async run(job) {
+        job.status = 'running';
+        job.startedAt = Date.now();
+        console.log(`[JOBS] Job ${job.id} started: ${job.files.length} file(s), model ${job.model || 'default'}.`);
+        let next = 0;
+        const worker = async () => {
+            while (next < job.files.length) {
+                await this.runFile(job, job.files[next++]);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, job.files.length) }, worker));
+
+        job.rows = job.files.filter(file => file.status === 'done').map(file => file.row);
+        try {
+            job.csv = await this.buildCsv(job.rows);
+        } catch (error) {
+            console.error(`❌ [JOBS] Could not build the CSV of job ${job.id}:`, error.message);
+            job.csv = '';
+        }
+        const failed = job.files.filter(file => file.status === 'failed').length;
+        job.status = job.cancelled ? 'cancelled' : failed === job.files.length ? 'failed' : 'completed';
+        job.finishedAt = Date.now();
+        console.log(`✅ [JOBS] Job ${job.id} ${job.status}: ${job.rows.length} row(s), ${failed} failed file(s).`);
+    }
+
+    async runFile(job, file) {
+        if (job.cancelled) {
+            file.status = 'cancelled';
+            this.releaseFile(file);
+            return;
+        }
+        file.status = 'running';
+        file.requestId = `${job.id}-${file.index + 1}`;
+        const request = startRequest(file.requestId, { owner: job.owner });
+        try {
+            const result = await runInRequest(request, () => this.processFile(job, file));
+            file.row = result.row;
+            file.response = result.response;
+            file.status = 'done';
+            console.log(`[JOBS] Job ${job.id}: ${file.name} done.`);
+        } catch (error) {
+            file.status = job.cancelled ? 'cancelled' : 'failed';
+            file.error = error.message;
+            console.warn(`⚠️ [JOBS] Job ${job.id}: ${file.name} ${file.status}: ${error.message}`);
+        } finally {
+            finishRequest(request);
+            this.releaseFile(file);
+        }
+    }
+
+    // Uploaded files are deleted once analyzed; base64 contents from JSON bodies are dropped.
+    releaseFile(file) {
+        if (file.path) fs.promises.rm(file.path, { force: true }).catch(() => {});
+        file.path = null;
+        file.content = null;
+    }
+
+    // Keeps the most recent finished jobs; running jobs are never dropped.
+    prune() {
+        const finished = [...this.jobs.values()].filter(job => FINISHED_STATUSES.includes(job.status)).sort((a, b) => a.finishedAt - b.finishedAt);
+        for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+            this.jobs.delete(job.id);
+        }
+    }
+}
+
+module.exports = { JobError, JobRunner, describeJob };
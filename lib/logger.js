@@ -0,0 +1,135 @@
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+
+// --- Structured Logging ---
+// One log line per event, as JSON ({ time, level, requestId, tag, msg, ...fields }) or as plain text for
+// reading in a terminal (config.logFormat). Lines below config.logLevel are dropped.
+//   - Every HTTP request gets a correlation ID (the client's X-Request-Id header when it sends a usable one,
+//     otherwise a new UUID), returned in the X-Request-Id response header and added to every line logged
+//     while the request is handled (tracked with AsyncLocalStorage, like the Ollama queue does). Routes
+//     that register with the Ollama queue switch it to their queue request ID (setRequestId), so one ID
+//     is used for logs, X-Request-Id and GET /requests/:requestId.
+//   - The server's console.log / warn / error lines go through the logger as well (installConsole), so
+//     "❌ [ANALYZE-CSV] ..." becomes level error, tag ANALYZE-CSV.
+//   - Prompts, answers and file contents are only logged when config.logContent is on; otherwise
+//     logger.content(value) stands in for them with their length. Logged content still goes through
+//     `redact` (personal data replaced, see lib/redaction.js) when one is given.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const FORMATS = ['json', 'text'];
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,128}$/;
+// An optional emoji, then a [TAG] at the start of a console line.
+const TAG_PATTERN = /^(?:[^\w\s[]+\s*)?\[([A-Z][A-Z0-9_-]*)\]\s*/u;
+
+const contextStorage = new AsyncLocalStorage();
+
+function writeLine(line, level) {
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+}
+
+class Logger {
+    constructor({ level = 'info', format = 'json', logContent = false, redact = null, write = writeLine } = {}) {
+        if (LEVELS[level] === undefined) {
+            throw new Error(`Unknown log level "${level}". Use ${Object.keys(LEVELS).join(', ')}.`);
+        }
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Unknown log format "${format}". Use ${FORMATS.join(' or ')}.`);
+        }
+        this.level = level;
+        this.format = format;
+        this.logContent = logContent;
+        this.redact = redact;
+        this.write = write;
+    }
+
+    log(level, message, fields = {}) {
+        if (LEVELS[level] < LEVELS[this.level]) return;
+        const context = contextStorage.getStore();
+        let msg = String(message).trim();
+        let tag;
+        const match = TAG_PATTERN.exec(msg);
+        if (match) {
+            tag = match[1];
+            msg = msg.substring(match[0].length);
+        }
+        const entry = { time: new Date().toISOString(), level: level, requestId: context ? context.requestId : undefined, tag: tag, msg: msg, ...fields };
+        if (this.format === 'text') {
+            const { time, level: entryLevel, requestId, tag: entryTag, msg: text, ...rest } = entry;
+            const extra = Object.fromEntries(Object.entries(rest).filter(([, value]) => value !== undefined));
+            this.write(`${time} ${entryLevel.toUpperCase().padEnd(5)} ${requestId ? `(${requestId}) ` : ''}${entryTag ? `[${entryTag}] ` : ''}${text}${Object.keys(extra).length > 0 ? ` ${JSON.stringify(extra)}` : ''}\n`, level);
+        } else {
+            this.write(`${JSON.stringify(entry)}\n`, level);
+        }
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+
+    // A prompt, answer or file content for a log line: quoted (and cut to maxChars) when content logging
+    // is on, otherwise only its length.
+    content(value, maxChars = 200) {
+        const text = typeof value === 'string' ? value : JSON.stringify(value) || '';
+        if (!this.logContent) return `[${text.length} characters, not logged]`;
+        const shown = this.redact ? this.redact(text) : text;
+        return JSON.stringify(shown.length > maxChars ? `${shown.substring(0, maxChars)}…` : shown);
+    }
+}
+
+// Sends console.log / info / debug / warn / error through `logger`.
+function installConsole(logger) {
+    console.log = (...args) => logger.info(util.format(...args));
+    console.info = console.log;
+    console.debug = (...args) => logger.debug(util.format(...args));
+    console.warn = (...args) => logger.warn(util.format(...args));
+    console.error = (...args) => logger.error(util.format(...args));
+}
+
+// Express middleware: gives the request its correlation ID and logs it once the response is done.
+function logRequests(logger) {
+    return (req, res, next) => {
+        const header = req.get('X-Request-Id');
+        const context = { requestId: header && CORRELATION_ID_PATTERN.test(header) ? header : uuidv4() };
+        const started = Date.now();
+        res.setHeader('X-Request-Id', context.requestId);
+        res.on('close', () => {
+            const path = req.originalUrl.split('?')[0];
+            logger.log(res.statusCode >= 500 ? 'error' : 'info', `${req.method} ${path} ${res.statusCode}`, {
+                requestId: context.requestId,
+                tag: 'HTTP',
+                method: req.method,
+                path: path,
+                status: res.statusCode,
+                durationMs: Date.now() - started,
+                aborted: res.writableFinished ? undefined : true
+            });
+        });
+        contextStorage.run(context, next);
+    };
+}
+
+// The correlation ID of the request being handled (null outside of a request).
+function getRequestId() {
+    const context = contextStorage.getStore();
+    return context ? context.requestId : null;
+}
+
+function setRequestId(requestId) {
+    const context = contextStorage.getStore();
+    if (context) context.requestId = requestId;
+}
+
+module.exports = { LEVELS, Logger, installConsole, logRequests, getRequestId, setRequestId };
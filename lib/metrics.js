@@ -0,0 +1,185 @@
+// --- Metrics ---
+// Counters, gauges and histograms for GET /metrics, in the Prometheus text format (version 0.0.4), without
+// a client library. Every metric has a fixed list of label names; each combination of label values is one
+// series. Gauges that describe current state (the queue) are filled by `collect` callbacks right before
+// the metrics are rendered. One registry (`metrics`) is shared by server.js and the lib modules.
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(names, values, extra = '') {
+    const pairs = names.map((name, index) => `${name}="${escapeLabel(values[index])}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        // JSON of the label values -> value (or histogram state)
+        this.series = new Map();
+    }
+
+    key(labels) {
+        return JSON.stringify(this.labelNames.map(name => labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const [key, value] of this.series) {
+            lines.push(...this.renderSeries(JSON.parse(key), value));
+        }
+        return lines.join('\n');
+    }
+
+    renderSeries(values, value) {
+        return [`${this.name}${formatLabels(this.labelNames, values)} ${value}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = this.key(labels);
+        this.series.set(key, (this.series.get(key) || 0) + amount);
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels, value) {
+        this.series.set(this.key(labels), value);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = LATENCY_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const key = this.key(labels);
+        let state = this.series.get(key);
+        if (!state) {
+            state = { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+            this.series.set(key, state);
+        }
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) state.counts[index]++;
+        });
+        state.sum += value;
+        state.count++;
+    }
+
+    renderSeries(values, state) {
+        const lines = this.buckets.map((bound, index) => `${this.name}_bucket${formatLabels(this.labelNames, values, `le="${bound}"`)} ${state.counts[index]}`);
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${state.count}`);
+        lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${state.sum}`);
+        lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${state.count}`);
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+        this.collectors = [];
+    }
+
+    add(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.add(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames) {
+        return this.add(new Gauge(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.add(new Histogram(name, help, labelNames, buckets));
+    }
+
+    // `fn()` runs before every render, to set gauges from the current state.
+    collect(fn) {
+        this.collectors.push(fn);
+    }
+
+    render() {
+        for (const fn of this.collectors) fn();
+        return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+    }
+}
+
+const metrics = new MetricsRegistry();
+
+const httpRequests = metrics.counter('gd_http_requests_total', 'HTTP requests by route and status code.', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('gd_http_request_duration_seconds', 'Time to answer an HTTP request, including streamed replies.', ['method', 'route']);
+const ollamaRequests = metrics.counter('gd_ollama_requests_total', 'Calls to Ollama by model and endpoint (chat, generate, embeddings).', ['model', 'endpoint']);
+const ollamaErrors = metrics.counter('gd_ollama_errors_total', 'Failed Ollama calls; reason is the HTTP status, timeout, cancelled, queue_full or failed.', ['model', 'endpoint', 'reason']);
+const ollamaDuration = metrics.histogram('gd_ollama_request_duration_seconds', 'Time Ollama took to answer a call, without the time spent waiting in the queue.', ['model', 'endpoint']);
+const ollamaPromptTokens = metrics.counter('gd_ollama_prompt_tokens_total', 'Tokens read by the model (prompt_eval_count).', ['model']);
+const ollamaCompletionTokens = metrics.counter('gd_ollama_completion_tokens_total', 'Tokens generated by the model (eval_count).', ['model']);
+
+// Why an Ollama call failed, as a short label value.
+function errorReason(error) {
+    if (error && error.name === 'QueueError' && error.code) return error.code;
+    if (error && error.response && error.response.status) return String(error.response.status);
+    return 'failed';
+}
+
+// Runs one Ollama call (`fn`) and records its latency, its tokens (from `usageOf(result)`:
+// { promptTokens, completionTokens }) or its error. A call that waits in the queue first calls the
+// `started()` it is passed once its slot is free, so the latency is Ollama's time only.
+async function trackOllamaCall(model, endpoint, fn, usageOf = null) {
+    let started = process.hrtime.bigint();
+    ollamaRequests.inc({ model, endpoint });
+    try {
+        const result = await fn(() => {
+            started = process.hrtime.bigint();
+        });
+        ollamaDuration.observe({ model, endpoint }, Number(process.hrtime.bigint() - started) / 1e9);
+        const usage = usageOf ? usageOf(result) : null;
+        if (usage) {
+            ollamaPromptTokens.inc({ model }, usage.promptTokens || 0);
+            ollamaCompletionTokens.inc({ model }, usage.completionTokens || 0);
+        }
+        return result;
+    } catch (error) {
+        ollamaErrors.inc({ model, endpoint, reason: errorReason(error) });
+        throw error;
+    }
+}
+
+// Express middleware counting every request by its route pattern ("/sessions/:sessionId/messages"), so IDs
+// in the path do not create a series each. Static UI files and unknown paths are grouped.
+function trackHttpRequests() {
+    return (req, res, next) => {
+        const started = process.hrtime.bigint();
+        // 'close' also fires when the client hangs up during a streamed reply.
+        res.on('close', () => {
+            const route = req.route ? `${req.baseUrl}${req.route.path}` : res.statusCode === 404 ? 'unmatched' : 'static';
+            httpRequests.inc({ method: req.method, route, status: res.statusCode });
+            httpDuration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - started) / 1e9);
+        });
+        next();
+    };
+}
+
+module.exports = { MetricsRegistry, metrics, trackOllamaCall, trackHttpRequests };
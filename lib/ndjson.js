@@ -0,0 +1,64 @@
+const { StringDecoder } = require('string_decoder');
+
+// --- NDJSON Streams ---
+// Ollama streams chat replies and pull progress as newline-delimited JSON, one object per line. A line
+// can arrive split over several chunks (and a UTF-8 character over two), so lines are only parsed once
+// their newline (or the end of the stream) has arrived.
+
+// Calls `onObject` with every JSON object in `stream`; blank lines and lines that are not an object are
+// skipped. Resolves once the stream ended. Rejects with the stream's error, with what `onObject` throws,
+// or with the reason of `signal` when it aborts; the stream is destroyed in the last two cases.
+function readNdjson(stream, onObject, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+        const decoder = new StringDecoder('utf8');
+        let buffer = '';
+        let finished = false;
+
+        const fail = (error) => {
+            if (finished) return;
+            finished = true;
+            stream.destroy();
+            reject(error);
+        };
+        const handleLine = (line) => {
+            if (!line.trim() || finished) return;
+            let part;
+            try {
+                part = JSON.parse(line);
+            } catch {
+                return;
+            }
+            if (typeof part !== 'object' || part === null) return;
+            try {
+                onObject(part);
+            } catch (error) {
+                fail(error);
+            }
+        };
+
+        stream.on('data', (chunk) => {
+            buffer += decoder.write(chunk);
+            let newlineIndex;
+            while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+                handleLine(buffer.slice(0, newlineIndex));
+                buffer = buffer.slice(newlineIndex + 1);
+            }
+        });
+        stream.on('end', () => {
+            handleLine(buffer + decoder.end());
+            if (finished) return;
+            finished = true;
+            resolve();
+        });
+        stream.on('error', (error) => {
+            if (finished) return;
+            finished = true;
+            reject(error);
+        });
+        if (signal) {
+            signal.addEventListener('abort', () => fail(signal.reason), { once: true });
+        }
+    });
+}
+
+module.exports = { readNdjson };
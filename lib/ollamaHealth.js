@@ -0,0 +1,132 @@
+const axios = require('axios');
+const { readNdjson } = require('./ndjson');
+const { config } = require('./config');
+
+// --- Ollama Health and Model Management ---
+// Tells apart the three ways an Ollama call goes wrong, so routes answer with more than "Failed to
+// generate content from Ollama.":
+//   - ollama_unreachable (503): nothing answers at config.ollamaHost (not started, wrong host or port).
+//   - model_missing (404): Ollama runs but the model is not pulled.
+//   - model_error (502): the model was found but failed (out of memory, a broken stream, ...).
+//     Requests Ollama rejects as invalid keep their 400.
+// checkOllamaHealth() backs GET /health and the startup self-check; pullModel() and deleteModel() back
+// the admin routes that install and remove models.
+
+const HEALTH_TIMEOUT_MS = 5000;
+// Errors of a connection that never worked or broke off: Ollama is not there.
+const NETWORK_ERROR_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'ETIMEDOUT', 'ECONNABORTED']);
+
+class OllamaError extends Error {
+    constructor(message, statusCode, code) {
+        super(message);
+        this.name = 'OllamaError';
+        this.statusCode = statusCode;
+        this.code = code;
+    }
+}
+
+// "llama3.2" and "llama3.2:latest" are the same model to Ollama.
+function normalizeModelName(name) {
+    const text = String(name || '').trim();
+    return text.includes(':') ? text : `${text}:latest`;
+}
+
+function isSameModel(a, b) {
+    return normalizeModelName(a) === normalizeModelName(b);
+}
+
+// The message Ollama sent with an error status, if any (a JSON body, or text from a streamed reply).
+function ollamaMessage(error) {
+    const data = error.response && error.response.data;
+    if (data && typeof data.error === 'string') return data.error;
+    return error.message;
+}
+
+function unreachableError(host, reason) {
+    return new OllamaError(`Ollama is unreachable at ${host} (${reason}). Start it with \`ollama serve\` or check ollamaHost (OLLAMA_HOST).`, 503, 'ollama_unreachable');
+}
+
+function modelMissingError(model) {
+    return new OllamaError(`Model "${model}" is not installed in Ollama. Pull it with \`ollama pull ${model}\` or POST /admin/models/pull.`, 404, 'model_missing');
+}
+
+// Turns an error of an Ollama call for `model` into an OllamaError. Errors that already carry a status
+// (OllamaError, the queue's QueueError) are returned as they are. The original axios response is kept
+// on the new error, for callers that look at Ollama's status (e.g. the tool loop's 400 check).
+function toOllamaError(error, model, host = config.ollamaHost) {
+    if (!error || error.name === 'QueueError' || error instanceof OllamaError) return error;
+    let converted;
+    const status = error.response && error.response.status;
+    if (!error.response && NETWORK_ERROR_CODES.has(error.code)) {
+        converted = unreachableError(host, error.code);
+    } else if (status === 404 && /not found/i.test(ollamaMessage(error))) {
+        converted = modelMissingError(model);
+    } else {
+        converted = new OllamaError(`Model "${model}" failed: ${ollamaMessage(error)}`, status === 400 ? 400 : 502, 'model_error');
+    }
+    converted.response = error.response;
+    converted.cause = error;
+    return converted;
+}
+
+// Whether Ollama answers and which of `models` ([{ role, name }]) it has:
+// { status: 'ok' | 'degraded' | 'down', ollama: { host, reachable, version, error }, models: [{ role, name, installed }] }.
+// 'degraded' means Ollama runs but at least one model is missing.
+async function checkOllamaHealth(models, { host = config.ollamaHost, timeoutMs = HEALTH_TIMEOUT_MS } = {}) {
+    const ollama = { host: host, reachable: false, version: null, error: null };
+    let installed = null;
+    try {
+        const [version, tags] = await Promise.all([
+            axios.get(`${host}/api/version`, { timeout: timeoutMs }).catch(() => null),
+            axios.get(`${host}/api/tags`, { timeout: timeoutMs })
+        ]);
+        ollama.reachable = true;
+        ollama.version = version && version.data ? version.data.version || null : null;
+        installed = (tags.data.models || []).map(model => model.name);
+    } catch (error) {
+        if (error.response) {
+            ollama.error = `Ollama answered ${error.response.status}: ${ollamaMessage(error)}`;
+        } else {
+            ollama.error = NETWORK_ERROR_CODES.has(error.code) ? unreachableError(host, error.code).message : error.message;
+        }
+    }
+    const checked = models.map(({ role, name }) => ({ role: role, name: name, installed: installed ? installed.some(entry => isSameModel(entry, name)) : null }));
+    const status = !ollama.reachable ? 'down' : checked.every(model => model.installed) ? 'ok' : 'degraded';
+    return { status: status, ollama: ollama, models: checked };
+}
+
+// Pulls `model` through Ollama's /api/pull, passing every progress line ({ status, digest, total, completed })
+// to `onProgress`. Resolves with the last status ("success") and rejects with an OllamaError when Ollama
+// reports an error, mid-stream included. `signal` stops reading (Ollama may finish the download anyway).
+async function pullModel(model, onProgress = () => {}, { host = config.ollamaHost, signal } = {}) {
+    let response;
+    try {
+        response = await axios.post(`${host}/api/pull`, { model: model, stream: true }, { responseType: 'stream', signal: signal });
+    } catch (error) {
+        throw toOllamaError(error, model, host);
+    }
+    let lastStatus = null;
+    try {
+        await readNdjson(response.data, (part) => {
+            if (part.error) {
+                throw new OllamaError(`Pulling model "${model}" failed: ${part.error}`, 502, 'model_error');
+            }
+            lastStatus = part.status || lastStatus;
+            onProgress({ status: part.status, digest: part.digest, total: part.total, completed: part.completed });
+        });
+    } catch (error) {
+        throw toOllamaError(error, model, host);
+    }
+    return lastStatus;
+}
+
+// Removes `model` from Ollama; a model that is not installed is a model_missing error.
+async function deleteModel(model, { host = config.ollamaHost } = {}) {
+    try {
+        await axios.delete(`${host}/api/delete`, { data: { model: model } });
+    } catch (error) {
+        throw toOllamaError(error, model, host);
+    }
+}
+
+module.exports = { OllamaError, isSameModel, toOllamaError, checkOllamaHealth, pullModel, deleteModel };
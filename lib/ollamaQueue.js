@@ -0,0 +1,193 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// --- Ollama Request Queue ---
+// Every /api/generate and /api/chat call goes through one queue instead of straight to Ollama, so a busy
+// server does not pile dozens of generations onto the model at once:
+//   - at most `concurrency` calls per model run at the same time (per-model overrides in concurrencyByModel);
+//     the rest wait in arrival order, and callers are told their position while they wait.
+//   - a running call is aborted after `timeoutMs`.
+//   - at most `maxWaiting` calls wait per model; beyond that new calls are refused with 503.
+// Calls belong to the HTTP request that made them (tracked with AsyncLocalStorage, so the helpers between
+// the route and the Ollama call do not need to pass anything along). When the client disconnects or the
+// request is cancelled through POST /requests/:requestId/cancel, its waiting and running calls are aborted.
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+class QueueError extends Error {
+    constructor(message, statusCode, code) {
+        super(message);
+        this.name = 'QueueError';
+        this.statusCode = statusCode;
+        this.code = code;
+    }
+}
+
+const requestStorage = new AsyncLocalStorage();
+const activeRequests = new Map();
+
+// Registers an HTTP request of user `owner`. `onQueued(position)` is called whenever one of its calls waits for a slot.
+function startRequest(id, { onQueued = null, owner = null } = {}) {
+    const request = {
+        id: id,
+        owner: owner,
+        controller: new AbortController(),
+        onQueued: onQueued,
+        status: 'processing',
+        model: null,
+        position: 0,
+        startedAt: Date.now()
+    };
+    activeRequests.set(id, request);
+    return request;
+}
+
+function finishRequest(request) {
+    if (activeRequests.get(request.id) === request) activeRequests.delete(request.id);
+}
+
+function runInRequest(request, fn) {
+    return requestStorage.run(request, fn);
+}
+
+function getRequest(id) {
+    return activeRequests.get(id) || null;
+}
+
+// Aborts everything the request is waiting for or running. Returns false for unknown (or finished) requests.
+function cancelRequest(id, reason = 'Request cancelled.') {
+    const request = activeRequests.get(id);
+    if (!request) return false;
+    request.controller.abort(new QueueError(reason, 499, 'cancelled'));
+    return true;
+}
+
+class OllamaQueue {
+    constructor({ concurrency = 2, concurrencyByModel = {}, timeoutMs = 0, maxWaiting = 0 } = {}) {
+        this.concurrency = concurrency;
+        this.concurrencyByModel = concurrencyByModel;
+        this.timeoutMs = timeoutMs;
+        this.maxWaiting = maxWaiting;
+        this.running = new Map();
+        this.waiting = new Map();
+    }
+
+    limitFor(model) {
+        return Math.max(1, this.concurrencyByModel[model] || this.concurrency);
+    }
+
+    // Runs task(signal) once a slot for `model` is free. The signal aborts on timeout and on cancellation
+    // of the request the call belongs to; either way the call rejects with a QueueError.
+    async run(model, task) {
+        const request = requestStorage.getStore() || null;
+        const requestSignal = request ? request.controller.signal : null;
+        if (requestSignal && requestSignal.aborted) throw requestSignal.reason;
+
+        await this.acquire(model, request);
+        // A request cancelled after its slot was handed over, but before this call resumed, gives it back.
+        if (requestSignal && requestSignal.aborted) {
+            this.release(model);
+            throw requestSignal.reason;
+        }
+        const controller = new AbortController();
+        const abort = () => controller.abort(requestSignal.reason);
+        if (requestSignal) requestSignal.addEventListener('abort', abort);
+        const timer = this.timeoutMs > 0
+            ? setTimeout(() => controller.abort(new QueueError(`Ollama did not finish within ${Math.round(this.timeoutMs / 1000)} seconds.`, 504, 'timeout')), this.timeoutMs)
+            : null;
+        if (request) request.status = 'running';
+        try {
+            return await task(controller.signal);
+        } catch (error) {
+            throw controller.signal.aborted ? controller.signal.reason : error;
+        } finally {
+            clearTimeout(timer);
+            if (requestSignal) requestSignal.removeEventListener('abort', abort);
+            if (request) request.status = 'processing';
+            this.release(model);
+        }
+    }
+
+    acquire(model, request) {
+        const running = this.running.get(model) || 0;
+        const waiting = this.waiting.get(model) || [];
+        if (running < this.limitFor(model) && waiting.length === 0) {
+            this.running.set(model, running + 1);
+            return Promise.resolve();
+        }
+        if (this.maxWaiting > 0 && waiting.length >= this.maxWaiting) {
+            return Promise.reject(new QueueError(`Too many requests are waiting for ${model}. Try again later.`, 503, 'queue_full'));
+        }
+        return new Promise((resolve, reject) => {
+            const entry = { request: request, resolve: resolve, reject: reject, onAbort: null };
+            if (request) {
+                entry.onAbort = () => {
+                    this.removeWaiting(model, entry);
+                    reject(request.controller.signal.reason);
+                };
+                request.controller.signal.addEventListener('abort', entry.onAbort, { once: true });
+                request.status = 'queued';
+                request.model = model;
+            }
+            waiting.push(entry);
+            this.waiting.set(model, waiting);
+            console.log(`[QUEUE] ${model}: request ${request ? request.id : '(internal)'} waiting at position ${waiting.length} (${running} running).`);
+            this.notifyPositions(model);
+        });
+    }
+
+    release(model) {
+        const waiting = this.waiting.get(model) || [];
+        const next = waiting.shift();
+        if (!next) {
+            this.running.set(model, Math.max(0, (this.running.get(model) || 1) - 1));
+            return;
+        }
+        // The slot passes straight to the next caller, so the running count stays the same.
+        if (next.request) {
+            next.request.controller.signal.removeEventListener('abort', next.onAbort);
+            next.request.position = 0;
+        }
+        next.resolve();
+        this.notifyPositions(model);
+    }
+
+    removeWaiting(model, entry) {
+        const waiting = this.waiting.get(model) || [];
+        const index = waiting.indexOf(entry);
+        if (index === -1) return;
+        waiting.splice(index, 1);
+        console.log(`[QUEUE] ${model}: request ${entry.request.id} left the queue (${entry.request.controller.signal.reason.code}).`);
+        this.notifyPositions(model);
+    }
+
+    notifyPositions(model) {
+        (this.waiting.get(model) || []).forEach((entry, index) => {
+            if (!entry.request || entry.request.position === index + 1) return;
+            entry.request.position = index + 1;
+            if (entry.request.onQueued) entry.request.onQueued(index + 1);
+        });
+    }
+
+    // Running and waiting calls per model, for GET /queue. With `includeIdle` also the models that have
+    // nothing running or waiting right now (every model used since the start), for GET /metrics.
+    stats({ includeIdle = false } = {}) {
+        const models = new Set([...this.running.keys(), ...this.waiting.keys()]);
+        return [...models].map(model => ({
+            model: model,
+            running: this.running.get(model) || 0,
+            waiting: (this.waiting.get(model) || []).length,
+            limit: this.limitFor(model)
+        })).filter(entry => includeIdle || entry.running > 0 || entry.waiting > 0);
+    }
+}
+
+module.exports = {
+    REQUEST_ID_PATTERN,
+    QueueError,
+    OllamaQueue,
+    startRequest,
+    finishRequest,
+    runInRequest,
+    getRequest,
+    cancelRequest
+};
@@ -0,0 +1,243 @@
+const { v4: uuidv4 } = require('uuid');
+
+// --- OpenAI-Compatible API ---
+// Translation between OpenAI-style requests/responses and Ollama's API, so OpenAI SDKs can point at
+// this server. Only the translation lives here; server.js owns the routes and the Ollama calls.
+
+class OpenAIRequestError extends Error {
+    constructor(message, param = null, statusCode = 400) {
+        super(message);
+        this.name = 'OpenAIRequestError';
+        this.param = param;
+        this.statusCode = statusCode;
+    }
+}
+
+// Error body in the shape OpenAI clients parse.
+function toOpenAIError(message, { type = 'invalid_request_error', param = null, code = null } = {}) {
+    return { error: { message: message, type: type, param: param, code: code } };
+}
+
+const DATA_URL_PATTERN = /^data:image\/[a-z0-9.+-]+;base64,(.+)$/i;
+
+// Splits OpenAI content (a string or an array of text/image_url parts) into Ollama's content + images.
+function convertContent(content, index) {
+    if (content === null || content === undefined) return { content: '', images: [] };
+    if (typeof content === 'string') return { content: content, images: [] };
+    if (!Array.isArray(content)) {
+        throw new OpenAIRequestError('Message content must be a string or an array of content parts.', `messages[${index}].content`);
+    }
+    const texts = [];
+    const images = [];
+    for (const part of content) {
+        if (part.type === 'text') {
+            texts.push(part.text || '');
+        } else if (part.type === 'image_url') {
+            const url = part.image_url && (typeof part.image_url === 'string' ? part.image_url : part.image_url.url);
+            const match = typeof url === 'string' && url.match(DATA_URL_PATTERN);
+            if (!match) {
+                // The server never fetches remote URLs; images have to be sent inline.
+                throw new OpenAIRequestError('Only base64 data URLs (data:image/...;base64,...) are supported for images.', `messages[${index}].content`);
+            }
+            images.push(match[1]);
+        } else {
+            throw new OpenAIRequestError(`Unsupported content part type "${part.type}".`, `messages[${index}].content`);
+        }
+    }
+    return { content: texts.join('\n'), images: images };
+}
+
+// OpenAI chat messages -> Ollama chat messages. Tool calls carry their arguments as objects in Ollama,
+// and tool results are matched to the tool name through the tool_call_id of the earlier call.
+function toOllamaMessages(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+        throw new OpenAIRequestError('`messages` must be a non-empty array.', 'messages');
+    }
+    const toolNamesById = new Map();
+    return messages.map((message, index) => {
+        const role = message.role === 'developer' ? 'system' : message.role;
+        if (!['system', 'user', 'assistant', 'tool'].includes(role)) {
+            throw new OpenAIRequestError(`Unsupported message role "${message.role}".`, `messages[${index}].role`);
+        }
+        const { content, images } = convertContent(message.content, index);
+        const converted = { role: role, content: content };
+        if (images.length > 0) converted.images = images;
+        if (role === 'assistant' && Array.isArray(message.tool_calls) && message.tool_calls.length > 0) {
+            converted.tool_calls = message.tool_calls.map(toolCall => {
+                toolNamesById.set(toolCall.id, toolCall.function.name);
+                let args = toolCall.function.arguments || {};
+                if (typeof args === 'string') {
+                    try {
+                        args = args.trim() ? JSON.parse(args) : {};
+                    } catch (error) {
+                        throw new OpenAIRequestError('Tool call arguments must be a JSON string.', `messages[${index}].tool_calls`);
+                    }
+                }
+                return { function: { name: toolCall.function.name, arguments: args } };
+            });
+        }
+        if (role === 'tool') {
+            converted.tool_name = message.name || toolNamesById.get(message.tool_call_id) || undefined;
+        }
+        return converted;
+    });
+}
+
+// Sampling parameters -> Ollama `options`. Unknown parameters are ignored like OpenAI-compatible servers usually do.
+function toOllamaOptions(body) {
+    const options = {};
+    const numeric = { temperature: 'temperature', top_p: 'top_p', seed: 'seed', presence_penalty: 'presence_penalty', frequency_penalty: 'frequency_penalty' };
+    for (const [openaiName, ollamaName] of Object.entries(numeric)) {
+        if (body[openaiName] === undefined || body[openaiName] === null) continue;
+        if (typeof body[openaiName] !== 'number' || !Number.isFinite(body[openaiName])) {
+            throw new OpenAIRequestError(`\`${openaiName}\` must be a number.`, openaiName);
+        }
+        options[ollamaName] = body[openaiName];
+    }
+    const maxTokens = body.max_completion_tokens !== undefined ? body.max_completion_tokens : body.max_tokens;
+    if (maxTokens !== undefined && maxTokens !== null) {
+        if (!Number.isInteger(maxTokens) || maxTokens < 1) {
+            throw new OpenAIRequestError('`max_tokens` must be a positive integer.', 'max_tokens');
+        }
+        options.num_predict = maxTokens;
+    }
+    if (body.stop !== undefined && body.stop !== null) {
+        options.stop = Array.isArray(body.stop) ? body.stop : [body.stop];
+    }
+    return Object.keys(options).length > 0 ? options : undefined;
+}
+
+// response_format -> Ollama `format` ('json' or a JSON schema).
+function toOllamaFormat(responseFormat) {
+    if (!responseFormat || responseFormat.type === 'text') return undefined;
+    if (responseFormat.type === 'json_object') return 'json';
+    if (responseFormat.type === 'json_schema' && responseFormat.json_schema && responseFormat.json_schema.schema) {
+        return responseFormat.json_schema.schema;
+    }
+    throw new OpenAIRequestError(`Unsupported response_format type "${responseFormat.type}".`, 'response_format');
+}
+
+// Client-defined tools are already in the shape Ollama expects; only function tools are supported.
+function toOllamaTools(tools) {
+    if (tools === undefined || tools === null) return [];
+    if (!Array.isArray(tools) || tools.some(tool => tool.type !== 'function' || !tool.function || !tool.function.name)) {
+        throw new OpenAIRequestError('`tools` must be an array of { type: "function", function: { name, ... } } objects.', 'tools');
+    }
+    return tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.function.name, description: tool.function.description || '', parameters: tool.function.parameters || { type: 'object', properties: {} } }
+    }));
+}
+
+// Ollama tool calls -> OpenAI tool calls (string arguments, generated IDs).
+function toOpenAIToolCalls(toolCalls) {
+    return (toolCalls || []).map((toolCall, index) => ({
+        index: index,
+        id: `call_${uuidv4().replace(/-/g, '').substring(0, 24)}`,
+        type: 'function',
+        function: {
+            name: toolCall.function.name,
+            arguments: typeof toolCall.function.arguments === 'string' ? toolCall.function.arguments : JSON.stringify(toolCall.function.arguments || {})
+        }
+    }));
+}
+
+function toFinishReason(reply) {
+    if (reply.tool_calls && reply.tool_calls.length > 0) return 'tool_calls';
+    return reply.doneReason === 'length' ? 'length' : 'stop';
+}
+
+function toOpenAIUsage(usage) {
+    const promptTokens = usage ? usage.promptTokens : 0;
+    const completionTokens = usage ? usage.completionTokens : 0;
+    return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+function createCompletionId() {
+    return `chatcmpl-${uuidv4().replace(/-/g, '')}`;
+}
+
+// Non-streaming chat.completion object for a final Ollama reply.
+function toChatCompletion(id, model, reply) {
+    const toolCalls = toOpenAIToolCalls(reply.tool_calls).map(({ index, ...toolCall }) => toolCall);
+    const message = { role: 'assistant', content: toolCalls.length > 0 && !reply.content ? null : reply.content || '' };
+    if (toolCalls.length > 0) message.tool_calls = toolCalls;
+    return {
+        id: id,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: model,
+        choices: [{ index: 0, message: message, logprobs: null, finish_reason: toFinishReason(reply) }],
+        usage: toOpenAIUsage(reply.usage)
+    };
+}
+
+// One chat.completion.chunk object for streaming responses.
+function toChatCompletionChunk(id, model, delta, finishReason = null) {
+    return {
+        id: id,
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model: model,
+        choices: [{ index: 0, delta: delta, logprobs: null, finish_reason: finishReason }]
+    };
+}
+
+// Ollama /api/tags -> OpenAI model list.
+function toOpenAIModelList(ollamaModels) {
+    return {
+        object: 'list',
+        data: ollamaModels.map(model => ({
+            id: model.name,
+            object: 'model',
+            created: model.modified_at ? Math.floor(new Date(model.modified_at).getTime() / 1000) : 0,
+            owned_by: 'ollama'
+        }))
+    };
+}
+
+// Embedding request -> { inputs, encodingFormat }. Inputs are a string or an array of strings
+// (token-ID arrays are not supported by Ollama).
+function parseEmbeddingRequest(body) {
+    const inputs = typeof body.input === 'string' ? [body.input] : body.input;
+    if (!Array.isArray(inputs) || inputs.length === 0 || inputs.some(item => typeof item !== 'string')) {
+        throw new OpenAIRequestError('`input` must be a string or a non-empty array of strings.', 'input');
+    }
+    const encodingFormat = body.encoding_format || 'float';
+    if (encodingFormat !== 'float' && encodingFormat !== 'base64') {
+        throw new OpenAIRequestError('`encoding_format` must be "float" or "base64".', 'encoding_format');
+    }
+    return { inputs: inputs, encodingFormat: encodingFormat };
+}
+
+// Embeddings -> OpenAI list. "base64" packs each vector as float32, which the official SDKs request by default.
+function toEmbeddingList(model, embeddings, encodingFormat) {
+    return {
+        object: 'list',
+        data: embeddings.map((embedding, index) => ({
+            object: 'embedding',
+            index: index,
+            embedding: encodingFormat === 'base64' ? Buffer.from(new Float32Array(embedding).buffer).toString('base64') : embedding
+        })),
+        model: model,
+        usage: { prompt_tokens: 0, total_tokens: 0 }
+    };
+}
+
+module.exports = {
+    OpenAIRequestError,
+    toOpenAIError,
+    toOllamaMessages,
+    toOllamaOptions,
+    toOllamaFormat,
+    toOllamaTools,
+    toOpenAIToolCalls,
+    toFinishReason,
+    toOpenAIUsage,
+    createCompletionId,
+    toChatCompletion,
+    toChatCompletionChunk,
+    toOpenAIModelList,
+    parseEmbeddingRequest,
+    toEmbeddingList
+};
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// --- Prompt Templates and Presets ---
+// The system prompts live in versioned template files in config.promptDir (prompts/ by default) instead of
+// the route handlers. A template file starts with a small header between "---" lines (id, version,
+// description, and for presets their name), followed by the prompt text. In the text:
+//   {{variable}}  is replaced by one of PROMPT_VARIABLES (date and time, location, attachment metadata, ...);
+//   {{> name}}    includes prompts/partials/<name>.md, e.g. the CSV_REQUEST/IMAGE_REQUEST instructions
+//                 every conversation prompt shares.
+// Presets are extra instructions for a whole session ("finance reconciliation", "QA screenshot review").
+// Built-in presets are the files in prompts/presets/; presets created through /presets are kept in
+// config.presetsFile and get a new version on every change.
+
+const PROMPT_VARIABLES = {
+    dateTime: 'The current date and time, as the get_date_time tool reports it.',
+    location: 'The default location of the weather tool.',
+    user: 'The name of the signed-in user (empty without authentication).',
+    attachment: 'The file the request attached, e.g. "[att1] sales.csv (csv, 120 rows; columns: ...)".',
+    fileType: 'The kind of file the request attached, e.g. "PDF", "Excel workbook" or "Word document".',
+    attachments: 'Every file attached to the session, one per line.',
+    preset: 'The name of the session\'s preset.'
+};
+const PLACEHOLDER_PATTERN = /\{\{\s*(>?)\s*([A-Za-z0-9_-]+)\s*\}\}/g;
+const PRESET_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const MAX_INSTRUCTIONS_LENGTH = 8000;
+
+class PromptError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'PromptError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Splits a template file into its header fields and its text.
+function parseTemplateFile(text, fileName) {
+    const match = text.replace(/\r\n/g, '\n').match(/^---\n([\s\S]*?)\n---\n?([\s\S]*)$/);
+    if (!match) throw new Error(`Prompt template ${fileName} has no "---" header.`);
+    const meta = {};
+    for (const line of match[1].split('\n')) {
+        const separator = line.indexOf(':');
+        if (separator > 0) meta[line.substring(0, separator).trim()] = line.substring(separator + 1).trim();
+    }
+    return { ...meta, version: Number(meta.version) || 1, text: match[2].trim() };
+}
+
+function readTemplateDir(directory) {
+    if (!fs.existsSync(directory)) return new Map();
+    return new Map(fs.readdirSync(directory).filter(name => name.endsWith('.md')).sort().map(name => {
+        const template = parseTemplateFile(fs.readFileSync(path.join(directory, name), 'utf8'), name);
+        return [template.id || path.basename(name, '.md'), { ...template, id: template.id || path.basename(name, '.md') }];
+    }));
+}
+
+class PromptLibrary {
+    constructor(directory) {
+        this.directory = directory;
+        this.templates = readTemplateDir(directory);
+        this.partials = readTemplateDir(path.join(directory, 'partials'));
+        this.presets = readTemplateDir(path.join(directory, 'presets'));
+        console.log(`[PROMPTS] Loaded ${this.templates.size} template(s), ${this.partials.size} partial(s) and ${this.presets.size} built-in preset(s) from ${directory}.`);
+    }
+
+    get(id) {
+        const template = this.templates.get(id);
+        if (!template) throw new Error(`Prompt template "${id}" not found in ${this.directory}.`);
+        return template;
+    }
+
+    list() {
+        return [...this.templates.values()].map(({ id, version, description }) => ({ id, version, description }));
+    }
+
+    // Fails with a PromptError naming unknown variables and partials, so custom presets are checked when saved.
+    check(text) {
+        const unknown = [];
+        for (const [, partial, name] of text.matchAll(PLACEHOLDER_PATTERN)) {
+            if (partial ? !this.partials.has(name) : !PROMPT_VARIABLES[name]) unknown.push(partial ? `{{> ${name}}}` : `{{${name}}}`);
+        }
+        if (unknown.length > 0) {
+            throw new PromptError(`Unknown placeholder(s) ${unknown.join(', ')}. Variables: ${Object.keys(PROMPT_VARIABLES).join(', ')}; partials: ${[...this.partials.keys()].join(', ')}.`);
+        }
+    }
+
+    // Fills in partials (one level deep) and variables; missing variables become empty strings.
+    renderText(text, variables) {
+        return text
+            .replace(PLACEHOLDER_PATTERN, (placeholder, partial, name) => partial && this.partials.has(name) ? this.partials.get(name).text : placeholder)
+            .replace(PLACEHOLDER_PATTERN, (placeholder, partial, name) => partial ? '' : String(variables[name] ?? ''));
+    }
+
+    // Returns { content, template, version } for a template, ready to be added as a system prompt.
+    render(id, variables) {
+        const template = this.get(id);
+        return { content: this.renderText(template.text, variables), template: template.id, version: template.version };
+    }
+}
+
+function slugify(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 64);
+}
+
+// Preset details for the API; `instructions` is the unrendered template text.
+function describePreset(preset, builtIn) {
+    return {
+        id: preset.id,
+        name: preset.name || preset.id,
+        description: preset.description || '',
+        instructions: preset.instructions !== undefined ? preset.instructions : preset.text,
+        version: preset.version,
+        builtIn: builtIn,
+        createdBy: preset.createdBy || null,
+        updatedAt: preset.updatedAt || null
+    };
+}
+
+// Custom presets in one JSON file, next to the built-in ones of the prompt library. Like the users file,
+// it is re-read when it changes on disk.
+class PresetStore {
+    constructor(filePath, library) {
+        this.filePath = filePath;
+        this.library = library;
+        this.presets = [];
+        this.loadedMtime = null;
+    }
+
+    reload() {
+        let mtime;
+        try {
+            mtime = fs.statSync(this.filePath).mtimeMs;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.presets = [];
+            this.loadedMtime = null;
+            return;
+        }
+        if (mtime === this.loadedMtime) return;
+        try {
+            this.presets = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).presets || [];
+        } catch (error) {
+            throw new Error(`Failed to read presets file ${this.filePath}: ${error.message}`);
+        }
+        this.loadedMtime = mtime;
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempFile = `${this.filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify({ presets: this.presets }, null, 2), 'utf8');
+        fs.renameSync(tempFile, this.filePath);
+        this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+    }
+
+    list() {
+        this.reload();
+        return [
+            ...[...this.library.presets.values()].map(preset => describePreset(preset, true)),
+            ...this.presets.map(preset => describePreset(preset, false))
+        ];
+    }
+
+    get(id) {
+        const builtIn = this.library.presets.get(id);
+        if (builtIn) return describePreset(builtIn, true);
+        this.reload();
+        const custom = this.presets.find(preset => preset.id === id);
+        if (!custom) throw new PromptError(`Preset "${id}" not found.`, 404);
+        return describePreset(custom, false);
+    }
+
+    validate({ name, description, instructions }, partial) {
+        if (!partial || name !== undefined) {
+            if (typeof name !== 'string' || !name.trim()) throw new PromptError('`name` must be a non-empty string.');
+        }
+        if (description !== undefined && typeof description !== 'string') throw new PromptError('`description` must be a string.');
+        if (!partial || instructions !== undefined) {
+            if (typeof instructions !== 'string' || !instructions.trim()) throw new PromptError('`instructions` must be a non-empty string.');
+            if (instructions.length > MAX_INSTRUCTIONS_LENGTH) throw new PromptError(`\`instructions\` is limited to ${MAX_INSTRUCTIONS_LENGTH} characters.`);
+            this.library.check(instructions);
+        }
+    }
+
+    create(fields, username = null) {
+        this.validate(fields, false);
+        const id = fields.id !== undefined ? fields.id : slugify(fields.name);
+        if (typeof id !== 'string' || !PRESET_ID_PATTERN.test(id)) {
+            throw new PromptError('`id` must be 1-64 lowercase letters, digits or "-", starting with a letter or digit.');
+        }
+        this.reload();
+        if (this.library.presets.has(id) || this.presets.some(preset => preset.id === id)) {
+            throw new PromptError(`A preset with ID "${id}" already exists.`, 409);
+        }
+        const preset = {
+            id: id,
+            name: fields.name.trim(),
+            description: (fields.description || '').trim(),
+            instructions: fields.instructions.trim(),
+            version: 1,
+            createdBy: username,
+            updatedAt: Date.now()
+        };
+        this.presets.push(preset);
+        this.save();
+        return describePreset(preset, false);
+    }
+
+    // Custom presets can be changed by the user who created them (anyone, without authentication).
+    findEditable(id, username) {
+        if (this.library.presets.has(id)) {
+            throw new PromptError(`"${id}" is a built-in preset; edit ${path.join(this.library.directory, 'presets')} instead.`, 403);
+        }
+        this.reload();
+        const preset = this.presets.find(candidate => candidate.id === id);
+        if (!preset) throw new PromptError(`Preset "${id}" not found.`, 404);
+        if (username && preset.createdBy && preset.createdBy !== username) {
+            throw new PromptError(`Preset "${id}" belongs to ${preset.createdBy}.`, 403);
+        }
+        return preset;
+    }
+
+    update(id, fields, username = null) {
+        const preset = this.findEditable(id, username);
+        this.validate(fields, true);
+        if (fields.name !== undefined) preset.name = fields.name.trim();
+        if (fields.description !== undefined) preset.description = fields.description.trim();
+        if (fields.instructions !== undefined) preset.instructions = fields.instructions.trim();
+        preset.version += 1;
+        preset.updatedAt = Date.now();
+        this.save();
+        return describePreset(preset, false);
+    }
+
+    delete(id, username = null) {
+        const preset = this.findEditable(id, username);
+        this.presets = this.presets.filter(candidate => candidate !== preset);
+        this.save();
+    }
+}
+
+module.exports = { PROMPT_VARIABLES, PromptError, PromptLibrary, PresetStore };
@@ -0,0 +1,307 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// --- PII Redaction ---
+// Personal data in uploaded files and questions (e-mail addresses, phone numbers, Aadhaar, PAN and card
+// numbers, and the names in a CSV's name columns) is replaced with placeholders such as [EMAIL_1] before
+// anything is sent to Ollama, so the model never sees the values:
+//   - Detectors find values by pattern; Aadhaar numbers must pass their Verhoeff check digit and card
+//     numbers the Luhn check, so order numbers and amounts are left alone. Names cannot be recognized
+//     in free text: the cells of CSV columns whose header is in config.redactColumns are registered
+//     instead and replaced wherever they appear (also in questions and PDF text of the same session).
+//   - Placeholders belong to the session (session.redaction), so a value keeps its placeholder across
+//     turns and the model can still tell "[NAME_3] emailed [EMAIL_2]" apart from other rows.
+//   - Replies are restored (placeholders swapped back for the values) for users allowed to see them
+//     (config.redactRestore); others get the placeholders.
+//   - Every request that redacted something adds an audit entry to the session: which kinds of values
+//     and how many, never the values themselves.
+// A Redactor is set for the HTTP request being handled (like the Ollama queue, with AsyncLocalStorage),
+// and the Ollama helpers apply it to everything they send.
+
+const MAX_AUDIT_ENTRIES = 100;
+// Longest placeholder a streamed reply may hold back while waiting for its closing "]".
+const MAX_PLACEHOLDER_CHARS = 24;
+const PLACEHOLDER_PATTERN = /\[([A-Z]+)_(\d+)\]/g;
+
+// Verhoeff check digit, used by Aadhaar numbers.
+const VERHOEFF_D = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5], [2, 3, 4, 0, 1, 7, 8, 9, 5, 6], [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+    [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1], [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+    [8, 7, 6, 5, 9, 3, 2, 1, 0, 4], [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4], [5, 8, 0, 3, 7, 9, 6, 1, 4, 2], [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+    [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1], [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+function digitsOf(value) {
+    return value.replace(/\D/g, '');
+}
+
+function isVerhoeffValid(value) {
+    let check = 0;
+    [...digitsOf(value)].reverse().forEach((digit, index) => {
+        check = VERHOEFF_D[check][VERHOEFF_P[index % 8][Number(digit)]];
+    });
+    return check === 0;
+}
+
+function isLuhnValid(value) {
+    const digits = digitsOf(value);
+    if (digits.length < 13 || digits.length > 19) return false;
+    let sum = 0;
+    [...digits].reverse().forEach((digit, index) => {
+        let n = Number(digit);
+        if (index % 2 === 1) n = n * 2 > 9 ? n * 2 - 9 : n * 2;
+        sum += n;
+    });
+    return sum % 10 === 0;
+}
+
+// Run in this order: numbers that pass a checksum are claimed before the looser phone pattern sees them.
+// `key` turns a match into the form two spellings of one value share ("98765 43210" and "9876543210").
+const DETECTORS = {
+    email: { label: 'EMAIL', pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g, key: value => value.toLowerCase() },
+    aadhaar: { label: 'AADHAAR', pattern: /(?<![\w+-])[2-9]\d{3}[ -]?\d{4}[ -]?\d{4}(?![\w-])/g, validate: isVerhoeffValid, key: digitsOf },
+    pan: { label: 'PAN', pattern: /\b[A-Z]{3}[ABCFGHJLPT][A-Z]\d{4}[A-Z]\b/g, key: value => value },
+    card: { label: 'CARD', pattern: /(?<![\w+-])\d(?:[ -]?\d){12,18}(?![\w-])/g, validate: isLuhnValid, key: digitsOf },
+    phone: {
+        label: 'PHONE',
+        // Indian mobile numbers (with or without +91 / 0) and international numbers written with a "+".
+        pattern: /(?<![\w+-])(?:(?:\+91[ -]?|0)?[6-9]\d{4}[ -]?\d{5}|\+\d{1,3}(?:[ -]?\(?\d{1,4}\)?){2,5})(?![\w-])/g,
+        key: digitsOf
+    }
+};
+const DETECTOR_NAMES = Object.keys(DETECTORS);
+
+// "Customer Name", "customer_name" and "customerName" are the same column.
+function normalizeColumnName(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function checkDetectors(names) {
+    const unknown = names.filter(name => !DETECTORS[name]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown redaction detector(s) ${unknown.join(', ')}. Use ${DETECTOR_NAMES.join(', ')}.`);
+    }
+    return DETECTOR_NAMES.filter(name => names.includes(name));
+}
+
+// Replaces detected values with their kind only ("[EMAIL]"), without a session: for log lines.
+function redactText(text, detectors = DETECTOR_NAMES) {
+    let result = String(text);
+    for (const name of checkDetectors(detectors)) {
+        const detector = DETECTORS[name];
+        result = result.replace(detector.pattern, match => !detector.validate || detector.validate(match) ? `[${detector.label}]` : match);
+    }
+    return result;
+}
+
+class Redactor {
+    // `session` keeps the placeholders and the audit (session.redaction). `restore`: whether replies get the
+    // original values back for this request's user.
+    constructor(session, { detectors = DETECTOR_NAMES, columns = [], restore = true, requestId = null, route = null } = {}) {
+        this.session = session;
+        this.detectors = checkDetectors(detectors);
+        this.columns = new Set(columns.map(normalizeColumnName));
+        this.restoreReplies = restore;
+        this.requestId = requestId;
+        this.route = route;
+        if (!session.redaction) session.redaction = { placeholders: {}, audit: [] };
+        this.vault = session.redaction;
+        // "EMAIL:a@b.com" -> "[EMAIL_1]", and how many placeholders each kind has
+        this.keys = new Map();
+        this.counters = {};
+        for (const [placeholder, entry] of Object.entries(this.vault.placeholders)) {
+            this.keys.set(`${entry.label}:${entry.key}`, placeholder);
+            this.counters[entry.label] = (this.counters[entry.label] || 0) + 1;
+        }
+        this.scannedAttachments = new Set();
+        this.nameMatcher = null;
+        // Placeholders sent to the model during this request, for the audit entry.
+        this.sent = new Set();
+        this.auditEntry = null;
+    }
+
+    placeholderFor(label, key, value) {
+        const existing = this.keys.get(`${label}:${key}`);
+        if (existing) return existing;
+        this.counters[label] = (this.counters[label] || 0) + 1;
+        const placeholder = `[${label}_${this.counters[label]}]`;
+        this.vault.placeholders[placeholder] = { label: label, key: key, value: value };
+        this.keys.set(`${label}:${key}`, placeholder);
+        return placeholder;
+    }
+
+    // Registers the cells of name columns in the session's tables, once per attachment and request.
+    scanAttachments() {
+        if (this.columns.size === 0) return;
+        let added = false;
+        for (const attachment of this.session.attachments || []) {
+            if (attachment.type !== 'csv' || this.scannedAttachments.has(attachment.id)) continue;
+            this.scannedAttachments.add(attachment.id);
+            const nameColumns = Object.keys((attachment.records || [])[0] || {}).filter(column => this.columns.has(normalizeColumnName(column)));
+            for (const record of nameColumns.length > 0 ? attachment.records : []) {
+                for (const column of nameColumns) {
+                    const value = String(record[column] === undefined || record[column] === null ? '' : record[column]).trim();
+                    if (value.length < 2 || this.keys.has(`NAME:${value}`)) continue;
+                    this.placeholderFor('NAME', value, value);
+                    added = true;
+                }
+            }
+        }
+        if (added || !this.nameMatcher) this.nameMatcher = this.buildNameMatcher();
+    }
+
+    // One pattern for every known name, longest first so "Anita Rao" wins over "Anita".
+    buildNameMatcher() {
+        const names = Object.values(this.vault.placeholders).filter(entry => entry.label === 'NAME').map(entry => entry.value);
+        if (names.length === 0) return null;
+        names.sort((a, b) => b.length - a.length);
+        return new RegExp(`(?<![\\p{L}\\p{N}])(?:${names.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'gu');
+    }
+
+    // The text with every detected or registered value replaced by its placeholder.
+    redact(text) {
+        if (typeof text !== 'string' || !text) return text;
+        const result = this.replaceValues(text, placeholder => this.sent.add(placeholder));
+        if (this.sent.size > 0) this.updateAudit();
+        return result;
+    }
+
+    // Like redact(), for data the server computed from the real values (query results, charts) and returns to
+    // a user who may not see them: nothing is sent to the model, so nothing goes into the audit.
+    mask(text) {
+        if (typeof text !== 'string' || !text) return text;
+        return this.replaceValues(text, () => {});
+    }
+
+    replaceValues(text, onPlaceholder) {
+        this.scanAttachments();
+        const use = placeholder => {
+            onPlaceholder(placeholder);
+            return placeholder;
+        };
+        let result = text;
+        if (this.nameMatcher) {
+            result = result.replace(this.nameMatcher, match => use(this.keys.get(`NAME:${match}`)));
+        }
+        for (const name of this.detectors) {
+            const detector = DETECTORS[name];
+            result = result.replace(detector.pattern, match => {
+                if (detector.validate && !detector.validate(match)) return match;
+                return use(this.placeholderFor(detector.label, detector.key(match), match));
+            });
+        }
+        return result;
+    }
+
+    // Chat messages with their text redacted (images and tool calls are left as they are).
+    redactMessages(messages) {
+        return messages.map(message => typeof message.content === 'string' ? { ...message, content: this.redact(message.content) } : message);
+    }
+
+    // The text with the session's placeholders swapped back for the values (unknown ones are left alone).
+    restore(text) {
+        if (typeof text !== 'string' || !text) return text;
+        return text.replace(PLACEHOLDER_PATTERN, match => this.vault.placeholders[match] ? this.vault.placeholders[match].value : match);
+    }
+
+    // Restores a reply for the user: unchanged when they may not see the values.
+    restoreReply(text) {
+        return this.restoreReplies ? this.restore(text) : text;
+    }
+
+    // Wraps a streamed reply's onToken so placeholders split across chunks are restored whole. Call
+    // `flush()` on the returned function once the stream ended.
+    restoreStream(onToken) {
+        if (!this.restoreReplies) return Object.assign(token => onToken(token), { flush() {} });
+        let pending = '';
+        const push = (token) => {
+            pending += token;
+            // Hold back from an unclosed "[" that may still become a placeholder.
+            const open = pending.lastIndexOf('[');
+            const held = open !== -1 && !pending.includes(']', open) && pending.length - open <= MAX_PLACEHOLDER_CHARS ? pending.substring(open) : '';
+            const ready = pending.substring(0, pending.length - held.length);
+            pending = held;
+            if (ready) onToken(this.restore(ready));
+        };
+        push.flush = () => {
+            if (pending) onToken(this.restore(pending));
+            pending = '';
+        };
+        return push;
+    }
+
+    // How many values of each kind this request sent as placeholders: { EMAIL: 2, NAME: 5 }.
+    summary() {
+        const counts = {};
+        for (const placeholder of this.sent) {
+            const label = this.vault.placeholders[placeholder].label;
+            counts[label] = (counts[label] || 0) + 1;
+        }
+        return counts;
+    }
+
+    // The request's entry in the session's audit, created on the first redaction and kept up to date.
+    updateAudit() {
+        if (!this.auditEntry) {
+            this.auditEntry = { time: new Date().toISOString(), requestId: this.requestId, route: this.route, redacted: {}, restored: this.restoreReplies };
+            this.vault.audit = (this.vault.audit || []).concat(this.auditEntry).slice(-MAX_AUDIT_ENTRIES);
+        }
+        this.auditEntry.redacted = this.summary();
+    }
+}
+
+// A session's placeholders ({ placeholder, label }, plus `value` when `withValues`) and its audit entries.
+function describeRedactions(session, { withValues = false } = {}) {
+    const vault = session.redaction || { placeholders: {}, audit: [] };
+    return {
+        placeholders: Object.entries(vault.placeholders).map(([placeholder, entry]) => withValues
+            ? { placeholder: placeholder, label: entry.label, value: entry.value }
+            : { placeholder: placeholder, label: entry.label }),
+        audit: vault.audit || []
+    };
+}
+
+// --- Per-request scope ---
+const redactionStorage = new AsyncLocalStorage();
+
+// Runs `fn` with a fresh scope; the route sets its Redactor with useRedactor once it has the session.
+function runInRedactionScope(scope, fn) {
+    return redactionStorage.run(scope, fn);
+}
+
+function useRedactor(redactor) {
+    const scope = redactionStorage.getStore();
+    if (scope) scope.redactor = redactor;
+}
+
+// The Redactor of the request being handled, or null (redaction off, or outside a request).
+function currentRedactor() {
+    const scope = redactionStorage.getStore();
+    return scope ? scope.redactor : null;
+}
+
+// Placeholders in a reply the server reads itself (a query plan, a chart spec) are always restored,
+// whatever the user may see: the plan has to match the real data.
+function restorePlaceholders(text) {
+    const redactor = currentRedactor();
+    return redactor ? redactor.restore(text) : text;
+}
+
+module.exports = {
+    DETECTOR_NAMES,
+    Redactor,
+    redactText,
+    describeRedactions,
+    isVerhoeffValid,
+    isLuhnValid,
+    runInRedactionScope,
+    useRedactor,
+    currentRedactor,
+    restorePlaceholders
+};
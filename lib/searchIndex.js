@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { embedText, cosineSimilarity } = require('./documentIndex');
+const { describeAttachment, describeDetails, isDocument } = require('./attachments');
+const { runInRedactionScope } = require('./redaction');
+
+// --- Search Across Sessions ---
+// Every question, answer and attachment of the stored sessions is embedded (Ollama's /api/embeddings,
+// config.embeddingModel) into one index, so GET /search can find a conversation by what it was about.
+// The index is brought up to date before each search (only for the sessions the user can see) and
+// every config.searchIndexIntervalMinutes for all sessions; only messages and attachments that are new
+// or changed since the last pass are embedded again. Sessions that are gone are dropped on the full pass,
+// and searches only ever return sessions the caller passes in, so a deleted session is never found.
+// With a file path the index is kept as JSON next to the sessions; without one it lives in memory.
+// When Ollama cannot embed (e.g. the embedding model is not pulled), search falls back to matching words.
+// With redaction on, each session's texts are embedded with that session's placeholders (`redactorFor`)
+// and the query with the caller's; the index itself keeps the texts as they are, for keyword matching and snippets.
+
+const MAX_TEXT_CHARS = 2000;
+const SNIPPET_CHARS = 200;
+const ATTACHMENT_PREVIEW_ROWS = 5;
+
+function hashText(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// A question as it was typed: the attachment list and excerpts the routes append for the model are cut off.
+function questionText(content) {
+    return String(content || '').split(/\n\n(?:Attachments in this session|\[att\d+\] )/)[0];
+}
+
+// What an attachment is about: its name and shape, plus the first rows of a table or the start of a text.
+function attachmentText(attachment) {
+    const d = describeAttachment(attachment);
+    let text = `${d.name} (${d.type}, ${describeDetails(d)})`;
+    if (attachment.type === 'csv') {
+        const rows = attachment.records.slice(0, ATTACHMENT_PREVIEW_ROWS).map(record => Object.entries(record).map(([key, value]) => `${key}: ${value}`).join('; '));
+        if (rows.length > 0) text += `\n${rows.join('\n')}`;
+    } else if (isDocument(attachment)) {
+        text += `\n${attachment.text}`;
+    }
+    return text;
+}
+
+// The parts of a session worth finding, each with a stable key so unchanged parts keep their embedding.
+function sessionEntries(session) {
+    const entries = [];
+    session.history.forEach((message, index) => {
+        if (message.role !== 'user' && message.role !== 'assistant') return;
+        const text = (message.role === 'user' ? questionText(message.content) : String(message.content || '')).trim();
+        if (text) entries.push({ key: `m${index}`, kind: 'message', role: message.role, messageIndex: index, text: text });
+    });
+    for (const attachment of session.attachments || []) {
+        entries.push({ key: `a${attachment.id}`, kind: 'attachment', attachmentId: attachment.id, attachmentName: attachment.name, text: attachmentText(attachment) });
+    }
+    return entries.map(entry => ({ ...entry, text: entry.text.substring(0, MAX_TEXT_CHARS) }));
+}
+
+function queryTerms(query) {
+    return [...new Set(String(query).toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [])];
+}
+
+// Share of the query's words that appear in the text, for searching without embeddings.
+function keywordScore(terms, text) {
+    if (terms.length === 0) return 0;
+    const lower = text.toLowerCase();
+    return terms.filter(term => lower.includes(term)).length / terms.length;
+}
+
+// About SNIPPET_CHARS of the text around the first query word it contains (the start when there is none).
+function makeSnippet(text, terms) {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    const lower = flat.toLowerCase();
+    const positions = terms.map(term => lower.indexOf(term)).filter(position => position >= 0);
+    const start = positions.length > 0 ? Math.max(0, Math.min(...positions) - SNIPPET_CHARS / 4) : 0;
+    const snippet = flat.substring(start, start + SNIPPET_CHARS);
+    return `${start > 0 ? '…' : ''}${snippet}${start + SNIPPET_CHARS < flat.length ? '…' : ''}`;
+}
+
+class SearchIndex {
+    // `redactorFor(session)` returns the Redactor to embed the session's texts with, or null.
+    constructor({ filePath = null, model, embed = embedText, redactorFor = () => null }) {
+        this.filePath = filePath;
+        this.model = model;
+        this.embed = embed;
+        this.redactorFor = redactorFor;
+        // sessionId -> { updatedAt, entries: [{ key, kind, role, messageIndex, attachmentId, attachmentName, text, hash, embedding }] }
+        this.sessions = new Map();
+        this.updating = Promise.resolve();
+        this.load();
+    }
+
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return;
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            // Embeddings of another model are not comparable; everything is embedded again.
+            if (data.model !== this.model) {
+                console.log(`[SEARCH] The index was built with ${data.model}; rebuilding it with ${this.model}.`);
+                return;
+            }
+            this.sessions = new Map(Object.entries(data.sessions || {}));
+        } catch (error) {
+            console.error(`❌ [SEARCH] Search index ${this.filePath} is unreadable, rebuilding it:`, error.message);
+        }
+    }
+
+    save() {
+        if (!this.filePath) return;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempFile = `${this.filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify({ model: this.model, sessions: Object.fromEntries(this.sessions) }), 'utf8');
+        fs.renameSync(tempFile, this.filePath);
+    }
+
+    // Indexes `sessions` ([{ id, session }], as listed by the session store). With `prune`, sessions that are
+    // not in the list are dropped. Passes run one after another, so concurrent searches never embed twice.
+    update(sessions, { prune = false } = {}) {
+        const pass = this.updating.then(() => this.runUpdate(sessions, prune));
+        this.updating = pass.catch(() => {});
+        return pass;
+    }
+
+    async runUpdate(sessions, prune) {
+        let changed = false;
+        let embedded = 0;
+        let embedError = null;
+        for (const { id, session } of sessions) {
+            const indexed = this.sessions.get(id);
+            if (indexed && indexed.updatedAt === session.updatedAt && indexed.entries.every(entry => entry.embedding)) continue;
+
+            const previous = new Map((indexed ? indexed.entries : []).map(entry => [entry.key, entry]));
+            const redaction = { redactor: this.redactorFor(session) };
+            const entries = [];
+            for (const entry of sessionEntries(session)) {
+                const hash = hashText(entry.text);
+                const known = previous.get(entry.key);
+                let embedding = known && known.hash === hash ? known.embedding : null;
+                // After the first failure the rest of the pass goes without embeddings; the next pass retries them.
+                if (!embedding && !embedError) {
+                    try {
+                        embedding = await runInRedactionScope(redaction, () => this.embed(entry.text, this.model));
+                        embedded++;
+                    } catch (error) {
+                        embedError = error;
+                    }
+                }
+                entries.push({ ...entry, hash: hash, embedding: embedding });
+            }
+            this.sessions.set(id, { updatedAt: session.updatedAt, entries: entries });
+            changed = true;
+        }
+        if (prune) {
+            const live = new Set(sessions.map(({ id }) => id));
+            for (const id of this.sessions.keys()) {
+                if (!live.has(id)) {
+                    this.sessions.delete(id);
+                    changed = true;
+                }
+            }
+        }
+        if (embedError) {
+            console.warn(`⚠️ [SEARCH] Could not embed with ${this.model} (${embedError.message}); those messages are found by their words until the next pass.`);
+        }
+        if (changed) {
+            console.log(`[SEARCH] Index updated: ${embedded} new embedding(s), ${this.sessions.size} session(s) indexed.`);
+            this.save();
+        }
+    }
+
+    // The best `limit` matches of `query` among `sessions` (brought up to date first), best first. The query
+    // is embedded with the Redactor of the request, if any:
+    // { mode: 'semantic' | 'keyword', hits: [{ sessionId, kind, role, messageIndex, attachmentId, attachmentName, snippet, score }] }.
+    async search(query, sessions, { limit = 10 } = {}) {
+        await this.update(sessions);
+        const terms = queryTerms(query);
+        let queryEmbedding = null;
+        try {
+            queryEmbedding = await this.embed(query, this.model);
+        } catch (error) {
+            console.warn(`⚠️ [SEARCH] Could not embed the query (${error.message}); matching words instead.`);
+        }
+
+        const hits = [];
+        for (const { id } of sessions) {
+            const indexed = this.sessions.get(id);
+            if (!indexed) continue;
+            for (const entry of indexed.entries) {
+                const score = queryEmbedding
+                    ? (entry.embedding ? cosineSimilarity(queryEmbedding, entry.embedding) : 0)
+                    : keywordScore(terms, entry.text);
+                if (score <= 0) continue;
+                hits.push({
+                    sessionId: id,
+                    kind: entry.kind,
+                    role: entry.role,
+                    messageIndex: entry.messageIndex,
+                    attachmentId: entry.attachmentId,
+                    attachmentName: entry.attachmentName,
+                    snippet: makeSnippet(entry.text, terms),
+                    score: Number(score.toFixed(4))
+                });
+            }
+        }
+        hits.sort((a, b) => b.score - a.score);
+        return { mode: queryEmbedding ? 'semantic' : 'keyword', hits: hits.slice(0, limit) };
+    }
+}
+
+module.exports = { SearchIndex, sessionEntries };
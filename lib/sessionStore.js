@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// --- Session Stores ---
+// Every store exposes the same async interface so server.js does not care where sessions live:
+//   get(id) -> session | null, set(id, session), delete(id) -> boolean, list() -> [{ id, session }], prune()
+// Sessions that have not been updated for ttlMs expire, and once more than maxSessions exist
+// the least recently updated ones are evicted.
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+function isExpired(session, ttlMs) {
+    return ttlMs > 0 && Date.now() - (session.updatedAt || 0) > ttlMs;
+}
+
+class MemorySessionStore {
+    constructor({ ttlMs = 0, maxSessions = 0 } = {}) {
+        this.ttlMs = ttlMs;
+        this.maxSessions = maxSessions;
+        this.sessions = new Map();
+    }
+
+    async get(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) return null;
+        if (isExpired(session, this.ttlMs)) {
+            this.sessions.delete(sessionId);
+            console.log(`[SESSION-STORE] Session ${sessionId} expired.`);
+            return null;
+        }
+        return session;
+    }
+
+    async set(sessionId, session) {
+        session.updatedAt = Date.now();
+        this.sessions.set(sessionId, session);
+        await this.prune();
+    }
+
+    async delete(sessionId) {
+        return this.sessions.delete(sessionId);
+    }
+
+    async list() {
+        await this.prune();
+        return [...this.sessions.entries()].map(([id, session]) => ({ id: id, session: session }));
+    }
+
+    async prune() {
+        for (const [sessionId, session] of this.sessions) {
+            if (isExpired(session, this.ttlMs)) this.sessions.delete(sessionId);
+        }
+        if (this.maxSessions > 0 && this.sessions.size > this.maxSessions) {
+            const oldestFirst = [...this.sessions.entries()].sort((a, b) => a[1].updatedAt - b[1].updatedAt);
+            for (const [sessionId] of oldestFirst.slice(0, this.sessions.size - this.maxSessions)) {
+                this.sessions.delete(sessionId);
+                console.log(`[SESSION-STORE] Evicted session ${sessionId} (session cap ${this.maxSessions} reached).`);
+            }
+        }
+    }
+}
+
+// Stores one JSON file per session under `directory`, so history survives a server restart.
+class FileSessionStore {
+    constructor({ directory, ttlMs = 0, maxSessions = 0 }) {
+        this.directory = directory;
+        this.ttlMs = ttlMs;
+        this.maxSessions = maxSessions;
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    filePath(sessionId) {
+        if (!SESSION_ID_PATTERN.test(String(sessionId))) {
+            throw new Error(`Invalid session ID: ${sessionId}`);
+        }
+        return path.join(this.directory, `${sessionId}.json`);
+    }
+
+    async get(sessionId) {
+        let raw;
+        try {
+            raw = await fs.promises.readFile(this.filePath(sessionId), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.message.startsWith('Invalid session ID')) return null;
+            throw error;
+        }
+        let session;
+        try {
+            session = JSON.parse(raw);
+        } catch (parseError) {
+            console.error(`❌ [SESSION-STORE] Session file for ${sessionId} is corrupt, discarding it:`, parseError.message);
+            await this.delete(sessionId);
+            return null;
+        }
+        if (isExpired(session, this.ttlMs)) {
+            console.log(`[SESSION-STORE] Session ${sessionId} expired.`);
+            await this.delete(sessionId);
+            return null;
+        }
+        return session;
+    }
+
+    async set(sessionId, session) {
+        session.updatedAt = Date.now();
+        const target = this.filePath(sessionId);
+        // Write to a temp file first so a crash mid-write never leaves a half-written session behind. Each write
+        // gets its own temp file: overlapping writes of one session (a fork and its parent, two tabs) would
+        // otherwise rename each other's half-written file.
+        const tempFile = `${target}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        try {
+            await fs.promises.writeFile(tempFile, JSON.stringify(session), 'utf8');
+            await fs.promises.rename(tempFile, target);
+        } catch (error) {
+            await fs.promises.rm(tempFile, { force: true });
+            throw error;
+        }
+        await this.prune();
+    }
+
+    async delete(sessionId) {
+        try {
+            await fs.promises.unlink(this.filePath(sessionId));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.message.startsWith('Invalid session ID')) return false;
+            throw error;
+        }
+    }
+
+    // Reads every session file; GET /sessions filters them by owner.
+    async list() {
+        await this.prune();
+        const sessions = [];
+        for (const name of await fs.promises.readdir(this.directory)) {
+            if (!name.endsWith('.json')) continue;
+            const sessionId = path.basename(name, '.json');
+            const session = await this.get(sessionId);
+            if (session) sessions.push({ id: sessionId, session: session });
+        }
+        return sessions;
+    }
+
+    async prune() {
+        const files = (await fs.promises.readdir(this.directory)).filter(name => name.endsWith('.json'));
+        const entries = [];
+        for (const name of files) {
+            const filePath = path.join(this.directory, name);
+            try {
+                const stat = await fs.promises.stat(filePath);
+                entries.push({ filePath, updatedAt: stat.mtimeMs });
+            } catch (error) {
+                // The file was removed by a concurrent delete; nothing to prune.
+            }
+        }
+        const live = [];
+        for (const entry of entries) {
+            if (this.ttlMs > 0 && Date.now() - entry.updatedAt > this.ttlMs) {
+                await fs.promises.rm(entry.filePath, { force: true });
+            } else {
+                live.push(entry);
+            }
+        }
+        if (this.maxSessions > 0 && live.length > this.maxSessions) {
+            live.sort((a, b) => a.updatedAt - b.updatedAt);
+            for (const entry of live.slice(0, live.length - this.maxSessions)) {
+                await fs.promises.rm(entry.filePath, { force: true });
+                console.log(`[SESSION-STORE] Evicted ${path.basename(entry.filePath)} (session cap ${this.maxSessions} reached).`);
+            }
+        }
+    }
+}
+
+function createSessionStore({ type = 'file', directory, ttlMs = 0, maxSessions = 0 } = {}) {
+    if (type === 'memory') {
+        return new MemorySessionStore({ ttlMs, maxSessions });
+    }
+    if (type === 'file') {
+        return new FileSessionStore({ directory, ttlMs, maxSessions });
+    }
+    throw new Error(`Unknown session store type: ${type}`);
+}
+
+// `owner` is the ID of the user the session belongs to (null when authentication is off).
+function createSession(owner = null) {
+    const now = Date.now();
+    return { owner: owner, history: [], memory: { summary: '', summarizedCount: 0 }, attachments: [], nextAttachmentNumber: 1, generatedFiles: [], createdAt: now, updatedAt: now };
+}
+
+module.exports = { MemorySessionStore, FileSessionStore, createSessionStore, createSession };
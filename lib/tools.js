@@ -0,0 +1,98 @@
+// --- Tool Registry ---
+// Each tool declares a name, a description and a JSON schema for its parameters, which are sent
+// to Ollama through the `tools` field, plus the handler the server runs when the model calls it.
+
+const DEFAULT_LOCATION = 'Adimali, Kerala, India';
+
+function getSystemDateTime() {
+    const now = new Date();
+    const options = {
+        weekday: 'long', year: 'numeric', month: 'long', day: 'numeric',
+        hour: '2-digit', minute: '2-digit', second: '2-digit',
+        timeZone: 'Asia/Kolkata', hour12: false
+    };
+    const formatter = new Intl.DateTimeFormat('en-IN', options);
+    return `The current date and time in Adimali, Kerala, India is: ${formatter.format(now)}.`;
+}
+
+async function getWeather(location = DEFAULT_LOCATION) {
+    console.log(`[UTILITY] Fetching dummy weather for ${location}`);
+    return `The current weather in ${location} is sunny with a temperature of 30°C.`;
+}
+
+const toolRegistry = new Map();
+
+function registerTool({ name, description, parameters, handler }) {
+    if (!name || typeof handler !== 'function') {
+        throw new Error('A tool needs a name and a handler function.');
+    }
+    toolRegistry.set(name, {
+        name,
+        description: description || '',
+        parameters: parameters || { type: 'object', properties: {} },
+        handler
+    });
+}
+
+registerTool({
+    name: 'get_date_time',
+    description: 'Get the current date and time in Adimali, Kerala, India (IST).',
+    parameters: { type: 'object', properties: {}, required: [] },
+    handler: async () => getSystemDateTime()
+});
+
+registerTool({
+    name: 'get_weather',
+    description: 'Get the current weather for a location.',
+    parameters: {
+        type: 'object',
+        properties: {
+            location: { type: 'string', description: `City and region, e.g. "${DEFAULT_LOCATION}".` }
+        },
+        required: []
+    },
+    handler: async ({ location }) => getWeather(location || DEFAULT_LOCATION)
+});
+
+// Tool definitions in the shape Ollama's /api/chat `tools` field expects.
+function getToolDefinitions() {
+    return [...toolRegistry.values()].map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+    }));
+}
+
+// Runs one entry of an Ollama `tool_calls` array and returns the text to send back as a `tool` message.
+// Failures are reported to the model as text instead of failing the whole chat turn.
+async function executeToolCall(toolCall) {
+    const name = toolCall && toolCall.function && toolCall.function.name;
+    const tool = toolRegistry.get(name);
+    if (!tool) {
+        console.warn(`⚠️ [TOOLS] Model called unknown tool: ${name}`);
+        return `Error: unknown tool "${name}".`;
+    }
+
+    let args = toolCall.function.arguments || {};
+    if (typeof args === 'string') {
+        try {
+            args = JSON.parse(args);
+        } catch (e) {
+            return `Error: arguments for tool "${name}" are not valid JSON.`;
+        }
+    }
+    const missing = (tool.parameters.required || []).filter(key => args[key] === undefined);
+    if (missing.length > 0) {
+        return `Error: missing required argument(s) for tool "${name}": ${missing.join(', ')}.`;
+    }
+
+    try {
+        console.log(`⚙️ [TOOLS] Running tool '${name}' with arguments: ${JSON.stringify(args)}`);
+        const result = await tool.handler(args);
+        return typeof result === 'string' ? result : JSON.stringify(result);
+    } catch (error) {
+        console.error(`❌ [TOOLS] Tool '${name}' failed:`, error.message);
+        return `Error: tool "${name}" failed: ${error.message}`;
+    }
+}
+
+module.exports = { DEFAULT_LOCATION, registerTool, getToolDefinitions, executeToolCall, getSystemDateTime, getWeather };
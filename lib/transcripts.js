@@ -0,0 +1,324 @@
+const { parse } = require('csv-parse/sync');
+const { ATTACHMENT_TYPES, isDocument, describeAttachment, describeDetails } = require('./attachments');
+const { sniffMimeType } = require('./uploads');
+
+// --- Session Transcripts ---
+// GET /sessions/:id/export writes a session out as Markdown, HTML or JSON, and POST /sessions/import
+// restores a JSON export into a new session. The transcript follows session.history (the full history,
+// not the summarized one sent to the model) and places the files generated from the conversation
+// (session.generatedFiles: CSVs, charts, image descriptions) after the message they followed, so a
+// generated CSV shows up as a table where it was produced. Image attachments and images sent with a
+// message are embedded as data URLs. The JSON export is the session itself, so nothing is lost on import.
+
+const EXPORT_FORMATS = ['md', 'json', 'html'];
+const EXPORT_FORMAT_NAME = 'gd-assistant-session';
+const EXPORT_VERSION = 1;
+const MESSAGE_ROLES = ['system', 'user', 'assistant', 'tool'];
+const GENERATED_FILE_TYPES = ['csv', 'image', 'text'];
+
+const CONTENT_TYPES = {
+    md: 'text/markdown; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    html: 'text/html; charset=utf-8'
+};
+
+class TranscriptError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'TranscriptError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Keeps a file produced by /generate-csv or /generate-image with the session, positioned after the
+// message history it was generated from.
+function recordGeneratedFile(session, { type, fileName, content, prompt }) {
+    if (!Array.isArray(session.generatedFiles)) session.generatedFiles = [];
+    const file = { type: type, fileName: fileName, content: content, prompt: prompt, afterMessage: session.history.length, createdAt: Date.now() };
+    session.generatedFiles.push(file);
+    return file;
+}
+
+// Base64 image data (with or without a data: prefix) as a data URL with the right MIME type.
+function toImageDataUrl(image) {
+    if (image.startsWith('data:')) return image;
+    const mimeType = sniffMimeType(Buffer.from(image.substring(0, 64), 'base64'));
+    return `data:${mimeType.startsWith('image/') ? mimeType : 'image/png'};base64,${image}`;
+}
+
+function parseCsvRows(csvContent) {
+    try {
+        return parse(csvContent, { columns: true, skip_empty_lines: true });
+    } catch (error) {
+        return null;
+    }
+}
+
+// The history with the generated files slotted in: a list of { kind: 'message', message } and { kind: 'file', file }.
+function buildTimeline(session) {
+    const files = [...(session.generatedFiles || [])].sort((a, b) => a.afterMessage - b.afterMessage);
+    const timeline = [];
+    let next = 0;
+    session.history.forEach((message, index) => {
+        while (next < files.length && files[next].afterMessage <= index) timeline.push({ kind: 'file', file: files[next++] });
+        timeline.push({ kind: 'message', message: message });
+    });
+    while (next < files.length) timeline.push({ kind: 'file', file: files[next++] });
+    return timeline;
+}
+
+function formatDate(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : 'unknown';
+}
+
+function describeToolCalls(toolCalls) {
+    return toolCalls.map(call => `${call.function.name}(${JSON.stringify(call.function.arguments || {})})`).join(', ');
+}
+
+function describeAttachmentDetails(attachment) {
+    return describeDetails(describeAttachment(attachment));
+}
+
+// --- Markdown ---
+
+function escapeTableCell(value) {
+    return String(value === undefined || value === null ? '' : value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+function toMarkdownTable(rows) {
+    if (rows.length === 0) return '_(no rows)_';
+    const columns = Object.keys(rows[0]);
+    return [
+        `| ${columns.map(escapeTableCell).join(' | ')} |`,
+        `| ${columns.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${columns.map(column => escapeTableCell(row[column])).join(' | ')} |`)
+    ].join('\n');
+}
+
+// A fence longer than any backtick run in the content, so code blocks in answers cannot end it early.
+function fence(content) {
+    const longest = Math.max(2, ...(content.match(/`+/g) || []).map(run => run.length));
+    const marker = '`'.repeat(longest + 1);
+    return `${marker}\n${content}\n${marker}`;
+}
+
+function messageToMarkdown(message) {
+    const parts = [];
+    if (message.role === 'tool') {
+        parts.push(`### Tool output: ${message.tool_name || 'tool'}`, fence(message.content || ''));
+    } else {
+        parts.push(`### ${message.role.charAt(0).toUpperCase()}${message.role.substring(1)}`);
+        if (message.content) parts.push(message.role === 'system' ? fence(message.content) : message.content);
+        if (message.tool_calls && message.tool_calls.length > 0) parts.push(`_Tool calls: ${describeToolCalls(message.tool_calls)}_`);
+    }
+    for (const image of message.images || []) parts.push(`![image](${toImageDataUrl(image)})`);
+    return parts.join('\n\n');
+}
+
+function fileToMarkdown(file) {
+    const heading = `### Generated file: ${file.fileName}`;
+    const request = file.prompt ? `_Request: ${file.prompt}_` : null;
+    let body;
+    if (file.type === 'csv') {
+        const rows = parseCsvRows(file.content);
+        body = rows ? toMarkdownTable(rows) : fence(file.content);
+    } else if (file.type === 'image') {
+        body = `![${file.fileName}](${toImageDataUrl(file.content)})`;
+    } else {
+        body = file.content;
+    }
+    return [heading, request, body].filter(Boolean).join('\n\n');
+}
+
+function toMarkdown(sessionId, session) {
+    const sections = [
+        `# Conversation ${sessionId}`,
+        `Started ${formatDate(session.createdAt)}, last updated ${formatDate(session.updatedAt)}.`
+    ];
+    if (session.attachments.length > 0) {
+        sections.push('## Attachments', session.attachments.map(attachment => `- [${attachment.id}] ${attachment.name} (${attachment.type}, ${describeAttachmentDetails(attachment)})`).join('\n'));
+        for (const attachment of session.attachments.filter(a => a.type === 'image')) {
+            sections.push(`![${attachment.id} ${attachment.name}](${toImageDataUrl(attachment.image)})`);
+        }
+    }
+    if (session.memory && session.memory.summary) {
+        sections.push('## Summary of earlier messages', session.memory.summary);
+    }
+    sections.push('## Transcript');
+    for (const entry of buildTimeline(session)) {
+        sections.push(entry.kind === 'message' ? messageToMarkdown(entry.message) : fileToMarkdown(entry.file));
+    }
+    return `${sections.join('\n\n')}\n`;
+}
+
+// --- HTML ---
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function toHtmlTable(rows) {
+    if (rows.length === 0) return '<p><em>(no rows)</em></p>';
+    const columns = Object.keys(rows[0]);
+    return `<table><thead><tr>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead><tbody>${
+        rows.map(row => `<tr>${columns.map(column => `<td>${escapeHtml(row[column])}</td>`).join('')}</tr>`).join('')
+    }</tbody></table>`;
+}
+
+function messageToHtml(message) {
+    const parts = [];
+    if (message.role === 'tool') {
+        parts.push(`<h3>Tool output: ${escapeHtml(message.tool_name || 'tool')}</h3>`, `<pre>${escapeHtml(message.content)}</pre>`);
+    } else {
+        parts.push(`<h3>${escapeHtml(message.role.charAt(0).toUpperCase() + message.role.substring(1))}</h3>`);
+        if (message.content) parts.push(`<div class="content">${escapeHtml(message.content)}</div>`);
+        if (message.tool_calls && message.tool_calls.length > 0) parts.push(`<p><em>Tool calls: ${escapeHtml(describeToolCalls(message.tool_calls))}</em></p>`);
+    }
+    for (const image of message.images || []) parts.push(`<img src="${escapeHtml(toImageDataUrl(image))}" alt="image">`);
+    return `<section class="message ${escapeHtml(message.role)}">${parts.join('')}</section>`;
+}
+
+function fileToHtml(file) {
+    const parts = [`<h3>Generated file: ${escapeHtml(file.fileName)}</h3>`];
+    if (file.prompt) parts.push(`<p><em>Request: ${escapeHtml(file.prompt)}</em></p>`);
+    if (file.type === 'csv') {
+        const rows = parseCsvRows(file.content);
+        parts.push(rows ? toHtmlTable(rows) : `<pre>${escapeHtml(file.content)}</pre>`);
+    } else if (file.type === 'image') {
+        parts.push(`<img src="${escapeHtml(toImageDataUrl(file.content))}" alt="${escapeHtml(file.fileName)}">`);
+    } else {
+        parts.push(`<div class="content">${escapeHtml(file.content)}</div>`);
+    }
+    return `<section class="message file">${parts.join('')}</section>`;
+}
+
+function toHtml(sessionId, session) {
+    const body = [
+        `<h1>Conversation ${escapeHtml(sessionId)}</h1>`,
+        `<p>Started ${formatDate(session.createdAt)}, last updated ${formatDate(session.updatedAt)}.</p>`
+    ];
+    if (session.attachments.length > 0) {
+        body.push('<h2>Attachments</h2>', `<ul>${session.attachments.map(attachment => `<li>[${escapeHtml(attachment.id)}] ${escapeHtml(attachment.name)} (${attachment.type}, ${escapeHtml(describeAttachmentDetails(attachment))})${
+            attachment.type === 'image' ? `<br><img src="${escapeHtml(toImageDataUrl(attachment.image))}" alt="${escapeHtml(attachment.name)}">` : ''
+        }</li>`).join('')}</ul>`);
+    }
+    if (session.memory && session.memory.summary) {
+        body.push('<h2>Summary of earlier messages</h2>', `<div class="content">${escapeHtml(session.memory.summary)}</div>`);
+    }
+    body.push('<h2>Transcript</h2>');
+    for (const entry of buildTimeline(session)) {
+        body.push(entry.kind === 'message' ? messageToHtml(entry.message) : fileToHtml(entry.file));
+    }
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Conversation ${escapeHtml(sessionId)}</title>
+<style>
+body { font-family: sans-serif; max-width: 900px; margin: 2em auto; padding: 0 1em; color: #222; }
+.message { border-left: 4px solid #ccc; padding: 0 1em; margin: 1em 0; }
+.message.user { border-color: #4a90d9; }
+.message.assistant { border-color: #5cb85c; }
+.message.tool, .message.system { border-color: #999; }
+.message.file { border-color: #f0ad4e; }
+.content { white-space: pre-wrap; }
+pre { background: #f5f5f5; padding: 0.5em; overflow-x: auto; white-space: pre-wrap; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: 0.25em 0.5em; }
+img { max-width: 100%; }
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+// --- JSON ---
+
+function toJsonExport(sessionId, session) {
+    return {
+        format: EXPORT_FORMAT_NAME,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        sessionId: sessionId,
+        // The owner stays behind: an imported session belongs to the user who imports it. So do the redaction
+        // placeholders, which hold the real values of the personal data (see GET /sessions/:id/redactions).
+        session: { ...session, owner: undefined, redaction: undefined }
+    };
+}
+
+// Renders a session in one of EXPORT_FORMATS. Returns { content, contentType, fileName }.
+function exportSession(sessionId, session, format) {
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new TranscriptError(`Unknown export format "${format}". Allowed: ${EXPORT_FORMATS.join(', ')}.`);
+    }
+    const content = format === 'md' ? toMarkdown(sessionId, session)
+        : format === 'html' ? toHtml(sessionId, session)
+            : JSON.stringify(toJsonExport(sessionId, session), null, 2);
+    return { content: content, contentType: CONTENT_TYPES[format], fileName: `conversation-${sessionId}.${format}` };
+}
+
+function checkList(value, name) {
+    if (value !== undefined && !Array.isArray(value)) throw new TranscriptError(`\`session.${name}\` must be an array.`);
+    return value || [];
+}
+
+// Checks a JSON export and returns the session it holds, ready to be stored under a new ID for `owner`.
+function importSession(data, owner = null) {
+    if (!data || typeof data !== 'object' || data.format !== EXPORT_FORMAT_NAME) {
+        throw new TranscriptError(`Not a session export: expected an object with "format": "${EXPORT_FORMAT_NAME}" (from GET /sessions/:id/export?format=json).`);
+    }
+    if (data.version !== EXPORT_VERSION) {
+        throw new TranscriptError(`Unsupported export version ${JSON.stringify(data.version)}; this server reads version ${EXPORT_VERSION}.`);
+    }
+    const source = data.session;
+    if (!source || typeof source !== 'object' || !Array.isArray(source.history)) {
+        throw new TranscriptError('`session.history` must be an array of messages.');
+    }
+    source.history.forEach((message, index) => {
+        if (!message || !MESSAGE_ROLES.includes(message.role) || typeof message.content !== 'string') {
+            throw new TranscriptError(`session.history[${index}] needs a role (${MESSAGE_ROLES.join(', ')}) and a string content.`);
+        }
+    });
+    const attachments = checkList(source.attachments, 'attachments');
+    attachments.forEach((attachment, index) => {
+        const valid = attachment && typeof attachment.id === 'string' && ATTACHMENT_TYPES.includes(attachment.type)
+            && (attachment.type !== 'csv' || Array.isArray(attachment.records))
+            && (!isDocument(attachment) || typeof attachment.text === 'string')
+            && (attachment.type !== 'image' || typeof attachment.image === 'string');
+        if (!valid) throw new TranscriptError(`session.attachments[${index}] is not a valid ${attachment && attachment.type ? attachment.type : ''} attachment.`);
+    });
+    const generatedFiles = checkList(source.generatedFiles, 'generatedFiles');
+    generatedFiles.forEach((file, index) => {
+        if (!file || !GENERATED_FILE_TYPES.includes(file.type) || typeof file.content !== 'string') {
+            throw new TranscriptError(`session.generatedFiles[${index}] needs a type (${GENERATED_FILE_TYPES.join(', ')}) and a string content.`);
+        }
+    });
+
+    const highestNumber = Math.max(0, ...attachments.map(attachment => Number(attachment.id.replace(/^att/, '')) || 0));
+    const now = Date.now();
+    // Only the fields listed here are taken over: a `redaction` vault in the file is dropped, since it
+    // would let an import set the values that placeholders are restored to.
+    return {
+        owner: owner,
+        history: source.history,
+        memory: source.memory && typeof source.memory.summary === 'string' ? source.memory : { summary: '', summarizedCount: 0 },
+        attachments: attachments,
+        nextAttachmentNumber: Math.max(Number(source.nextAttachmentNumber) || 1, highestNumber + 1),
+        generatedFiles: generatedFiles,
+        createdAt: now,
+        updatedAt: now,
+        importedFrom: { sessionId: data.sessionId || null, exportedAt: data.exportedAt || null }
+    };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    TranscriptError,
+    recordGeneratedFile,
+    exportSession,
+    importSession
+};
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const { config } = require('./config');
+
+// --- File Uploads ---
+// The analyze routes accept multipart/form-data (a `file` part plus the usual fields) next to the
+// older base64 JSON bodies. Uploaded files are streamed to config.uploadDir, checked against the size
+// and type limits, identified by their content (the declared Content-Type is not trusted) and removed
+// again once the response has been sent.
+
+// MIME types each analyze route accepts, further restricted by config.uploadAllowedTypes.
+const ROUTE_TYPES = {
+    pdf: ['application/pdf'],
+    image: ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/bmp'],
+    csv: ['text/csv']
+};
+
+class UploadError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.name = 'UploadError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Identifies a file from its first bytes. Text (no control characters besides tab and line breaks) is
+// reported as text/csv, since CSV is the only text format the routes take.
+function sniffMimeType(head) {
+    const startsWith = (bytes, offset = 0) => bytes.every((byte, i) => head[offset + i] === byte);
+    if (startsWith([0x25, 0x50, 0x44, 0x46, 0x2d])) return 'application/pdf';
+    if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+    if (startsWith([0xff, 0xd8, 0xff])) return 'image/jpeg';
+    if (startsWith([0x47, 0x49, 0x46, 0x38])) return 'image/gif';
+    if (startsWith([0x52, 0x49, 0x46, 0x46]) && startsWith([0x57, 0x45, 0x42, 0x50], 8)) return 'image/webp';
+    if (startsWith([0x42, 0x4d])) return 'image/bmp';
+    if (head.length > 0 && head.every(byte => byte >= 0x20 || byte === 0x09 || byte === 0x0a || byte === 0x0d)) return 'text/csv';
+    return 'application/octet-stream';
+}
+
+function allowedTypesFor(kind) {
+    return ROUTE_TYPES[kind].filter(type => config.uploadAllowedTypes.includes(type));
+}
+
+// Throws a 415 UploadError unless the content is one of the types the route accepts.
+function assertAllowedType(kind, head) {
+    const detected = sniffMimeType(head);
+    const allowed = allowedTypesFor(kind);
+    if (!allowed.includes(detected)) {
+        throw new UploadError(`Unsupported file type: the content looks like ${detected}, but this endpoint accepts ${allowed.join(', ') || 'no file types (check uploadAllowedTypes)'}.`, 415);
+    }
+    return detected;
+}
+
+// Batch jobs take PDFs and images mixed: returns { kind, mimeType } for the content, or throws a 415 UploadError.
+function identifyBatchFile(head) {
+    const detected = sniffMimeType(head);
+    const kind = ['pdf', 'image'].find(candidate => allowedTypesFor(candidate).includes(detected));
+    if (!kind) {
+        const allowed = [...allowedTypesFor('pdf'), ...allowedTypesFor('image')];
+        throw new UploadError(`Unsupported file type: the content looks like ${detected}, but batch jobs accept ${allowed.join(', ') || 'no file types (check uploadAllowedTypes)'}.`, 415);
+    }
+    return { kind: kind, mimeType: detected };
+}
+
+async function readHead(filePath, length = 4096) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+// Multipart fields are always strings; turn the ones the routes expect as other types back into them.
+function normalizeFields(body) {
+    if (typeof body.stream === 'string') body.stream = body.stream === 'true';
+    if (typeof body.options === 'string') {
+        try {
+            body.options = JSON.parse(body.options);
+        } catch (error) {
+            throw new UploadError('`options` must be a JSON object.', 400);
+        }
+    }
+    if (typeof body.attachmentIds === 'string') {
+        body.attachmentIds = body.attachmentIds.split(',').map(id => id.trim()).filter(Boolean);
+    }
+    return body;
+}
+
+let uploadHandler = null;
+function getUploadHandler() {
+    if (!uploadHandler) {
+        fs.mkdirSync(config.uploadDir, { recursive: true });
+        uploadHandler = multer({
+            storage: multer.diskStorage({
+                destination: config.uploadDir,
+                filename: (req, file, callback) => callback(null, `${uuidv4()}.upload`)
+            }),
+            limits: { fileSize: config.uploadMaxMb * 1024 * 1024, files: 1 }
+        }).single('file');
+    }
+    return uploadHandler;
+}
+
+let batchUploadHandler = null;
+function getBatchUploadHandler() {
+    if (!batchUploadHandler) {
+        fs.mkdirSync(config.uploadDir, { recursive: true });
+        batchUploadHandler = multer({
+            storage: multer.diskStorage({
+                destination: config.uploadDir,
+                filename: (req, file, callback) => callback(null, `${uuidv4()}.upload`)
+            }),
+            limits: { fileSize: config.uploadMaxMb * 1024 * 1024, files: config.jobMaxFiles }
+        }).array('files', config.jobMaxFiles);
+    }
+    return batchUploadHandler;
+}
+
+// Express middleware for one analyze route (`kind` is pdf, image or csv; null leaves identifying the
+// file to the route, as /analyze-file does with its extractors). JSON requests pass through untouched;
+// multipart requests end up with req.uploadedFile = { path, originalName, size, mimeType }.
+function acceptUpload(kind) {
+    return (req, res, next) => {
+        if (!req.is('multipart/form-data')) return next();
+        getUploadHandler()(req, res, async (error) => {
+            const filePath = req.file && req.file.path;
+            if (filePath) {
+                res.on('close', () => {
+                    fs.promises.rm(filePath, { force: true }).catch(() => {});
+                });
+            }
+            try {
+                if (error) {
+                    if (error.code === 'LIMIT_FILE_SIZE') {
+                        throw new UploadError(`File too large. The limit is ${config.uploadMaxMb} MB.`, 413);
+                    }
+                    throw new UploadError(`Invalid upload: ${error.message}.`, 400);
+                }
+                normalizeFields(req.body || (req.body = {}));
+                if (req.file) {
+                    const head = await readHead(filePath);
+                    const mimeType = kind ? assertAllowedType(kind, head) : sniffMimeType(head);
+                    req.uploadedFile = { path: filePath, originalName: req.file.originalname, size: req.file.size, mimeType: mimeType };
+                    console.log(`[UPLOAD] Received ${req.file.originalname} (${mimeType}, ${req.file.size} bytes) into ${path.basename(filePath)}.`);
+                }
+                next();
+            } catch (uploadError) {
+                if (!(uploadError instanceof UploadError)) return next(uploadError);
+                console.warn(`⚠️ [UPLOAD] Rejected upload (${uploadError.statusCode}): ${uploadError.message}`);
+                res.status(uploadError.statusCode).json({ error: `❌ ${uploadError.message}` });
+            }
+        });
+    };
+}
+
+// Express middleware for POST /jobs: up to config.jobMaxFiles PDFs and images as `files` parts. Unlike
+// acceptUpload the files are not removed when the response is sent, since the job analyzes them later
+// (and removes each one when it is done); they are only removed here when the upload is rejected.
+// Multipart requests end up with req.uploadedFiles = [{ path, originalName, size, mimeType, kind }].
+function acceptBatchUpload() {
+    return (req, res, next) => {
+        if (!req.is('multipart/form-data')) return next();
+        getBatchUploadHandler()(req, res, async (error) => {
+            const files = req.files || [];
+            try {
+                if (error) {
+                    if (error.code === 'LIMIT_FILE_SIZE') {
+                        throw new UploadError(`File too large. The limit is ${config.uploadMaxMb} MB per file.`, 413);
+                    }
+                    if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+                        throw new UploadError(`Send the files as \`files\` parts, at most ${config.jobMaxFiles} per job.`, 400);
+                    }
+                    throw new UploadError(`Invalid upload: ${error.message}.`, 400);
+                }
+                normalizeFields(req.body || (req.body = {}));
+                req.uploadedFiles = [];
+                for (const file of files) {
+                    const { kind, mimeType } = identifyBatchFile(await readHead(file.path));
+                    req.uploadedFiles.push({ path: file.path, originalName: file.originalname, size: file.size, mimeType: mimeType, kind: kind });
+                }
+                console.log(`[UPLOAD] Received ${files.length} file(s) for a batch job.`);
+                next();
+            } catch (uploadError) {
+                await Promise.all(files.map(file => fs.promises.rm(file.path, { force: true }).catch(() => {})));
+                if (!(uploadError instanceof UploadError)) return next(uploadError);
+                console.warn(`⚠️ [UPLOAD] Rejected batch upload (${uploadError.statusCode}): ${uploadError.message}`);
+                res.status(uploadError.statusCode).json({ error: `❌ ${uploadError.message}` });
+            }
+        });
+    };
+}
+
+// Reads the route's file: the multipart upload when there is one, otherwise the JSON field
+// (plain text for csv, base64 otherwise). Returns a Buffer, or null when no file was sent.
+// Base64 content is checked with the same type sniffing as uploads (unless `kind` is null); too large
+// content is a 413.
+async function readUploadedFile(req, kind, jsonField) {
+    if (req.uploadedFile) {
+        return fs.promises.readFile(req.uploadedFile.path);
+    }
+    const value = req.body[jsonField];
+    if (!value) return null;
+    const buffer = Buffer.from(value, kind === 'csv' ? 'utf8' : 'base64');
+    if (buffer.length > config.uploadMaxMb * 1024 * 1024) {
+        throw new UploadError(`File too large. The limit is ${config.uploadMaxMb} MB.`, 413);
+    }
+    if (kind) assertAllowedType(kind, buffer.subarray(0, 4096));
+    return buffer;
+}
+
+module.exports = { UploadError, sniffMimeType, identifyBatchFile, acceptUpload, acceptBatchUpload, readUploadedFile };
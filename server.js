@@ -3,81 +3,792 @@ const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const cors = require('cors');
 const { parse } = require('csv-parse');
 const { stringify } = require('csv-stringify');
-const pdf = require('pdf-parse'); 
 const { exec } = require('child_process');
+const { readNdjson } = require('./lib/ndjson');
+const { createSessionStore, createSession } = require('./lib/sessionStore');
+const { getToolDefinitions, executeToolCall, getSystemDateTime, DEFAULT_LOCATION } = require('./lib/tools');
+const { config, parseModelOptions } = require('./lib/config');
+const { extractPdfPages, buildDocumentIndex, searchDocumentIndex, formatExcerpts, toCitations, embedText } = require('./lib/documentIndex');
+const { QueryError, runQuery, summarizeTable, buildQueryPlannerPrompt, formatQueryResult } = require('./lib/csvQuery');
+const { ChartSpecError, renderChart, buildChartPlannerPrompt } = require('./lib/chartRenderer');
+const {
+    AttachmentError,
+    upgradeLegacySession,
+    addAttachment,
+    isDocument,
+    removeAttachment,
+    describeAttachment,
+    listAttachments,
+    formatAttachmentList,
+    findMentionedAttachments,
+    resolveAttachments
+} = require('./lib/attachments');
+const {
+    OpenAIRequestError,
+    toOpenAIError,
+    toOllamaMessages,
+    toOllamaOptions,
+    toOllamaFormat,
+    toOllamaTools,
+    toOpenAIToolCalls,
+    toFinishReason,
+    toOpenAIUsage,
+    createCompletionId,
+    toChatCompletion,
+    toChatCompletionChunk,
+    toOpenAIModelList,
+    parseEmbeddingRequest,
+    toEmbeddingList
+} = require('./lib/openaiCompat');
+const { UploadError, identifyBatchFile, acceptUpload, acceptBatchUpload, readUploadedFile } = require('./lib/uploads');
+const {
+    ColumnSchemaError,
+    parseColumnSchema,
+    inferColumnSchema,
+    toRowsJsonSchema,
+    describeColumnSchema,
+    validateRow,
+    inferColumnsFromRows,
+    buildRepairPrompt
+} = require('./lib/csvSchema');
+const { TranscriptError, recordGeneratedFile, exportSession, importSession } = require('./lib/transcripts');
+const {
+    REQUEST_ID_PATTERN,
+    QueueError,
+    OllamaQueue,
+    startRequest,
+    finishRequest,
+    runInRequest,
+    getRequest,
+    cancelRequest
+} = require('./lib/ollamaQueue');
+const { UserStore, authenticate, identifyClient, restrictOrigins } = require('./lib/auth');
+const { getContextBudget, getContextOptions, addSystemPrompt, removeSystemPrompts, buildSummaryMessages, buildContextMessages } = require('./lib/contextWindow');
+const { PROMPT_VARIABLES, PromptError, PromptLibrary, PresetStore } = require('./lib/prompts');
+const { JobError, JobRunner, describeJob } = require('./lib/jobs');
+const { ExtractionError, listFormats, extractFile } = require('./lib/extractors');
+const {
+    BranchError,
+    lastQuestionIndex,
+    startRegeneration,
+    addAnswerVariant,
+    selectAnswerVariant,
+    listAnswerVariants,
+    forkSession,
+    listMessages
+} = require('./lib/branches');
+const { SearchIndex } = require('./lib/searchIndex');
+const { Logger, installConsole, logRequests, getRequestId, setRequestId } = require('./lib/logger');
+const { metrics, trackOllamaCall, trackHttpRequests } = require('./lib/metrics');
+const { OllamaError, toOllamaError, checkOllamaHealth, pullModel, deleteModel } = require('./lib/ollamaHealth');
+const { Redactor, redactText, describeRedactions, runInRedactionScope, useRedactor, currentRedactor, restorePlaceholders } = require('./lib/redaction');
 
 const app = express();
-const port = 3000;
+const port = config.port;
+
+// Structured logs with a correlation ID per request (lib/logger.js); the console lines below go through it too.
+const logger = new Logger({
+    level: config.logLevel,
+    format: config.logFormat,
+    logContent: config.logContent,
+    redact: config.redactPii ? text => redactText(text, config.redactDetectors) : null
+});
+installConsole(logger);
+app.use(logRequests(logger));
+app.use(trackHttpRequests());
 
-app.use(express.json({ limit: '50mb' }));
-app.use(cors());
+// Browsers may only call the API from the UI itself and the origins in config.corsOrigins.
+app.use(restrictOrigins(config.corsOrigins));
 app.use(express.static('UI'));
 
+// Local user accounts and API keys (lib/auth.js). With authRequired every route below needs a key,
+// and sessions are only visible to the user who created them. Without a key, sessions belong to the
+// client token of the browser or CLI that created them (none when the client sends no token).
+const userStore = new UserStore(config.usersFile);
+app.use(authenticate(userStore, { required: config.authRequired, publicRoutes: ['POST /auth/login', 'GET /health'] }));
+app.use(identifyClient());
+
+// Files normally arrive as multipart uploads (lib/uploads.js); the JSON limit still leaves room for a
+// base64-encoded file of uploadMaxMb for clients using the older JSON contract.
+app.use(express.json({ limit: `${Math.ceil(config.uploadMaxMb * 4 / 3) + 1}mb` }));
+
 // --- Centralized Ollama Model Configuration ---
-const OLLAMA_DEFAULT_MODEL = "llama3.2-vision:11b";
-const OLLAMA_MULTIMODAL_MODEL = "llama3.2-vision:11b";
-
-// In-memory storage for conversation history and *analyzed data* per session.
-const conversationHistories = {};
-
-// --- Utility Functions for Real-time Data ---
-function getSystemDateTime() {
-    const now = new Date();
-    const options = {
-        weekday: 'long', year: 'numeric', month: 'long', day: 'numeric',
-        hour: '2-digit', minute: '2-digit', second: '2-digit',
-        timeZone: 'Asia/Kolkata', hour12: false
+// Set in config.json or through OLLAMA_HOST / OLLAMA_DEFAULT_MODEL / OLLAMA_MULTIMODAL_MODEL (see lib/config.js).
+const OLLAMA_HOST = config.ollamaHost;
+const OLLAMA_DEFAULT_MODEL = config.defaultModel;
+const OLLAMA_MULTIMODAL_MODEL = config.multimodalModel;
+
+// Every /api/generate and /api/chat call waits here for a free slot of its model (see lib/ollamaQueue.js).
+const ollamaQueue = new OllamaQueue({
+    concurrency: config.queueConcurrency,
+    concurrencyByModel: config.queueConcurrencyByModel,
+    timeoutMs: config.queueTimeoutSeconds * 1000,
+    maxWaiting: config.queueMaxWaiting
+});
+const queueRunning = metrics.gauge('gd_ollama_queue_running', 'Ollama calls running per model.', ['model']);
+const queueWaiting = metrics.gauge('gd_ollama_queue_waiting', 'Ollama calls waiting in the queue per model.', ['model']);
+metrics.collect(() => {
+    for (const entry of ollamaQueue.stats({ includeIdle: true })) {
+        queueRunning.set({ model: entry.model }, entry.running);
+        queueWaiting.set({ model: entry.model }, entry.waiting);
+    }
+});
+
+// Persistent storage for conversation history and *attached files* per session.
+// sessionStore "memory" keeps the old in-memory behaviour; the default file store survives restarts.
+const sessionStore = createSessionStore({
+    type: config.sessionStore,
+    directory: config.sessionDir,
+    ttlMs: config.sessionTtlHours * 60 * 60 * 1000,
+    maxSessions: config.sessionMax
+});
+setInterval(() => {
+    sessionStore.prune().catch(error => console.error("❌ [SESSION-STORE] Prune failed:", error.message));
+}, 10 * 60 * 1000).unref();
+
+// Saves a session back to the store. A failed write is logged rather than thrown so the
+// user still gets the answer that was already generated.
+async function persistSession(sessionId, session) {
+    try {
+        await sessionStore.set(sessionId, session);
+    } catch (error) {
+        console.error(`❌ [SESSION-STORE] Failed to save session ${sessionId}:`, error.message);
+    }
+}
+
+// Requests that change a session take turns: each one waits until the previous request on the same session
+// has answered before loading it, so two turns sent at once are both kept instead of one being saved over
+// the other. The turn is released when the response closes (answered, failed or disconnected).
+const sessionLocks = new Map();
+function lockSession(sessionId, res) {
+    if (!sessionId) return Promise.resolve();
+    const previous = sessionLocks.get(sessionId) || Promise.resolve();
+    let release;
+    const released = new Promise(resolve => { release = resolve; });
+    const turn = previous.then(() => released);
+    sessionLocks.set(sessionId, turn);
+    res.on('close', () => {
+        release();
+        if (sessionLocks.get(sessionId) === turn) sessionLocks.delete(sessionId);
+    });
+    return previous;
+}
+
+// ID of the signed-in user (null without authentication); new sessions are stored with it as their owner.
+function requestOwner(req) {
+    return req.user ? req.user.id : req.clientId || null;
+}
+
+// Signed-in users only see their own sessions, and anonymous clients (authentication off) the ones made
+// with their client token. Sessions saved before sessions had owners stay open to anonymous clients.
+function canAccessSession(session, req) {
+    if (req.user) return session.owner === req.user.id;
+    return !session.owner || session.owner === requestOwner(req);
+}
+
+// Loads a session the request may use from the store, upgrading sessions saved before attachments existed.
+// Another user's (or client's) session is reported as missing, so its ID reveals nothing.
+async function loadSession(sessionId, req) {
+    const session = sessionId ? await sessionStore.get(sessionId) : null;
+    return session && canAccessSession(session, req) ? upgradeLegacySession(session) : null;
+}
+
+// Search across past sessions (lib/searchIndex.js). Like the sessions, the index is only written to disk
+// with the file store; the background pass also drops the sessions that expired or were deleted. With
+// redaction on, a session's texts are embedded with its own placeholders, on a copy of its vault: indexing
+// is not a request of the session's user and leaves its placeholders and audit alone.
+const searchIndex = new SearchIndex({
+    filePath: config.sessionStore === 'file' ? config.searchIndexFile : null,
+    model: config.embeddingModel,
+    redactorFor: session => config.redactPii ? new Redactor({
+        attachments: session.attachments,
+        redaction: session.redaction ? { placeholders: structuredClone(session.redaction.placeholders), audit: [] } : undefined
+    }, { detectors: config.redactDetectors, columns: config.redactColumns, restore: false }) : null
+});
+if (config.searchIndexIntervalMinutes > 0) {
+    setInterval(async () => {
+        try {
+            await searchIndex.update(await sessionStore.list(), { prune: true });
+        } catch (error) {
+            console.error("❌ [SEARCH] Index update failed:", error.message);
+        }
+    }, config.searchIndexIntervalMinutes * 60 * 1000).unref();
+}
+
+// System prompt templates and presets (lib/prompts.js): the templates are read from config.promptDir at startup.
+const promptLibrary = new PromptLibrary(config.promptDir);
+const presetStore = new PresetStore(config.presetsFile, promptLibrary);
+
+// Values for the {{variables}} of templates and presets.
+// The label of the attachment's format ("Excel workbook"); CSV and PDF files of the older routes carry no format.
+function describeFileType(attachment) {
+    const format = listFormats().find(entry => entry.format === (attachment.format || attachment.type));
+    return format ? format.label : attachment.type;
+}
+
+function promptVariables(req, session, attachment = null) {
+    return {
+        dateTime: getSystemDateTime(),
+        location: DEFAULT_LOCATION,
+        user: req.user ? req.user.username : '',
+        attachment: attachment ? formatAttachmentList([attachment]).replace(/^- /, '') : '',
+        fileType: attachment ? describeFileType(attachment) : '',
+        attachments: formatAttachmentList(session.attachments),
+        preset: session.preset ? session.preset.name : ''
+    };
+}
+
+// Adds the system prompt rendered from template `id`, once per session: a later request keeps the first
+// rendering, so the instructions do not pile up as more files are attached.
+function addTemplatePrompt(req, session, id, attachment = null) {
+    const { content, template, version } = promptLibrary.render(id, promptVariables(req, session, attachment));
+    if (addSystemPrompt(session, content, { template: template, templateVersion: version })) {
+        console.log(`[PROMPTS] Added the ${template} prompt (version ${version}, ${content.length} characters) to the session.`);
+    }
+}
+
+// Reads the request's `preset`: undefined leaves the session's preset as it is, '' or null switches it
+// off, and an ID picks that preset (a PromptError with 404 when there is none).
+function readPresetSelection(body) {
+    if (body.preset === undefined) return undefined;
+    if (body.preset === null || body.preset === '') return null;
+    if (typeof body.preset !== 'string') throw new PromptError('`preset` must be a preset ID, or null for none.');
+    return presetStore.get(body.preset);
+}
+
+// Switches the session to the selected preset. Its instructions become a system prompt of their own,
+// replacing the previous preset's; a preset edited since it was picked is applied again in its new version.
+function applyPreset(req, session, selection) {
+    if (selection === undefined) return;
+    const current = session.preset || null;
+    if (selection ? current && current.id === selection.id && current.version === selection.version : !current) return;
+    removeSystemPrompts(session, message => Boolean(message.preset));
+    session.preset = selection ? { id: selection.id, name: selection.name, version: selection.version } : null;
+    if (selection) {
+        const content = promptLibrary.renderText(selection.instructions, promptVariables(req, session));
+        addSystemPrompt(session, content, { preset: selection.id, presetVersion: selection.version });
+    }
+    console.log(`[PROMPTS] Session preset: ${selection ? `${selection.id} (version ${selection.version})` : 'none'}.`);
+}
+
+// What an analyze turn changes in the session: the new attachment, its system prompts, the preset, the
+// question and the summary of older messages. A failed turn puts all of it back (Object.assign).
+function snapshotTurn(session) {
+    return {
+        history: session.history.slice(),
+        attachments: session.attachments.slice(),
+        nextAttachmentNumber: session.nextAttachmentNumber,
+        preset: session.preset,
+        memory: session.memory
     };
-    const formatter = new Intl.DateTimeFormat('en-IN', options);
-    return `The current date and time in Adimali, Kerala, India is: ${formatter.format(now)}.`;
 }
 
-async function getWeather(location = 'Adimali, Kerala, India') {
-    console.log(`[UTILITY] Fetching dummy weather for ${location}`);
-    return `The current weather in ${location} is sunny with a temperature of 30°C.`;
+// Reads the optional per-request `model` and `options` fields, falling back to the configured model.
+function getModelSelection(body, fallbackModel) {
+    if (body.model !== undefined && body.model !== null && (typeof body.model !== 'string' || !body.model.trim())) {
+        return { error: '❌ `model` must be a non-empty string.' };
+    }
+    const { options, error } = parseModelOptions(body.options);
+    if (error) {
+        return { error: `❌ ${error}` };
+    }
+    return { model: body.model ? body.model.trim() : fallbackModel, options: options };
 }
 
-async function dispatchTool(userQuestion) {
-    userQuestion = userQuestion.toLowerCase();
-    console.log(`[DISPATCH-TOOL] Checking for tool use for question: "${userQuestion}"`);
+// Sets the request's Redactor for `session` (see lib/redaction.js): everything the request sends to the model
+// goes out with placeholders for personal data, restored in the reply for users allowed to see the values.
+function startRedaction(req, session) {
+    if (!config.redactPii) return null;
+    const redactor = new Redactor(session, {
+        detectors: config.redactDetectors,
+        columns: config.redactColumns,
+        restore: canSeeRedactedValues(req.user),
+        requestId: getRequestId(),
+        route: req.route ? req.route.path : req.path
+    });
+    useRedactor(redactor);
+    return redactor;
+}
 
-    if (userQuestion.includes("today's date") || userQuestion.includes("current date") ||
-        userQuestion.includes("what date is it") || userQuestion.includes("current time") ||
-        userQuestion.includes("what time is it") || userQuestion.includes("date and time")) {
-        console.log("[DISPATCH-TOOL] Date/Time tool detected.");
-        return { toolUsed: 'get_date_time', data: getSystemDateTime() };
+// Logs how many values of each kind a request (or batch-job file) sent to the model as placeholders.
+function logRedactionSummary(redactor) {
+    const redacted = redactor ? Object.entries(redactor.summary()) : [];
+    if (redacted.length > 0) {
+        console.log(`[REDACTION] Sent ${redacted.map(([label, count]) => `${count} ${label}`).join(', ')} to the model as placeholders (${redactor.restoreReplies ? 'restored' : 'not restored'} in the reply).`);
     }
+}
 
-    if (userQuestion.includes("weather") || userQuestion.includes("temperature")) {
-        const locationMatch = userQuestion.match(/weather in (.+)/);
-        const location = locationMatch ? locationMatch[1].trim() : 'Adimali, Kerala, India';
-        console.log(`[DISPATCH-TOOL] Weather tool detected for location: ${location}.`);
-        return { toolUsed: 'get_weather', data: await getWeather(location) };
+// Query results, charts and excerpts the server builds from the real values get placeholders again for users
+// who may not see the values, like the model's replies (strings anywhere in `value`, numbers that hold one).
+function maskForUser(value) {
+    const redactor = currentRedactor();
+    if (!redactor || redactor.restoreReplies) return value;
+    if (typeof value === 'string') return redactor.mask(value);
+    if (typeof value === 'number') {
+        const masked = redactor.mask(String(value));
+        return masked === String(value) ? value : masked;
     }
-    console.log("[DISPATCH-TOOL] No tool detected.");
-    return { toolUsed: null };
+    if (Array.isArray(value)) return value.map(maskForUser);
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, maskForUser(item)]));
+    return value;
+}
+
+// redactRestore: "all" users, only "admins" (everyone while authentication is off, as with the admin routes), or "none".
+function canSeeRedactedValues(user) {
+    if (config.redactRestore === 'all') return true;
+    if (config.redactRestore === 'admins') return !config.authRequired || Boolean(user && user.admin);
+    return false;
 }
 
-// Helper function to call Ollama's generate endpoint for content
-async function callOllamaGenerate(model, prompt, images = []) {
-    console.log(`[OLLAMA-GENERATE-HELPER] Calling Ollama /api/generate. Model: ${model}, Prompt length: ${prompt.length}, Image count: ${images.length}`);
+// Tables sent to the model as raw rows (when /generate-csv combines several attachments) are capped at this many rows.
+const MAX_CSV_ROWS_IN_PROMPT = 500;
+
+// Helper function to call Ollama's generate endpoint for content. `format` is 'json' or a JSON schema the reply must follow.
+// Personal data in the prompt is replaced with placeholders first when the request has a Redactor (lib/redaction.js).
+async function callOllamaGenerate(model, prompt, images = [], options = undefined, format = undefined) {
+    console.log(`[OLLAMA-GENERATE-HELPER] Calling Ollama /api/generate. Model: ${model}, Prompt length: ${prompt.length}, Image count: ${images.length}${format ? ', structured output' : ''}`);
+    const redactor = currentRedactor();
     try {
-        const response = await axios.post('http://localhost:11434/api/generate', {
-            model: model, prompt: prompt, images: images, stream: false
-        });
+        const response = await trackOllamaCall(model, 'generate', started => ollamaQueue.run(model, signal => {
+            started();
+            return axios.post(`${OLLAMA_HOST}/api/generate`, {
+                model: model, prompt: redactor ? redactor.redact(prompt) : prompt, images: images, options: options, format: format, stream: false
+            }, { signal: signal });
+        }), reply => getUsage(reply.data));
         console.log(`[OLLAMA-GENERATE-HELPER] Received response from Ollama /api/generate. Response length: ${response.data.response.length}`);
-        return response.data.response;
+        return redactor ? redactor.restoreReply(response.data.response) : response.data.response;
     } catch (error) {
         console.error(`❌ [OLLAMA-GENERATE-HELPER] Error calling Ollama generate API with model ${model}:`, error.message);
         if (error.response) {
             console.error(`Ollama API error status: ${error.response.status}`);
             console.error(`Ollama API error data:`, error.response.data);
         }
-        throw new Error("Failed to generate content from Ollama.");
+        throw toOllamaError(error, model);
+    }
+}
+
+// Helper function to call Ollama's chat endpoint. Returns the assistant message ({ role, content, tool_calls }),
+// plus `usage` ({ promptTokens, completionTokens }) and `doneReason` from Ollama's final stats.
+// When onToken is provided the reply is streamed and every partial chunk is passed to it as it arrives.
+// The call holds a slot of the Ollama queue until the reply (or the stream) has finished; its latency and
+// token counts are recorded for GET /metrics. Failures become OllamaErrors (unreachable, model missing, model error).
+// When the request has a Redactor (lib/redaction.js) the messages go out with placeholders for personal data,
+// and the reply (streamed tokens included) is restored if the user may see the values.
+async function callOllamaChat(model, messages, { onToken = null, tools = null, options = undefined, format = undefined } = {}) {
+    const redactor = currentRedactor();
+    const body = { model: model, messages: redactor ? redactor.redactMessages(messages) : messages, options: options, format: format, stream: Boolean(onToken) };
+    if (tools && tools.length > 0) {
+        body.tools = tools;
+    }
+    const onReplyToken = redactor && onToken ? redactor.restoreStream(onToken) : onToken;
+    try {
+        const reply = await trackOllamaCall(model, 'chat', started => ollamaQueue.run(model, signal => {
+            started();
+            return onReplyToken ? streamOllamaChat(body, onReplyToken, signal) : postOllamaChat(body, signal);
+        }), reply => reply.usage);
+        if (!redactor) return reply;
+        if (onReplyToken) onReplyToken.flush();
+        return { ...reply, content: redactor.restoreReply(reply.content) };
+    } catch (error) {
+        throw toOllamaError(error, model);
+    }
+}
+
+async function postOllamaChat(body, signal) {
+    const response = await axios.post(`${OLLAMA_HOST}/api/chat`, body, { signal: signal });
+    return { ...response.data.message, usage: getUsage(response.data), doneReason: response.data.done_reason };
+}
+
+async function streamOllamaChat(body, onToken, signal) {
+    const response = await axios.post(`${OLLAMA_HOST}/api/chat`, body, { responseType: 'stream', signal: signal });
+    const message = { role: 'assistant', content: '' };
+
+    // A cancelled or timed-out call stops reading the stream; the queue turns this into its QueueError.
+    await readNdjson(response.data, (part) => {
+        if (part.error) {
+            throw new Error(`Ollama stream error: ${part.error}`);
+        }
+        if (part.done) {
+            message.usage = getUsage(part);
+            message.doneReason = part.done_reason;
+        }
+        if (!part.message) return;
+        if (part.message.tool_calls && part.message.tool_calls.length > 0) {
+            message.tool_calls = (message.tool_calls || []).concat(part.message.tool_calls);
+        }
+        if (part.message.content) {
+            message.content += part.message.content;
+            onToken(part.message.content);
+        }
+    }, { signal: signal });
+    return message;
+}
+
+function getUsage(ollamaResponse) {
+    return { promptTokens: ollamaResponse.prompt_eval_count || 0, completionTokens: ollamaResponse.eval_count || 0 };
+}
+
+// --- Tool Calling Loop ---
+// Offers the registered tools to the model, runs any tool_calls it returns and feeds the results back
+// as `tool` messages until it produces a normal answer. Intermediate messages are appended to history.
+const MAX_TOOL_ROUNDS = 5;
+const modelsWithoutToolSupport = new Set();
+
+// `extraTools` are tool definitions supplied by the caller (e.g. an OpenAI client) that the server cannot run:
+// when the model calls one of them the reply is returned as-is so the caller can handle the tool_calls.
+// The returned message's `usage` covers every round.
+async function callOllamaChatWithTools(model, history, { onToken = null, options = undefined, extraTools = [] } = {}) {
+    const extraToolNames = new Set(extraTools.map(tool => tool.function.name));
+    const usage = { promptTokens: 0, completionTokens: 0 };
+    const addUsage = (reply) => {
+        if (reply.usage) {
+            usage.promptTokens += reply.usage.promptTokens;
+            usage.completionTokens += reply.usage.completionTokens;
+        }
+        return { ...reply, usage: { ...usage } };
+    };
+
+    for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+        const serverTools = modelsWithoutToolSupport.has(model) ? [] : getToolDefinitions().filter(tool => !extraToolNames.has(tool.function.name));
+        const tools = modelsWithoutToolSupport.has(model) ? null : serverTools.concat(extraTools);
+        let reply;
+        try {
+            reply = await callOllamaChat(model, history, { onToken, tools, options });
+        } catch (error) {
+            const status = error.response && error.response.status;
+            if (tools && status === 400) {
+                // Models such as llama3.2-vision reject the `tools` field; remember that and answer without tools.
+                console.warn(`⚠️ [TOOL-LOOP] Model ${model} rejected tool definitions. Continuing without tools.`);
+                modelsWithoutToolSupport.add(model);
+                return addUsage(await callOllamaChat(model, history, { onToken, options }));
+            }
+            throw error;
+        }
+
+        if (!reply.tool_calls || reply.tool_calls.length === 0) {
+            return addUsage(reply);
+        }
+        if (reply.tool_calls.some(toolCall => extraToolNames.has(toolCall.function.name))) {
+            console.log(`[TOOL-LOOP] Round ${round + 1}: model called caller-defined tool(s). Returning the tool calls.`);
+            return addUsage({ ...reply, tool_calls: reply.tool_calls.filter(toolCall => extraToolNames.has(toolCall.function.name)) });
+        }
+
+        console.log(`[TOOL-LOOP] Round ${round + 1}: model requested ${reply.tool_calls.length} tool call(s).`);
+        addUsage(reply);
+        history.push({ role: 'assistant', content: reply.content || '', tool_calls: reply.tool_calls });
+        for (const toolCall of reply.tool_calls) {
+            const result = await executeToolCall(toolCall);
+            history.push({ role: 'tool', content: result, tool_name: toolCall.function.name });
+        }
+    }
+
+    console.warn(`⚠️ [TOOL-LOOP] Reached ${MAX_TOOL_ROUNDS} tool rounds. Asking for a final answer without tools.`);
+    return addUsage(await callOllamaChat(model, history, { onToken, options }));
+}
+
+// --- Context Window ---
+// Session routes send Ollama a view of session.history that fits the model's context window
+// (lib/contextWindow.js); older turns are summarized by the same model when needed.
+async function summarizeConversation(model, previousSummary, messages, options) {
+    const reply = await callOllamaChat(model, buildSummaryMessages(previousSummary, messages), { options: { ...options, temperature: 0 } });
+    return reply.content.trim();
+}
+
+// Returns { messages, options, stats } for the next call: the messages to send, the options with num_ctx set,
+// and what is reported to the client as `contextWindow`.
+async function prepareConversation(session, model, options, tag) {
+    const contextOptions = getContextOptions(model, options);
+    const context = await buildContextMessages(session, {
+        budget: getContextBudget(model, options),
+        summarize: (previousSummary, messages) => summarizeConversation(model, previousSummary, messages, contextOptions)
+    });
+    console.log(`[${tag}] Context: ~${context.promptTokens}/${context.budget} tokens in ${context.messages.length} of ${session.history.length} history messages${context.summarizedMessages ? ` (${context.summarizedMessages} older messages summarized)` : ''}.`);
+    return {
+        messages: context.messages,
+        options: contextOptions,
+        stats: {
+            promptTokens: context.promptTokens,
+            budget: context.budget,
+            summarizedMessages: context.summarizedMessages,
+            droppedMessages: context.droppedMessages
+        }
+    };
+}
+
+// --- Structured CSV Generation ---
+// /generate-csv requests its rows with a JSON schema `format` and checks each one against the column schema
+// (lib/csvSchema.js). Rows that fail are sent back to the model for repair up to MAX_CSV_REPAIR_ROUNDS times;
+// rows still invalid after that are left out of the CSV and listed in the validation report.
+const MAX_CSV_REPAIR_ROUNDS = 2;
+
+// Returns { rows, columns, report }. `columns` may be null, in which case any plain-valued rows are accepted.
+async function generateValidatedRows(model, prompt, request, images, options, columns) {
+    const format = toRowsJsonSchema(columns);
+    let rows = null;
+    for (let attempt = 1; attempt <= 2 && !rows; attempt++) {
+        const parsed = tryParseJson(await callOllamaGenerate(model, prompt, images, options, format));
+        rows = parsed && (Array.isArray(parsed) ? parsed : Array.isArray(parsed.rows) ? parsed.rows : null);
+        if (!rows) console.warn(`⚠️ [GENERATE-CSV] Attempt ${attempt}: the reply did not contain a "rows" array.`);
+    }
+    if (!rows) {
+        throw new Error('The model did not return rows in the requested JSON format.');
+    }
+
+    const schema = columns || inferColumnsFromRows(rows);
+    const results = rows.map(row => validateRow(row, schema));
+    let repairedRows = 0;
+    let repairRounds = 0;
+    for (let round = 1; round <= MAX_CSV_REPAIR_ROUNDS; round++) {
+        const invalid = results
+            .map((result, index) => ({ index: index, row: rows[index], errors: result.errors }))
+            .filter(item => item.errors.length > 0);
+        if (invalid.length === 0) break;
+        repairRounds = round;
+        console.log(`[GENERATE-CSV] Repair round ${round}: ${invalid.length} invalid row(s).`);
+        const parsed = tryParseJson(await callOllamaGenerate(model, buildRepairPrompt(request, schema, invalid), [], options, toRowsJsonSchema(schema)));
+        const fixed = parsed && Array.isArray(parsed.rows) ? parsed.rows : [];
+        invalid.forEach((item, i) => {
+            if (fixed[i] === undefined) return;
+            rows[item.index] = fixed[i];
+            results[item.index] = validateRow(fixed[i], schema);
+            if (results[item.index].errors.length === 0) repairedRows++;
+        });
+    }
+
+    const dropped = results
+        .map((result, index) => ({ row: index + 1, errors: result.errors }))
+        .filter(item => item.errors.length > 0);
+    const validResults = results.filter(result => result.errors.length === 0);
+    return {
+        rows: validResults.map(result => result.row),
+        columns: schema,
+        report: {
+            columns: schema,
+            rowsGenerated: rows.length,
+            validRows: validResults.length,
+            coercedRows: validResults.filter(result => result.coerced).length,
+            repairedRows: repairedRows,
+            droppedRows: dropped.length,
+            repairRounds: repairRounds,
+            // Only the first problems are listed; droppedRows has the full count.
+            errors: dropped.slice(0, 20)
+        }
+    };
+}
+
+// --- CSV Query Planning ---
+// The model only plans a query (JSON mode, temperature 0); lib/csvQuery.js runs it on the real records.
+// An invalid plan is sent back once with the engine's error so the model can correct it.
+// Returns { query, columns, rows, totalRows }, or null when the request needs no data from the table.
+async function planAndRunCsvQuery(model, request, records, options, { requireQuery = false } = {}) {
+    const messages = [
+        { role: 'system', content: buildQueryPlannerPrompt(records) },
+        { role: 'user', content: requireQuery ? `${request}\n\n(This request must produce table rows, so "needsData" must be true.)` : request }
+    ];
+    let lastError = null;
+    for (let attempt = 1; attempt <= 2; attempt++) {
+        const reply = await callOllamaChat(model, messages, { format: 'json', options: { ...options, temperature: 0 } });
+        const plan = tryParseJson(restorePlaceholders(reply.content));
+        if (!plan) {
+            lastError = 'The reply was not a JSON object.';
+        } else if (!plan.needsData && !requireQuery) {
+            console.log(`[CSV-QUERY] Planner decided no table data is needed.`);
+            return null;
+        } else {
+            try {
+                const result = runQuery(records, plan.query);
+                console.log(`[CSV-QUERY] Ran query ${logger.content(plan.query)}. ${result.totalRows} result row(s).`);
+                return { query: plan.query, ...result };
+            } catch (error) {
+                if (!(error instanceof QueryError)) throw error;
+                lastError = error.message;
+            }
+        }
+        console.warn(`⚠️ [CSV-QUERY] Attempt ${attempt} produced an invalid query: ${lastError}`);
+        messages.push({ role: 'assistant', content: reply.content });
+        messages.push({ role: 'user', content: `That is not a valid query: ${lastError} Reply with a corrected JSON object.` });
+    }
+    throw new QueryError(`Could not plan a valid query: ${lastError}`);
+}
+
+// Same idea for charts: the model only picks the chart spec and lib/chartRenderer.js aggregates
+// the real records and draws the SVG. Returns { svg, spec, points, truncated }.
+async function planAndRenderChart(model, request, records, options) {
+    const messages = [
+        { role: 'system', content: buildChartPlannerPrompt(summarizeTable(records)) },
+        { role: 'user', content: request }
+    ];
+    let lastError = null;
+    for (let attempt = 1; attempt <= 2; attempt++) {
+        const reply = await callOllamaChat(model, messages, { format: 'json', options: { ...options, temperature: 0 } });
+        const spec = tryParseJson(restorePlaceholders(reply.content));
+        try {
+            const chart = renderChart(records, spec);
+            console.log(`[CHART] Rendered ${chart.spec.type} chart ${logger.content(chart.spec)} with ${chart.points.length} point(s).`);
+            return chart;
+        } catch (error) {
+            if (!(error instanceof ChartSpecError) && !(error instanceof QueryError)) throw error;
+            lastError = error.message;
+        }
+        console.warn(`⚠️ [CHART] Attempt ${attempt} produced an invalid chart spec: ${lastError}`);
+        messages.push({ role: 'assistant', content: reply.content });
+        messages.push({ role: 'user', content: `That chart spec is not valid: ${lastError} Reply with a corrected JSON object.` });
+    }
+    throw new ChartSpecError(`Could not plan a valid chart: ${lastError}`);
+}
+
+// Attachments a request refers to besides the one it just added: the explicit `attachmentIds`,
+// otherwise the ones named in the prompt. Throws AttachmentError for unknown IDs.
+function getReferencedAttachments(session, body, prompt) {
+    return body.attachmentIds !== undefined
+        ? resolveAttachments(session, body.attachmentIds, prompt)
+        : findMentionedAttachments(session, prompt);
+}
+
+// Builds the prompt context for the attachments a request targets. CSVs get exact query results,
+// PDFs and other documents the chunks most relevant to the question, and images are passed to the model as images.
+// The attachment named in `introduce` was just added, so it also gets its table summary (or its
+// full text when it could not be indexed); the others were introduced on earlier turns.
+// Returns { text, images, citations, queryResults }.
+async function buildAttachmentContext(model, question, attachments, options, { introduce = null, includeImages = true } = {}) {
+    const sections = [];
+    const images = [];
+    const citations = [];
+    const queryResults = [];
+    for (const attachment of attachments) {
+        const label = `[${attachment.id}] ${attachment.name}`;
+        if (attachment.type === 'csv') {
+            let section = '';
+            if (attachment.id === introduce) {
+                section += `\nTable summary (JSON):\n\`\`\`json\n${JSON.stringify(summarizeTable(attachment.records), null, 2)}\n\`\`\`\n`;
+            }
+            if (attachment.records.length > 0) {
+                try {
+                    const result = await planAndRunCsvQuery(model, question, attachment.records, options);
+                    if (result) {
+                        queryResults.push(maskForUser({ attachmentId: attachment.id, ...result }));
+                        section += `\nExact query results computed by the server from all ${attachment.records.length} rows:\n${formatQueryResult(result)}\n`;
+                    }
+                } catch (queryError) {
+                    console.warn(`⚠️ [ATTACHMENTS] Query planning for ${attachment.id} failed (${queryError.message}). Continuing without query results.`);
+                }
+            }
+            if (section) sections.push(`${label}${section}`);
+        } else if (isDocument(attachment)) {
+            if (attachment.documentIndex) {
+                try {
+                    const hits = await searchDocumentIndex(attachment.documentIndex, question);
+                    citations.push(...maskForUser(toCitations(hits).map(citation => ({ attachmentId: attachment.id, attachmentName: attachment.name, ...citation }))));
+                    sections.push(`${label}\nRelevant document excerpts (cite them with their page numbers):\n\`\`\`\n${formatExcerpts(hits)}\n\`\`\`\n`);
+                    console.log(`[ATTACHMENTS] Retrieved ${hits.length} of ${attachment.documentIndex.chunks.length} chunk(s) from ${attachment.id}.`);
+                    continue;
+                } catch (retrievalError) {
+                    console.warn(`⚠️ [ATTACHMENTS] Document retrieval for ${attachment.id} failed (${retrievalError.message}).`);
+                }
+            }
+            if (attachment.id === introduce) {
+                sections.push(`${label}\nDocument Text:\n\`\`\`\n${attachment.text}\n\`\`\`\n`);
+            }
+        } else if (attachment.type === 'image' && includeImages) {
+            images.push(attachment.image);
+            sections.push(`${label}: passed to you as image ${images.length}.`);
+        }
+    }
+    return { text: sections.join('\n'), images, citations, queryResults };
+}
+
+// Prompt header listing every attachment, so the model can tell them apart once a session has several.
+function attachmentListHeader(session) {
+    return session.attachments.length > 1
+        ? `\n\nAttachments in this session (refer to them by their ID):\n${formatAttachmentList(session.attachments)}\n`
+        : '';
+}
+
+// The model's reply as the routes report it: a plain answer, or a request to generate a file.
+function readFileRequest(answer) {
+    for (const [prefix, fileType] of [['CSV_REQUEST:', 'csv'], ['IMAGE_REQUEST:', 'image']]) {
+        if (answer.startsWith(prefix)) return { fileType: fileType, generationPrompt: answer.substring(prefix.length).trim() };
+    }
+    return { fileType: null, generationPrompt: null };
+}
+
+// --- Streaming Response Helpers ---
+// Streaming routes answer with NDJSON: one {"type":"token"} line per chunk, then a final
+// {"type":"done"} (or {"type":"error"}) line carrying the same payload the JSON response would have.
+// While a call waits in the Ollama queue, {"type":"queued","position"} lines come before the tokens.
+function writeStreamLine(res, payload) {
+    if (!res.headersSent) {
+        res.status(200);
+        res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.flushHeaders();
+    }
+    res.write(JSON.stringify(payload) + '\n');
+}
+
+function createTokenStreamer(res) {
+    return (content) => writeStreamLine(res, { type: 'token', content: content });
+}
+
+function sendResult(res, statusCode, payload) {
+    if (res.headersSent) {
+        const type = statusCode >= 400 ? 'error' : 'done';
+        res.end(JSON.stringify({ type: type, status: statusCode, ...payload }) + '\n');
+        return;
     }
+    res.status(statusCode).json(payload);
+}
+
+// --- Request Tracking ---
+// Routes that call Ollama register the request with the queue: its ID (the client's `requestId`, else the
+// request's correlation ID when it fits, or a new one) is returned in the X-Request-Id header and used in
+// the logs, and the request's queued and running Ollama calls are aborted when the client disconnects or
+// POST /requests/:requestId/cancel is called. Streamed NDJSON replies also report the queue position;
+// the OpenAI routes stream server-sent events and skip that. The request also gets a redaction scope, which
+// the route fills with the session's Redactor (startRedaction); what it redacted is logged when it ends.
+function trackRequest({ queueFeedback = true } = {}) {
+    return (req, res, next) => {
+        const requestedId = req.body && req.body.requestId;
+        if (requestedId !== undefined && (typeof requestedId !== 'string' || !REQUEST_ID_PATTERN.test(requestedId))) {
+            return res.status(400).json({ error: '❌ `requestId` must be 1-64 letters, digits, "-" or "_".' });
+        }
+        if (requestedId && getRequest(requestedId)) {
+            return res.status(409).json({ error: `❌ A request with ID "${requestedId}" is already running.` });
+        }
+        const correlationId = getRequestId();
+        const requestId = requestedId || (correlationId && REQUEST_ID_PATTERN.test(correlationId) && !getRequest(correlationId) ? correlationId : uuidv4());
+        setRequestId(requestId);
+        const streaming = queueFeedback && req.body && (req.body.stream === true || req.body.stream === 'true');
+        const request = startRequest(requestId, {
+            owner: requestOwner(req),
+            onQueued: streaming ? position => writeStreamLine(res, { type: 'queued', position: position, requestId: requestId }) : null
+        });
+        const redaction = { redactor: null };
+        res.setHeader('X-Request-Id', requestId);
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                console.warn(`⚠️ [QUEUE] Client disconnected from request ${requestId}; cancelling its Ollama calls.`);
+                cancelRequest(requestId, 'The client disconnected.');
+            }
+            finishRequest(request);
+            logRedactionSummary(redaction.redactor);
+        });
+        runInRequest(request, () => runInRedactionScope(redaction, next));
+    };
+}
+
+// Cancelled (499), timed-out (504) and refused (503) Ollama calls keep their status, as do an unreachable
+// Ollama (503), a missing model (404) and a failing model (502; see lib/ollamaHealth.js). Other failures are 500s.
+function failureStatus(error) {
+    return error instanceof QueueError || error instanceof OllamaError ? error.statusCode : 500;
+}
+
+// The machine-readable reason that goes with failureStatus: "ollama_unreachable", "model_missing", "model_error",
+// or the queue's "cancelled" / "timeout" / "queue_full" (undefined for other failures).
+function failureCode(error) {
+    return error instanceof QueueError || error instanceof OllamaError ? error.code : undefined;
 }
 
 // --- CSV <-> JSON Conversion Functions ---
@@ -131,111 +842,397 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'UI', 'index.html'));
 });
 
+// ---
+// ## List Installed Models (proxies Ollama's /api/tags for the UI's model picker)
+// ---
+app.get('/models', async (req, res) => {
+    console.log(`\n--- Endpoint: /models ---`);
+    try {
+        const response = await axios.get(`${OLLAMA_HOST}/api/tags`);
+        const models = (response.data.models || []).map(m => ({
+            name: m.name,
+            size: m.size,
+            modifiedAt: m.modified_at,
+            details: m.details
+        }));
+        console.log(`[MODELS] Ollama reported ${models.length} installed model(s).`);
+        res.status(200).json({
+            models: models,
+            defaultModel: OLLAMA_DEFAULT_MODEL,
+            multimodalModel: OLLAMA_MULTIMODAL_MODEL
+        });
+    } catch (error) {
+        console.error("❌ [MODELS] Error fetching model list from Ollama:", error.message);
+        res.status(502).json({ message: '❌ Failed to fetch models from Ollama', error: error.message });
+    }
+});
+
+// ---
+// ## Health Check: is Ollama reachable and are the configured models installed?
+// ---
+// Public (no API key needed), for monitors and load balancers: 200 while Ollama answers ("ok", or "degraded"
+// when a configured model is missing), 503 when it does not ("down").
+function configuredModels() {
+    return [
+        { role: 'default', name: OLLAMA_DEFAULT_MODEL },
+        { role: 'multimodal', name: OLLAMA_MULTIMODAL_MODEL },
+        { role: 'embedding', name: config.embeddingModel }
+    ];
+}
+
+app.get('/health', async (req, res) => {
+    const health = await checkOllamaHealth(configuredModels());
+    if (health.status !== 'ok') {
+        console.warn(`⚠️ [HEALTH] ${health.status}: ${health.ollama.error || `missing model(s) ${health.models.filter(model => !model.installed).map(model => model.name).join(', ')}`}`);
+    }
+    res.status(health.status === 'down' ? 503 : 200).json(health);
+});
+
+// Startup self-check: says right away when Ollama is down or a configured model still has to be pulled,
+// instead of leaving it to the first failing request.
+async function reportOllamaHealth() {
+    const health = await checkOllamaHealth(configuredModels());
+    if (!health.ollama.reachable) {
+        console.warn(`⚠️ [HEALTH] ${health.ollama.error} Routes that call a model answer 503 until it is up.`);
+        return;
+    }
+    console.log(`✅ [HEALTH] Ollama${health.ollama.version ? ` ${health.ollama.version}` : ''} is reachable at ${OLLAMA_HOST}.`);
+    for (const model of health.models) {
+        if (model.installed) {
+            console.log(`✅ [HEALTH] The ${model.role} model ${model.name} is installed.`);
+        } else {
+            console.warn(`⚠️ [HEALTH] The ${model.role} model ${model.name} is not installed. Pull it with \`ollama pull ${model.name}\` or POST /admin/models/pull.`);
+        }
+    }
+}
+
+// ---
+// ## Model Management (admin): pull and delete Ollama models
+// ---
+// With authRequired only users marked as admins (gd-assistant users admin <name>) may use these routes;
+// without it they are open like every other route.
+function requireAdmin(req, res, next) {
+    if (!config.authRequired || (req.user && req.user.admin)) return next();
+    res.status(403).json({ error: "❌ Only admins can manage models. Make a user an admin with: gd-assistant users admin <name>" });
+}
+
+// { model, [stream] }. Streamed, every progress line of Ollama becomes a {"type":"progress", status, digest,
+// total, completed} line before the final done / error line.
+app.post('/admin/models/pull', requireAdmin, async (req, res) => {
+    console.log(`\n--- Endpoint: POST /admin/models/pull ---`);
+    const requested = req.body && req.body.model;
+    if (typeof requested !== 'string' || !requested.trim()) {
+        return res.status(400).json({ error: "❌ `model` must be a non-empty string." });
+    }
+    const model = requested.trim();
+    const streamResponse = req.body.stream === true;
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+    });
+    console.log(`[MODELS] Pulling ${model}...`);
+    try {
+        let lastLogged = null;
+        await pullModel(model, progress => {
+            if (progress.status !== lastLogged) {
+                console.log(`[MODELS] ${model}: ${progress.status}`);
+                lastLogged = progress.status;
+            }
+            if (streamResponse) writeStreamLine(res, { type: 'progress', ...progress });
+        }, { signal: controller.signal });
+        console.log(`✅ [MODELS] Pulled ${model}.`);
+        sendResult(res, 200, { message: `✅ Model ${model} pulled`, model: model });
+    } catch (error) {
+        if (controller.signal.aborted) return console.warn(`⚠️ [MODELS] Client disconnected while pulling ${model}.`);
+        console.error(`❌ [MODELS] Pulling ${model} failed:`, error.message);
+        sendResult(res, failureStatus(error), { message: `❌ Failed to pull model ${model}`, error: error.message, code: failureCode(error) });
+    }
+});
+
+app.delete('/admin/models/:model', requireAdmin, async (req, res) => {
+    console.log(`\n--- Endpoint: DELETE /admin/models/:model ---`);
+    try {
+        await deleteModel(req.params.model);
+        console.log(`✅ [MODELS] Deleted ${req.params.model}.`);
+        res.status(200).json({ message: `✅ Model ${req.params.model} deleted`, model: req.params.model });
+    } catch (error) {
+        console.error(`❌ [MODELS] Deleting ${req.params.model} failed:`, error.message);
+        res.status(failureStatus(error)).json({ message: `❌ Failed to delete model ${req.params.model}`, error: error.message, code: failureCode(error) });
+    }
+});
+
+// ---
+// ## OpenAI-Compatible API: /v1/chat/completions, /v1/models and /v1/embeddings translated to Ollama
+// ---
+// Session-less: every request carries the whole conversation in `messages` and nothing is stored; personal
+// data is redacted with placeholders that only live for the request.
+// The assistant's own tools (date/time, weather) run on the server; tools defined by the client are
+// returned to it as tool_calls, the way OpenAI does.
+
+// Status, message and OpenAI error code for a failed Ollama call (e.g. 404 model_not_found when the requested
+// model is not installed, 503 ollama_unreachable when Ollama is down).
+function describeOllamaError(error) {
+    if (error instanceof QueueError) return { statusCode: error.statusCode, message: error.message, code: error.code };
+    if (!(error instanceof OllamaError)) return { statusCode: 500, message: error.message, code: null };
+    return { statusCode: error.statusCode, message: error.message, code: error.code === 'model_missing' ? 'model_not_found' : error.code };
+}
+
+app.post('/v1/chat/completions', trackRequest({ queueFeedback: false }), async (req, res) => {
+    console.log(`\n--- Endpoint: /v1/chat/completions ---`);
+    const body = req.body || {};
+    let messages;
+    let options;
+    let format;
+    let clientTools;
+    try {
+        messages = toOllamaMessages(body.messages);
+        options = toOllamaOptions(body);
+        format = toOllamaFormat(body.response_format);
+        clientTools = toOllamaTools(body.tools);
+        if (body.n !== undefined && body.n !== null && body.n !== 1) {
+            throw new OpenAIRequestError('Only n=1 is supported.', 'n');
+        }
+    } catch (error) {
+        if (!(error instanceof OpenAIRequestError)) throw error;
+        console.warn(`[OPENAI] Rejected request: ${error.message}`);
+        return res.status(error.statusCode).json(toOpenAIError(error.message, { param: error.param }));
+    }
+    const model = typeof body.model === 'string' && body.model.trim() ? body.model.trim() : OLLAMA_DEFAULT_MODEL;
+    const streamResponse = body.stream === true;
+    // Tools are skipped when the client turns them off or asks for JSON output.
+    const useTools = body.tool_choice !== 'none' && !format;
+    const completionId = createCompletionId();
+    startRedaction(req, createSession(requestOwner(req)));
+    console.log(`[OPENAI] Chat completion with model ${model}. Messages: ${messages.length}, client tools: ${clientTools.length}, stream: ${streamResponse}`);
+
+    // Server-sent events, as OpenAI streams: a role chunk, content chunks, a finish chunk, then [DONE].
+    const writeEvent = (payload) => res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    const startEventStream = () => {
+        if (res.headersSent) return;
+        res.status(200);
+        res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.flushHeaders();
+        writeEvent(toChatCompletionChunk(completionId, model, { role: 'assistant', content: '' }));
+    };
+    const onToken = streamResponse ? (content) => {
+        startEventStream();
+        writeEvent(toChatCompletionChunk(completionId, model, { content: content }));
+    } : null;
+
+    try {
+        const reply = useTools
+            ? await callOllamaChatWithTools(model, messages, { onToken, options, extraTools: clientTools })
+            : await callOllamaChat(model, messages, { onToken, options, format });
+        console.log(`[OPENAI] Completion finished. Length: ${(reply.content || '').length}, tool calls returned to client: ${(reply.tool_calls || []).length}`);
+
+        if (!streamResponse) {
+            return res.status(200).json(toChatCompletion(completionId, model, reply));
+        }
+        startEventStream();
+        const toolCalls = toOpenAIToolCalls(reply.tool_calls);
+        if (toolCalls.length > 0) {
+            writeEvent(toChatCompletionChunk(completionId, model, { tool_calls: toolCalls }));
+        }
+        writeEvent(toChatCompletionChunk(completionId, model, {}, toFinishReason(reply)));
+        if (body.stream_options && body.stream_options.include_usage) {
+            writeEvent({ ...toChatCompletionChunk(completionId, model, {}), choices: [], usage: toOpenAIUsage(reply.usage) });
+        }
+        res.end('data: [DONE]\n\n');
+    } catch (error) {
+        const { statusCode, message, code } = describeOllamaError(error);
+        console.error(`❌ [OPENAI] Chat completion failed (${statusCode}):`, message);
+        if (res.headersSent) {
+            writeEvent(toOpenAIError(message, { type: 'server_error', code: code }));
+            return res.end('data: [DONE]\n\n');
+        }
+        res.status(statusCode).json(toOpenAIError(message, { type: statusCode >= 500 ? 'server_error' : 'invalid_request_error', code: code }));
+    }
+});
+
+app.get('/v1/models', async (req, res) => {
+    console.log(`\n--- Endpoint: /v1/models ---`);
+    try {
+        const response = await axios.get(`${OLLAMA_HOST}/api/tags`);
+        res.status(200).json(toOpenAIModelList(response.data.models || []));
+    } catch (error) {
+        console.error("❌ [OPENAI] Error fetching model list from Ollama:", error.message);
+        res.status(502).json(toOpenAIError(`Failed to fetch models from Ollama: ${error.message}`, { type: 'server_error' }));
+    }
+});
+
+app.get('/v1/models/:model', async (req, res) => {
+    console.log(`\n--- Endpoint: /v1/models/:model ---`);
+    try {
+        const response = await axios.get(`${OLLAMA_HOST}/api/tags`);
+        const match = toOpenAIModelList(response.data.models || []).data.find(model => model.id === req.params.model);
+        if (!match) {
+            return res.status(404).json(toOpenAIError(`The model '${req.params.model}' does not exist`, { param: 'model', code: 'model_not_found' }));
+        }
+        res.status(200).json(match);
+    } catch (error) {
+        console.error("❌ [OPENAI] Error fetching model list from Ollama:", error.message);
+        res.status(502).json(toOpenAIError(`Failed to fetch models from Ollama: ${error.message}`, { type: 'server_error' }));
+    }
+});
+
+app.post('/v1/embeddings', trackRequest({ queueFeedback: false }), async (req, res) => {
+    console.log(`\n--- Endpoint: /v1/embeddings ---`);
+    const body = req.body || {};
+    const model = typeof body.model === 'string' && body.model.trim() ? body.model.trim() : config.embeddingModel;
+    let embeddingRequest;
+    try {
+        embeddingRequest = parseEmbeddingRequest(body);
+    } catch (error) {
+        if (!(error instanceof OpenAIRequestError)) throw error;
+        return res.status(error.statusCode).json(toOpenAIError(error.message, { param: error.param }));
+    }
+    try {
+        const { inputs, encodingFormat } = embeddingRequest;
+        startRedaction(req, createSession(requestOwner(req)));
+        console.log(`[OPENAI] Embedding ${inputs.length} input(s) with model ${model}.`);
+        const embeddings = [];
+        for (const input of inputs) {
+            embeddings.push(await embedText(input, model));
+        }
+        res.status(200).json(toEmbeddingList(model, embeddings, encodingFormat));
+    } catch (error) {
+        const { statusCode, message, code } = describeOllamaError(error);
+        console.error(`❌ [OPENAI] Embedding failed (${statusCode}):`, message);
+        res.status(statusCode).json(toOpenAIError(message, { type: statusCode >= 500 ? 'server_error' : 'invalid_request_error', code: code }));
+    }
+});
+
 // ---
 // ## PDF Analysis Endpoint
 // ---
-app.post('/analyze-pdf', async (req, res) => {
+app.post('/analyze-pdf', acceptUpload('pdf'), trackRequest(), async (req, res) => {
     console.log(`\n--- Endpoint: /analyze-pdf ---`);
-    const base64Pdf = req.body.pdf;
     const prompt = req.body.prompt || "Summarize the content of the PDF.";
+    const streamResponse = req.body.stream === true;
     let sessionId = req.body.sessionId;
+    const modelSelection = getModelSelection(req.body, OLLAMA_DEFAULT_MODEL);
+    if (modelSelection.error) {
+        return res.status(400).json({ error: modelSelection.error });
+    }
+    const { model, options } = modelSelection;
 
-    console.log(`[ANALYZE-PDF] Request start. Raw Session ID: ${sessionId}. Prompt: "${prompt}"`);
-    console.log(`[ANALYZE-PDF] Received PDF data length: ${base64Pdf ? base64Pdf.length : '0'}`);
+    console.log(`[ANALYZE-PDF] Request start. Raw Session ID: ${sessionId}. Prompt: ${logger.content(prompt)}`);
+
+    // The PDF comes from a multipart upload or, for older clients, as base64 in `pdf`.
+    let pdfBuffer;
+    try {
+        pdfBuffer = await readUploadedFile(req, 'pdf', 'pdf');
+    } catch (error) {
+        if (!(error instanceof UploadError)) throw error;
+        return res.status(error.statusCode).json({ error: `❌ ${error.message}` });
+    }
+    const fileName = req.body.fileName || (req.uploadedFile ? req.uploadedFile.originalName : null);
+    console.log(`[ANALYZE-PDF] Received PDF data length: ${pdfBuffer ? pdfBuffer.length : '0'} bytes${req.uploadedFile ? ' (multipart upload)' : ''}`);
 
-    // Initialize or get session data, including 'analyzedData'
-    if (!sessionId || !conversationHistories[sessionId]) {
+    await lockSession(sessionId, res);
+    // Initialize or get session data; the PDF is added to the session's attachments next to any earlier files
+    let session = await loadSession(sessionId, req);
+    if (!session) {
         sessionId = uuidv4();
-        conversationHistories[sessionId] = { history: [], analyzedData: null, analyzedImage: null };
+        session = createSession(requestOwner(req));
         console.log(`[ANALYZE-PDF] Initializing/Re-initializing session ID: ${sessionId}`);
-    } else {
-        // Clear previous analyzed data and image if a new PDF is uploaded
-        conversationHistories[sessionId].analyzedData = null;
-        conversationHistories[sessionId].analyzedImage = null;
     }
+    startRedaction(req, session);
+    const turnStart = snapshotTurn(session);
 
-    if (!base64Pdf) {
-        console.error("[ANALYZE-PDF] ERROR: No PDF data (base64) provided in request body.");
-        return res.status(400).json({ error: "❌ No PDF data (base64) provided." });
+    let presetSelection;
+    try {
+        presetSelection = readPresetSelection(req.body);
+    } catch (error) {
+        if (!(error instanceof PromptError)) throw error;
+        return res.status(error.statusCode).json({ error: `❌ ${error.message}` });
     }
 
-    // Convert base64 PDF data to a buffer
-    const pdfBuffer = Buffer.from(base64Pdf, 'base64');
+    if (!pdfBuffer) {
+        console.error("[ANALYZE-PDF] ERROR: No PDF provided in the request.");
+        return res.status(400).json({ error: "❌ No PDF provided. Upload it as the `file` field of a multipart/form-data request, or send it as base64 in `pdf`." });
+    }
 
     let pdfText;
+    let pdfPages;
+    let numPages;
     try {
         console.log("[ANALYZE-PDF] Attempting to parse PDF text...");
-        const data = await pdf(pdfBuffer);
+        const data = await extractPdfPages(pdfBuffer);
         pdfText = data.text;
-        console.log(`✅ [ANALYZE-PDF] PDF parsed. Extracted text length: ${pdfText.length}`);
+        pdfPages = data.pages;
+        numPages = data.numPages;
+        console.log(`✅ [ANALYZE-PDF] PDF parsed. Extracted text length: ${pdfText.length}, pages: ${data.numPages}`);
     } catch (parseError) {
         console.error("❌ [ANALYZE-PDF] Error parsing PDF content:", parseError.message);
         return res.status(400).json({ error: `❌ Failed to parse PDF content: ${parseError.message}` });
     }
 
-    // Store the extracted text as analyzed data in the session
-    conversationHistories[sessionId].analyzedData = pdfText;
-    console.log(`[ANALYZE-PDF] Extracted PDF text stored in session for analysis.`);
-    
-    // Add the system prompt for Ollama's response formatting
-    conversationHistories[sessionId].history.push({
-        role: 'system',
-        content: `You are an expert document analyst. The user has provided a document (PDF) and the text content has been extracted for you.
-        Your task is to analyze the text and respond to the user's request.
-
-        If the user asks you to extract tabular data into a NEW CSV, you MUST respond with the exact phrase "CSV_REQUEST: [Your detailed prompt for generating the transformed CSV from the document text]"
-        The prompt you provide after "CSV_REQUEST:" should be precise.
-        For example: "CSV_REQUEST: Extract all tables from the document into a single CSV."
-
-        If the user asks you to generate an image based on the document's content, respond with:
-        "IMAGE_REQUEST: [Your detailed prompt for generating the image, e.g., 'A diagram illustrating the main points of the document.']"
-        
-        Otherwise, provide a concise textual response summarizing your findings or answering the user's question.`
-    });
+    // Index the document so each question only sends the most relevant chunks to the model.
+    let documentIndex = null;
+    try {
+        documentIndex = await buildDocumentIndex(pdfPages, { name: fileName });
+    } catch (indexError) {
+        console.warn(`⚠️ [ANALYZE-PDF] Could not build the retrieval index (${indexError.message}). Falling back to the full document text.`);
+    }
 
-    // Construct the prompt for Ollama, including the current user prompt and the *extracted text*.
-    const fullPromptForOllama = `${prompt}\n\nDocument Text:\n\`\`\`\n${pdfText}\n\`\`\`\n`;
-    console.log(`[ANALYZE-PDF] Full prompt sent to Ollama (first 500 chars): "${fullPromptForOllama.substring(0, Math.min(fullPromptForOllama.length, 500))}"`);
+    let referencedAttachments;
+    try {
+        referencedAttachments = getReferencedAttachments(session, req.body, prompt);
+    } catch (error) {
+        if (!(error instanceof AttachmentError)) throw error;
+        return res.status(error.statusCode).json({ error: `❌ ${error.message}` });
+    }
 
-    conversationHistories[sessionId].history.push({ role: 'user', content: fullPromptForOllama });
-    console.log(`[ANALYZE-PDF] User message added to history. Current history length: ${conversationHistories[sessionId].history.length}`);
+    // Store the extracted text and its index as a new attachment in the session
+    const attachment = addAttachment(session, { type: 'pdf', name: fileName || 'document.pdf', text: pdfText, numPages: numPages, documentIndex: documentIndex });
+    console.log(`[ANALYZE-PDF] Extracted PDF text stored in session as attachment ${attachment.id}.`);
+    
+    // The document analyst prompt (prompts/document-analyst.md) and the session's preset, if one was picked
+    addTemplatePrompt(req, session, 'document-analyst', attachment);
+    applyPreset(req, session, presetSelection);
+
+    // Construct the prompt for Ollama, including the current user prompt and the retrieved excerpts
+    // (or the whole *extracted text* when no index could be built), plus any other attachment the prompt refers to.
+    const context = await buildAttachmentContext(model, prompt, [attachment, ...referencedAttachments], options, { introduce: attachment.id });
+    const fullPromptForOllama = `${prompt}${attachmentListHeader(session)}\n\n${context.text}`;
+    console.debug(`[ANALYZE-PDF] Full prompt sent to Ollama: ${logger.content(fullPromptForOllama, 500)}`);
+
+    session.history.push(context.images.length > 0 ? { role: 'user', content: fullPromptForOllama, images: context.images } : { role: 'user', content: fullPromptForOllama });
+    console.log(`[ANALYZE-PDF] User message added to history. Current history length: ${session.history.length}`);
     
     try {
-        console.log(`[ANALYZE-PDF] Calling Ollama /api/chat with model: ${OLLAMA_DEFAULT_MODEL}`);
-        const response = await axios.post('http://localhost:11434/api/chat', {
-            model: OLLAMA_DEFAULT_MODEL,
-            messages: conversationHistories[sessionId].history,
-            stream: false
-        });
-
-        let ollamaResponse = response.data.message.content;
-        console.log(`[ANALYZE-PDF] Received raw response from Ollama. Length: ${ollamaResponse.length}. Content preview: "${ollamaResponse.substring(0, Math.min(ollamaResponse.length, 200))}"`);
+        const conversation = await prepareConversation(session, model, options, 'ANALYZE-PDF');
+        console.log(`[ANALYZE-PDF] Calling Ollama /api/chat with model: ${model}`);
+        let ollamaResponse = (await callOllamaChat(model, conversation.messages, { onToken: streamResponse ? createTokenStreamer(res) : null, options: conversation.options })).content;
+        console.log(`[ANALYZE-PDF] Received raw response from Ollama. Length: ${ollamaResponse.length}. Content preview: ${logger.content(ollamaResponse)}`);
         
-        let fileTypeToGenerate = null;
-        let generationPrompt = null;
-
-        // Now, analyze-pdf is looking for CSV_REQUEST or IMAGE_REQUEST
-        if (ollamaResponse.startsWith('CSV_REQUEST:')) {
+        // Now, analyze-pdf looks for CSV_REQUEST or IMAGE_REQUEST
+        const { fileType: fileTypeToGenerate, generationPrompt } = readFileRequest(ollamaResponse);
+        if (fileTypeToGenerate === 'csv') {
             console.log("[ANALYZE-PDF] Ollama requested external CSV generation.");
-            fileTypeToGenerate = 'csv';
-            generationPrompt = ollamaResponse.substring('CSV_REQUEST:'.length).trim();
-        } else if (ollamaResponse.startsWith('IMAGE_REQUEST:')) {
+        } else if (fileTypeToGenerate === 'image') {
             console.log("[ANALYZE-PDF] Ollama requested IMAGE generation.");
-            fileTypeToGenerate = 'image';
-            generationPrompt = ollamaResponse.substring('IMAGE_REQUEST:'.length).trim();
         } else {
             console.log("[ANALYZE-PDF] Ollama returned a textual response, no file generation requested.");
         }
 
-        conversationHistories[sessionId].history.push({ role: 'assistant', content: ollamaResponse });
-        console.log(`[ANALYZE-PDF] Ollama's response added to history. New history length: ${conversationHistories[sessionId].history.length}`);
+        session.history.push({ role: 'assistant', content: ollamaResponse });
+        console.log(`[ANALYZE-PDF] Ollama's response added to history. New history length: ${session.history.length}`);
+        await persistSession(sessionId, session);
         
-        res.status(200).json({
+        sendResult(res, 200, {
             message: `✅ PDF analysis complete`,
             response: ollamaResponse,
             action: fileTypeToGenerate ? 'generate_file' : undefined,
             fileType: fileTypeToGenerate,
             generationPrompt: generationPrompt,
+            citations: context.citations.length > 0 ? context.citations : undefined,
+            queryResults: context.queryResults.length > 0 ? context.queryResults : undefined,
+            attachment: describeAttachment(attachment),
+            contextWindow: conversation.stats,
             sessionId: sessionId
         });
     } catch (error) {
@@ -244,13 +1241,13 @@ app.post('/analyze-pdf', async (req, res) => {
             console.error("❌ [ANALYZE-PDF] Ollama API Response Data:", error.response.data);
             console.error("❌ [ANALYZE-PDF] Ollama API Response Status:", error.response.status);
         }
-        if (conversationHistories[sessionId] && conversationHistories[sessionId].history.length > 0 && conversationHistories[sessionId].history[conversationHistories[sessionId].history.length - 1].role === 'user') {
-            conversationHistories[sessionId].history.pop();
-            console.log(`[ANALYZE-PDF] Removed last user message from history due to error. New history length: ${conversationHistories[sessionId].history.length}`);
-        }
-        res.status(500).json({
+        Object.assign(session, turnStart);
+        console.log(`[ANALYZE-PDF] Rolled back the attachment, prompts and question due to error. History length: ${session.history.length}`);
+        await persistSession(sessionId, session);
+        sendResult(res, failureStatus(error), {
             message: '❌ Failed to analyze PDF',
             error: error.message,
+            code: failureCode(error),
             sessionId: sessionId
         });
     }
@@ -259,68 +1256,116 @@ app.post('/analyze-pdf', async (req, res) => {
 // ---
 // ## CSV Generation Endpoint (Now Data-Aware using DeepSeek)
 // ---
-app.post('/generate-csv', async (req, res) => {
+app.post('/generate-csv', trackRequest(), async (req, res) => {
     console.log(`\n--- Endpoint: /generate-csv ---`);
-    const { prompt, sessionId } = req.body;
-    console.log(`[GENERATE-CSV] Received request. Prompt: "${prompt}", Session ID: "${sessionId}"`);
+    const { prompt, sessionId, attachmentId, columns } = req.body;
+    console.log(`[GENERATE-CSV] Received request. Prompt: ${logger.content(prompt)}, Session ID: "${sessionId}", Attachment: "${attachmentId || 'auto'}"`);
+    const modelSelection = getModelSelection(req.body, OLLAMA_DEFAULT_MODEL);
+    if (modelSelection.error) {
+        return res.status(400).json({ message: modelSelection.error });
+    }
+    const { model, options } = modelSelection;
 
     if (!prompt || prompt.trim().length === 0) {
         console.error("[GENERATE-CSV] ERROR: Prompt is empty.");
         return res.status(400).json({ message: '❌ Prompt for CSV generation cannot be empty.' });
     }
 
-    let fullPromptForOllama = prompt;
-    let dataForGeneration = null;
-
-    if (sessionId && conversationHistories[sessionId] && conversationHistories[sessionId].analyzedData) {
-        dataForGeneration = conversationHistories[sessionId].analyzedData;
-        console.log(`[GENERATE-CSV] Found analyzed data in session ${sessionId}.`);
-        
-        // Append the analyzed data to the prompt for Ollama
-        // Now, this data can be either a JSON array (from CSV analysis) or a raw text string (from PDF analysis)
-        let dataString = '';
-        if (Array.isArray(dataForGeneration)) {
-            dataString = JSON.stringify(dataForGeneration, null, 2);
-            console.log(`[GENERATE-CSV] Data for generation is a JSON array. Length: ${dataString.length}`);
-            fullPromptForOllama = `Based on the following data, please generate a CSV: ${prompt}\n\nData (JSON format):\n\`\`\`json\n${dataString}\n\`\`\`\n`;
-        } else if (typeof dataForGeneration === 'string') {
-            dataString = dataForGeneration;
-            console.log(`[GENERATE-CSV] Data for generation is a text string. Length: ${dataString.length}`);
-            fullPromptForOllama = `Based on the following document text, please generate a CSV: ${prompt}\n\nDocument Text:\n\`\`\`\n${dataString}\n\`\`\`\n`;
+    let columnSchema = null;
+    if (columns !== undefined) {
+        try {
+            columnSchema = parseColumnSchema(columns);
+        } catch (error) {
+            if (!(error instanceof ColumnSchemaError)) throw error;
+            return res.status(error.statusCode).json({ message: `❌ ${error.message}` });
         }
-    } else {
-        console.log("[GENERATE-CSV] No specific analyzed data found in session. Generating CSV based on prompt alone.");
     }
-    
+
+    let fullPromptForOllama = prompt;
+    let targetAttachments = [];
+
+    await lockSession(sessionId, res);
+    // `attachmentId` picks one attachment or "all"; without it the prompt's mentions (or else every attachment) are used.
+    const session = await loadSession(sessionId, req);
+    // Without a session the placeholders only live for this request.
+    startRedaction(req, session || createSession(requestOwner(req)));
+    if (session) {
+        try {
+            targetAttachments = resolveAttachments(session, attachmentId, prompt);
+        } catch (error) {
+            if (!(error instanceof AttachmentError)) throw error;
+            return res.status(error.statusCode).json({ message: `❌ ${error.message}` });
+        }
+    }
+    const imagesForOllama = targetAttachments.filter(attachment => attachment.type === 'image').map(attachment => attachment.image);
+
+    if (targetAttachments.length > 0) {
+        console.log(`[GENERATE-CSV] Using attachment(s) ${targetAttachments.map(attachment => attachment.id).join(', ')} from session ${sessionId}.`);
+        // Tabular data (from CSV analysis) goes through the query engine when it is the only target; otherwise
+        // the text of every targeted attachment is appended (PDF text, CSV rows as JSON, images passed as images).
+        const dataSections = targetAttachments.map(attachment => {
+            const label = `[${attachment.id}] ${attachment.name}`;
+            if (isDocument(attachment)) {
+                return `${label} (document text):\n\`\`\`\n${attachment.text}\n\`\`\``;
+            }
+            if (attachment.type === 'csv') {
+                const rows = attachment.records.slice(0, MAX_CSV_ROWS_IN_PROMPT);
+                const note = rows.length < attachment.records.length ? ` (first ${rows.length} of ${attachment.records.length} rows)` : '';
+                return `${label} (CSV rows as JSON${note}):\n\`\`\`json\n${JSON.stringify(rows)}\n\`\`\``;
+            }
+            return `${label}: passed to you as an image.`;
+        });
+        fullPromptForOllama = `Based on the following attached data, please generate a CSV: ${prompt}\n\n${dataSections.join('\n\n')}\n`;
+    } else {
+        console.log("[GENERATE-CSV] No attachments found in session. Generating CSV based on prompt alone.");
+    }
+
     try {
-        let ollamaPromptForJsonOutput = `${fullPromptForOllama}\n\n**IMPORTANT**: Output the result as a JSON array of objects, enclosed in triple backticks and 'json' tag. For example: \`\`\`json\n[{"Col1": "Val1"}, {"Col2": "Val2"}]\n\`\`\` No other text around the JSON.`;
-        const rawContentFromOllama = await callOllamaGenerate(OLLAMA_DEFAULT_MODEL, ollamaPromptForJsonOutput);
-        console.log(`[GENERATE-CSV] Ollama responded with raw content. Length: ${rawContentFromOllama.length}. Preview: "${rawContentFromOllama.substring(0, Math.min(rawContentFromOllama.length, 100))}"`);
-
-        let finalCsvContent;
-        const jsonBlockMatch = rawContentFromOllama.match(/```json\n([\s\S]*?)\n```/);
-        if (jsonBlockMatch && jsonBlockMatch[1]) {
-            console.log("[GENERATE-CSV] Detected embedded JSON in Ollama's response. Converting to CSV.");
-            const parsedJson = tryParseJson(jsonBlockMatch[1].trim());
-            if (parsedJson && Array.isArray(parsedJson)) {
-                finalCsvContent = await jsonToCsv(parsedJson);
-            } else {
-                console.warn("[GENERATE-CSV] Ollama returned a JSON block, but it's not a valid JSON array or parsing failed. Treating as raw CSV.");
-                finalCsvContent = rawContentFromOllama;
+        if (targetAttachments.length === 1 && targetAttachments[0].type === 'csv') {
+            // The rows come straight from the query engine, so the CSV holds the real values, not model output
+            // (placeholders for users who may not see the values).
+            const result = maskForUser(await planAndRunCsvQuery(model, prompt, targetAttachments[0].records, options, { requireQuery: true }));
+            const csvFromQuery = await jsonToCsv(result.rows);
+            if (!csvFromQuery || csvFromQuery.trim().length === 0) {
+                console.warn("[GENERATE-CSV] WARNING: The query matched no rows.");
+                return res.status(500).json({ message: '❌ Generated empty CSV. Please refine your prompt or data.', csvContent: '', fileName: 'empty_generated.csv', query: result.query, attachmentId: targetAttachments[0].id });
             }
-        } else {
-            console.warn("[GENERATE-CSV] Ollama did not return a JSON block. Assuming raw content is already CSV.");
-            finalCsvContent = rawContentFromOllama;
+            recordGeneratedFile(session, { type: 'csv', fileName: 'generated_data.csv', content: csvFromQuery, prompt: prompt });
+            await persistSession(sessionId, session);
+            return res.status(200).json({ message: '✅ CSV content generated successfully', csvContent: csvFromQuery, fileName: 'generated_data.csv', query: result.query, attachmentId: targetAttachments[0].id });
         }
 
+        // Without a schema from the caller, the columns of the targeted CSV (the last one when there are several) are used.
+        let schemaSource = columnSchema ? 'request' : 'none';
+        const tables = targetAttachments.filter(attachment => attachment.type === 'csv' && attachment.records.length > 0);
+        if (!columnSchema && tables.length > 0) {
+            columnSchema = inferColumnSchema(tables[tables.length - 1].records);
+            schemaSource = 'inferred';
+        }
+        const schemaInstructions = columnSchema
+            ? `Use exactly these columns:\n${describeColumnSchema(columnSchema)}`
+            : 'Choose suitable column names and use the same columns in every row.';
+        const ollamaPromptForJsonOutput = `${fullPromptForOllama}\n\nRespond with a JSON object {"rows": [...]} holding one object per CSV row. ${schemaInstructions}`;
+        console.log(`[GENERATE-CSV] Requesting structured rows (schema: ${schemaSource}${columnSchema ? `, ${columnSchema.length} column(s)` : ''}).`);
+
+        const generated = await generateValidatedRows(model, ollamaPromptForJsonOutput, prompt, imagesForOllama, options, columnSchema);
+        const validation = { schemaSource: schemaSource, ...generated.report };
+        console.log(`[GENERATE-CSV] ${validation.validRows} of ${validation.rowsGenerated} row(s) valid (${validation.repairedRows} repaired, ${validation.droppedRows} dropped).`);
+
+        const finalCsvContent = await jsonToCsv(generated.rows);
         if (!finalCsvContent || finalCsvContent.trim().length === 0) {
             console.warn("[GENERATE-CSV] WARNING: Generated CSV content is empty.");
-            return res.status(500).json({ message: '❌ Generated empty CSV. Please refine your prompt or data.', csvContent: '', fileName: 'empty_generated.csv' });
+            return res.status(500).json({ message: '❌ Generated empty CSV. Please refine your prompt or data.', csvContent: '', fileName: 'empty_generated.csv', validation: validation });
         }
-        res.status(200).json({ message: '✅ CSV content generated successfully', csvContent: finalCsvContent, fileName: 'generated_data.csv' });
+        // Kept with the session so exported transcripts show the table where it was generated.
+        if (session) {
+            recordGeneratedFile(session, { type: 'csv', fileName: 'generated_data.csv', content: finalCsvContent, prompt: prompt });
+            await persistSession(sessionId, session);
+        }
+        res.status(200).json({ message: '✅ CSV content generated successfully', csvContent: finalCsvContent, fileName: 'generated_data.csv', validation: validation });
     } catch (error) {
         console.error("❌ CSV Generation Error:", error.message);
-        res.status(500).json({ message: '❌ Failed to generate CSV', error: error.message });
+        res.status(failureStatus(error)).json({ message: '❌ Failed to generate CSV', error: error.message, code: failureCode(error) });
     }
 });
 
@@ -328,10 +1373,15 @@ app.post('/generate-csv', async (req, res) => {
 // ---
 // ## Image Analysis/Processing Endpoint (Using LLaVA)
 // ---
-app.post('/generate-image', async (req, res) => {
+app.post('/generate-image', trackRequest(), async (req, res) => {
     console.log(`\n--- Endpoint: /generate-image ---`);
-    const { prompt, sessionId } = req.body;
-    console.log(`[GENERATE-IMAGE] Received request. Prompt: "${prompt}", Session ID: "${sessionId}"`);
+    const { prompt, sessionId, attachmentId } = req.body;
+    console.log(`[GENERATE-IMAGE] Received request. Prompt: ${logger.content(prompt)}, Session ID: "${sessionId}", Attachment: "${attachmentId || 'auto'}"`);
+    const modelSelection = getModelSelection(req.body, OLLAMA_MULTIMODAL_MODEL);
+    if (modelSelection.error) {
+        return res.status(400).json({ message: modelSelection.error });
+    }
+    const { model, options } = modelSelection;
 
     if (!prompt || prompt.trim().length === 0) {
         console.error("[GENERATE-IMAGE] ERROR: Prompt is empty.");
@@ -341,19 +1391,70 @@ app.post('/generate-image', async (req, res) => {
     let imagesForOllama = [];
     let fullPromptForOllama = prompt;
 
-    if (sessionId && conversationHistories[sessionId] && conversationHistories[sessionId].analyzedImage) {
-        imagesForOllama = [conversationHistories[sessionId].analyzedImage];
-        console.log(`[GENERATE-IMAGE] Found analyzed image in session ${sessionId}. Will pass to multimodal model for processing.`);
-        fullPromptForOllama = `Given the attached image, please provide a textual output: ${prompt}`;
+    await lockSession(sessionId, res);
+    // `attachmentId` picks one attachment or "all"; without it the prompt's mentions (or else every attachment) are used.
+    const session = await loadSession(sessionId, req);
+    startRedaction(req, session || createSession(requestOwner(req)));
+    let targetAttachments = [];
+    if (session) {
+        try {
+            targetAttachments = resolveAttachments(session, attachmentId, prompt);
+        } catch (error) {
+            if (!(error instanceof AttachmentError)) throw error;
+            return res.status(error.statusCode).json({ message: `❌ ${error.message}` });
+        }
+    }
+
+    const tables = targetAttachments.filter(attachment => attachment.type === 'csv');
+    if (tables.length > 0) {
+        // Tabular data targeted: draw a real chart from it instead of describing one.
+        // A chart plots one table, so with several the most recently attached one is used.
+        const table = tables[tables.length - 1];
+        try {
+            console.log(`[GENERATE-IMAGE] Found CSV attachment ${table.id} in session ${sessionId}. Planning a chart with model: ${model}`);
+            const chart = maskForUser(await planAndRenderChart(model, prompt, table.records, options));
+            const fileName = `${chart.spec.title.replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '').substring(0, 60) || 'chart'}.svg`;
+            const image = `data:image/svg+xml;base64,${Buffer.from(chart.svg, 'utf8').toString('base64')}`;
+            recordGeneratedFile(session, { type: 'image', fileName: fileName, content: image, prompt: prompt });
+            await persistSession(sessionId, session);
+            return res.status(200).json({
+                message: '✅ Chart generated successfully',
+                response: chart.truncated
+                    ? `${chart.spec.title} (showing the top ${chart.points.length} categories)`
+                    : chart.spec.title,
+                image: image,
+                fileName: fileName,
+                fileType: 'image/svg+xml',
+                chartSpec: chart.spec,
+                attachmentId: table.id
+            });
+        } catch (error) {
+            console.error("❌ Chart Generation Error:", error.message);
+            const statusCode = error instanceof ChartSpecError ? 422 : failureStatus(error);
+            return res.status(statusCode).json({ message: '❌ Failed to generate chart from the analyzed data', error: error.message, code: failureCode(error) });
+        }
+    }
+
+    const images = targetAttachments.filter(attachment => attachment.type === 'image');
+    if (images.length > 0) {
+        imagesForOllama = images.map(attachment => attachment.image);
+        console.log(`[GENERATE-IMAGE] Found image attachment(s) ${images.map(attachment => attachment.id).join(', ')} in session ${sessionId}. Will pass to multimodal model for processing.`);
+        fullPromptForOllama = images.length === 1
+            ? `Given the attached image, please provide a textual output: ${prompt}`
+            : `Given the ${images.length} attached images (${images.map((attachment, i) => `image ${i + 1}: [${attachment.id}] ${attachment.name}`).join('; ')}), please provide a textual output: ${prompt}`;
     } else {
         console.log("[GENERATE-IMAGE] No specific analyzed image found in session. Multimodal model will process text prompt only.");
     }
 
     try {
-        console.log(`[GENERATE-IMAGE] Calling Ollama /api/generate with multimodal model: ${OLLAMA_MULTIMODAL_MODEL}`);
-        const responseContent = await callOllamaGenerate(OLLAMA_MULTIMODAL_MODEL, fullPromptForOllama, imagesForOllama);
+        console.log(`[GENERATE-IMAGE] Calling Ollama /api/generate with multimodal model: ${model}`);
+        const responseContent = await callOllamaGenerate(model, fullPromptForOllama, imagesForOllama, options);
 
-        console.log(`[GENERATE-IMAGE] Successfully received textual response from multimodal model. Length: ${responseContent.length}. Preview: "${responseContent.substring(0, 50)}"`);
+        console.log(`[GENERATE-IMAGE] Successfully received textual response from multimodal model. Length: ${responseContent.length}. Preview: ${logger.content(responseContent, 50)}`);
+        if (session) {
+            recordGeneratedFile(session, { type: 'text', fileName: 'image_analysis.txt', content: responseContent, prompt: prompt });
+            await persistSession(sessionId, session);
+        }
 
         res.status(200).json({
             message: '✅ Image analysis/description generated successfully',
@@ -366,61 +1467,69 @@ app.post('/generate-image', async (req, res) => {
             console.error(`Ollama API error status: ${error.response.status}`);
             console.error(`Ollama API error data:`, error.response.data);
         }
-        res.status(500).json({ message: '❌ Failed to process image with multimodal model', error: error.message });
+        res.status(failureStatus(error)).json({ message: '❌ Failed to process image with multimodal model', error: error.message, code: failureCode(error) });
     }
 });
 
 // ---
 // ## Analyze CSV Endpoint (Now Orchestrates Generation using DeepSeek)
 // ---
-app.post('/analyze-csv', async (req, res) => {
+app.post('/analyze-csv', acceptUpload('csv'), trackRequest(), async (req, res) => {
     console.log(`\n--- Endpoint: /analyze-csv ---`);
-    const csvContent = req.body.csv;
     const prompt = req.body.prompt || "Analyze the following CSV data.";
+    const streamResponse = req.body.stream === true;
     let sessionId = req.body.sessionId;
+    const modelSelection = getModelSelection(req.body, OLLAMA_DEFAULT_MODEL);
+    if (modelSelection.error) {
+        return res.status(400).json({ error: modelSelection.error });
+    }
+    const { model, options } = modelSelection;
+
+    console.log(`[ANALYZE-CSV] Request start. Raw Session ID: ${sessionId}. Prompt: ${logger.content(prompt)}`);
 
-    console.log(`[ANALYZE-CSV] Request start. Raw Session ID: ${sessionId}. Prompt: "${prompt}"`);
-    console.log(`[ANALYZE-CSV] Received CSV content length: ${csvContent ? csvContent.length : '0'}`);
+    // The CSV comes from a multipart upload or, for older clients, as text in `csv`.
+    let csvContent;
+    try {
+        const csvBuffer = await readUploadedFile(req, 'csv', 'csv');
+        csvContent = csvBuffer ? csvBuffer.toString('utf8') : null;
+    } catch (error) {
+        if (!(error instanceof UploadError)) throw error;
+        return res.status(error.statusCode).json({ error: `❌ ${error.message}` });
+    }
+    const fileName = req.body.fileName || (req.uploadedFile ? req.uploadedFile.originalName : null);
+    console.log(`[ANALYZE-CSV] Received CSV content length: ${csvContent ? csvContent.length : '0'}${req.uploadedFile ? ' (multipart upload)' : ''}`);
 
-    if (!sessionId || !conversationHistories[sessionId]) {
+    await lockSession(sessionId, res);
+    let session = await loadSession(sessionId, req);
+    if (!session) {
         sessionId = uuidv4();
-        conversationHistories[sessionId] = { history: [], analyzedData: null, analyzedImage: null };
+        session = createSession(requestOwner(req));
         console.log(`[ANALYZE-CSV] Initializing/Re-initializing session ID: ${sessionId}`);
-    } else {
-        conversationHistories[sessionId].analyzedData = null;
-        conversationHistories[sessionId].analyzedImage = null;
-    }
-
-    conversationHistories[sessionId].history.push({
-        role: 'system',
-        content: `You are an expert CSV data analyst and transformer.
-        The user has provided a CSV file, which has been converted to JSON for you.
-        Your primary task is to analyze this data and respond to the user's request.
-        If the user asks you to modify, filter, summarize, or extract specific information into a NEW CSV,
-        you MUST respond with the exact phrase "CSV_REQUEST: [Your detailed prompt for generating the transformed CSV from the previously analyzed data]"
-        The prompt you provide after "CSV_REQUEST:" should be precise and include all necessary instructions for a separate CSV generation step.
-        For example: "CSV_REQUEST: Filter the provided data for users in 'Marketing' department and include only 'Name' and 'Email' columns."
-        If you determine a numerical summary is needed, provide that directly as text.
-        If the user asks you to create an image based on the data, respond with:
-        "IMAGE_REQUEST: [Your detailed prompt for generating the image, e.g., 'A bar chart of sales data from the CSV, based on the provided data.']"
-        Otherwise, provide a concise textual response summarizing your findings.`
-    });
-    console.log(`[ANALYZE-CSV] System prompt for new session set. Length: ${conversationHistories[sessionId].history[0].content.length}`);
+    }
+    startRedaction(req, session);
+    const turnStart = snapshotTurn(session);
+
+    let presetSelection;
+    try {
+        presetSelection = readPresetSelection(req.body);
+    } catch (error) {
+        if (!(error instanceof PromptError)) throw error;
+        return res.status(error.statusCode).json({ error: `❌ ${error.message}` });
+    }
 
     if (!csvContent) {
-        console.error("[ANALYZE-CSV] ERROR: No CSV content provided in request body.");
-        return res.status(400).json({ error: "❌ No CSV content provided." });
+        console.error("[ANALYZE-CSV] ERROR: No CSV content provided in the request.");
+        return res.status(400).json({ error: "❌ No CSV content provided. Upload it as the `file` field of a multipart/form-data request, or send it as text in `csv`." });
     }
 
     let parsedCsvData;
     try {
         console.log("[ANALYZE-CSV] Attempting to parse CSV content...");
         parsedCsvData = await csvToJson(csvContent);
-        conversationHistories[sessionId].analyzedData = parsedCsvData;
-        console.log(`[ANALYZE-CSV] CSV parsed and stored in session. ${parsedCsvData.length} records found.`);
+        console.log(`[ANALYZE-CSV] CSV parsed. ${parsedCsvData.length} records found.`);
         if (parsedCsvData.length > 0) {
             console.log("[ANALYZE-CSV] Parsed CSV headers:", Object.keys(parsedCsvData[0]).join(', '));
-            console.log("[ANALYZE-CSV] First record preview:", JSON.stringify(parsedCsvData[0]).substring(0, 100));
+            console.log(`[ANALYZE-CSV] First record preview: ${logger.content(parsedCsvData[0], 100)}`);
         } else {
             console.warn("[ANALYZE-CSV] WARNING: Parsed CSV data is empty after parsing.");
         }
@@ -429,47 +1538,56 @@ app.post('/analyze-csv', async (req, res) => {
         return res.status(400).json({ error: "❌ Failed to parse CSV content. Please ensure it's valid CSV format." });
     }
 
-    let fullPromptForOllama = `${prompt}\n\nCSV Data (JSON format):\n\`\`\`json\n${JSON.stringify(parsedCsvData, null, 2)}\n\`\`\`\n`;
-    console.log(`[ANALYZE-CSV] Full prompt sent to Ollama (first 500 chars): "${fullPromptForOllama.substring(0, Math.min(fullPromptForOllama.length, 500))}"`);
+    let referencedAttachments;
+    try {
+        referencedAttachments = getReferencedAttachments(session, req.body, prompt);
+    } catch (error) {
+        if (!(error instanceof AttachmentError)) throw error;
+        return res.status(error.statusCode).json({ error: `❌ ${error.message}` });
+    }
 
-    conversationHistories[sessionId].history.push({ role: 'user', content: fullPromptForOllama });
-    console.log(`[ANALYZE-CSV] User message added to history. Current history length: ${conversationHistories[sessionId].history.length}`);
+    const attachment = addAttachment(session, { type: 'csv', name: fileName || 'data.csv', records: parsedCsvData });
+    console.log(`[ANALYZE-CSV] CSV stored in session as attachment ${attachment.id}.`);
+    addTemplatePrompt(req, session, 'csv-analyst', attachment);
+    applyPreset(req, session, presetSelection);
 
-    try {
-        console.log(`[ANALYZE-CSV] Calling Ollama /api/chat with model: ${OLLAMA_DEFAULT_MODEL}`);
-        const response = await axios.post('http://localhost:11434/api/chat', {
-            model: OLLAMA_DEFAULT_MODEL,
-            messages: conversationHistories[sessionId].history,
-            stream: false
-        });
+    // The model never sees the full data: it gets a table summary plus the result of a query planned for the prompt.
+    const context = await buildAttachmentContext(model, prompt, [attachment, ...referencedAttachments], options, { introduce: attachment.id });
+    const fullPromptForOllama = `${prompt}${attachmentListHeader(session)}\n\n${context.text}`;
+    console.debug(`[ANALYZE-CSV] Full prompt sent to Ollama: ${logger.content(fullPromptForOllama, 500)}`);
 
-        let ollamaResponse = response.data.message.content;
-        console.log(`[ANALYZE-CSV] Received raw response from Ollama. Length: ${ollamaResponse.length}. Content preview: "${ollamaResponse.substring(0, Math.min(ollamaResponse.length, 200))}"`);
+    session.history.push(context.images.length > 0 ? { role: 'user', content: fullPromptForOllama, images: context.images } : { role: 'user', content: fullPromptForOllama });
+    console.log(`[ANALYZE-CSV] User message added to history. Current history length: ${session.history.length}`);
 
-        let fileTypeToGenerate = null;
-        let generationPrompt = null;
+    try {
+        const conversation = await prepareConversation(session, model, options, 'ANALYZE-CSV');
+        console.log(`[ANALYZE-CSV] Calling Ollama /api/chat with model: ${model}`);
+        let ollamaResponse = (await callOllamaChat(model, conversation.messages, { onToken: streamResponse ? createTokenStreamer(res) : null, options: conversation.options })).content;
+        console.log(`[ANALYZE-CSV] Received raw response from Ollama. Length: ${ollamaResponse.length}. Content preview: ${logger.content(ollamaResponse)}`);
 
-        if (ollamaResponse.startsWith('CSV_REQUEST:')) {
+        const { fileType: fileTypeToGenerate, generationPrompt } = readFileRequest(ollamaResponse);
+        if (fileTypeToGenerate === 'csv') {
             console.log("[ANALYZE-CSV] Ollama requested external CSV generation.");
-            fileTypeToGenerate = 'csv';
-            generationPrompt = ollamaResponse.substring('CSV_REQUEST:'.length).trim();
-        } else if (ollamaResponse.startsWith('IMAGE_REQUEST:')) {
+        } else if (fileTypeToGenerate === 'image') {
             console.log("[ANALYZE-CSV] Ollama requested IMAGE generation.");
-            fileTypeToGenerate = 'image';
-            generationPrompt = ollamaResponse.substring('IMAGE_REQUEST:'.length).trim();
         } else {
             console.log("[ANALYZE-CSV] Ollama returned a textual response, no file generation requested.");
         }
 
-        conversationHistories[sessionId].history.push({ role: 'assistant', content: ollamaResponse });
-        console.log(`[ANALYZE-CSV] Ollama's response added to history. New history length: ${conversationHistories[sessionId].history.length}`);
+        session.history.push({ role: 'assistant', content: ollamaResponse });
+        console.log(`[ANALYZE-CSV] Ollama's response added to history. New history length: ${session.history.length}`);
+        await persistSession(sessionId, session);
 
-        res.status(200).json({
+        sendResult(res, 200, {
             message: `✅ CSV analysis complete`,
             response: ollamaResponse,
             action: fileTypeToGenerate ? 'generate_file' : undefined,
             fileType: fileTypeToGenerate,
             generationPrompt: generationPrompt,
+            citations: context.citations.length > 0 ? context.citations : undefined,
+            queryResults: context.queryResults.length > 0 ? context.queryResults : undefined,
+            attachment: describeAttachment(attachment),
+            contextWindow: conversation.stats,
             sessionId: sessionId
         });
     } catch (error) {
@@ -478,13 +1596,13 @@ app.post('/analyze-csv', async (req, res) => {
             console.error("❌ [ANALYZE-CSV] Ollama API Response Data:", error.response.data);
             console.error("❌ [ANALYZE-CSV] Ollama API Response Status:", error.response.status);
         }
-        if (conversationHistories[sessionId] && conversationHistories[sessionId].history.length > 0 && conversationHistories[sessionId].history[conversationHistories[sessionId].history.length - 1].role === 'user') {
-            conversationHistories[sessionId].history.pop();
-            console.log(`[ANALYZE-CSV] Removed last user message from history due to error. New history length: ${conversationHistories[sessionId].history.length}`);
-        }
-        res.status(500).json({
+        Object.assign(session, turnStart);
+        console.log(`[ANALYZE-CSV] Rolled back the attachment, prompts and question due to error. History length: ${session.history.length}`);
+        await persistSession(sessionId, session);
+        sendResult(res, failureStatus(error), {
             message: '❌ Failed to analyze CSV',
             error: error.message,
+            code: failureCode(error),
             sessionId: sessionId
         });
     }
@@ -493,77 +1611,87 @@ app.post('/analyze-csv', async (req, res) => {
 // ---
 // ## Analyze Image Endpoint (Now Orchestrates Generation using LLaVA)
 // ---
-app.post('/analyze-image', async (req, res) => {
+app.post('/analyze-image', acceptUpload('image'), trackRequest(), async (req, res) => {
     console.log(`\n--- Endpoint: /analyze-image ---`);
-    const base64Image = req.body.image;
     const prompt = req.body.prompt || "Describe this image.";
+    const streamResponse = req.body.stream === true;
     let sessionId = req.body.sessionId;
+    const modelSelection = getModelSelection(req.body, OLLAMA_MULTIMODAL_MODEL);
+    if (modelSelection.error) {
+        return res.status(400).json({ error: modelSelection.error });
+    }
+    const { model, options } = modelSelection;
+
+    console.log(`[ANALYZE-IMAGE] Request start. Raw Session ID: ${sessionId}. Prompt: ${logger.content(prompt)}`);
 
-    console.log(`[ANALYZE-IMAGE] Request start. Raw Session ID: ${sessionId}. Prompt: "${prompt}"`);
-    console.log(`[ANALYZE-IMAGE] Received Image data length: ${base64Image ? base64Image.length : '0'}`);
+    // The image comes from a multipart upload or, for older clients, as base64 in `image`. Ollama takes base64.
+    let base64Image;
+    try {
+        const imageBuffer = await readUploadedFile(req, 'image', 'image');
+        base64Image = imageBuffer ? imageBuffer.toString('base64') : null;
+    } catch (error) {
+        if (!(error instanceof UploadError)) throw error;
+        return res.status(error.statusCode).json({ error: `❌ ${error.message}` });
+    }
+    const fileName = req.body.fileName || (req.uploadedFile ? req.uploadedFile.originalName : null);
+    console.log(`[ANALYZE-IMAGE] Received Image data length: ${base64Image ? base64Image.length : '0'}${req.uploadedFile ? ' (multipart upload)' : ''}`);
 
-    if (!sessionId || !conversationHistories[sessionId]) {
+    await lockSession(sessionId, res);
+    let session = await loadSession(sessionId, req);
+    if (!session) {
         sessionId = uuidv4();
-        conversationHistories[sessionId] = { history: [], analyzedData: null, analyzedImage: null };
+        session = createSession(requestOwner(req));
         console.log(`[ANALYZE-IMAGE] Initializing/Re-initializing session ID: ${sessionId}`);
-    } else {
-        conversationHistories[sessionId].analyzedImage = null;
-        conversationHistories[sessionId].analyzedData = null;
-    }
-
-    if (base64Image) {
-        conversationHistories[sessionId].analyzedImage = base64Image;
-        console.log(`[ANALYZE-IMAGE] Image stored in session ${sessionId}.`);
-    }
-
-    conversationHistories[sessionId].history.push({
-        role: 'system',
-        content: `You are a helpful assistant capable of analyzing images.
-        The user has provided an image for analysis.
-        Your task is to describe the image or answer questions related to its content.
-        If the user asks you to generate a new image (e.g., "draw a dog in this style", "remove background from this image"),
-        you MUST respond with the exact phrase "IMAGE_REQUEST: [Your detailed prompt for generating the image, possibly transforming the previously analyzed image]"
-        The prompt you provide after "IMAGE_REQUEST:" should be precise and reference the original image context if applicable.
-        For example: "IMAGE_REQUEST: A photorealistic image of a dog in the same style as the provided image."
-        If the user asks you to extract information into a CSV based on the image, respond with:
-        "CSV_REQUEST: [Your detailed prompt for CSV generation based on image analysis, e.g., 'List all objects detected in the image as a CSV.']"
-        Otherwise, provide a concise textual response summarizing your findings.`
-    });
-    console.log(`[ANALYZE-IMAGE] System prompt for new session set. Length: ${conversationHistories[sessionId].history[0].content.length}`);
+    }
+    startRedaction(req, session);
+    const turnStart = snapshotTurn(session);
+
+    let presetSelection;
+    try {
+        presetSelection = readPresetSelection(req.body);
+    } catch (error) {
+        if (!(error instanceof PromptError)) throw error;
+        return res.status(error.statusCode).json({ error: `❌ ${error.message}` });
+    }
 
     if (!base64Image) {
-        console.error("[ANALYZE-IMAGE] ERROR: No image data (base64) provided in request body.");
-        return res.status(400).json({ error: "❌ No image data (base64) provided." });
+        console.error("[ANALYZE-IMAGE] ERROR: No image provided in the request.");
+        return res.status(400).json({ error: "❌ No image provided. Upload it as the `file` field of a multipart/form-data request, or send it as base64 in `image`." });
     }
 
-    let fullPromptForOllama = prompt;
+    let referencedAttachments;
+    try {
+        referencedAttachments = getReferencedAttachments(session, req.body, prompt);
+    } catch (error) {
+        if (!(error instanceof AttachmentError)) throw error;
+        return res.status(error.statusCode).json({ error: `❌ ${error.message}` });
+    }
 
-    conversationHistories[sessionId].history.push({ role: 'user', content: fullPromptForOllama, images: [base64Image] });
-    console.log(`[ANALYZE-IMAGE] User message with image added to history. Current history length: ${conversationHistories[sessionId].history.length}`);
+    const attachment = addAttachment(session, { type: 'image', name: fileName || 'image', image: base64Image });
+    console.log(`[ANALYZE-IMAGE] Image stored in session ${sessionId} as attachment ${attachment.id}.`);
+    addTemplatePrompt(req, session, 'image-analyst', attachment);
+    applyPreset(req, session, presetSelection);
 
-    try {
-        console.log(`[ANALYZE-IMAGE] Calling Ollama /api/chat with model: ${OLLAMA_MULTIMODAL_MODEL} for analysis.`);
-        const response = await axios.post('http://localhost:11434/api/chat', {
-            model: OLLAMA_MULTIMODAL_MODEL,
-            messages: conversationHistories[sessionId].history,
-            stream: false
-        });
+    // The new image goes first, so "image 1" in the prompt is always the one just attached.
+    const context = await buildAttachmentContext(model, prompt, [attachment, ...referencedAttachments], options, { introduce: attachment.id });
+    let fullPromptForOllama = `${prompt}${attachmentListHeader(session)}\n\n${context.text}`;
+
+    session.history.push({ role: 'user', content: fullPromptForOllama, images: context.images });
+    console.log(`[ANALYZE-IMAGE] User message with image added to history. Current history length: ${session.history.length}`);
 
-        let ollamaResponse = response.data.message.content;
-        console.log(`[ANALYZE-IMAGE] Received raw response from Ollama. Length: ${ollamaResponse.length}. Content preview: "${ollamaResponse.substring(0, Math.min(ollamaResponse.length, 200))}"`);
+    try {
+        const conversation = await prepareConversation(session, model, options, 'ANALYZE-IMAGE');
+        console.log(`[ANALYZE-IMAGE] Calling Ollama /api/chat with model: ${model} for analysis.`);
+        let ollamaResponse = (await callOllamaChat(model, conversation.messages, { onToken: streamResponse ? createTokenStreamer(res) : null, options: conversation.options })).content;
+        console.log(`[ANALYZE-IMAGE] Received raw response from Ollama. Length: ${ollamaResponse.length}. Content preview: ${logger.content(ollamaResponse)}`);
 
-        let fileTypeToGenerate = null;
-        let generationPrompt = null;
+        let { fileType: fileTypeToGenerate, generationPrompt } = readFileRequest(ollamaResponse);
         let transformedCsvOutput = null;
 
-        if (ollamaResponse.startsWith('IMAGE_REQUEST:')) {
+        if (fileTypeToGenerate === 'image') {
             console.log("[ANALYZE-IMAGE] Ollama requested external IMAGE generation.");
-            fileTypeToGenerate = 'image';
-            generationPrompt = ollamaResponse.substring('IMAGE_REQUEST:'.length).trim();
-        } else if (ollamaResponse.startsWith('CSV_REQUEST:')) {
+        } else if (fileTypeToGenerate === 'csv') {
             console.log("[ANALYZE-IMAGE] Ollama requested external CSV generation based on image analysis.");
-            fileTypeToGenerate = 'csv';
-            generationPrompt = ollamaResponse.substring('CSV_REQUEST:'.length).trim();
             const jsonBlockMatch = ollamaResponse.match(/```json\n([\s\S]*?)\n```/);
             if (jsonBlockMatch && jsonBlockMatch[1]) {
                 console.warn("[ANALYZE-IMAGE] WARN: Ollama directly embedded JSON for CSV. This should ideally be handled by generate-csv via request.");
@@ -586,16 +1714,21 @@ app.post('/analyze-image', async (req, res) => {
             console.log("[ANALYZE-IMAGE] Ollama returned a textual response, no file generation requested.");
         }
 
-        conversationHistories[sessionId].history.push({ role: 'assistant', content: ollamaResponse });
-        console.log(`[ANALYZE-IMAGE] Ollama's response added to history. New history length: ${conversationHistories[sessionId].history.length}`);
+        session.history.push({ role: 'assistant', content: ollamaResponse });
+        console.log(`[ANALYZE-IMAGE] Ollama's response added to history. New history length: ${session.history.length}`);
+        await persistSession(sessionId, session);
 
-        res.status(200).json({
+        sendResult(res, 200, {
             message: '✅ Image analysis complete',
             response: ollamaResponse,
             action: fileTypeToGenerate ? 'generate_file' : undefined,
             fileType: fileTypeToGenerate,
             generationPrompt: generationPrompt,
             csvContent: transformedCsvOutput,
+            citations: context.citations.length > 0 ? context.citations : undefined,
+            queryResults: context.queryResults.length > 0 ? context.queryResults : undefined,
+            attachment: describeAttachment(attachment),
+            contextWindow: conversation.stats,
             sessionId: sessionId
         });
     } catch (error) {
@@ -604,12 +1737,139 @@ app.post('/analyze-image', async (req, res) => {
             console.error("❌ [ANALYZE-IMAGE] Ollama API Response Data:", error.response.data);
             console.error("❌ [ANALYZE-IMAGE] Ollama API Response Status:", error.response.status);
         }
-        if (conversationHistories[sessionId] && conversationHistories[sessionId].history.length > 0 && conversationHistories[sessionId].history[conversationHistories[sessionId].history.length - 1].role === 'user') {
-            console.log(`[ANALYZE-IMAGE] Error occurred after adding user message with image. Session history might be inconsistent.`);
-        }
-        res.status(500).json({
+        Object.assign(session, turnStart);
+        console.log(`[ANALYZE-IMAGE] Rolled back the attachment, prompts and question due to error. History length: ${session.history.length}`);
+        await persistSession(sessionId, session);
+        sendResult(res, failureStatus(error), {
             message: '❌ Failed to analyze image',
             error: error.message,
+            code: failureCode(error),
+            sessionId: sessionId
+        });
+    }
+});
+
+// ---
+// ## Analyze File Endpoint: every format registered in lib/extractors.js (XLSX, JSON, DOCX, HTML, text, and CSV and PDF too)
+// ---
+// Tables are analyzed like /analyze-csv, documents like /analyze-pdf.
+const ANALYST_TEMPLATES = { csv: 'csv-analyst', pdf: 'document-analyst', document: 'document-analyst' };
+
+app.get('/formats', (req, res) => {
+    res.status(200).json({ formats: listFormats() });
+});
+
+app.post('/analyze-file', acceptUpload(null), trackRequest(), async (req, res) => {
+    console.log(`\n--- Endpoint: /analyze-file ---`);
+    const prompt = req.body.prompt || "Analyze the content of this file.";
+    const streamResponse = req.body.stream === true;
+    let sessionId = req.body.sessionId;
+    const modelSelection = getModelSelection(req.body, OLLAMA_DEFAULT_MODEL);
+    if (modelSelection.error) {
+        return res.status(400).json({ error: modelSelection.error });
+    }
+    const { model, options } = modelSelection;
+
+    // The file comes from a multipart upload or as base64 in `file`; `fileName` (or `format`) tells its type.
+    let fileBuffer;
+    try {
+        fileBuffer = await readUploadedFile(req, null, 'file');
+    } catch (error) {
+        if (!(error instanceof UploadError)) throw error;
+        return res.status(error.statusCode).json({ error: `❌ ${error.message}` });
+    }
+    const fileName = req.body.fileName || (req.uploadedFile ? req.uploadedFile.originalName : null);
+    console.log(`[ANALYZE-FILE] Request start. Raw Session ID: ${sessionId}. File: ${fileName || 'unnamed'} (${fileBuffer ? fileBuffer.length : 0} bytes). Prompt: ${logger.content(prompt)}`);
+    if (!fileBuffer) {
+        return res.status(400).json({ error: "❌ No file provided. Upload it as the `file` field of a multipart/form-data request, or send it as base64 in `file`." });
+    }
+
+    let presetSelection;
+    try {
+        presetSelection = readPresetSelection(req.body);
+    } catch (error) {
+        if (!(error instanceof PromptError)) throw error;
+        return res.status(error.statusCode).json({ error: `❌ ${error.message}` });
+    }
+
+    let extracted;
+    try {
+        extracted = await extractFile(fileBuffer, { fileName: fileName, format: req.body.format || null, sheet: req.body.sheet });
+    } catch (error) {
+        if (!(error instanceof ExtractionError)) throw error;
+        console.warn(`⚠️ [ANALYZE-FILE] Could not read ${fileName || 'the file'}: ${error.message}`);
+        return res.status(error.statusCode).json({ error: `❌ ${error.message}` });
+    }
+    const { format, content } = extracted;
+    console.log(`✅ [ANALYZE-FILE] Read ${fileName || 'the file'} as ${format}: ${content.type === 'csv' ? `${content.records.length} records` : `${content.text.length} characters`}.`);
+
+    await lockSession(sessionId, res);
+    let session = await loadSession(sessionId, req);
+    if (!session) {
+        sessionId = uuidv4();
+        session = createSession(requestOwner(req));
+        console.log(`[ANALYZE-FILE] Initializing/Re-initializing session ID: ${sessionId}`);
+    }
+    startRedaction(req, session);
+    const turnStart = snapshotTurn(session);
+
+    let referencedAttachments;
+    try {
+        referencedAttachments = getReferencedAttachments(session, req.body, prompt);
+    } catch (error) {
+        if (!(error instanceof AttachmentError)) throw error;
+        return res.status(error.statusCode).json({ error: `❌ ${error.message}` });
+    }
+
+    // Documents are indexed for retrieval like PDFs; their pages are only needed for that.
+    const { pages, ...attachmentContent } = content;
+    if (content.type !== 'csv') {
+        try {
+            attachmentContent.documentIndex = await buildDocumentIndex(pages, { name: fileName });
+        } catch (indexError) {
+            attachmentContent.documentIndex = null;
+            console.warn(`⚠️ [ANALYZE-FILE] Could not build the retrieval index (${indexError.message}). Falling back to the full document text.`);
+        }
+    }
+    const attachment = addAttachment(session, { ...attachmentContent, name: fileName || `${format}-file`, format: format });
+    console.log(`[ANALYZE-FILE] ${format} content stored in session as ${content.type} attachment ${attachment.id}.`);
+    addTemplatePrompt(req, session, ANALYST_TEMPLATES[content.type], attachment);
+    applyPreset(req, session, presetSelection);
+
+    const context = await buildAttachmentContext(model, prompt, [attachment, ...referencedAttachments], options, { introduce: attachment.id });
+    const fullPromptForOllama = `${prompt}${attachmentListHeader(session)}\n\n${context.text}`;
+    session.history.push(context.images.length > 0 ? { role: 'user', content: fullPromptForOllama, images: context.images } : { role: 'user', content: fullPromptForOllama });
+
+    try {
+        const conversation = await prepareConversation(session, model, options, 'ANALYZE-FILE');
+        console.log(`[ANALYZE-FILE] Calling Ollama /api/chat with model: ${model}`);
+        const ollamaResponse = (await callOllamaChat(model, conversation.messages, { onToken: streamResponse ? createTokenStreamer(res) : null, options: conversation.options })).content;
+        const { fileType, generationPrompt } = readFileRequest(ollamaResponse);
+        session.history.push({ role: 'assistant', content: ollamaResponse });
+        await persistSession(sessionId, session);
+        console.log(`[ANALYZE-FILE] Ollama's response added to history. Length: ${ollamaResponse.length}.`);
+
+        sendResult(res, 200, {
+            message: `✅ ${format} analysis complete`,
+            response: ollamaResponse,
+            action: fileType ? 'generate_file' : undefined,
+            fileType: fileType,
+            generationPrompt: generationPrompt,
+            citations: context.citations.length > 0 ? context.citations : undefined,
+            queryResults: context.queryResults.length > 0 ? context.queryResults : undefined,
+            attachment: describeAttachment(attachment),
+            contextWindow: conversation.stats,
+            sessionId: sessionId
+        });
+    } catch (error) {
+        console.error("❌ [ANALYZE-FILE] Error during Ollama call:", error.message);
+        Object.assign(session, turnStart);
+        console.log(`[ANALYZE-FILE] Rolled back the attachment, prompts and question due to error. History length: ${session.history.length}`);
+        await persistSession(sessionId, session);
+        sendResult(res, failureStatus(error), {
+            message: `❌ Failed to analyze the ${format} file`,
+            error: error.message,
+            code: failureCode(error),
             sessionId: sessionId
         });
     }
@@ -618,12 +1878,18 @@ app.post('/analyze-image', async (req, res) => {
 // ---
 // ## CHAT: Conversational Question Answering Endpoint (Using DeepSeek)
 // ---
-app.post('/chat', async (req, res) => {
+app.post('/chat', trackRequest(), async (req, res) => {
     console.log(`\n--- Endpoint: /chat ---`);
     const userQuestion = req.body.question;
+    const streamResponse = req.body.stream === true;
     let sessionId = req.body.sessionId;
+    const modelSelection = getModelSelection(req.body, OLLAMA_DEFAULT_MODEL);
+    if (modelSelection.error) {
+        return res.status(400).json({ error: modelSelection.error });
+    }
+    const { model, options } = modelSelection;
 
-    console.log(`[CHAT] Request start. Raw Session ID: ${sessionId}. User Question: "${userQuestion}"`);
+    console.log(`[CHAT] Request start. Raw Session ID: ${sessionId}. User Question: ${logger.content(userQuestion)}`);
 
     const lowerCaseQuestion = userQuestion.toLowerCase();
     let fileTypeToGenerateDirectly = null;
@@ -632,7 +1898,7 @@ app.post('/chat', async (req, res) => {
     if (lowerCaseQuestion.startsWith('generate csv:')) {
         fileTypeToGenerateDirectly = 'csv';
         generationPromptDirectly = userQuestion.substring('generate csv:'.length).trim();
-        console.log(`[CHAT] Direct CSV generation command detected. Prompt: "${generationPromptDirectly}"`);
+        console.log(`[CHAT] Direct CSV generation command detected. Prompt: ${logger.content(generationPromptDirectly)}`);
     } else if (lowerCaseQuestion.startsWith('generate image:') || lowerCaseQuestion.startsWith('show me an image of:')) {
         fileTypeToGenerateDirectly = 'image';
         if(lowerCaseQuestion.startsWith('generate image:')) {
@@ -640,7 +1906,7 @@ app.post('/chat', async (req, res) => {
         } else {
             generationPromptDirectly = userQuestion.substring('show me an image of:'.length).trim();
         }
-        console.log(`[CHAT] Direct IMAGE generation command detected. Prompt: "${generationPromptDirectly}"`);
+        console.log(`[CHAT] Direct IMAGE generation command detected. Prompt: ${logger.content(generationPromptDirectly)}`);
     }
 
     if (fileTypeToGenerateDirectly) {
@@ -655,66 +1921,79 @@ app.post('/chat', async (req, res) => {
         return;
     }
 
-    if (!sessionId || !conversationHistories[sessionId]) {
-        sessionId = uuidv4();
-        conversationHistories[sessionId] = { history: [], analyzedData: null, analyzedImage: null };
-        console.log(`[CHAT] New session created: ${sessionId}`);
-        let systemContent = `You are a helpful assistant. I have access to real-time information such as the current date, time, and weather. The current date and time in Adimali, Kerala, India is: ${getSystemDateTime()}.`;
-        systemContent += `\nIf, based on the conversational context, you determine a CSV should be generated, respond with: "CSV_REQUEST: [Your detailed prompt for CSV generation here]".`;
-        systemContent += `\nIf you determine an image should be generated, respond with: "IMAGE_REQUEST: [Your detailed prompt for image generation here]".`;
-        systemContent += `\nOtherwise, keep your responses concise and relevant to the conversation.`;
-        conversationHistories[sessionId].history.push({ role: 'system', content: systemContent });
-        console.log(`[CHAT] System prompt for new session set. Length: ${conversationHistories[sessionId].history[0].content.length}`);
+    let presetSelection;
+    try {
+        presetSelection = readPresetSelection(req.body);
+    } catch (error) {
+        if (!(error instanceof PromptError)) throw error;
+        return res.status(error.statusCode).json({ error: `❌ ${error.message}` });
     }
 
-    let toolResult = null;
-    const toolCheck = await dispatchTool(userQuestion);
-
-    if (toolCheck.toolUsed) {
-        console.log(`⚙️ Tool '${toolCheck.toolUsed}' detected. Fetching data...`);
-        toolResult = toolCheck.data;
-        conversationHistories[sessionId].history.push({ role: 'system', content: `Tool Output: ${toolResult}` });
+    await lockSession(sessionId, res);
+    let session = await loadSession(sessionId, req);
+    if (!session) {
+        sessionId = uuidv4();
+        session = createSession(requestOwner(req));
+        console.log(`[CHAT] New session created: ${sessionId}`);
+        addTemplatePrompt(req, session, 'chat');
     }
+    startRedaction(req, session);
+    applyPreset(req, session, presetSelection);
 
+    // Everything added from here on (user message, tool calls, tool results) is rolled back on error.
+    const historyLengthBeforeTurn = session.history.length;
     let questionForOllama = userQuestion;
-    conversationHistories[sessionId].history.push({ role: 'user', content: questionForOllama });
-    console.log(`[CHAT] User message added to history. Current history length: ${conversationHistories[sessionId].history.length}`);
 
+    // Follow-up questions go to every attachment, or only to the ones named in `attachmentIds` or in the question:
+    // CSVs answer through the query engine and PDFs through the chunks most relevant to the question.
+    let targetAttachments;
+    let attachmentsNamed;
     try {
-        console.log(`[CHAT] Calling Ollama /api/chat with model: ${OLLAMA_DEFAULT_MODEL}`);
-        const response = await axios.post('http://localhost:11434/api/chat', {
-            model: OLLAMA_DEFAULT_MODEL,
-            messages: conversationHistories[sessionId].history,
-            stream: false
-        });
-
-        let ollamaResponse = response.data.message.content;
-        console.log(`[CHAT] Received raw response from Ollama. Length: ${ollamaResponse.length}. Content preview: "${ollamaResponse.substring(0, Math.min(ollamaResponse.length, 100))}"`);
-
-        let fileTypeToGenerate = null;
-        let generationPrompt = null;
+        targetAttachments = resolveAttachments(session, req.body.attachmentIds, userQuestion);
+        attachmentsNamed = req.body.attachmentIds !== undefined || findMentionedAttachments(session, userQuestion).length > 0;
+    } catch (error) {
+        if (!(error instanceof AttachmentError)) throw error;
+        return res.status(error.statusCode).json({ error: `❌ ${error.message}` });
+    }
+    // Images are already in the history from their analysis turn; they are only sent again when named.
+    const context = await buildAttachmentContext(model, userQuestion, targetAttachments, options, { includeImages: attachmentsNamed });
+    if (context.text) {
+        questionForOllama = `${userQuestion}${attachmentListHeader(session)}\n\n${context.text}`;
+    }
+    session.history.push(context.images.length > 0 ? { role: 'user', content: questionForOllama, images: context.images } : { role: 'user', content: questionForOllama });
+    console.log(`[CHAT] User message added to history. Current history length: ${session.history.length}`);
 
-        if (ollamaResponse.startsWith('CSV_REQUEST:')) {
+    try {
+        const conversation = await prepareConversation(session, model, options, 'CHAT');
+        const messagesSent = conversation.messages.length;
+        console.log(`[CHAT] Calling Ollama /api/chat with model: ${model}`);
+        let ollamaResponse = (await callOllamaChatWithTools(model, conversation.messages, { onToken: streamResponse ? createTokenStreamer(res) : null, options: conversation.options })).content;
+        // Tool calls and their results were appended to the messages sent; keep them in the raw history too.
+        session.history.push(...conversation.messages.slice(messagesSent));
+        console.log(`[CHAT] Received raw response from Ollama. Length: ${ollamaResponse.length}. Content preview: ${logger.content(ollamaResponse, 100)}`);
+
+        const { fileType: fileTypeToGenerate, generationPrompt } = readFileRequest(ollamaResponse);
+        if (fileTypeToGenerate === 'csv') {
             console.log("[CHAT] Ollama requested external CSV generation.");
-            fileTypeToGenerate = 'csv';
-            generationPrompt = ollamaResponse.substring('CSV_REQUEST:'.length).trim();
-        } else if (ollamaResponse.startsWith('IMAGE_REQUEST:')) {
+        } else if (fileTypeToGenerate === 'image') {
             console.log("[CHAT] Ollama requested external IMAGE generation.");
-            fileTypeToGenerate = 'image';
-            generationPrompt = ollamaResponse.substring('IMAGE_REQUEST:'.length).trim();
         } else {
             console.log("[CHAT] Ollama returned a textual response, no file generation requested.");
         }
 
-        conversationHistories[sessionId].history.push({ role: 'assistant', content: ollamaResponse });
-        console.log(`[CHAT] Ollama's response added to history. New history length: ${conversationHistories[sessionId].history.length}`);
+        session.history.push({ role: 'assistant', content: ollamaResponse });
+        console.log(`[CHAT] Ollama's response added to history. New history length: ${session.history.length}`);
+        await persistSession(sessionId, session);
 
-        res.status(200).json({
+        sendResult(res, 200, {
             message: `✅ Chat response received`,
             answer: ollamaResponse,
             action: fileTypeToGenerate ? 'generate_file' : undefined,
             fileType: fileTypeToGenerate,
             generationPrompt: generationPrompt,
+            citations: context.citations.length > 0 ? context.citations : undefined,
+            queryResults: context.queryResults.length > 0 ? context.queryResults : undefined,
+            contextWindow: conversation.stats,
             sessionId: sessionId
         });
     } catch (error) {
@@ -723,13 +2002,12 @@ app.post('/chat', async (req, res) => {
             console.error("❌ [CHAT] Ollama API Response Data:", error.response.data);
             console.error("❌ [CHAT] Ollama API Response Status:", error.response.status);
         }
-        conversationHistories[sessionId].history.pop();
-        if (toolCheck.toolUsed) {
-            conversationHistories[sessionId].history.pop();
-        }
-        res.status(500).json({
+        session.history.splice(historyLengthBeforeTurn);
+        await persistSession(sessionId, session);
+        sendResult(res, failureStatus(error), {
             message: '❌ Failed to get chat response',
             error: error.message,
+            code: failureCode(error),
             sessionId: sessionId
         });
     }
@@ -761,14 +2039,687 @@ const openBrowser = (url) => {
     });
 };
 
+// ---
+// ## Session List: the sessions of the signed-in user, most recently used first
+// ---
+function summarizeSession(sessionId, session) {
+    const firstQuestion = session.history.find(message => message.role === 'user');
+    return {
+        sessionId: sessionId,
+        title: firstQuestion ? String(firstQuestion.content).split('\n')[0].substring(0, 80) : '',
+        messages: session.history.filter(message => message.role === 'user' || message.role === 'assistant').length,
+        attachments: (session.attachments || []).length,
+        preset: session.preset ? session.preset.id : null,
+        parentId: session.branch ? session.branch.parentId : null,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt
+    };
+}
+
+app.get('/sessions', async (req, res) => {
+    console.log(`\n--- Endpoint: GET /sessions ---`);
+    const sessions = (await sessionStore.list())
+        .filter(({ session }) => canAccessSession(session, req))
+        .map(({ id, session }) => summarizeSession(id, session))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+    console.log(`[SESSIONS] Listed ${sessions.length} session(s) for ${req.user ? req.user.username : 'anonymous access'}.`);
+    res.status(200).json({ sessions: sessions });
+});
+
+// ---
+// ## Search: questions, answers and attachments of all sessions of the signed-in user, by meaning
+// ---
+app.get('/search', trackRequest({ queueFeedback: false }), async (req, res) => {
+    console.log(`\n--- Endpoint: GET /search ---`);
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+    if (!query) {
+        return res.status(400).json({ error: "❌ Missing search text (`q`)." });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+        return res.status(400).json({ error: "❌ `limit` must be a whole number from 1 to 50." });
+    }
+    const sessions = (await sessionStore.list()).filter(({ session }) => canAccessSession(session, req));
+    startRedaction(req, createSession(requestOwner(req)));
+    const result = await searchIndex.search(query, sessions, { limit: limit });
+    const summaries = new Map(sessions.map(({ id, session }) => [id, summarizeSession(id, session)]));
+    const hits = result.hits.map(hit => ({ ...hit, title: summaries.get(hit.sessionId).title, updatedAt: summaries.get(hit.sessionId).updatedAt }));
+    console.log(`[SEARCH] ${logger.content(query, 80)}: ${hits.length} hit(s) in ${sessions.length} session(s) (${result.mode}).`);
+    res.status(200).json({ query: query, mode: result.mode, hits: hits });
+});
+
+// ---
+// ## Prompt Templates and Presets: the built-in templates, and presets to pick per session (`preset` on chat and analyze requests)
+// ---
+app.get('/prompts', (req, res) => {
+    res.status(200).json({ templates: promptLibrary.list(), partials: [...promptLibrary.partials.keys()], variables: PROMPT_VARIABLES });
+});
+
+// Answers a PromptError from the preset store with its status.
+function sendPromptError(res, error) {
+    if (!(error instanceof PromptError)) throw error;
+    console.warn(`⚠️ [PRESETS] ${error.message}`);
+    res.status(error.statusCode).json({ error: `❌ ${error.message}` });
+}
+
+app.get('/presets', (req, res) => {
+    res.status(200).json({ presets: presetStore.list() });
+});
+
+app.get('/presets/:presetId', (req, res) => {
+    try {
+        res.status(200).json(presetStore.get(req.params.presetId));
+    } catch (error) {
+        sendPromptError(res, error);
+    }
+});
+
+app.post('/presets', (req, res) => {
+    console.log(`\n--- Endpoint: POST /presets ---`);
+    try {
+        const preset = presetStore.create(req.body || {}, req.user ? req.user.username : null);
+        console.log(`[PRESETS] Created preset ${preset.id}.`);
+        res.status(201).json(preset);
+    } catch (error) {
+        sendPromptError(res, error);
+    }
+});
+
+app.put('/presets/:presetId', (req, res) => {
+    console.log(`\n--- Endpoint: PUT /presets/:presetId ---`);
+    try {
+        const preset = presetStore.update(req.params.presetId, req.body || {}, req.user ? req.user.username : null);
+        console.log(`[PRESETS] Updated preset ${preset.id} to version ${preset.version}.`);
+        res.status(200).json(preset);
+    } catch (error) {
+        sendPromptError(res, error);
+    }
+});
+
+app.delete('/presets/:presetId', (req, res) => {
+    console.log(`\n--- Endpoint: DELETE /presets/:presetId ---`);
+    try {
+        presetStore.delete(req.params.presetId, req.user ? req.user.username : null);
+        console.log(`[PRESETS] Deleted preset ${req.params.presetId}.`);
+        res.status(200).json({ message: `✅ Preset ${req.params.presetId} deleted` });
+    } catch (error) {
+        sendPromptError(res, error);
+    }
+});
+
+// ---
+// ## Batch Jobs: one prompt answered for many PDFs and images in the background, merged into one CSV
+// ---
+// Each file is analyzed like a new /analyze-pdf or /analyze-image session of its own (the analyst prompt,
+// the job's preset, retrieval for PDFs), with the batch-job prompt asking for one JSON object per file.
+// Jobs run outside the HTTP request, so each file gets its own redaction scope; the file's row is built from
+// the restored answer, so the merged CSV has the values for users allowed to see them.
+function analyzeJobFile(job, file) {
+    const redaction = { redactor: null };
+    return runInRedactionScope(redaction, async () => {
+        try {
+            return await analyzeJobFileInScope(job, file);
+        } finally {
+            logRedactionSummary(redaction.redactor);
+        }
+    });
+}
+
+async function analyzeJobFileInScope(job, file) {
+    const buffer = file.path ? await fs.promises.readFile(file.path) : file.content;
+    const model = job.model || (file.type === 'image' ? OLLAMA_MULTIMODAL_MODEL : OLLAMA_DEFAULT_MODEL);
+    const session = createSession(job.owner);
+    // The prompt and redaction helpers only need the signed-in user (and a route for the audit) from the request.
+    const requestLike = { user: job.user, path: '/jobs' };
+    startRedaction(requestLike, session);
+    let attachment;
+    if (file.type === 'pdf') {
+        const { text, pages, numPages } = await extractPdfPages(buffer);
+        let documentIndex = null;
+        try {
+            documentIndex = await buildDocumentIndex(pages, { name: file.name });
+        } catch (indexError) {
+            console.warn(`⚠️ [JOBS] Could not build the retrieval index of ${file.name} (${indexError.message}). Falling back to the full document text.`);
+        }
+        attachment = addAttachment(session, { type: 'pdf', name: file.name, text: text, numPages: numPages, documentIndex: documentIndex });
+    } else {
+        attachment = addAttachment(session, { type: 'image', name: file.name, image: buffer.toString('base64') });
+    }
+    addTemplatePrompt(requestLike, session, file.type === 'pdf' ? 'document-analyst' : 'image-analyst', attachment);
+    addTemplatePrompt(requestLike, session, 'batch-job', attachment);
+    applyPreset(requestLike, session, job.preset);
+
+    const context = await buildAttachmentContext(model, job.prompt, [attachment], job.options, { introduce: attachment.id });
+    const content = `${job.prompt}\n\n${context.text}`;
+    session.history.push(context.images.length > 0 ? { role: 'user', content: content, images: context.images } : { role: 'user', content: content });
+    const conversation = await prepareConversation(session, model, job.options, 'JOBS');
+    const reply = await callOllamaChat(model, conversation.messages, { format: 'json', options: conversation.options });
+    const answer = tryParseJson(reply.content);
+    if (!answer || Array.isArray(answer)) {
+        // The reply is only logged as content (see logContent); the file's error does not repeat it.
+        console.warn(`⚠️ [JOBS] The model's answer for ${file.name} was ${logger.content(reply.content)}.`);
+        throw new Error('The model did not answer with a JSON object.');
+    }
+    // One CSV row: the file name first, then the answer's fields (nested values as JSON text).
+    const row = { file: file.name };
+    for (const [key, value] of Object.entries(answer)) {
+        if (key !== 'file') row[key] = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+    }
+    return { row: row, response: answer };
+}
+
+// Files may answer with different fields; every row gets every column so the CSV header covers them all.
+async function jobRowsToCsv(rows) {
+    const columns = inferColumnsFromRows(rows).map(column => column.name);
+    return jsonToCsv(rows.map(row => Object.fromEntries(columns.map(column => [column, row[column] ?? '']))));
+}
+
+const jobRunner = new JobRunner({ processFile: analyzeJobFile, buildCsv: jobRowsToCsv, concurrency: config.jobConcurrency });
+
+// The job's files: multipart `files` parts, or `files: [{ fileName, content }]` (base64) in a JSON body.
+function readJobFiles(req) {
+    if (req.uploadedFiles) {
+        return req.uploadedFiles.map(file => ({ name: file.originalName, type: file.kind, path: file.path }));
+    }
+    const files = req.body.files;
+    if (!Array.isArray(files)) return [];
+    if (files.length > config.jobMaxFiles) {
+        throw new UploadError(`A job takes at most ${config.jobMaxFiles} files.`, 400);
+    }
+    return files.map((file, index) => {
+        if (!file || typeof file.content !== 'string' || !file.content) {
+            throw new UploadError(`files[${index}] needs its base64 \`content\`.`, 400);
+        }
+        const content = Buffer.from(file.content, 'base64');
+        if (content.length > config.uploadMaxMb * 1024 * 1024) {
+            throw new UploadError(`files[${index}] is too large. The limit is ${config.uploadMaxMb} MB per file.`, 413);
+        }
+        const { kind } = identifyBatchFile(content.subarray(0, 4096));
+        return { name: typeof file.fileName === 'string' && file.fileName ? file.fileName : `file${index + 1}.${kind}`, type: kind, content: content };
+    });
+}
+
+// Uploads of a job that is refused are removed right away; a started job removes each file once analyzed.
+function discardJobUploads(req) {
+    for (const file of req.uploadedFiles || []) {
+        fs.promises.rm(file.path, { force: true }).catch(() => {});
+    }
+}
+
+// Answers a JobError with its status.
+function sendJobError(res, error) {
+    if (!(error instanceof JobError)) throw error;
+    res.status(error.statusCode).json({ error: `❌ ${error.message}` });
+}
+
+app.post('/jobs', acceptBatchUpload(), (req, res) => {
+    console.log(`\n--- Endpoint: POST /jobs ---`);
+    const prompt = typeof req.body.prompt === 'string' ? req.body.prompt.trim() : '';
+    const modelSelection = getModelSelection(req.body, null);
+    if (modelSelection.error) {
+        return res.status(400).json({ error: modelSelection.error });
+    }
+    let files;
+    let preset;
+    try {
+        files = readJobFiles(req);
+        preset = readPresetSelection(req.body) || null;
+    } catch (error) {
+        if (!(error instanceof UploadError) && !(error instanceof PromptError)) throw error;
+        discardJobUploads(req);
+        return res.status(error.statusCode).json({ error: `❌ ${error.message}` });
+    }
+    if (!prompt || files.length === 0) {
+        discardJobUploads(req);
+        return res.status(400).json({ error: "❌ A job needs a `prompt` and at least one PDF or image, as `files` parts of a multipart/form-data request or as `files: [{ fileName, content }]` (base64)." });
+    }
+
+    const job = jobRunner.create({
+        owner: requestOwner(req),
+        user: req.user,
+        prompt: prompt,
+        model: modelSelection.model,
+        options: modelSelection.options,
+        preset: preset,
+        files: files
+    });
+    console.log(`[JOBS] Created job ${job.id} with ${files.length} file(s).`);
+    res.setHeader('Location', `/jobs/${job.id}`);
+    res.status(202).json({ message: `✅ Job started for ${files.length} file(s)`, ...describeJob(job) });
+});
+
+app.get('/jobs', (req, res) => {
+    res.status(200).json({ jobs: jobRunner.list(requestOwner(req)).map(job => {
+        const { files, ...summary } = describeJob(job);
+        return summary;
+    }) });
+});
+
+app.get('/jobs/:jobId', (req, res) => {
+    try {
+        res.status(200).json(describeJob(jobRunner.get(req.params.jobId, requestOwner(req))));
+    } catch (error) {
+        sendJobError(res, error);
+    }
+});
+
+// The merged CSV: one row per file that was analyzed, once the job has finished.
+app.get('/jobs/:jobId/csv', (req, res) => {
+    try {
+        const job = jobRunner.get(req.params.jobId, requestOwner(req));
+        if (job.csv === null) {
+            return res.status(409).json({ error: `❌ Job ${job.id} is still ${job.status} (${describeJob(job).completed} of ${job.files.length} files done).` });
+        }
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="job-${job.id}.csv"`);
+        res.status(200).send(job.csv);
+    } catch (error) {
+        sendJobError(res, error);
+    }
+});
+
+app.post('/jobs/:jobId/cancel', (req, res) => {
+    console.log(`\n--- Endpoint: POST /jobs/:jobId/cancel ---`);
+    try {
+        const job = jobRunner.get(req.params.jobId, requestOwner(req));
+        if (!jobRunner.cancel(job)) {
+            return res.status(409).json({ error: `❌ Job ${job.id} has already finished (${job.status}).` });
+        }
+        console.log(`[JOBS] Cancelling job ${job.id}.`);
+        res.status(200).json({ message: `✅ Job ${job.id} cancelled`, jobId: job.id });
+    } catch (error) {
+        sendJobError(res, error);
+    }
+});
+
+// ---
+// ## Redaction Audit: the placeholders a session's personal data was sent to the model as
+// ---
+// The values are only included for users who may see them (redactRestore).
+app.get('/sessions/:sessionId/redactions', async (req, res) => {
+    console.log(`\n--- Endpoint: GET /sessions/:sessionId/redactions ---`);
+    const sessionId = req.params.sessionId;
+    const session = await loadSession(sessionId, req);
+    if (!session) {
+        console.warn(`[REDACTION] Session not found: ${sessionId}`);
+        return res.status(404).json({ error: "❌ Session not found." });
+    }
+    res.status(200).json({ sessionId: sessionId, enabled: config.redactPii, ...describeRedactions(session, { withValues: canSeeRedactedValues(req.user) }) });
+});
+
+// ---
+// ## Session Attachments: list and remove the files attached to a session
+// ---
+app.get('/sessions/:sessionId/attachments', async (req, res) => {
+    console.log(`\n--- Endpoint: GET /sessions/:sessionId/attachments ---`);
+    const sessionId = req.params.sessionId;
+    const session = await loadSession(sessionId, req);
+    if (!session) {
+        console.warn(`[ATTACHMENTS] Session not found: ${sessionId}`);
+        return res.status(404).json({ error: "❌ Session not found." });
+    }
+    res.status(200).json({ sessionId: sessionId, attachments: listAttachments(session) });
+});
+
+app.delete('/sessions/:sessionId/attachments/:attachmentId', async (req, res) => {
+    console.log(`\n--- Endpoint: DELETE /sessions/:sessionId/attachments/:attachmentId ---`);
+    const { sessionId, attachmentId } = req.params;
+    await lockSession(sessionId, res);
+    const session = await loadSession(sessionId, req);
+    if (!session) {
+        console.warn(`[ATTACHMENTS] Session not found: ${sessionId}`);
+        return res.status(404).json({ error: "❌ Session not found." });
+    }
+    const removed = removeAttachment(session, attachmentId);
+    if (!removed) {
+        console.warn(`[ATTACHMENTS] Attachment ${attachmentId} not found in session ${sessionId}`);
+        return res.status(404).json({ error: `❌ Attachment "${attachmentId}" not found in this session.` });
+    }
+    await persistSession(sessionId, session);
+    console.log(`[ATTACHMENTS] Removed attachment ${attachmentId} (${removed.name}) from session ${sessionId}`);
+    res.status(200).json({ message: `✅ Attachment ${attachmentId} removed`, sessionId: sessionId, attachments: listAttachments(session) });
+});
+
+// ---
+// ## Session Export and Import: transcripts as Markdown, HTML or JSON, and JSON exports restored into a new session
+// ---
+app.get('/sessions/:sessionId/export', async (req, res) => {
+    console.log(`\n--- Endpoint: GET /sessions/:sessionId/export ---`);
+    const sessionId = req.params.sessionId;
+    const format = req.query.format || 'md';
+    const session = await loadSession(sessionId, req);
+    if (!session) {
+        console.warn(`[EXPORT] Session not found: ${sessionId}`);
+        return res.status(404).json({ error: "❌ Session not found." });
+    }
+    let exported;
+    try {
+        exported = exportSession(sessionId, session, format);
+    } catch (error) {
+        if (!(error instanceof TranscriptError)) throw error;
+        return res.status(error.statusCode).json({ error: `❌ ${error.message}` });
+    }
+    console.log(`[EXPORT] Exported session ${sessionId} as ${format} (${session.history.length} messages, ${exported.content.length} characters).`);
+    res.set('Content-Type', exported.contentType);
+    res.set('Content-Disposition', `attachment; filename="${exported.fileName}"`);
+    res.status(200).send(exported.content);
+});
+
+app.post('/sessions/import', async (req, res) => {
+    console.log(`\n--- Endpoint: POST /sessions/import ---`);
+    let session;
+    try {
+        session = importSession(req.body, requestOwner(req));
+    } catch (error) {
+        if (!(error instanceof TranscriptError)) throw error;
+        console.warn(`[IMPORT] Rejected import: ${error.message}`);
+        return res.status(error.statusCode).json({ error: `❌ ${error.message}` });
+    }
+    const sessionId = uuidv4();
+    await persistSession(sessionId, session);
+    console.log(`[IMPORT] Imported session ${session.importedFrom.sessionId || '(unknown)'} as ${sessionId} (${session.history.length} messages, ${session.attachments.length} attachments).`);
+    res.status(201).json({
+        message: '✅ Session imported',
+        sessionId: sessionId,
+        importedFrom: session.importedFrom.sessionId,
+        messages: session.history.length,
+        attachments: listAttachments(session)
+    });
+});
+
+// ---
+// ## Regenerate and Branch: answer the last question again, switch between its answers, and fork a session at any message
+// ---
+// Answers a BranchError with its status.
+function sendBranchError(res, error) {
+    if (!(error instanceof BranchError)) throw error;
+    res.status(error.statusCode).json({ error: `❌ ${error.message}` });
+}
+
+app.get('/sessions/:sessionId/messages', async (req, res) => {
+    const session = await loadSession(req.params.sessionId, req);
+    if (!session) {
+        return res.status(404).json({ error: "❌ Session not found." });
+    }
+    res.status(200).json({
+        sessionId: req.params.sessionId,
+        messages: listMessages(session),
+        answers: listAnswerVariants(session),
+        branch: session.branch || null
+    });
+});
+
+// Answers the last question of the session again, optionally with another `model` or `options`.
+// The previous answer stays available as a variant (GET /sessions/:sessionId/answers).
+app.post('/sessions/:sessionId/regenerate', trackRequest(), async (req, res) => {
+    console.log(`\n--- Endpoint: POST /sessions/:sessionId/regenerate ---`);
+    const sessionId = req.params.sessionId;
+    const streamResponse = req.body.stream === true;
+    await lockSession(sessionId, res);
+    const session = await loadSession(sessionId, req);
+    if (!session) {
+        return res.status(404).json({ error: "❌ Session not found." });
+    }
+    startRedaction(req, session);
+    const question = session.history[lastQuestionIndex(session.history)];
+    // A question with images (from an image analysis) goes to the multimodal model unless another one is picked.
+    const modelSelection = getModelSelection(req.body, question && question.images ? OLLAMA_MULTIMODAL_MODEL : OLLAMA_DEFAULT_MODEL);
+    if (modelSelection.error) {
+        return res.status(400).json({ error: modelSelection.error });
+    }
+    const { model, options } = modelSelection;
+
+    const previous = { history: session.history.slice(), answerVariants: structuredClone(session.answerVariants), memory: session.memory };
+    try {
+        startRegeneration(session);
+    } catch (error) {
+        return sendBranchError(res, error);
+    }
+    console.log(`[REGENERATE] Answering message ${lastQuestionIndex(session.history)} of session ${sessionId} again with model ${model}.`);
+
+    try {
+        const conversation = await prepareConversation(session, model, options, 'REGENERATE');
+        const messagesSent = conversation.messages.length;
+        const onToken = streamResponse ? createTokenStreamer(res) : null;
+        // Chat turns may call tools again; analysis turns with images are answered like the analyze routes do.
+        const reply = question.images
+            ? await callOllamaChat(model, conversation.messages, { onToken: onToken, options: conversation.options })
+            : await callOllamaChatWithTools(model, conversation.messages, { onToken: onToken, options: conversation.options });
+        session.history.push(...conversation.messages.slice(messagesSent), { role: 'assistant', content: reply.content });
+        const variant = addAnswerVariant(session, { model: model, options: options });
+        await persistSession(sessionId, session);
+        console.log(`[REGENERATE] Answer ${variant + 1} of the last question saved. Length: ${reply.content.length}.`);
+
+        const { fileType, generationPrompt } = readFileRequest(reply.content);
+        sendResult(res, 200, {
+            message: '✅ Answer regenerated',
+            answer: reply.content,
+            action: fileType ? 'generate_file' : undefined,
+            fileType: fileType,
+            generationPrompt: generationPrompt,
+            answers: listAnswerVariants(session),
+            contextWindow: conversation.stats,
+            sessionId: sessionId
+        });
+    } catch (error) {
+        console.error("❌ [REGENERATE] Error during Ollama call:", error.message);
+        // The answer that was there before stays in place.
+        Object.assign(session, previous);
+        await persistSession(sessionId, session);
+        sendResult(res, failureStatus(error), {
+            message: '❌ Failed to regenerate the answer',
+            error: error.message,
+            code: failureCode(error),
+            sessionId: sessionId
+        });
+    }
+});
+
+app.get('/sessions/:sessionId/answers', async (req, res) => {
+    const session = await loadSession(req.params.sessionId, req);
+    if (!session) {
+        return res.status(404).json({ error: "❌ Session not found." });
+    }
+    res.status(200).json(listAnswerVariants(session));
+});
+
+// Puts another answer of the last question back into the conversation.
+app.post('/sessions/:sessionId/answers/:variant/select', async (req, res) => {
+    console.log(`\n--- Endpoint: POST /sessions/:sessionId/answers/:variant/select ---`);
+    const sessionId = req.params.sessionId;
+    await lockSession(sessionId, res);
+    const session = await loadSession(sessionId, req);
+    if (!session) {
+        return res.status(404).json({ error: "❌ Session not found." });
+    }
+    try {
+        selectAnswerVariant(session, Number(req.params.variant));
+    } catch (error) {
+        return sendBranchError(res, error);
+    }
+    await persistSession(sessionId, session);
+    console.log(`[REGENERATE] Session ${sessionId} switched to answer ${req.params.variant}.`);
+    res.status(200).json({ message: `✅ Switched to answer ${req.params.variant}`, ...listAnswerVariants(session), sessionId: sessionId });
+});
+
+// Starts a new session with the messages before `messageIndex`; the original session is not changed.
+app.post('/sessions/:sessionId/fork', async (req, res) => {
+    console.log(`\n--- Endpoint: POST /sessions/:sessionId/fork ---`);
+    const parentId = req.params.sessionId;
+    await lockSession(parentId, res);
+    const parent = await loadSession(parentId, req);
+    if (!parent) {
+        return res.status(404).json({ error: "❌ Session not found." });
+    }
+    const sessionId = uuidv4();
+    let fork;
+    try {
+        fork = forkSession(parent, parentId, req.body.messageIndex === undefined ? parent.history.length : req.body.messageIndex, requestOwner(req));
+    } catch (error) {
+        return sendBranchError(res, error);
+    }
+    parent.branches = [...(parent.branches || []), { sessionId: sessionId, messageIndex: fork.branch.messageIndex, createdAt: fork.createdAt }];
+    await persistSession(sessionId, fork);
+    await persistSession(parentId, parent);
+    console.log(`[BRANCH] Forked session ${parentId} at message ${fork.branch.messageIndex} into ${sessionId}.`);
+    res.status(201).json({
+        message: '✅ Session forked',
+        sessionId: sessionId,
+        parentId: parentId,
+        messageIndex: fork.branch.messageIndex,
+        messages: listMessages(fork)
+    });
+});
+
+// Every session of the conversation the session belongs to: the original and all forks of forks, in the
+// order they were created. Forks that expired or were deleted are left out.
+app.get('/sessions/:sessionId/branches', async (req, res) => {
+    let rootId = req.params.sessionId;
+    let root = await loadSession(rootId, req);
+    if (!root) {
+        return res.status(404).json({ error: "❌ Session not found." });
+    }
+    const visited = new Set([rootId]);
+    while (root.branch && !visited.has(root.branch.parentId)) {
+        const parent = await loadSession(root.branch.parentId, req);
+        if (!parent) break;
+        rootId = root.branch.parentId;
+        root = parent;
+        visited.add(rootId);
+    }
+    const branches = [];
+    const pending = [[rootId, root]];
+    const listed = new Set();
+    while (pending.length > 0) {
+        const [id, session] = pending.shift();
+        if (listed.has(id)) continue;
+        listed.add(id);
+        branches.push({
+            ...summarizeSession(id, session),
+            parentId: session.branch && id !== rootId ? session.branch.parentId : null,
+            messageIndex: session.branch && id !== rootId ? session.branch.messageIndex : null,
+            current: id === req.params.sessionId
+        });
+        for (const child of session.branches || []) {
+            const childSession = await loadSession(child.sessionId, req);
+            if (childSession) pending.push([child.sessionId, childSession]);
+        }
+    }
+    res.status(200).json({ rootId: rootId, branches: branches });
+});
+
+// ---
+// ## Ollama Queue: the state of a request, its cancellation, and the queue per model
+// ---
+// Like sessions, requests are only visible to the user who made them.
+function findRequest(req) {
+    const request = getRequest(req.params.requestId);
+    return request && (request.owner || null) === requestOwner(req) ? request : null;
+}
+
+app.get('/requests/:requestId', (req, res) => {
+    const request = findRequest(req);
+    if (!request) {
+        return res.status(404).json({ error: "❌ No running request with this ID (it may have finished already)." });
+    }
+    res.status(200).json({
+        requestId: request.id,
+        status: request.status,
+        model: request.model,
+        position: request.status === 'queued' ? request.position : 0,
+        elapsedMs: Date.now() - request.startedAt
+    });
+});
+
+app.post('/requests/:requestId/cancel', (req, res) => {
+    console.log(`\n--- Endpoint: POST /requests/:requestId/cancel ---`);
+    const requestId = req.params.requestId;
+    if (!findRequest(req) || !cancelRequest(requestId)) {
+        console.warn(`[QUEUE] Cancel for unknown request: ${requestId}`);
+        return res.status(404).json({ error: "❌ No running request with this ID (it may have finished already)." });
+    }
+    console.log(`[QUEUE] Cancelled request ${requestId}.`);
+    res.status(200).json({ message: `✅ Request ${requestId} cancelled`, requestId: requestId });
+});
+
+app.get('/queue', (req, res) => {
+    res.status(200).json({ models: ollamaQueue.stats(), timeoutSeconds: config.queueTimeoutSeconds, maxWaiting: config.queueMaxWaiting });
+});
+
+// ---
+// ## Metrics: request and Ollama latency, token counts, errors and queue depth in the Prometheus text format
+// ---
+app.get('/metrics', (req, res) => {
+    res.status(200).type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+});
+
+// ---
+// ## Accounts: log in and out, and manage your own API keys (users are added with `gd-assistant users`)
+// ---
+app.post('/auth/login', async (req, res) => {
+    console.log(`\n--- Endpoint: POST /auth/login ---`);
+    const { username, password } = req.body || {};
+    const user = await userStore.checkPassword(username, password);
+    if (!user) {
+        console.warn(`⚠️ [AUTH] Failed login for user "${username}".`);
+        return res.status(401).json({ error: "❌ Wrong username or password." });
+    }
+    const login = userStore.createKey(user.username, { name: 'Login', type: 'login', ttlMs: config.authLoginTtlHours * 60 * 60 * 1000 });
+    console.log(`[AUTH] ${user.username} logged in (key ${login.id}).`);
+    res.status(200).json({ message: '✅ Logged in', username: user.username, token: login.key, expiresAt: login.expiresAt });
+});
+
+// Without a signed-in user these routes have nothing to act on; with authRequired the middleware already answered 401.
+function requireUser(req, res, next) {
+    if (req.user) return next();
+    res.status(401).json({ error: "❌ Log in or send an API key first." });
+}
+
+// Ends a login. Plain API keys are left alone (a client forgetting one is enough); DELETE /auth/keys revokes them.
+app.post('/auth/logout', requireUser, (req, res) => {
+    if (req.apiKey.type === 'login') {
+        userStore.revokeKey(req.user.username, req.apiKey.id);
+        console.log(`[AUTH] ${req.user.username} logged out (key ${req.apiKey.id} revoked).`);
+    }
+    res.status(200).json({ message: '✅ Logged out' });
+});
+
+app.get('/auth/me', (req, res) => {
+    if (!req.user) {
+        return res.status(200).json({ username: null, authRequired: config.authRequired });
+    }
+    const account = userStore.list().find(user => user.username === req.user.username);
+    res.status(200).json({ username: req.user.username, admin: req.user.admin, authRequired: config.authRequired, currentKey: req.apiKey.id, keys: account ? account.keys : [] });
+});
+
+app.post('/auth/keys', requireUser, (req, res) => {
+    console.log(`\n--- Endpoint: POST /auth/keys ---`);
+    const name = req.body && req.body.name;
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        return res.status(400).json({ error: "❌ `name` must be a non-empty string." });
+    }
+    const created = userStore.createKey(req.user.username, { name: name ? name.trim() : 'API key' });
+    console.log(`[AUTH] ${req.user.username} created API key ${created.id}.`);
+    res.status(201).json({ message: '✅ API key created. Store it now; it is not shown again.', ...created });
+});
+
+app.delete('/auth/keys/:keyId', requireUser, (req, res) => {
+    console.log(`\n--- Endpoint: DELETE /auth/keys/:keyId ---`);
+    if (!userStore.revokeKey(req.user.username, req.params.keyId)) {
+        return res.status(404).json({ error: `❌ API key "${req.params.keyId}" not found.` });
+    }
+    console.log(`[AUTH] ${req.user.username} revoked API key ${req.params.keyId}.`);
+    res.status(200).json({ message: `✅ API key ${req.params.keyId} revoked` });
+});
+
 // ---
 // ## Endpoint to clear conversation history for a session
 // ---
-app.post('/clear-chat-history', (req, res) => {
+app.post('/clear-chat-history', async (req, res) => {
     console.log(`\n--- Endpoint: /clear-chat-history ---`);
     const sessionId = req.body.sessionId;
-    if (sessionId && conversationHistories[sessionId]) {
-        delete conversationHistories[sessionId];
+    await lockSession(sessionId, res);
+    if (sessionId && await loadSession(sessionId, req) && await sessionStore.delete(sessionId)) {
         console.log(`[CLEAR-CHAT-HISTORY] Cleared session: ${sessionId}`);
         res.status(200).json({ message: `✅ Conversation history cleared for session: ${sessionId}` });
     } else {
@@ -777,21 +2728,68 @@ app.post('/clear-chat-history', (req, res) => {
     }
 });
 
+// Bodies over the JSON limit (large base64 files) get a JSON 413 instead of Express's HTML error page.
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+        console.warn(`⚠️ [UPLOAD] Rejected a ${error.length} byte JSON body on ${req.path} (limit ${error.limit}).`);
+        return res.status(413).json({ error: `❌ Request body too large. Upload files as multipart/form-data (limit ${config.uploadMaxMb} MB per file).` });
+    }
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: "❌ Request body is not valid JSON." });
+    }
+    next(error);
+});
+
+// Started directly (node server.js) the server listens and opens the UI; required from the tests it only exports the app.
+if (require.main === module) {
+    app.listen(port, () => {
+        console.log(`\n🚀 Server running at http://localhost:${port}`);
+        console.log(`Ollama Host: ${OLLAMA_HOST}`);
+        console.log(`Default Ollama Model (DeepSeek): ${OLLAMA_DEFAULT_MODEL}`);
+        console.log(`Multimodal Model (LLaVA for image analysis): ${OLLAMA_MULTIMODAL_MODEL}`);
+        console.log(`Endpoints:`);
+        console.log(`   POST /analyze-csv        { file (multipart) | csv, prompt, [fileName], [sessionId], [attachmentIds], [stream] }`);
+        console.log(`   POST /analyze-image      { file (multipart) | image (base64), prompt, [fileName], [sessionId], [attachmentIds], [stream] }`);
+        console.log(`   POST /analyze-pdf        { file (multipart) | pdf (base64), prompt, [fileName], [sessionId], [attachmentIds], [stream] }`); // <--- NEW ENDPOINT
+        console.log(`   POST /analyze-file       { file (multipart) | file (base64), fileName | format, prompt, [sheet], [sessionId], [attachmentIds], [stream] }`);
+        console.log(`   GET  /formats`);
+        console.log(`   POST /generate-csv       { prompt, [sessionId], [attachmentId | 'all'], [columns] }`);
+       console.log(`   POST /generate-image     { prompt, [sessionId], [attachmentId | 'all'] }`);
+        console.log(`   POST /chat               { question, [sessionId], [attachmentIds], [stream] }`);
+        console.log(`   GET  /models`);
+        console.log(`   GET  /health (Ollama reachable, configured models installed)`);
+        console.log(`   POST /admin/models/pull { model, [stream] }, DELETE /admin/models/:model (admins)`);
+        console.log(`   GET  /sessions`);
+        console.log(`   GET  /search?q=...&limit=10 (questions, answers and attachments of all sessions)`);
+        console.log(`   GET  /sessions/:sessionId/attachments`);
+        console.log(`   GET  /sessions/:sessionId/redactions (placeholders sent to the model instead of personal data)`);
+        console.log(`   DELETE /sessions/:sessionId/attachments/:attachmentId`);
+        console.log(`   GET  /sessions/:sessionId/export?format=md|json|html`);
+        console.log(`   POST /sessions/import     { format: 'gd-assistant-session', version, session }`);
+        console.log(`   GET  /sessions/:sessionId/messages, POST /sessions/:sessionId/regenerate { [model], [options], [stream] }`);
+        console.log(`   GET  /sessions/:sessionId/answers, POST /sessions/:sessionId/answers/:variant/select`);
+        console.log(`   POST /sessions/:sessionId/fork { [messageIndex] }, GET /sessions/:sessionId/branches`);
+        console.log(`   POST /v1/chat/completions, GET /v1/models, POST /v1/embeddings (OpenAI-compatible)`);
+        console.log(`   GET  /requests/:requestId, POST /requests/:requestId/cancel, GET /queue`);
+        console.log(`   GET  /metrics (Prometheus text format)`);
+        console.log(`   POST /auth/login { username, password }, POST /auth/logout, GET /auth/me, POST /auth/keys { [name] }, DELETE /auth/keys/:keyId`);
+        console.log(`   GET  /prompts, GET /presets, GET|PUT|DELETE /presets/:presetId, POST /presets { name, instructions, [description], [id] }`);
+        console.log(`   POST /jobs { files (multipart) | files: [{ fileName, content }], prompt, [preset] }, GET /jobs, GET /jobs/:jobId, GET /jobs/:jobId/csv, POST /jobs/:jobId/cancel`);
+        console.log(`   POST /clear-chat-history { sessionId }`);
+        console.log(`   Every POST except /clear-chat-history also accepts [model] and [options: { temperature, num_ctx, seed }]`);
+        console.log(`   Routes that call Ollama also accept [requestId] (for GET /requests/:requestId and cancelling)`);
+        console.log(`   /chat and the /analyze-* routes also accept [preset] (a preset ID, or '' for none)`);
+        if (!config.authRequired) {
+            console.warn(`⚠️ [AUTH] Authentication is off: anyone who can reach port ${port} can use the API, and sessions are only kept apart for clients that send an X-Client-Token. Set authRequired (AUTH_REQUIRED) to require API keys.`);
+        } else if (userStore.count() === 0) {
+            console.warn(`⚠️ [AUTH] Authentication is required but ${config.usersFile} has no users yet. Add one with: gd-assistant users add <name>`);
+        }
+        reportOllamaHealth();
+        console.log(`\n--- Server Ready ---`);
+        const url = `http://localhost:${port}`;
+        console.log(`\nAttempting to open browser to: ${url}`);
+        openBrowser(url);
+    });
+}
 
-app.listen(port, () => {
-    console.log(`\n🚀 Server running at http://localhost:${port}`);
-    console.log(`Default Ollama Model (DeepSeek): ${OLLAMA_DEFAULT_MODEL}`);
-    console.log(`Multimodal Model (LLaVA for image analysis): ${OLLAMA_MULTIMODAL_MODEL}`);
-    console.log(`Endpoints:`);
-    console.log(`   POST /analyze-csv        { csv, prompt, [sessionId] }`);
-    console.log(`   POST /analyze-image      { image (base64), prompt, [sessionId] }`);
-    console.log(`   POST /analyze-pdf        { pdf (base64), prompt, [sessionId] }`); // <--- NEW ENDPOINT
-    console.log(`   POST /generate-csv       { prompt, [sessionId] }`);
-   console.log(`   POST /generate-image     { prompt, [sessionId] }`);
-    console.log(`   POST /chat               { question, [sessionId] }`);
-    console.log(`   POST /clear-chat-history { sessionId }`);
-    console.log(`\n--- Server Ready ---`);
-    const url = `http://localhost:${port}`;
-    console.log(`\nAttempting to open browser to: ${url}`);
-    openBrowser(url);
-});
\ No newline at end of file
+module.exports = { app, csvToJson, jsonToCsv };
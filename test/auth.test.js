@@ -0,0 +1,155 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { startTestServer, post, request } = require('./support/testServer');
+const { UserStore } = require('../lib/auth');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gd-assistant-auth-'));
+const usersFile = path.join(workDir, 'users.json');
+let server;
+let ollama;
+let alice;
+let bob;
+
+before(async () => {
+    server = await startTestServer({ AUTH_REQUIRED: 'true', USERS_FILE: usersFile, CORS_ORIGINS: 'http://allowed.example' });
+    ollama = server.ollama;
+    const users = new UserStore(usersFile);
+    await users.addUser('alice', 'wonderland');
+    await users.addUser('bob');
+    alice = { Authorization: `Bearer ${users.createKey('alice').key}` };
+    bob = { 'X-API-Key': users.createKey('bob').key };
+});
+after(async () => {
+    await server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+beforeEach(() => ollama.reset());
+
+test('requests without a valid key are refused, except for the UI and the login', async () => {
+    const anonymous = await post(server.baseUrl, '/chat', { question: 'Hi' });
+    assert.equal(anonymous.status, 401);
+    assert.match(anonymous.body.error, /Authentication required/);
+    assert.equal((await post(server.baseUrl, '/chat', { question: 'Hi' }, { Authorization: 'Bearer gda_wrong' })).status, 401);
+
+    const openai = await post(server.baseUrl, '/v1/chat/completions', { messages: [{ role: 'user', content: 'Hi' }] });
+    assert.equal(openai.status, 401);
+    assert.equal(openai.body.error.code, 'invalid_api_key');
+
+    assert.equal((await request(server.baseUrl, 'GET', '/')).status, 200);
+    assert.equal((await post(server.baseUrl, '/auth/login', { username: 'alice', password: 'wrong' })).status, 401);
+    assert.equal(ollama.requests.length, 0);
+});
+
+test('a login returns a key that works until the user logs out', async () => {
+    const login = await post(server.baseUrl, '/auth/login', { username: 'alice', password: 'wonderland' });
+    assert.equal(login.status, 200);
+    const headers = { Authorization: `Bearer ${login.body.token}` };
+    const me = await request(server.baseUrl, 'GET', '/auth/me', headers);
+    assert.equal(me.body.username, 'alice');
+    assert.ok(me.body.keys.some(key => key.type === 'login' && key.expiresAt > Date.now()));
+    assert.ok(!JSON.stringify(me.body).includes(login.body.token));
+
+    assert.equal((await post(server.baseUrl, '/chat', { question: 'Hi' }, headers)).status, 200);
+    assert.equal((await post(server.baseUrl, '/auth/logout', {}, headers)).status, 200);
+    assert.equal((await post(server.baseUrl, '/chat', { question: 'Hi' }, headers)).status, 401);
+});
+
+test('sessions belong to the user who created them', async () => {
+    const started = await post(server.baseUrl, '/chat', { question: 'My secret plan' }, alice);
+    const sessionId = started.body.sessionId;
+
+    assert.equal((await request(server.baseUrl, 'GET', `/sessions/${sessionId}/export?format=json`, bob)).status, 404);
+    assert.equal((await request(server.baseUrl, 'GET', `/sessions/${sessionId}/attachments`, bob)).status, 404);
+    assert.equal((await post(server.baseUrl, '/clear-chat-history', { sessionId }, bob)).status, 404);
+    // Bob sending Alice's session ID gets a fresh session instead of her history.
+    const hijack = await post(server.baseUrl, '/chat', { question: 'What was the plan?', sessionId }, bob);
+    assert.notEqual(hijack.body.sessionId, sessionId);
+    const contents = ollama.requestsTo('/api/chat').at(-1).messages.map(message => message.content);
+    assert.ok(!contents.includes('My secret plan'));
+
+    const aliceSessions = (await request(server.baseUrl, 'GET', '/sessions', alice)).body.sessions;
+    assert.ok(aliceSessions.some(session => session.sessionId === sessionId && session.title === 'My secret plan'));
+    const bobSessions = (await request(server.baseUrl, 'GET', '/sessions', bob)).body.sessions;
+    assert.ok(!bobSessions.some(session => session.sessionId === sessionId));
+
+    // An export imported by Bob becomes Bob's session.
+    const exported = (await request(server.baseUrl, 'GET', `/sessions/${sessionId}/export?format=json`, alice)).body;
+    assert.equal(exported.session.owner, undefined);
+    const imported = await post(server.baseUrl, '/sessions/import', exported, bob);
+    assert.equal((await request(server.baseUrl, 'GET', `/sessions/${imported.body.sessionId}/attachments`, bob)).status, 200);
+    assert.equal((await request(server.baseUrl, 'GET', `/sessions/${imported.body.sessionId}/attachments`, alice)).status, 404);
+});
+
+test('users create and revoke their own API keys', async () => {
+    const created = await post(server.baseUrl, '/auth/keys', { name: 'Script' }, bob);
+    assert.equal(created.status, 201);
+    assert.match(created.body.key, /^gda_/);
+    const headers = { Authorization: `Bearer ${created.body.key}` };
+    assert.equal((await request(server.baseUrl, 'GET', '/sessions', headers)).status, 200);
+
+    assert.equal((await request(server.baseUrl, 'DELETE', `/auth/keys/${created.body.id}`, alice)).status, 404);
+    assert.equal((await request(server.baseUrl, 'DELETE', `/auth/keys/${created.body.id}`, bob)).status, 200);
+    assert.equal((await request(server.baseUrl, 'GET', '/sessions', headers)).status, 401);
+});
+
+test('only admins manage models, and the health check needs no key', async () => {
+    const health = await request(server.baseUrl, 'GET', '/health');
+    assert.equal(health.status, 200);
+    assert.equal(health.body.status, 'ok');
+
+    const refused = await post(server.baseUrl, '/admin/models/pull', { model: 'tinyllama' }, bob);
+    assert.equal(refused.status, 403);
+    assert.equal((await request(server.baseUrl, 'DELETE', '/admin/models/tinyllama', bob)).status, 403);
+    assert.equal(ollama.requestsTo('/api/pull').length, 0);
+
+    new UserStore(usersFile).setAdmin('bob', true);
+    assert.equal((await request(server.baseUrl, 'GET', '/auth/me', bob)).body.admin, true);
+    assert.equal((await post(server.baseUrl, '/admin/models/pull', { model: 'tinyllama' }, bob)).status, 200);
+    assert.equal((await request(server.baseUrl, 'DELETE', '/admin/models/tinyllama', bob)).status, 200);
+    new UserStore(usersFile).setAdmin('bob', false);
+});
+
+test('browsers may only call the API from allowed origins', async () => {
+    const allowed = await request(server.baseUrl, 'GET', '/sessions', { ...alice, Origin: 'http://allowed.example' });
+    assert.equal(allowed.status, 200);
+    const preflight = await fetch(`${server.baseUrl}/chat`, {
+        method: 'OPTIONS',
+        headers: { Origin: 'http://allowed.example', 'Access-Control-Request-Method': 'POST', 'Access-Control-Request-Headers': 'authorization,content-type' }
+    });
+    assert.equal(preflight.headers.get('Access-Control-Allow-Origin'), 'http://allowed.example');
+
+    const foreign = await post(server.baseUrl, '/chat', { question: 'Hi' }, { ...alice, Origin: 'http://evil.example' });
+    assert.equal(foreign.status, 403);
+    const sameOrigin = await request(server.baseUrl, 'GET', '/sessions', { ...alice, Origin: server.baseUrl });
+    assert.equal(sameOrigin.status, 200);
+});
+
+test('the CLI manages accounts in the users file', async () => {
+    const { main } = require('../bin/gd-assistant');
+    const run = async (args, stdin = '') => {
+        const input = Readable.from([Buffer.from(stdin)]);
+        const output = { stdout: '', stderr: '' };
+        const collect = name => ({ write: text => { output[name] += text; return true; } });
+        const code = await main(args, { stdin: input, stdout: collect('stdout'), stderr: collect('stderr') });
+        return { code, ...output };
+    };
+
+    const added = await run(['users', 'add', 'carol', '--password'], 'secret\n');
+    assert.equal(added.code, 0);
+    const key = added.stdout.match(/gda_\S+/)[0];
+    assert.equal((await request(server.baseUrl, 'GET', '/auth/me', { Authorization: `Bearer ${key}` })).body.username, 'carol');
+    assert.equal((await post(server.baseUrl, '/auth/login', { username: 'carol', password: 'secret' })).status, 200);
+
+    assert.equal((await run(['users', 'add', 'carol'])).code, 1);
+    assert.equal((await run(['users', 'add', 'no spaces'])).code, 2);
+    assert.match((await run(['users', 'list'])).stdout, /carol\n {2}key_/);
+    assert.equal((await run(['users', 'admin', 'carol'])).code, 0);
+    assert.match((await run(['users', 'list'])).stdout, /carol \(admin\)\n/);
+    assert.equal((await run(['users', 'admin', 'carol', 'maybe'])).code, 2);
+    assert.equal((await run(['users', 'remove', 'carol'])).code, 0);
+    assert.equal((await request(server.baseUrl, 'GET', '/auth/me', { Authorization: `Bearer ${key}` })).status, 401);
+});
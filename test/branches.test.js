@@ -0,0 +1,103 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, post, request } = require('./support/testServer');
+
+let server;
+let ollama;
+
+before(async () => {
+    server = await startTestServer();
+    ollama = server.ollama;
+});
+after(() => server.close());
+beforeEach(() => ollama.reset());
+
+const lastContents = () => ollama.requestsTo('/api/chat').at(-1).messages.map(message => message.content);
+
+// A session with two turns: "What is 2+2?" -> "4", then "And 3+3?" -> "6".
+async function startConversation() {
+    ollama.enqueue({ content: '4' }, { content: '6' });
+    const first = await post(server.baseUrl, '/chat', { question: 'What is 2+2?' });
+    await post(server.baseUrl, '/chat', { question: 'And 3+3?', sessionId: first.body.sessionId });
+    return first.body.sessionId;
+}
+
+test('the last answer can be regenerated with another model and switched back', async () => {
+    const sessionId = await startConversation();
+    ollama.enqueue({ content: 'Six.' });
+    const regenerated = await post(server.baseUrl, `/sessions/${sessionId}/regenerate`, { model: 'other-model', options: { temperature: 1.2 } });
+    assert.equal(regenerated.status, 200);
+    assert.equal(regenerated.body.answer, 'Six.');
+    const call = ollama.requestsTo('/api/chat').at(-1);
+    assert.equal(call.model, 'other-model');
+    assert.equal(call.options.temperature, 1.2);
+    assert.deepEqual(lastContents().slice(1), ['What is 2+2?', '4', 'And 3+3?']);
+    assert.deepEqual(regenerated.body.answers.answers.map(answer => [answer.content, answer.model]), [['6', null], ['Six.', 'other-model']]);
+    assert.equal(regenerated.body.answers.active, 1);
+
+    const selected = await post(server.baseUrl, `/sessions/${sessionId}/answers/0/select`, {});
+    assert.equal(selected.status, 200);
+    assert.equal(selected.body.active, 0);
+    await post(server.baseUrl, '/chat', { question: 'Thanks', sessionId });
+    assert.deepEqual(lastContents().slice(1), ['What is 2+2?', '4', 'And 3+3?', '6', 'Thanks']);
+
+    // Once the conversation has moved on, only the answer in the history is left to pick.
+    const answers = (await request(server.baseUrl, 'GET', `/sessions/${sessionId}/answers`)).body;
+    assert.equal(answers.answers.length, 1);
+    assert.equal((await post(server.baseUrl, `/sessions/${sessionId}/answers/1/select`, {})).status, 404);
+});
+
+test('a failed regeneration keeps the previous answer', async () => {
+    const sessionId = await startConversation();
+    ollama.enqueue({ status: 500, error: 'model crashed' });
+    const failed = await post(server.baseUrl, `/sessions/${sessionId}/regenerate`, {});
+    assert.equal(failed.status, 502);
+
+    const messages = (await request(server.baseUrl, 'GET', `/sessions/${sessionId}/messages`)).body.messages;
+    assert.deepEqual(messages.map(message => message.content), ['What is 2+2?', '4', 'And 3+3?', '6']);
+    assert.equal((await post(server.baseUrl, '/sessions/unknown/regenerate', {})).status, 404);
+});
+
+test('a fork continues from an earlier message and keeps the original branch', async () => {
+    const sessionId = await startConversation();
+    const messages = (await request(server.baseUrl, 'GET', `/sessions/${sessionId}/messages`)).body.messages;
+    const secondQuestion = messages.find(message => message.content === 'And 3+3?');
+
+    const fork = await post(server.baseUrl, `/sessions/${sessionId}/fork`, { messageIndex: secondQuestion.index });
+    assert.equal(fork.status, 201);
+    assert.equal(fork.body.parentId, sessionId);
+    assert.deepEqual(fork.body.messages.map(message => message.content), ['What is 2+2?', '4']);
+
+    // The edited question goes to the fork; the original still has its own last turn.
+    ollama.enqueue({ content: '8' });
+    await post(server.baseUrl, '/chat', { question: 'And 4+4?', sessionId: fork.body.sessionId });
+    assert.deepEqual(lastContents().slice(1), ['What is 2+2?', '4', 'And 4+4?']);
+    const original = (await request(server.baseUrl, 'GET', `/sessions/${sessionId}/messages`)).body.messages;
+    assert.deepEqual(original.map(message => message.content), ['What is 2+2?', '4', 'And 3+3?', '6']);
+
+    // A fork of the fork belongs to the same family.
+    const nested = await post(server.baseUrl, `/sessions/${fork.body.sessionId}/fork`, {});
+    const family = (await request(server.baseUrl, 'GET', `/sessions/${nested.body.sessionId}/branches`)).body;
+    assert.equal(family.rootId, sessionId);
+    assert.deepEqual(family.branches.map(branch => [branch.sessionId, branch.parentId, branch.current]), [
+        [sessionId, null, false],
+        [fork.body.sessionId, sessionId, false],
+        [nested.body.sessionId, fork.body.sessionId, true]
+    ]);
+});
+
+test('forks are only made at questions and answers', async () => {
+    const sessionId = await startConversation();
+    assert.equal((await post(server.baseUrl, `/sessions/${sessionId}/fork`, { messageIndex: 0 })).status, 400);
+    assert.equal((await post(server.baseUrl, `/sessions/${sessionId}/fork`, { messageIndex: 99 })).status, 400);
+    assert.equal((await post(server.baseUrl, `/sessions/${sessionId}/fork`, { messageIndex: '2' })).status, 400);
+    assert.equal((await post(server.baseUrl, '/sessions/unknown/fork', { messageIndex: 1 })).status, 404);
+
+    // Forking at an answer keeps its question, which can then be answered again.
+    const messages = (await request(server.baseUrl, 'GET', `/sessions/${sessionId}/messages`)).body.messages;
+    const fork = await post(server.baseUrl, `/sessions/${sessionId}/fork`, { messageIndex: messages.find(message => message.content === '4').index });
+    ollama.enqueue({ content: 'Four.' });
+    const answered = await post(server.baseUrl, `/sessions/${fork.body.sessionId}/regenerate`, {});
+    assert.equal(answered.body.answer, 'Four.');
+    assert.deepEqual(answered.body.answers.answers.map(answer => answer.content), ['Four.']);
+});
@@ -0,0 +1,216 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, post, request } = require('./support/testServer');
+const { DEFAULT_REPLY } = require('./support/mockOllama');
+
+let server;
+let ollama;
+
+before(async () => {
+    server = await startTestServer();
+    ollama = server.ollama;
+});
+after(() => server.close());
+beforeEach(() => ollama.reset());
+
+const chat = body => post(server.baseUrl, '/chat', body);
+
+test('chat creates a session and keeps the conversation in it', async () => {
+    ollama.enqueue({ content: 'Hi there!' });
+    const first = await chat({ question: 'Hello' });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.answer, 'Hi there!');
+    assert.match(first.body.sessionId, /^[0-9a-f-]{36}$/);
+
+    await chat({ question: 'And again', sessionId: first.body.sessionId });
+    const messages = ollama.requestsTo('/api/chat').at(-1).messages;
+    assert.deepEqual(messages.map(message => message.role), ['system', 'user', 'assistant', 'user']);
+    assert.equal(messages[1].content, 'Hello');
+    assert.equal(messages[2].content, 'Hi there!');
+});
+
+test('an unknown session ID starts a new session', async () => {
+    const response = await chat({ question: 'Hello', sessionId: 'does-not-exist' });
+    assert.equal(response.status, 200);
+    assert.notEqual(response.body.sessionId, 'does-not-exist');
+});
+
+test('CSV_REQUEST and IMAGE_REQUEST replies become generate_file actions', async () => {
+    ollama.enqueue({ content: 'CSV_REQUEST: List five planets with their radius.' });
+    const csv = await chat({ question: 'Make me a table of planets' });
+    assert.equal(csv.body.action, 'generate_file');
+    assert.equal(csv.body.fileType, 'csv');
+    assert.equal(csv.body.generationPrompt, 'List five planets with their radius.');
+
+    ollama.enqueue({ content: 'IMAGE_REQUEST: A red bicycle.' });
+    const image = await chat({ question: 'Draw a bicycle', sessionId: csv.body.sessionId });
+    assert.equal(image.body.fileType, 'image');
+    assert.equal(image.body.generationPrompt, 'A red bicycle.');
+});
+
+test('"Generate CSV:" and "Generate Image:" commands skip the model', async () => {
+    const csv = await chat({ question: 'Generate CSV: five fruits and their colors' });
+    assert.equal(csv.body.action, 'generate_file');
+    assert.equal(csv.body.fileType, 'csv');
+    assert.equal(csv.body.generationPrompt, 'five fruits and their colors');
+
+    const image = await chat({ question: 'show me an image of: a lighthouse' });
+    assert.equal(image.body.fileType, 'image');
+    assert.equal(image.body.generationPrompt, 'a lighthouse');
+    assert.equal(ollama.requestsTo('/api/chat').length, 0);
+});
+
+test('a failed turn is rolled back from the history', async () => {
+    const first = await chat({ question: 'Remember the number 7' });
+    const sessionId = first.body.sessionId;
+
+    ollama.enqueue({ status: 500, error: 'model crashed' });
+    const failed = await chat({ question: 'This one fails', sessionId });
+    assert.equal(failed.status, 502);
+    assert.equal(failed.body.code, 'model_error');
+    assert.match(failed.body.error, /model crashed/);
+    assert.equal(failed.body.sessionId, sessionId);
+
+    await chat({ question: 'Still there?', sessionId });
+    const contents = ollama.requestsTo('/api/chat').at(-1).messages.map(message => message.content);
+    assert.ok(contents.includes('Remember the number 7'));
+    assert.ok(!contents.includes('This one fails'));
+});
+
+test('streamed chat sends tokens and a final done line', async () => {
+    ollama.enqueue({ content: 'one two three' });
+    const response = await chat({ question: 'Count', stream: true });
+    assert.equal(response.status, 200);
+    assert.equal(response.tokens, 'one two three');
+    assert.equal(response.body.type, 'done');
+    assert.equal(response.body.answer, 'one two three');
+});
+
+test('an error in the middle of a stream ends with an error line and rolls back', async () => {
+    const first = await chat({ question: 'Start' });
+    const sessionId = first.body.sessionId;
+
+    ollama.enqueue({ content: 'partial answer ', streamError: 'connection lost' });
+    const response = await chat({ question: 'Broken stream', sessionId, stream: true });
+    assert.equal(response.body.type, 'error');
+    assert.equal(response.body.status, 502);
+
+    await chat({ question: 'Next', sessionId });
+    const contents = ollama.requestsTo('/api/chat').at(-1).messages.map(message => message.content);
+    assert.ok(!contents.includes('Broken stream'));
+});
+
+test('NDJSON lines split across chunks, and characters split across bytes, are read whole', async () => {
+    const { Readable } = require('stream');
+    const { readNdjson } = require('../lib/ndjson');
+    const bytes = Buffer.from('{"token":"café"}\n\nnot json\n{"done":true}');
+    const parts = [];
+    await readNdjson(Readable.from([bytes.subarray(0, 14), bytes.subarray(14, 20), bytes.subarray(20)]), part => parts.push(part));
+    assert.deepEqual(parts, [{ token: 'café' }, { done: true }]);
+    await assert.rejects(readNdjson(Readable.from([bytes]), () => { throw new Error('stop'); }), /stop/);
+});
+
+test('tool calls are run on the server and their results sent back to the model', async () => {
+    ollama.enqueue(
+        { content: '', toolCalls: [{ function: { name: 'get_date_time', arguments: {} } }] },
+        { content: 'It is today.' }
+    );
+    const response = await chat({ question: 'What day is it?' });
+    assert.equal(response.body.answer, 'It is today.');
+
+    const [, secondCall] = ollama.requestsTo('/api/chat');
+    const toolMessage = secondCall.messages.at(-1);
+    assert.equal(toolMessage.role, 'tool');
+    assert.equal(toolMessage.tool_name, 'get_date_time');
+});
+
+test('model and options are validated and passed to Ollama', async () => {
+    const invalid = await chat({ question: 'Hi', options: { top_k: 3 } });
+    assert.equal(invalid.status, 400);
+
+    await chat({ question: 'Hi', model: 'llama3.1:8b', options: { temperature: 0.2, seed: 1 } });
+    const body = ollama.requestsTo('/api/chat').at(-1);
+    assert.equal(body.model, 'llama3.1:8b');
+    assert.equal(body.options.temperature, 0.2);
+    assert.equal(body.options.seed, 1);
+});
+
+test('/clear-chat-history deletes the session', async () => {
+    const first = await chat({ question: 'Hello' });
+    const sessionId = first.body.sessionId;
+
+    const cleared = await post(server.baseUrl, '/clear-chat-history', { sessionId });
+    assert.equal(cleared.status, 200);
+    const again = await post(server.baseUrl, '/clear-chat-history', { sessionId });
+    assert.equal(again.status, 404);
+    const missing = await post(server.baseUrl, '/clear-chat-history', {});
+    assert.equal(missing.status, 404);
+
+    const next = await chat({ question: 'Hello again', sessionId });
+    assert.notEqual(next.body.sessionId, sessionId);
+    assert.equal(next.body.answer, DEFAULT_REPLY);
+});
+
+test('without authentication a session belongs to the client token that created it', async () => {
+    const sessionId = (await chat({ question: 'Hello' })).body.sessionId;
+    const stranger = { 'X-Client-Token': 'x'.repeat(32) };
+    assert.equal((await request(server.baseUrl, 'GET', `/sessions/${sessionId}/export?format=json`, stranger)).status, 404);
+    assert.equal((await post(server.baseUrl, '/clear-chat-history', { sessionId }, stranger)).status, 404);
+    assert.ok(!(await request(server.baseUrl, 'GET', '/sessions', stranger)).body.sessions.some(session => session.sessionId === sessionId));
+    assert.equal((await chat({ question: 'Still mine?', sessionId })).body.sessionId, sessionId);
+
+    // Clients without a token continue their sessions by ID, as before tokens existed.
+    const tokenless = async (question, sessionId) => (await fetch(`${server.baseUrl}/chat`, {
+        method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ question, sessionId })
+    })).json();
+    const first = await tokenless('Hi');
+    const second = await tokenless('Hi again', first.sessionId);
+    assert.equal(second.sessionId, first.sessionId);
+    assert.equal((await fetch(`${server.baseUrl}/sessions/${first.sessionId}/messages`)).status, 200);
+    assert.equal((await request(server.baseUrl, 'GET', `/sessions/${sessionId}/messages`, { 'X-Client-Token': '' })).status, 404);
+    assert.equal((await request(server.baseUrl, 'GET', '/sessions', { 'X-Client-Token': 'short' })).status, 400);
+});
+
+test('overlapping writes of one session each go through a temp file of their own', async () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { createSessionStore, createSession } = require('../lib/sessionStore');
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gd-assistant-store-'));
+    try {
+        const store = createSessionStore({ directory: directory });
+        const sessionId = '6f1c2d3e-4a5b-4c6d-8e7f-9a0b1c2d3e4f';
+        await Promise.all(Array.from({ length: 20 }, (unused, index) => store.set(sessionId, { ...createSession(), history: [{ role: 'user', content: `turn ${index}` }] })));
+        assert.equal((await store.get(sessionId)).history.length, 1);
+        assert.deepEqual(fs.readdirSync(directory), [`${sessionId}.json`]);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('turns sent to one session at once are both kept', async () => {
+    ollama.enqueue({ content: 'First answer.' });
+    const sessionId = (await chat({ question: 'Start' })).body.sessionId;
+
+    ollama.enqueue({ content: 'Slow answer.', delay: 150 }, { content: 'Quick answer.' });
+    const slowTurn = chat({ question: 'Slow question', sessionId });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const [slow, quick] = await Promise.all([slowTurn, chat({ question: 'Quick question', sessionId })]);
+    assert.equal(slow.body.answer, 'Slow answer.');
+    assert.equal(quick.body.answer, 'Quick answer.');
+    // The second turn waited for the first, so it was asked with the first one in its history.
+    assert.deepEqual(ollama.requestsTo('/api/chat').at(-1).messages.slice(1).map(message => message.content),
+        ['Start', 'First answer.', 'Slow question', 'Slow answer.', 'Quick question']);
+
+    ollama.enqueue({ content: 'Done.' });
+    await chat({ question: 'Last', sessionId });
+    const contents = ollama.requestsTo('/api/chat').at(-1).messages.map(message => message.content);
+    assert.ok(contents.includes('Slow question') && contents.includes('Quick answer.'));
+});
+
+test('/models lists the models installed in Ollama', async () => {
+    const response = await request(server.baseUrl, 'GET', '/models');
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.models.map(model => model.name), ['llama3.2-vision:11b', 'nomic-embed-text']);
+    assert.ok(response.body.defaultModel);
+});
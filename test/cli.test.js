@@ -0,0 +1,138 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { startTestServer } = require('./support/testServer');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gd-assistant-cli-'));
+let server;
+let ollama;
+let main;
+let parseColumnsOption;
+
+before(async () => {
+    // The CLI keeps the last session ID next to the session folder, so point that at a temp folder.
+    server = await startTestServer({ SESSION_DIR: path.join(workDir, 'sessions') });
+    ollama = server.ollama;
+    ({ main, parseColumnsOption } = require('../bin/gd-assistant'));
+});
+after(async () => {
+    await server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+beforeEach(() => ollama.reset());
+
+const SALES_CSV = 'Region,Sales\nNorth,10\nSouth,5\n';
+const planner = (plan) => ({ match: body => body.format === 'json', content: JSON.stringify(plan) });
+
+// Runs the CLI against the test server. `stdin` is piped input; without it stdin acts like a terminal.
+async function run(args, { stdin = null, interactive = '' } = {}) {
+    const input = Readable.from(stdin !== null ? [Buffer.from(stdin)] : [interactive]);
+    input.isTTY = stdin === null;
+    const output = { stdout: '', stderr: '' };
+    const collect = name => ({ write: text => { output[name] += text; return true; } });
+    const code = await main([...args, '--server', server.baseUrl], { stdin: input, stdout: collect('stdout'), stderr: collect('stderr') });
+    return { code, ...output };
+}
+
+test('chat answers one question and --resume continues its session', async () => {
+    ollama.enqueue({ content: 'Hello from the CLI.' });
+    const first = await run(['chat', 'Hello', 'there']);
+    assert.equal(first.code, 0);
+    assert.equal(first.stdout, 'Hello from the CLI.\n');
+    assert.equal(ollama.requestsTo('/api/chat').at(-1).messages.at(-1).content, 'Hello there');
+
+    await run(['chat', '--resume', 'And again']);
+    const roles = ollama.requestsTo('/api/chat').at(-1).messages.map(message => message.role);
+    assert.deepEqual(roles, ['system', 'user', 'assistant', 'user']);
+});
+
+test('piped text is added to the question and --json prints the response', async () => {
+    const result = await run(['chat', '--json', 'Summarize these notes'], { stdin: 'Meeting moved to Friday.\n' });
+    assert.equal(result.code, 0);
+    const body = JSON.parse(result.stdout);
+    assert.equal(body.answer, 'Mock reply');
+    assert.match(body.sessionId, /^[0-9a-f-]{36}$/);
+    assert.equal(ollama.requestsTo('/api/chat').at(-1).messages.at(-1).content, 'Summarize these notes\n\nMeeting moved to Friday.');
+});
+
+test('analyze picks the route from the file content, also for stdin', async () => {
+    const csvFile = path.join(workDir, 'sales-export');
+    fs.writeFileSync(csvFile, SALES_CSV);
+    ollama.enqueue(planner({ needsData: false }), { content: 'Two regions.' });
+    const fromFile = await run(['analyze', csvFile, 'What is in here?']);
+    assert.equal(fromFile.code, 0);
+    assert.equal(fromFile.stdout, 'Two regions.\n');
+
+    ollama.enqueue({ content: 'One pixel.' });
+    const fromStdin = await run(['analyze', '-', '--json'], { stdin: fs.readFileSync(path.join(__dirname, 'fixtures', 'pixel.png')) });
+    assert.equal(JSON.parse(fromStdin.stdout).response, 'One pixel.');
+    assert.equal(ollama.requestsTo('/api/chat').at(-1).messages.at(-1).images.length, 1);
+
+    const unknown = await run(['analyze', '-'], { stdin: Buffer.from([0x00, 0x01, 0x02]) });
+    assert.equal(unknown.code, 2);
+    assert.match(unknown.stderr, /expected a CSV, PDF, image or another supported file/);
+});
+
+test('analyze sends workbooks and other formats to /analyze-file, with --sheet', async () => {
+    ollama.enqueue(planner({ needsData: false }), { content: 'Two orders.' });
+    const result = await run(['analyze', path.join(__dirname, 'fixtures', 'budget.xlsx'), 'How many orders?', '--sheet', 'Orders', '--json']);
+    assert.equal(result.code, 0, result.stderr);
+    const body = JSON.parse(result.stdout);
+    assert.equal(body.response, 'Two orders.');
+    assert.equal(body.attachment.format, 'xlsx');
+    assert.equal(body.attachment.sheet, 'Orders');
+});
+
+test('generate-csv writes the file where --output says, or to stdout', async () => {
+    const target = path.join(workDir, 'out', 'players.csv');
+    ollama.enqueue({ path: '/api/generate', content: JSON.stringify({ rows: [{ Name: 'Ann', Age: '34' }] }) });
+    const written = await run(['generate-csv', 'One player', '--columns', 'Name,Age:integer', '-o', target]);
+    assert.equal(written.code, 0);
+    assert.equal(fs.readFileSync(target, 'utf8'), 'Name,Age\nAnn,34\n');
+    assert.match(written.stdout, /CSV saved to/);
+    assert.deepEqual(ollama.requestsTo('/api/generate').at(-1).format.properties.rows.items.required, []);
+
+    ollama.enqueue({ path: '/api/generate', content: JSON.stringify({ rows: [{ fruit: 'apple' }] }) });
+    const piped = await run(['generate-csv', '-o', '-'], { stdin: 'One fruit' });
+    assert.equal(piped.stdout, 'fruit\napple\n');
+});
+
+test('a CSV_REQUEST answer is followed by /generate-csv like in the UI', async () => {
+    const target = path.join(workDir, 'planets.csv');
+    ollama.enqueue(
+        { content: 'CSV_REQUEST: Two planets and their moons.' },
+        { path: '/api/generate', content: JSON.stringify({ rows: [{ planet: 'Earth', moons: 1 }, { planet: 'Mars', moons: 2 }] }) }
+    );
+    const result = await run(['chat', 'Make a table of planets', '-o', target]);
+    assert.equal(result.code, 0);
+    assert.match(result.stdout, /Generating a csv: Two planets and their moons\./);
+    assert.equal(fs.readFileSync(target, 'utf8'), 'planet,moons\nEarth,1\nMars,2\n');
+});
+
+test('the interactive chat keeps one session until /new', async () => {
+    ollama.enqueue({ content: 'First answer.' }, { content: 'Second answer.' });
+    const result = await run(['chat'], { interactive: 'Hello\nHow are you?\n/new\n/session\n/exit\n' });
+    assert.equal(result.code, 0);
+    assert.match(result.stdout, /assistant> First answer\.\nyou> assistant> Second answer\.\nyou> Started a new session\.\nyou> No session yet\./);
+    assert.equal(ollama.requestsTo('/api/chat').at(-1).messages.length, 4);
+});
+
+test('server errors and bad arguments set the exit code', async () => {
+    ollama.enqueue({ status: 500, error: 'model crashed' });
+    const failed = await run(['chat', 'Hello']);
+    assert.equal(failed.code, 1);
+    assert.match(failed.stderr, /Server returned 502/);
+
+    assert.equal((await run(['summarize'])).code, 2);
+    assert.equal((await run(['chat', '--nope'])).code, 2);
+    assert.equal((await run(['generate-csv'], { stdin: '' })).code, 2);
+});
+
+test('--columns takes a JSON schema or a short list', () => {
+    assert.deepEqual(parseColumnsOption('Name, Age:integer ,Team'), ['Name', { name: 'Age', type: 'integer' }, 'Team']);
+    assert.deepEqual(parseColumnsOption('[{"name":"Age","type":"integer","required":true}]'), [{ name: 'Age', type: 'integer', required: true }]);
+    assert.throws(() => parseColumnsOption('[not json'), /not valid JSON/);
+});
@@ -0,0 +1,204 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, post } = require('./support/testServer');
+
+let server;
+let ollama;
+let csvToJson;
+let jsonToCsv;
+
+before(async () => {
+    server = await startTestServer();
+    ollama = server.ollama;
+    ({ csvToJson, jsonToCsv } = require('../server'));
+});
+after(() => server.close());
+beforeEach(() => ollama.reset());
+
+const SALES_CSV = 'Region,Product,Sales\nNorth,Apples,10\nSouth,Apples,5\nNorth,Pears,7\n';
+const planner = (plan) => ({ match: body => body.format === 'json', content: JSON.stringify(plan) });
+
+// --- csvToJson / jsonToCsv ---
+
+test('csvToJson handles quoted fields, embedded newlines and blank lines', async () => {
+    const records = await csvToJson('name,note\n"Smith, Jane","said ""hi""\non two lines"\n\nBob,plain\n');
+    assert.deepEqual(records, [
+        { name: 'Smith, Jane', note: 'said "hi"\non two lines' },
+        { name: 'Bob', note: 'plain' }
+    ]);
+});
+
+test('csvToJson returns no records for a header-only file and rejects ragged rows', async () => {
+    assert.deepEqual(await csvToJson('a,b\n'), []);
+    assert.deepEqual(await csvToJson(''), []);
+    await assert.rejects(csvToJson('a,b\n1,2,3\n'), /Failed to parse CSV/);
+});
+
+test('jsonToCsv quotes values that need it and returns an empty string for no rows', async () => {
+    assert.equal(await jsonToCsv([]), '');
+    assert.equal(await jsonToCsv(null), '');
+    assert.equal(await jsonToCsv({ a: 1 }), '');
+    const csv = await jsonToCsv([{ name: 'Smith, Jane', quote: 'say "hi"', count: 3 }, { name: 'Bob', quote: '', count: 0 }]);
+    assert.equal(csv, 'name,quote,count\n"Smith, Jane","say ""hi""",3\nBob,,0\n');
+});
+
+test('csvToJson and jsonToCsv round-trip', async () => {
+    const records = await csvToJson(SALES_CSV);
+    assert.deepEqual(await csvToJson(await jsonToCsv(records)), records);
+});
+
+// --- /analyze-csv ---
+
+test('analyze-csv stores the table and answers from the query results', async () => {
+    ollama.enqueue(
+        planner({ needsData: true, query: { groupBy: ['Region'], aggregate: [{ fn: 'sum', column: 'Sales', as: 'total' }] } }),
+        { content: 'North sold 17, South sold 5.' }
+    );
+    const response = await post(server.baseUrl, '/analyze-csv', { csv: SALES_CSV, fileName: 'sales.csv', prompt: 'Total sales per region?' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.response, 'North sold 17, South sold 5.');
+    assert.deepEqual(response.body.attachment.columns, ['Region', 'Product', 'Sales']);
+    assert.equal(response.body.attachment.rows, 3);
+    assert.deepEqual(response.body.queryResults[0].rows, [{ Region: 'North', total: 17 }, { Region: 'South', total: 5 }]);
+
+    const prompt = ollama.requestsTo('/api/chat').at(-1).messages.at(-1).content;
+    assert.match(prompt, /"total":17|total.*17/);
+});
+
+test('analyze-csv accepts a multipart upload', async () => {
+    ollama.enqueue(planner({ needsData: false }), { content: 'A small sales table.' });
+    const form = new FormData();
+    form.append('file', new Blob([SALES_CSV], { type: 'text/csv' }), 'upload.csv');
+    form.append('prompt', 'What is this?');
+    const response = await post(server.baseUrl, '/analyze-csv', form);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.attachment.name, 'upload.csv');
+    assert.equal(response.body.queryResults, undefined);
+});
+
+test('analyze-csv turns CSV_REQUEST into a generate_file action', async () => {
+    ollama.enqueue(planner({ needsData: false }), { content: 'CSV_REQUEST: Only the North rows.' });
+    const response = await post(server.baseUrl, '/analyze-csv', { csv: SALES_CSV, prompt: 'Give me the North rows as CSV' });
+    assert.equal(response.body.action, 'generate_file');
+    assert.equal(response.body.fileType, 'csv');
+    assert.equal(response.body.generationPrompt, 'Only the North rows.');
+});
+
+test('analyze-csv rejects missing and malformed CSV', async () => {
+    const missing = await post(server.baseUrl, '/analyze-csv', { prompt: 'Analyze' });
+    assert.equal(missing.status, 400);
+    const malformed = await post(server.baseUrl, '/analyze-csv', { csv: 'a,b\n1,2,3\n', prompt: 'Analyze' });
+    assert.equal(malformed.status, 400);
+});
+
+test('analyze-csv rolls the question back when the model fails', async () => {
+    ollama.enqueue(planner({ needsData: false }), { status: 500, error: 'out of memory' });
+    const failed = await post(server.baseUrl, '/analyze-csv', { csv: SALES_CSV, prompt: 'First try' });
+    assert.equal(failed.status, 502);
+
+    await post(server.baseUrl, '/chat', { question: 'Are you there?', sessionId: failed.body.sessionId });
+    const contents = ollama.requestsTo('/api/chat').at(-1).messages.map(message => message.content);
+    assert.ok(!contents.some(content => content.startsWith('First try')));
+});
+
+// --- /generate-csv ---
+
+const rows = (...items) => ({ path: '/api/generate', content: JSON.stringify({ rows: items }) });
+
+test('generate-csv requests rows with a JSON schema format', async () => {
+    ollama.enqueue(rows({ fruit: 'apple', color: 'red' }, { fruit: 'banana', color: 'yellow' }));
+    const response = await post(server.baseUrl, '/generate-csv', { prompt: 'Two fruits and their colors' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.csvContent, 'fruit,color\napple,red\nbanana,yellow\n');
+    assert.equal(response.body.fileName, 'generated_data.csv');
+    assert.equal(response.body.validation.schemaSource, 'none');
+    assert.equal(response.body.validation.validRows, 2);
+
+    const format = ollama.requestsTo('/api/generate').at(-1).format;
+    assert.equal(format.properties.rows.type, 'array');
+});
+
+test('generate-csv validates rows against the caller\'s columns and repairs invalid ones', async () => {
+    const columns = [
+        { name: 'name', type: 'string', required: true },
+        { name: 'age', type: 'integer', required: true },
+        { name: 'team', type: 'string', enum: ['Red', 'Blue'] }
+    ];
+    ollama.enqueue(
+        rows({ name: 'Ann', age: '34', team: 'red' }, { name: 'Bob', age: 'forty', team: 'Blue' }, { name: '', age: 20 }),
+        { ...rows({ name: 'Bob', age: 40, team: 'Blue' }, { name: '', age: 20 }), match: body => body.prompt.includes('do not match') },
+        { ...rows({ name: '', age: 20 }), match: body => body.prompt.includes('do not match') }
+    );
+    const response = await post(server.baseUrl, '/generate-csv', { prompt: 'Three players', columns });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.csvContent, 'name,age,team\nAnn,34,Red\nBob,40,Blue\n');
+
+    const { validation } = response.body;
+    assert.equal(validation.schemaSource, 'request');
+    assert.equal(validation.rowsGenerated, 3);
+    assert.equal(validation.validRows, 2);
+    assert.equal(validation.coercedRows, 1);
+    assert.equal(validation.repairedRows, 1);
+    assert.equal(validation.droppedRows, 1);
+    assert.equal(validation.repairRounds, 2);
+    assert.deepEqual(validation.errors, [{ row: 3, errors: ['"name" is required'] }]);
+
+    const format = ollama.requestsTo('/api/generate')[0].format.properties.rows.items;
+    assert.deepEqual(format.required, ['name', 'age']);
+    assert.deepEqual(format.properties.team.enum, ['Red', 'Blue']);
+});
+
+test('generate-csv rejects an invalid column schema', async () => {
+    const response = await post(server.baseUrl, '/generate-csv', { prompt: 'Anything', columns: [{ name: 'a', type: 'money' }] });
+    assert.equal(response.status, 400);
+    assert.equal(ollama.requestsTo('/api/generate').length, 0);
+});
+
+test('generate-csv infers the columns from a targeted CSV', async () => {
+    ollama.enqueue(planner({ needsData: false }));
+    const analyzed = await post(server.baseUrl, '/analyze-csv', { csv: SALES_CSV, fileName: 'sales.csv', prompt: 'Describe' });
+    const sessionId = analyzed.body.sessionId;
+    await post(server.baseUrl, '/analyze-image', { image: 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGP4z8AAAAMBAQDJ/pLvAAAAAElFTkSuQmCC', prompt: 'Describe', sessionId });
+
+    ollama.enqueue(rows({ Region: 'East', Product: 'Plums', Sales: '3' }));
+    const response = await post(server.baseUrl, '/generate-csv', { prompt: 'Add the sales shown in the image', sessionId, attachmentId: 'all' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.csvContent, 'Region,Product,Sales\nEast,Plums,3\n');
+    assert.equal(response.body.validation.schemaSource, 'inferred');
+    assert.deepEqual(response.body.validation.columns.map(column => column.type), ['string', 'string', 'integer']);
+});
+
+test('generate-csv retries once when the reply has no rows, then fails', async () => {
+    ollama.enqueue({ path: '/api/generate', content: 'Sure! Here is your CSV: a,b' }, { path: '/api/generate', content: '{"table": []}' });
+    const response = await post(server.baseUrl, '/generate-csv', { prompt: 'One fruit' });
+    assert.equal(response.status, 500);
+    assert.match(response.body.error, /rows/);
+    assert.equal(ollama.requestsTo('/api/generate').length, 2);
+});
+
+test('generate-csv reports empty output, Ollama errors and empty prompts', async () => {
+    ollama.enqueue(rows());
+    const empty = await post(server.baseUrl, '/generate-csv', { prompt: 'Nothing' });
+    assert.equal(empty.status, 500);
+    assert.equal(empty.body.fileName, 'empty_generated.csv');
+
+    ollama.enqueue({ path: '/api/generate', status: 404, error: 'model not found' });
+    const failed = await post(server.baseUrl, '/generate-csv', { prompt: 'Anything' });
+    assert.equal(failed.status, 404);
+    assert.equal(failed.body.code, 'model_missing');
+
+    const noPrompt = await post(server.baseUrl, '/generate-csv', { prompt: ' ' });
+    assert.equal(noPrompt.status, 400);
+});
+
+test('generate-csv on an analyzed CSV builds the file from the query engine', async () => {
+    ollama.enqueue(planner({ needsData: false }), { content: 'A sales table.' });
+    const analyzed = await post(server.baseUrl, '/analyze-csv', { csv: SALES_CSV, prompt: 'Describe' });
+
+    ollama.enqueue(planner({ needsData: true, query: { filter: [{ column: 'Region', op: 'eq', value: 'North' }], select: ['Product', 'Sales'] } }));
+    const response = await post(server.baseUrl, '/generate-csv', { prompt: 'North rows only', sessionId: analyzed.body.sessionId });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.csvContent, 'Product,Sales\nApples,10\nPears,7\n');
+    assert.equal(response.body.attachmentId, analyzed.body.attachment.id);
+    assert.equal(ollama.requestsTo('/api/generate').length, 0);
+});
@@ -0,0 +1,109 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer, post, request } = require('./support/testServer');
+
+let server;
+let ollama;
+
+before(async () => {
+    server = await startTestServer();
+    ollama = server.ollama;
+});
+after(() => server.close());
+beforeEach(() => ollama.reset());
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+const planner = (plan) => ({ match: body => body.format === 'json', content: JSON.stringify(plan) });
+
+// Required once the test server has set up the configuration (the allowed upload types).
+const extractFile = (...args) => require('../lib/extractors').extractFile(...args);
+
+function uploadForm(fileName, content, fields) {
+    const form = new FormData();
+    form.append('file', new Blob([content]), fileName);
+    for (const [key, value] of Object.entries(fields)) form.append(key, value);
+    return form;
+}
+
+test('workbooks are read sheet by sheet, with dates, booleans and rich text', async () => {
+    const first = await extractFile(fixture('budget.xlsx'), { fileName: 'budget.xlsx' });
+    assert.equal(first.format, 'xlsx');
+    assert.deepEqual(first.content.sheets, ['Summary', 'Orders']);
+    assert.deepEqual(first.content.records, [{ Region: 'North', Total: '120.5' }, { Region: 'South & East', Total: '80' }]);
+
+    const orders = await extractFile(fixture('budget.xlsx'), { fileName: 'budget.xlsx', sheet: '2' });
+    assert.equal(orders.content.sheet, 'Orders');
+    assert.deepEqual(orders.content.records, [
+        { Order: 'A-1', Date: '2024-03-01', 'Column 3': '3', Paid: 'TRUE' },
+        { Order: 'A-2', Date: '2024-03-02', 'Column 3': '', Paid: 'FALSE' }
+    ]);
+    await assert.rejects(extractFile(fixture('budget.xlsx'), { fileName: 'budget.xlsx', sheet: 'Missing' }), /Sheets: Summary, Orders/);
+});
+
+test('documents, web pages and JSON are turned into text or rows', async () => {
+    const docx = await extractFile(fixture('spec.docx'), { fileName: 'spec.docx' });
+    assert.equal(docx.content.type, 'document');
+    assert.match(docx.content.text, /Sessions expire after 30 minutes of inactivity & must be renewed\./);
+    assert.match(docx.content.text, /Role\tLimit\nAdmin\t5/);
+    assert.doesNotMatch(docx.content.text, /Removed sentence|PAGE/);
+
+    const html = await extractFile(Buffer.from('<html><head><title>Guide</title><style>p { color: red; }</style></head><body><p>Step&nbsp;1</p><script>track();</script></body></html>'), { fileName: 'guide.html' });
+    assert.equal(html.content.text, 'Guide\n\nStep 1');
+
+    const json = await extractFile(Buffer.from('{ "data": [{ "id": 1, "tags": ["a"] }, { "id": 2, "owner": null }] }'), { fileName: 'items.json' });
+    assert.deepEqual(json.content.records, [{ id: '1', tags: '["a"]', owner: '' }, { id: '2', tags: '', owner: '' }]);
+
+    // Without a known extension the content decides.
+    const ndjson = await extractFile(Buffer.from('{"id":1}\n{"id":2}\n'), { fileName: 'export' });
+    assert.equal(ndjson.format, 'ndjson');
+    assert.equal(ndjson.content.records.length, 2);
+    await assert.rejects(extractFile(Buffer.from('{"id":1}\nnot json\n'), { fileName: 'bad.ndjson' }), /Line 2 is not valid JSON/);
+});
+
+test('analyze-file stores a sheet as a table and queries it like a CSV', async () => {
+    ollama.enqueue(
+        planner({ needsData: true, query: { aggregate: [{ fn: 'count', as: 'orders' }] } }),
+        { content: 'There are 2 orders.' }
+    );
+    const response = await post(server.baseUrl, '/analyze-file', uploadForm('budget.xlsx', fixture('budget.xlsx'), { prompt: 'How many orders?', sheet: 'Orders' }));
+    assert.equal(response.status, 200);
+    assert.equal(response.body.response, 'There are 2 orders.');
+    assert.equal(response.body.attachment.type, 'csv');
+    assert.equal(response.body.attachment.format, 'xlsx');
+    assert.equal(response.body.attachment.sheet, 'Orders');
+    assert.deepEqual(response.body.queryResults[0].rows, [{ orders: 2 }]);
+    const messages = ollama.requestsTo('/api/chat').at(-1).messages;
+    assert.ok(messages.some(message => message.role === 'system' && message.content.includes('provided a table (Excel workbook): [att1] budget.xlsx')));
+});
+
+test('analyze-file indexes text documents and rejects what it cannot read', async () => {
+    ollama.enqueue({ content: 'Sessions expire after 30 minutes.' });
+    const response = await post(server.baseUrl, '/analyze-file', {
+        file: fixture('spec.docx').toString('base64'),
+        fileName: 'spec.docx',
+        prompt: 'When do sessions expire?'
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.attachment.type, 'document');
+    assert.equal(response.body.attachment.indexed, true);
+    assert.equal(response.body.citations[0].attachmentName, 'spec.docx');
+    const systemPrompt = ollama.requestsTo('/api/chat').at(-1).messages.find(message => message.role === 'system' && message.content.includes('document analyst')).content;
+    assert.match(systemPrompt, /provided a document \(Word document\)/);
+    assert.doesNotMatch(systemPrompt, /PDF/);
+
+    // Markdown follows up in the same session, next to the Word document.
+    ollama.enqueue({ content: 'Both mention sessions.' });
+    const notes = await post(server.baseUrl, '/analyze-file', uploadForm('notes.md', '# Notes\n\nSessions are renewed on login.', { prompt: 'Compare with att1', sessionId: response.body.sessionId }));
+    assert.equal(notes.body.attachment.id, 'att2');
+    assert.equal(notes.body.attachment.format, 'markdown');
+
+    assert.equal((await post(server.baseUrl, '/analyze-file', uploadForm('pixel.bin', fixture('pixel.png'), { prompt: 'Read it' }))).status, 415);
+    assert.equal((await post(server.baseUrl, '/analyze-file', uploadForm('broken.xlsx', 'not a workbook', { prompt: 'Read it' }))).status, 415);
+    assert.equal((await post(server.baseUrl, '/analyze-file', uploadForm('broken.json', '{ "a": ', { prompt: 'Read it' }))).status, 400);
+    assert.equal((await post(server.baseUrl, '/analyze-file', { prompt: 'Nothing attached' })).status, 400);
+
+    const formats = (await request(server.baseUrl, 'GET', '/formats')).body.formats;
+    assert.ok(['xlsx', 'docx', 'json', 'ndjson', 'html', 'markdown', 'text'].every(format => formats.some(entry => entry.format === format && entry.allowed)));
+});
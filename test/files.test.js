@@ -0,0 +1,170 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer, post, request } = require('./support/testServer');
+
+let server;
+let ollama;
+
+before(async () => {
+    server = await startTestServer({ UPLOAD_MAX_MB: '1' });
+    ollama = server.ollama;
+});
+after(() => server.close());
+beforeEach(() => ollama.reset());
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+const PDF_BASE64 = fixture('report.pdf').toString('base64');
+const PNG_BASE64 = fixture('pixel.png').toString('base64');
+const SALES_CSV = 'Region,Sales\nNorth,10\nSouth,5\nNorth,7\n';
+const planner = (plan) => ({ match: body => body.format === 'json', content: JSON.stringify(plan) });
+
+function uploadForm(fileName, content, type, fields) {
+    const form = new FormData();
+    form.append('file', new Blob([content], { type: type }), fileName);
+    for (const [key, value] of Object.entries(fields)) form.append(key, value);
+    return form;
+}
+
+// --- /analyze-pdf ---
+
+test('analyze-pdf indexes the document and answers from cited excerpts', async () => {
+    ollama.enqueue({ content: 'Revenue grew to 42 million (p. 1).' });
+    const response = await post(server.baseUrl, '/analyze-pdf', { pdf: PDF_BASE64, fileName: 'report.pdf', prompt: 'How did revenue develop?' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.response, 'Revenue grew to 42 million (p. 1).');
+    assert.equal(response.body.attachment.pages, 2);
+    assert.equal(response.body.attachment.indexed, true);
+    assert.ok(response.body.citations.length > 0);
+    assert.equal(response.body.citations[0].attachmentName, 'report.pdf');
+    assert.ok(ollama.requestsTo('/api/embeddings').length > 0);
+});
+
+test('analyze-pdf sends the full text when the embedding model is missing', async () => {
+    ollama.enqueue({ path: '/api/embeddings', status: 404, error: 'model "nomic-embed-text" not found' });
+    const response = await post(server.baseUrl, '/analyze-pdf', { pdf: PDF_BASE64, prompt: 'Summarize' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.attachment.indexed, false);
+    assert.equal(response.body.citations, undefined);
+    const prompt = ollama.requestsTo('/api/chat').at(-1).messages.at(-1).content;
+    assert.match(prompt, /Risks: supply delays/);
+});
+
+test('analyze-pdf accepts multipart uploads and rejects other file types', async () => {
+    const uploaded = await post(server.baseUrl, '/analyze-pdf', uploadForm('report.pdf', fixture('report.pdf'), 'application/pdf', { prompt: 'Summarize', stream: 'true' }));
+    assert.equal(uploaded.status, 200);
+    assert.equal(uploaded.body.type, 'done');
+    assert.equal(uploaded.body.attachment.name, 'report.pdf');
+
+    const wrongType = await post(server.baseUrl, '/analyze-pdf', uploadForm('report.pdf', fixture('pixel.png'), 'application/pdf', { prompt: 'Summarize' }));
+    assert.equal(wrongType.status, 415);
+
+    const missing = await post(server.baseUrl, '/analyze-pdf', { prompt: 'Summarize' });
+    assert.equal(missing.status, 400);
+});
+
+test('uploads over the size limit are rejected with 413', async () => {
+    const large = Buffer.concat([fixture('report.pdf'), Buffer.alloc(1024 * 1024 + 1, 0x20)]);
+    const response = await post(server.baseUrl, '/analyze-pdf', uploadForm('large.pdf', large, 'application/pdf', { prompt: 'Summarize' }));
+    assert.equal(response.status, 413);
+
+    const base64 = await post(server.baseUrl, '/analyze-pdf', { pdf: large.toString('base64'), prompt: 'Summarize' });
+    assert.equal(base64.status, 413);
+});
+
+// --- /analyze-image and /generate-image ---
+
+test('analyze-image passes the image to the model', async () => {
+    ollama.enqueue({ content: 'A single green pixel.' });
+    const response = await post(server.baseUrl, '/analyze-image', { image: PNG_BASE64, fileName: 'pixel.png', prompt: 'Describe it' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.response, 'A single green pixel.');
+    assert.deepEqual(ollama.requestsTo('/api/chat').at(-1).messages.at(-1).images, [PNG_BASE64]);
+});
+
+test('analyze-image turns a CSV_REQUEST with a JSON block into CSV content', async () => {
+    ollama.enqueue({ content: 'CSV_REQUEST: Objects in the image.\n```json\n[{"object": "pixel", "color": "green"}]\n```' });
+    const response = await post(server.baseUrl, '/analyze-image', uploadForm('pixel.png', fixture('pixel.png'), 'image/png', { prompt: 'List the objects as CSV' }));
+    assert.equal(response.status, 200);
+    assert.equal(response.body.fileType, 'csv');
+    assert.equal(response.body.csvContent, 'object,color\npixel,green\n');
+});
+
+test('analyze-image rejects missing images and non-image content', async () => {
+    const missing = await post(server.baseUrl, '/analyze-image', { prompt: 'Describe' });
+    assert.equal(missing.status, 400);
+    const notAnImage = await post(server.baseUrl, '/analyze-image', { image: Buffer.from('just text').toString('base64'), prompt: 'Describe' });
+    assert.equal(notAnImage.status, 415);
+});
+
+test('generate-image describes attached images through /api/generate', async () => {
+    const analyzed = await post(server.baseUrl, '/analyze-image', { image: PNG_BASE64, prompt: 'Describe' });
+    ollama.enqueue({ path: '/api/generate', content: 'A tiny green square.' });
+    const response = await post(server.baseUrl, '/generate-image', { prompt: 'Describe it in detail', sessionId: analyzed.body.sessionId });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.response, 'A tiny green square.');
+    assert.deepEqual(ollama.requestsTo('/api/generate').at(-1).images, [PNG_BASE64]);
+});
+
+test('generate-image draws a chart from an analyzed CSV', async () => {
+    ollama.enqueue(planner({ needsData: false }), { content: 'A sales table.' });
+    const analyzed = await post(server.baseUrl, '/analyze-csv', { csv: SALES_CSV, prompt: 'Describe' });
+
+    ollama.enqueue(planner({ type: 'bar', x: 'Region', y: 'Sales', aggregation: 'sum', title: 'Sales by region' }));
+    const response = await post(server.baseUrl, '/generate-image', { prompt: 'Plot sales by region', sessionId: analyzed.body.sessionId });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.fileType, 'image/svg+xml');
+    assert.equal(response.body.fileName, 'Sales_by_region.svg');
+    const svg = Buffer.from(response.body.image.split(',')[1], 'base64').toString('utf8');
+    assert.match(svg, /^<svg/);
+    assert.match(svg, /North/);
+
+    ollama.enqueue(planner({ type: 'bar', x: 'Nope' }), planner({ type: 'bar', x: 'Nope' }));
+    const invalid = await post(server.baseUrl, '/generate-image', { prompt: 'Plot something', sessionId: analyzed.body.sessionId });
+    assert.equal(invalid.status, 422);
+});
+
+// --- Attachments ---
+
+test('attachments of a session can be listed, targeted and removed', async () => {
+    ollama.enqueue(planner({ needsData: false }));
+    const first = await post(server.baseUrl, '/analyze-csv', { csv: SALES_CSV, fileName: 'sales.csv', prompt: 'Describe' });
+    const sessionId = first.body.sessionId;
+    await post(server.baseUrl, '/analyze-image', { image: PNG_BASE64, fileName: 'pixel.png', prompt: 'Describe', sessionId });
+
+    const listed = await request(server.baseUrl, 'GET', `/sessions/${sessionId}/attachments`);
+    assert.equal(listed.status, 200);
+    assert.deepEqual(listed.body.attachments.map(attachment => [attachment.id, attachment.type, attachment.name]), [['att1', 'csv', 'sales.csv'], ['att2', 'image', 'pixel.png']]);
+
+    const unknown = await post(server.baseUrl, '/chat', { question: 'Compare them', sessionId, attachmentIds: ['att9'] });
+    assert.equal(unknown.status, 404);
+
+    const removed = await request(server.baseUrl, 'DELETE', `/sessions/${sessionId}/attachments/att1`);
+    assert.equal(removed.status, 200);
+    const again = await request(server.baseUrl, 'DELETE', `/sessions/${sessionId}/attachments/att1`);
+    assert.equal(again.status, 404);
+    const remaining = await request(server.baseUrl, 'GET', `/sessions/${sessionId}/attachments`);
+    assert.deepEqual(remaining.body.attachments.map(attachment => attachment.id), ['att2']);
+
+    const noSession = await request(server.baseUrl, 'GET', '/sessions/missing/attachments');
+    assert.equal(noSession.status, 404);
+});
+
+test('a failed analyze turn is rolled back with its attachment and prompts', async () => {
+    ollama.enqueue(planner({ needsData: false }));
+    const first = await post(server.baseUrl, '/analyze-csv', { csv: SALES_CSV, fileName: 'sales.csv', prompt: 'Describe' });
+    const sessionId = first.body.sessionId;
+
+    ollama.enqueue({ status: 500, error: 'model crashed' });
+    const failed = await post(server.baseUrl, '/analyze-pdf', { pdf: PDF_BASE64, fileName: 'broken.pdf', prompt: 'Summarize', sessionId });
+    assert.equal(failed.status, 502);
+    const listed = await request(server.baseUrl, 'GET', `/sessions/${sessionId}/attachments`);
+    assert.deepEqual(listed.body.attachments.map(attachment => attachment.id), ['att1']);
+
+    await post(server.baseUrl, '/chat', { question: 'Still there?', sessionId });
+    const sent = JSON.stringify(ollama.requestsTo('/api/chat').at(-1).messages);
+    assert.ok(!sent.includes('broken.pdf') && !sent.includes('Summarize'));
+    const retried = await post(server.baseUrl, '/analyze-pdf', { pdf: PDF_BASE64, fileName: 'report.pdf', prompt: 'Summarize', sessionId });
+    assert.equal(retried.body.attachment.id, 'att2');
+});
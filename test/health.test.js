@@ -0,0 +1,95 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, post, request } = require('./support/testServer');
+
+let server;
+let ollama;
+
+before(async () => {
+    server = await startTestServer();
+    ollama = server.ollama;
+});
+after(() => server.close());
+beforeEach(() => ollama.reset());
+
+// POSTs with stream: true and returns every NDJSON line.
+async function postStream(route, body) {
+    const response = await fetch(`${server.baseUrl}${route}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ...body, stream: true }) });
+    return (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+}
+
+test('health reports Ollama and whether each configured model is installed', async () => {
+    const healthy = await request(server.baseUrl, 'GET', '/health');
+    assert.equal(healthy.status, 200);
+    assert.equal(healthy.body.status, 'ok');
+    assert.deepEqual(healthy.body.ollama, { host: ollama.url, reachable: true, version: '0.0.0-mock', error: null });
+    assert.deepEqual(healthy.body.models.map(model => [model.role, model.name, model.installed]), [
+        ['default', 'llama3.2-vision:11b', true],
+        ['multimodal', 'llama3.2-vision:11b', true],
+        ['embedding', 'nomic-embed-text', true]
+    ]);
+
+    assert.equal((await request(server.baseUrl, 'DELETE', '/admin/models/nomic-embed-text')).status, 200);
+    const degraded = await request(server.baseUrl, 'GET', '/health');
+    assert.equal(degraded.status, 200);
+    assert.equal(degraded.body.status, 'degraded');
+    assert.deepEqual(degraded.body.models.filter(model => !model.installed).map(model => model.role), ['embedding']);
+
+    // Pulling it back streams Ollama's progress, then a done line.
+    const lines = await postStream('/admin/models/pull', { model: 'nomic-embed-text' });
+    assert.deepEqual(lines.filter(line => line.type === 'progress').map(line => line.completed), [undefined, 0, 50, 100, undefined]);
+    assert.equal(lines.at(-1).type, 'done');
+    assert.equal(lines.at(-1).model, 'nomic-embed-text');
+    assert.deepEqual(ollama.requestsTo('/api/pull'), [{ model: 'nomic-embed-text', stream: true }]);
+    assert.equal((await request(server.baseUrl, 'GET', '/health')).body.status, 'ok');
+});
+
+test('pulling and deleting report what went wrong', async () => {
+    ollama.enqueue({ path: '/api/pull', streamError: 'pull model manifest: file does not exist' });
+    const failedPull = await post(server.baseUrl, '/admin/models/pull', { model: 'no-such-model' });
+    assert.equal(failedPull.status, 502);
+    assert.equal(failedPull.body.code, 'model_error');
+    assert.match(failedPull.body.error, /file does not exist/);
+    assert.equal((await post(server.baseUrl, '/admin/models/pull', { model: ' ' })).status, 400);
+
+    const missing = await request(server.baseUrl, 'DELETE', '/admin/models/no-such-model');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'model_missing');
+});
+
+test('a missing model is told apart from a failing one', async () => {
+    ollama.enqueue({ status: 404, error: 'model "tiny" not found, try pulling it first' });
+    const missing = await post(server.baseUrl, '/chat', { question: 'Hi', model: 'tiny' });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'model_missing');
+    assert.match(missing.body.error, /ollama pull tiny/);
+
+    ollama.enqueue({ status: 500, error: 'CUDA out of memory' });
+    const broken = await post(server.baseUrl, '/chat', { question: 'Hi' });
+    assert.equal(broken.status, 502);
+    assert.equal(broken.body.code, 'model_error');
+    assert.match(broken.body.error, /CUDA out of memory/);
+
+    // The library sorts connection errors and treats "llama3.2" and "llama3.2:latest" as one model.
+    const { toOllamaError, isSameModel } = require('../lib/ollamaHealth');
+    const refused = toOllamaError(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }), 'm', 'http://ollama:11434');
+    assert.deepEqual([refused.statusCode, refused.code], [503, 'ollama_unreachable']);
+    assert.match(refused.message, /http:\/\/ollama:11434/);
+    assert.ok(isSameModel('llama3.2', 'llama3.2:latest'));
+    assert.ok(!isSameModel('llama3.2:1b', 'llama3.2'));
+});
+
+// Runs last: it stops the mock Ollama.
+test('with Ollama down, health answers 503 and routes say Ollama is unreachable', async () => {
+    await ollama.close();
+    const health = await request(server.baseUrl, 'GET', '/health');
+    assert.equal(health.status, 503);
+    assert.equal(health.body.status, 'down');
+    assert.match(health.body.ollama.error, /unreachable/);
+    assert.ok(health.body.models.every(model => model.installed === null));
+
+    const chat = await post(server.baseUrl, '/chat', { question: 'Hello?' });
+    assert.equal(chat.status, 503);
+    assert.equal(chat.body.code, 'ollama_unreachable');
+    assert.match(chat.body.error, /ollama serve/);
+});
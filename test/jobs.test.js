@@ -0,0 +1,164 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { startTestServer, post, request } = require('./support/testServer');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gd-assistant-jobs-'));
+let server;
+let ollama;
+
+before(async () => {
+    server = await startTestServer({ SESSION_DIR: path.join(workDir, 'sessions'), JOB_MAX_FILES: '3' });
+    ollama = server.ollama;
+});
+after(async () => {
+    await server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+beforeEach(() => ollama.reset());
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// The JSON answer for the file named `fileName` (files of a job run side by side, so match by name).
+const answerFor = (fileName, content, extra = {}) => ({
+    match: body => body.format === 'json' && JSON.stringify(body.messages).includes(fileName),
+    content: typeof content === 'string' ? content : JSON.stringify(content),
+    ...extra
+});
+
+async function waitForJob(jobId) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const job = (await request(server.baseUrl, 'GET', `/jobs/${jobId}`)).body;
+        if (['completed', 'failed', 'cancelled'].includes(job.status)) return job;
+        await sleep(20);
+    }
+    throw new Error(`Job ${jobId} never finished`);
+}
+
+test('a job analyzes every file and merges the answers into one CSV', async () => {
+    ollama.enqueue(
+        answerFor('invoice.pdf', { invoice_number: 'INV-7', date: '2024-03-01', total: 120.5 }),
+        answerFor('receipt.png', { invoice_number: 'R-2', total: 9, lines: [1, 2] })
+    );
+    const started = await post(server.baseUrl, '/jobs', {
+        prompt: 'Extract invoice number, date and total',
+        files: [
+            { fileName: 'invoice.pdf', content: fixture('report.pdf').toString('base64') },
+            { fileName: 'receipt.png', content: fixture('pixel.png').toString('base64') }
+        ]
+    });
+    assert.equal(started.status, 202);
+    assert.equal(started.body.total, 2);
+
+    const job = await waitForJob(started.body.jobId);
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(job.files.map(file => [file.name, file.type, file.status]), [['invoice.pdf', 'pdf', 'done'], ['receipt.png', 'image', 'done']]);
+    assert.equal(job.files[0].response.invoice_number, 'INV-7');
+
+    const { csvToJson } = require('../server');
+    const csv = await request(server.baseUrl, 'GET', `/jobs/${job.jobId}/csv`);
+    assert.equal(csv.status, 200);
+    assert.deepEqual(await csvToJson(csv.body), [
+        { file: 'invoice.pdf', invoice_number: 'INV-7', date: '2024-03-01', total: '120.5', lines: '' },
+        { file: 'receipt.png', invoice_number: 'R-2', date: '', total: '9', lines: '[1,2]' }
+    ]);
+
+    const chatCalls = ollama.requestsTo('/api/chat');
+    const imageCall = chatCalls.find(call => JSON.stringify(call.messages).includes('receipt.png'));
+    assert.equal(imageCall.model, 'llama3.2-vision:11b');
+    assert.equal(imageCall.messages.at(-1).images.length, 1);
+    assert.ok(imageCall.messages.some(message => message.role === 'system' && message.content.includes('batch job')));
+});
+
+test('files that fail are reported without stopping the job', async () => {
+    ollama.enqueue(answerFor('good.pdf', { total: 5 }), answerFor('bad.pdf', 'Sorry, I cannot read this.'));
+    const pdf = fixture('report.pdf').toString('base64');
+    const started = await post(server.baseUrl, '/jobs', { prompt: 'Total?', files: [{ fileName: 'good.pdf', content: pdf }, { fileName: 'bad.pdf', content: pdf }] });
+    const job = await waitForJob(started.body.jobId);
+
+    assert.equal(job.status, 'completed');
+    assert.equal(job.completed, 1);
+    assert.equal(job.failed, 1);
+    assert.match(job.files[1].error, /did not answer with a JSON object/);
+    assert.ok(!job.files[1].error.includes('Sorry'));
+    assert.equal(job.rows, 1);
+    assert.equal((await request(server.baseUrl, 'GET', `/jobs/${job.jobId}/csv`)).body, 'file,total\ngood.pdf,5\n');
+    assert.ok((await request(server.baseUrl, 'GET', '/jobs')).body.jobs.some(summary => summary.jobId === job.jobId && summary.failed === 1));
+});
+
+test('a running job can be cancelled', async () => {
+    const pdf = fixture('report.pdf').toString('base64');
+    ollama.enqueue(answerFor('slow.pdf', { total: 1 }, { delay: 500 }));
+    const started = await post(server.baseUrl, '/jobs', { prompt: 'Total?', files: [{ fileName: 'slow.pdf', content: pdf }] });
+    const jobId = started.body.jobId;
+    await sleep(100);
+    assert.equal((await request(server.baseUrl, 'GET', `/jobs/${jobId}/csv`)).status, 409);
+
+    assert.equal((await post(server.baseUrl, `/jobs/${jobId}/cancel`, {})).status, 200);
+    const job = await waitForJob(jobId);
+    assert.equal(job.status, 'cancelled');
+    assert.equal(job.files[0].status, 'cancelled');
+    assert.equal((await post(server.baseUrl, `/jobs/${jobId}/cancel`, {})).status, 409);
+});
+
+test('jobs are only visible to the client token that started them', async () => {
+    const other = { 'X-Client-Token': 'y'.repeat(32) };
+    ollama.enqueue(answerFor('mine.pdf', { total: 3 }));
+    const started = await post(server.baseUrl, '/jobs', { prompt: 'Total?', files: [{ fileName: 'mine.pdf', content: fixture('report.pdf').toString('base64') }] });
+    const jobId = started.body.jobId;
+    await waitForJob(jobId);
+
+    assert.equal((await request(server.baseUrl, 'GET', `/jobs/${jobId}`, other)).status, 404);
+    assert.equal((await request(server.baseUrl, 'GET', `/jobs/${jobId}/csv`, other)).status, 404);
+    assert.equal((await post(server.baseUrl, `/jobs/${jobId}/cancel`, {}, other)).status, 404);
+    assert.ok(!(await request(server.baseUrl, 'GET', '/jobs', other)).body.jobs.some(job => job.jobId === jobId));
+    assert.ok((await request(server.baseUrl, 'GET', '/jobs')).body.jobs.some(job => job.jobId === jobId));
+});
+
+test('jobs take multipart uploads and reject invalid requests', async () => {
+    const form = new FormData();
+    form.append('prompt', 'Describe');
+    form.append('files', new Blob([fixture('pixel.png')], { type: 'image/png' }), 'pixel.png');
+    ollama.enqueue(answerFor('pixel.png', { color: 'white' }));
+    const uploaded = await post(server.baseUrl, '/jobs', form);
+    assert.equal(uploaded.status, 202);
+    assert.equal((await waitForJob(uploaded.body.jobId)).files[0].response.color, 'white');
+
+    const text = new FormData();
+    text.append('prompt', 'Describe');
+    text.append('files', new Blob(['just text'], { type: 'text/plain' }), 'notes.txt');
+    assert.equal((await post(server.baseUrl, '/jobs', text)).status, 415);
+
+    const png = { content: fixture('pixel.png').toString('base64') };
+    assert.equal((await post(server.baseUrl, '/jobs', { files: [png] })).status, 400);
+    assert.equal((await post(server.baseUrl, '/jobs', { prompt: 'Describe', files: [] })).status, 400);
+    assert.equal((await post(server.baseUrl, '/jobs', { prompt: 'Describe', files: [png, png, png, png] })).status, 400);
+    assert.equal((await post(server.baseUrl, '/jobs', { prompt: 'Describe', files: [png], preset: 'missing' })).status, 404);
+    assert.equal((await request(server.baseUrl, 'GET', '/jobs/unknown')).status, 404);
+});
+
+test('the CLI runs a batch job over a directory', async () => {
+    const { main } = require('../bin/gd-assistant');
+    const inputDir = path.join(workDir, 'invoices');
+    fs.mkdirSync(inputDir);
+    fs.writeFileSync(path.join(inputDir, 'a.pdf'), fixture('report.pdf'));
+    fs.writeFileSync(path.join(inputDir, 'b.png'), fixture('pixel.png'));
+    fs.writeFileSync(path.join(inputDir, 'notes.txt'), 'not a document');
+    ollama.enqueue(answerFor('a.pdf', { total: 10 }), answerFor('b.png', { total: 20 }));
+
+    const output = { stdout: '', stderr: '' };
+    const collect = name => ({ write: text => { output[name] += text; return true; } });
+    const stdin = Readable.from(['']);
+    stdin.isTTY = true;
+    const target = path.join(workDir, 'totals.csv');
+    const code = await main(['batch', inputDir, 'Extract the total', '-o', target, '--server', server.baseUrl], { stdin, stdout: collect('stdout'), stderr: collect('stderr') });
+
+    assert.equal(code, 0, output.stderr);
+    assert.equal(fs.readFileSync(target, 'utf8'), 'file,total\na.pdf,10\nb.png,20\n');
+    assert.match(output.stderr, /Skipped 1 file\(s\).*notes\.txt/);
+    assert.match(output.stderr, /2 row\(s\) saved/);
+});
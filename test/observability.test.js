@@ -0,0 +1,111 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { startTestServer, post, request } = require('./support/testServer');
+const { Logger, logRequests } = require('../lib/logger');
+
+let server;
+let ollama;
+
+before(async () => {
+    server = await startTestServer();
+    ollama = server.ollama;
+});
+after(() => server.close());
+beforeEach(() => ollama.reset());
+
+// A logger that keeps its lines (parsed from JSON) instead of writing them.
+function captureLogger(options = {}) {
+    const lines = [];
+    const logger = new Logger({ level: 'info', format: 'json', write: line => lines.push(JSON.parse(line)), ...options });
+    return { logger, lines };
+}
+
+// The value of one series in a Prometheus text exposition, e.g. metric(text, 'gd_x_total{model="m"}').
+function metric(text, series) {
+    const line = text.split('\n').find(entry => entry.startsWith(`${series} `));
+    return line ? Number(line.substring(series.length + 1)) : undefined;
+}
+
+test('log lines are JSON with a level, the tag and the request ID, and leave content out', async () => {
+    const { logger, lines } = captureLogger();
+    logger.error('❌ [ANALYZE-CSV] Error parsing CSV content: bad quote');
+    logger.debug('[CHAT] dropped below the level');
+    logger.info(`[CHAT] User Question: ${logger.content('What did Alice earn?')}`);
+    assert.equal(lines.length, 2);
+    assert.deepEqual([lines[0].level, lines[0].tag, lines[0].msg], ['error', 'ANALYZE-CSV', 'Error parsing CSV content: bad quote']);
+    assert.equal(lines[1].msg, 'User Question: [20 characters, not logged]');
+    assert.equal(new Logger({ logContent: true }).content('x'.repeat(300), 5), '"xxxxx…"');
+    assert.throws(() => new Logger({ level: 'loud' }), /Unknown log level/);
+    assert.throws(() => new Logger({ format: 'pretty' }), /Unknown log format "pretty". Use json or text/);
+
+    // Lines logged while a request is handled carry its correlation ID.
+    const app = express();
+    app.use(logRequests(logger));
+    app.get('/work', async (req, res) => {
+        await new Promise(resolve => setImmediate(resolve));
+        logger.info('[WORK] halfway');
+        res.json({ ok: true });
+    });
+    const listener = await new Promise(resolve => {
+        const started = app.listen(0, '127.0.0.1', () => resolve(started));
+    });
+    lines.length = 0;
+    const response = await fetch(`http://127.0.0.1:${listener.address().port}/work?q=secret`, { headers: { 'X-Request-Id': 'trace-42' } });
+    assert.equal(response.headers.get('X-Request-Id'), 'trace-42');
+    await response.text();
+    listener.closeAllConnections();
+    await new Promise(resolve => listener.close(resolve));
+    assert.deepEqual(lines.map(line => [line.tag, line.requestId]), [['WORK', 'trace-42'], ['HTTP', 'trace-42']]);
+    assert.equal(lines[1].path, '/work');
+    assert.equal(lines[1].status, 200);
+});
+
+test('every response gets a request ID', async () => {
+    const own = await fetch(`${server.baseUrl}/queue`, { headers: { 'X-Request-Id': 'client-7' } });
+    assert.equal(own.headers.get('X-Request-Id'), 'client-7');
+    // IDs that could break a log line are replaced.
+    const replaced = await fetch(`${server.baseUrl}/queue`, { headers: { 'X-Request-Id': 'bad id "quoted"' } });
+    assert.match(replaced.headers.get('X-Request-Id'), /^[0-9a-f-]{36}$/);
+
+    // On routes that call the model it is also the ID to follow or cancel the request with.
+    ollama.enqueue({ content: 'Hi.' });
+    const chat = (body) => fetch(`${server.baseUrl}/chat`, { method: 'POST', headers: { 'Content-Type': 'application/json', 'X-Request-Id': 'client-8' }, body: JSON.stringify(body) });
+    const fromHeader = await chat({ question: 'Hello' });
+    assert.equal(fromHeader.headers.get('X-Request-Id'), 'client-8');
+    await fromHeader.text();
+    // A `requestId` in the body comes first.
+    ollama.enqueue({ content: 'Hi again.' });
+    const fromBody = await chat({ question: 'Hello', requestId: 'body-9' });
+    assert.equal(fromBody.headers.get('X-Request-Id'), 'body-9');
+    await fromBody.text();
+});
+
+test('metrics report route and model latency, tokens, errors and the queue', async () => {
+    const baseline = (await request(server.baseUrl, 'GET', '/metrics')).body;
+    const added = (text, series) => metric(text, series) - (metric(baseline, series) || 0);
+    ollama.enqueue({ content: 'Four apples in total.' });
+    await post(server.baseUrl, '/chat', { question: 'How many apples?', model: 'metrics-model' });
+    ollama.enqueue({ status: 500, error: 'model crashed' });
+    assert.equal((await post(server.baseUrl, '/chat', { question: 'Again?', model: 'metrics-model' })).status, 502);
+
+    const response = await request(server.baseUrl, 'GET', '/metrics');
+    assert.equal(response.status, 200);
+    const text = response.body;
+    assert.equal(metric(text, 'gd_ollama_requests_total{model="metrics-model",endpoint="chat"}'), 2);
+    assert.equal(metric(text, 'gd_ollama_errors_total{model="metrics-model",endpoint="chat",reason="500"}'), 1);
+    assert.equal(metric(text, 'gd_ollama_prompt_tokens_total{model="metrics-model"}'), 10);
+    assert.equal(metric(text, 'gd_ollama_completion_tokens_total{model="metrics-model"}'), 4);
+    assert.equal(metric(text, 'gd_ollama_request_duration_seconds_count{model="metrics-model",endpoint="chat"}'), 1);
+    assert.equal(metric(text, 'gd_ollama_request_duration_seconds_bucket{model="metrics-model",endpoint="chat",le="+Inf"}'), 1);
+    assert.equal(metric(text, 'gd_ollama_queue_running{model="metrics-model"}'), 0);
+    assert.equal(metric(text, 'gd_ollama_queue_waiting{model="metrics-model"}'), 0);
+    assert.equal(added(text, 'gd_http_requests_total{method="POST",route="/chat",status="200"}'), 1);
+    assert.equal(added(text, 'gd_http_requests_total{method="POST",route="/chat",status="502"}'), 1);
+    assert.match(text, /# TYPE gd_http_request_duration_seconds histogram/);
+
+    // Paths with IDs are counted under their route.
+    await request(server.baseUrl, 'GET', '/sessions/unknown/messages');
+    const after = (await request(server.baseUrl, 'GET', '/metrics')).body;
+    assert.equal(metric(after, 'gd_http_requests_total{method="GET",route="/sessions/:sessionId/messages",status="404"}'), 1);
+});
@@ -0,0 +1,86 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, post, request } = require('./support/testServer');
+
+let server;
+let ollama;
+
+before(async () => {
+    server = await startTestServer();
+    ollama = server.ollama;
+});
+after(() => server.close());
+beforeEach(() => ollama.reset());
+
+test('chat completions translate to and from Ollama', async () => {
+    ollama.enqueue({ content: 'Hello from the mock.' });
+    const response = await post(server.baseUrl, '/v1/chat/completions', {
+        model: 'llama3.1:8b',
+        messages: [{ role: 'developer', content: 'Be brief.' }, { role: 'user', content: 'Hi' }],
+        max_tokens: 20,
+        temperature: 0.1
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.object, 'chat.completion');
+    assert.equal(response.body.choices[0].message.content, 'Hello from the mock.');
+    assert.equal(response.body.choices[0].finish_reason, 'stop');
+    assert.equal(response.body.usage.prompt_tokens, 10);
+
+    const sent = ollama.requestsTo('/api/chat').at(-1);
+    assert.equal(sent.messages[0].role, 'system');
+    assert.equal(sent.options.num_predict, 20);
+    assert.equal(sent.options.temperature, 0.1);
+});
+
+test('streamed chat completions end with [DONE]', async () => {
+    ollama.enqueue({ content: 'one two' });
+    const response = await fetch(`${server.baseUrl}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ messages: [{ role: 'user', content: 'Count' }], stream: true })
+    });
+    assert.match(response.headers.get('Content-Type'), /text\/event-stream/);
+    const events = (await response.text()).trim().split('\n\n').map(event => event.replace(/^data: /, ''));
+    assert.equal(events.at(-1), '[DONE]');
+    const chunks = events.slice(0, -1).map(event => JSON.parse(event));
+    assert.equal(chunks.map(chunk => chunk.choices[0].delta.content || '').join(''), 'one two');
+    assert.equal(chunks.at(-1).choices[0].finish_reason, 'stop');
+});
+
+test('client-defined tools come back as tool_calls', async () => {
+    ollama.enqueue({ content: '', toolCalls: [{ function: { name: 'lookup_order', arguments: { id: 7 } } }] });
+    const response = await post(server.baseUrl, '/v1/chat/completions', {
+        messages: [{ role: 'user', content: 'Where is order 7?' }],
+        tools: [{ type: 'function', function: { name: 'lookup_order', parameters: { type: 'object', properties: { id: { type: 'integer' } } } } }]
+    });
+    assert.equal(response.body.choices[0].finish_reason, 'tool_calls');
+    const [toolCall] = response.body.choices[0].message.tool_calls;
+    assert.equal(toolCall.function.name, 'lookup_order');
+    assert.deepEqual(JSON.parse(toolCall.function.arguments), { id: 7 });
+});
+
+test('invalid requests and missing models return OpenAI-style errors', async () => {
+    const invalid = await post(server.baseUrl, '/v1/chat/completions', { messages: [] });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error.param, 'messages');
+
+    ollama.enqueue({ status: 404, error: 'model "missing" not found, try pulling it first' });
+    const missing = await post(server.baseUrl, '/v1/chat/completions', { model: 'missing', messages: [{ role: 'user', content: 'Hi' }] });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error.code, 'model_not_found');
+});
+
+test('models and embeddings', async () => {
+    const models = await request(server.baseUrl, 'GET', '/v1/models');
+    assert.deepEqual(models.body.data.map(model => model.id), ['llama3.2-vision:11b', 'nomic-embed-text']);
+    const model = await request(server.baseUrl, 'GET', '/v1/models/nomic-embed-text');
+    assert.equal(model.body.id, 'nomic-embed-text');
+    const unknown = await request(server.baseUrl, 'GET', '/v1/models/unknown');
+    assert.equal(unknown.status, 404);
+
+    const embeddings = await post(server.baseUrl, '/v1/embeddings', { input: ['first text', 'second text'] });
+    assert.equal(embeddings.status, 200);
+    assert.equal(embeddings.body.data.length, 2);
+    assert.equal(embeddings.body.data[1].index, 1);
+    assert.ok(Array.isArray(embeddings.body.data[0].embedding));
+});
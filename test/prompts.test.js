@@ -0,0 +1,104 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestServer, post, request } = require('./support/testServer');
+const { PromptLibrary } = require('../lib/prompts');
+
+const SALES_CSV = 'Region,Product,Sales\nNorth,Apples,10\nSouth,Pears,5\nNorth,Pears,7\n';
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gd-assistant-prompts-'));
+let server;
+let ollama;
+
+before(async () => {
+    server = await startTestServer({ PRESETS_FILE: path.join(workDir, 'presets.json') });
+    ollama = server.ollama;
+});
+after(async () => {
+    await server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+beforeEach(() => ollama.reset());
+
+async function put(route, body) {
+    const response = await fetch(`${server.baseUrl}${route}`, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    return { status: response.status, body: await response.json() };
+}
+
+function systemPrompts() {
+    return ollama.requestsTo('/api/chat').at(-1).messages.filter(message => message.role === 'system').map(message => message.content);
+}
+
+test('templates fill in variables and partials, and reject unknown placeholders', () => {
+    const library = new PromptLibrary(path.join(__dirname, '..', 'prompts'));
+    assert.ok(library.list().some(template => template.id === 'chat' && template.version >= 1));
+    const { content, template } = library.render('csv-analyst', { attachment: '[att1] sales.csv' });
+    assert.equal(template, 'csv-analyst');
+    assert.match(content, /\[att1\] sales\.csv/);
+    assert.doesNotMatch(content, /\{\{/);
+    assert.match(library.renderText('{{> file-requests}}', {}), /CSV_REQUEST/);
+    assert.throws(() => library.check('Hello {{nobody}} and {{> missing}}'), /\{\{nobody\}\}, \{\{> missing\}\}/);
+});
+
+test('the chat system prompt comes from its template', async () => {
+    const started = await post(server.baseUrl, '/chat', { question: 'Hi' });
+    assert.match(systemPrompts()[0], /CSV_REQUEST/);
+    const exported = await request(server.baseUrl, 'GET', `/sessions/${started.body.sessionId}/export?format=json`);
+    assert.equal(exported.body.session.history[0].template, 'chat');
+    assert.ok(exported.body.session.history[0].templateVersion >= 1);
+});
+
+test('a CSV analysis adds its template prompt once per session', async () => {
+    const first = await post(server.baseUrl, '/analyze-csv', { csv: SALES_CSV, fileName: 'sales.csv', prompt: 'Describe it' });
+    assert.equal(first.status, 200);
+    assert.ok(systemPrompts().some(content => content.includes('[att1] sales.csv')));
+
+    await post(server.baseUrl, '/analyze-csv', { csv: SALES_CSV, fileName: 'more.csv', prompt: 'And this one?', sessionId: first.body.sessionId });
+    assert.equal(systemPrompts().filter(content => content.includes('[att1] sales.csv')).length, 1);
+});
+
+test('custom presets are created, versioned and deleted; built-ins are read-only', async () => {
+    const builtIns = (await request(server.baseUrl, 'GET', '/presets')).body.presets;
+    assert.ok(builtIns.some(preset => preset.id === 'finance-reconciliation' && preset.builtIn));
+
+    const created = await post(server.baseUrl, '/presets', { name: 'Legal Review', instructions: 'Quote clauses for {{user}} verbatim.' });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.id, 'legal-review');
+    assert.equal(created.body.version, 1);
+    assert.equal((await post(server.baseUrl, '/presets', { name: 'Legal Review', instructions: 'Again.' })).status, 409);
+    const unknown = await post(server.baseUrl, '/presets', { name: 'Broken', instructions: 'Hi {{foo}}' });
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.error, /\{\{foo\}\}/);
+
+    const updated = await put('/presets/legal-review', { description: 'Contracts' });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.version, 2);
+    assert.equal((await put('/presets/finance-reconciliation', { name: 'Mine now' })).status, 403);
+
+    assert.equal((await request(server.baseUrl, 'DELETE', '/presets/legal-review')).status, 200);
+    assert.equal((await request(server.baseUrl, 'GET', '/presets/legal-review')).status, 404);
+});
+
+test('a session keeps its preset until it is switched off, and picks up new versions', async () => {
+    await post(server.baseUrl, '/presets', { name: 'Terse', instructions: 'Answer in one sentence.' });
+    const started = await post(server.baseUrl, '/chat', { question: 'Hi', preset: 'terse' });
+    const sessionId = started.body.sessionId;
+    assert.ok(systemPrompts().includes('Answer in one sentence.'));
+
+    await post(server.baseUrl, '/chat', { question: 'Still terse?', sessionId });
+    assert.ok(systemPrompts().includes('Answer in one sentence.'));
+
+    await put('/presets/terse', { instructions: 'Answer in one word.' });
+    await post(server.baseUrl, '/chat', { question: 'Now?', sessionId, preset: 'terse' });
+    assert.ok(systemPrompts().includes('Answer in one word.'));
+    assert.ok(!systemPrompts().includes('Answer in one sentence.'));
+
+    await post(server.baseUrl, '/chat', { question: 'Normal again', sessionId, preset: '' });
+    assert.ok(!systemPrompts().some(content => content.startsWith('Answer in one')));
+    const sessions = (await request(server.baseUrl, 'GET', '/sessions')).body.sessions;
+    assert.equal(sessions.find(session => session.sessionId === sessionId).preset, null);
+
+    const missing = await post(server.baseUrl, '/chat', { question: 'Hi', preset: 'no-such-preset' });
+    assert.equal(missing.status, 404);
+});
@@ -0,0 +1,160 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, post, request, CLIENT_TOKEN } = require('./support/testServer');
+
+let server;
+let ollama;
+
+before(async () => {
+    server = await startTestServer({ QUEUE_CONCURRENCY: '1', QUEUE_TIMEOUT_SECONDS: '0.5', QUEUE_MAX_WAITING: '2' });
+    ollama = server.ollama;
+});
+after(() => server.close());
+beforeEach(() => ollama.reset());
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Sends a streamed chat and returns every NDJSON line of the reply.
+async function streamChat(body, signal) {
+    const response = await fetch(`${server.baseUrl}/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Client-Token': CLIENT_TOKEN },
+        body: JSON.stringify({ ...body, stream: true }),
+        signal: signal
+    });
+    const text = await response.text();
+    return { status: response.status, lines: text.trim().split('\n').map(line => JSON.parse(line)) };
+}
+
+// Waits until the request is known to the server in the given state.
+async function waitForStatus(requestId, status) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const state = await request(server.baseUrl, 'GET', `/requests/${requestId}`);
+        if (state.status === 200 && state.body.status === status) return state.body;
+        await sleep(10);
+    }
+    throw new Error(`Request ${requestId} never reached status ${status}`);
+}
+
+test('calls over the per-model limit wait and stream their queue position', async () => {
+    ollama.enqueue({ content: 'First.', delay: 150 }, { content: 'Second.' });
+    const first = streamChat({ question: 'One', requestId: 'first' });
+    await waitForStatus('first', 'running');
+    const second = await streamChat({ question: 'Two', requestId: 'second' });
+    const firstResult = await first;
+
+    assert.deepEqual(second.lines[0], { type: 'queued', position: 1, requestId: 'second' });
+    assert.equal(second.lines.at(-1).answer, 'Second.');
+    assert.equal(firstResult.lines.at(-1).answer, 'First.');
+    assert.ok(!firstResult.lines.some(line => line.type === 'queued'));
+});
+
+test('a queued request can be looked up and cancelled, and its turn is rolled back', async () => {
+    const started = await post(server.baseUrl, '/chat', { question: 'Remember 7' });
+    const sessionId = started.body.sessionId;
+
+    ollama.enqueue({ content: 'Slow answer.', delay: 200 });
+    const running = post(server.baseUrl, '/chat', { question: 'Slow one', requestId: 'running' });
+    await waitForStatus('running', 'running');
+    const queued = post(server.baseUrl, '/chat', { question: 'Cancel me', sessionId, requestId: 'queued' });
+    const state = await waitForStatus('queued', 'queued');
+    assert.equal(state.position, 1);
+    assert.equal(state.model, 'llama3.2-vision:11b');
+
+    const other = { 'X-Client-Token': 'y'.repeat(32) };
+    assert.equal((await request(server.baseUrl, 'GET', '/requests/queued', other)).status, 404);
+    assert.equal((await post(server.baseUrl, '/requests/queued/cancel', {}, other)).status, 404);
+
+    const cancelled = await post(server.baseUrl, '/requests/queued/cancel', {});
+    assert.equal(cancelled.status, 200);
+    const result = await queued;
+    assert.equal(result.status, 499);
+    assert.equal((await running).status, 200);
+
+    await post(server.baseUrl, '/chat', { question: 'Still there?', sessionId });
+    const contents = ollama.requestsTo('/api/chat').at(-1).messages.map(message => message.content);
+    assert.ok(contents.includes('Remember 7'));
+    assert.ok(!contents.includes('Cancel me'));
+});
+
+test('a client disconnect aborts the running Ollama call and frees its slot', async () => {
+    ollama.enqueue({ content: 'Never read.', delay: 300 });
+    const controller = new AbortController();
+    const abandoned = streamChat({ question: 'Going away', requestId: 'abandoned' }, controller.signal).catch(error => error);
+    await waitForStatus('abandoned', 'running');
+    controller.abort();
+    assert.equal((await abandoned).name, 'AbortError');
+
+    const next = await post(server.baseUrl, '/chat', { question: 'Next' });
+    assert.equal(next.status, 200);
+    const [abortedCall] = ollama.requests.filter(call => call.path === '/api/chat');
+    assert.equal(abortedCall.aborted, true);
+    assert.equal((await request(server.baseUrl, 'GET', '/requests/abandoned')).status, 404);
+});
+
+test('calls that run past the timeout fail with 504', async () => {
+    ollama.enqueue({ path: '/api/generate', content: '{"rows": []}', delay: 800 });
+    const response = await post(server.baseUrl, '/generate-csv', { prompt: 'Slow rows' });
+    assert.equal(response.status, 504);
+    assert.match(response.body.error, /did not finish within/);
+});
+
+test('a full queue refuses new calls with 503', async () => {
+    ollama.enqueue({ content: 'Busy.', delay: 200 });
+    const pending = [post(server.baseUrl, '/chat', { question: 'Busy', requestId: 'busy' })];
+    await waitForStatus('busy', 'running');
+    pending.push(post(server.baseUrl, '/chat', { question: 'Wait 1', requestId: 'wait1' }));
+    await waitForStatus('wait1', 'queued');
+    pending.push(post(server.baseUrl, '/chat', { question: 'Wait 2', requestId: 'wait2' }));
+    await waitForStatus('wait2', 'queued');
+
+    const queue = await request(server.baseUrl, 'GET', '/queue');
+    assert.deepEqual(queue.body.models, [{ model: 'llama3.2-vision:11b', running: 1, waiting: 2, limit: 1 }]);
+    const refused = await post(server.baseUrl, '/chat', { question: 'One too many' });
+    assert.equal(refused.status, 503);
+    assert.deepEqual((await Promise.all(pending)).map(response => response.status), [200, 200, 200]);
+});
+
+test('request IDs are validated', async () => {
+    const invalid = await post(server.baseUrl, '/chat', { question: 'Hi', requestId: 'not valid!' });
+    assert.equal(invalid.status, 400);
+
+    ollama.enqueue({ content: 'Slow.', delay: 100 });
+    const first = post(server.baseUrl, '/chat', { question: 'Hi', requestId: 'same' });
+    await waitForStatus('same', 'running');
+    const duplicate = await post(server.baseUrl, '/chat', { question: 'Hi', requestId: 'same' });
+    assert.equal(duplicate.status, 409);
+    await first;
+
+    assert.equal((await request(server.baseUrl, 'GET', '/requests/unknown')).status, 404);
+    assert.equal((await post(server.baseUrl, '/requests/unknown/cancel', {})).status, 404);
+});
+
+test('a request cancelled just as it gets its slot fails with 499 and frees the slot', async () => {
+    const { OllamaQueue, startRequest, finishRequest, runInRequest, cancelRequest } = require('../lib/ollamaQueue');
+    const queue = new OllamaQueue({ concurrency: 1 });
+    await queue.acquire('m', null);
+    const request = startRequest('handed-over');
+    let ran = false;
+    const waiting = runInRequest(request, () => queue.run('m', async () => {
+        ran = true;
+    })).catch(error => error);
+    await sleep(10);
+
+    // The slot passes to the waiting call, which is cancelled before it resumes.
+    queue.release('m');
+    cancelRequest('handed-over');
+    const error = await waiting;
+    finishRequest(request);
+    assert.equal(error.statusCode, 499);
+    assert.equal(ran, false);
+    assert.deepEqual(queue.stats(), []);
+});
+
+test('queue settings that are not numbers are refused at startup', () => {
+    const { loadConfig } = require('../lib/config');
+    assert.equal(loadConfig({ QUEUE_CONCURRENCY: '3' }).queueConcurrency, 3);
+    assert.throws(() => loadConfig({ QUEUE_CONCURRENCY: 'abc' }), /QUEUE_CONCURRENCY must be a number of 0 or more, not "abc"/);
+    assert.throws(() => loadConfig({ QUEUE_TIMEOUT_SECONDS: '-5' }), /QUEUE_TIMEOUT_SECONDS must be a number/);
+    assert.throws(() => loadConfig({ QUEUE_CONCURRENCY_BY_MODEL: 'llama3.1:8b=two' }), /QUEUE_CONCURRENCY_BY_MODEL must map model names to numbers/);
+});
@@ -0,0 +1,56 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, post } = require('./support/testServer');
+
+// With redactRestore "none" nobody gets the values behind the placeholders back, also not in what the
+// server computes from the real rows.
+let server;
+let ollama;
+
+before(async () => {
+    server = await startTestServer({ REDACT_RESTORE: 'none' });
+    ollama = server.ollama;
+});
+after(() => server.close());
+beforeEach(() => ollama.reset());
+
+const planner = (plan) => ({ match: body => body.format === 'json', content: JSON.stringify(plan) });
+const CUSTOMERS_CSV = [
+    'Customer Name,Email,Spend',
+    'Anita Rao,anita.rao@example.com,1200',
+    'Vikram Shah,vikram@example.org,300'
+].join('\n') + '\n';
+const SECRETS = ['Anita Rao', 'anita.rao@example.com', 'Vikram Shah', 'vikram@example.org'];
+
+function assertNoSecrets(value) {
+    const text = JSON.stringify(value);
+    for (const secret of SECRETS) {
+        assert.ok(!text.includes(secret), `${secret} was returned`);
+    }
+}
+
+test('query results, generated CSVs and charts come back with placeholders', async () => {
+    ollama.enqueue(
+        planner({ needsData: true, query: { filter: [{ column: 'Customer Name', op: 'eq', value: '[NAME_1]' }], select: ['Customer Name', 'Email', 'Spend'] } }),
+        { content: '[NAME_1] spent 1200.' }
+    );
+    const analyzed = await post(server.baseUrl, '/analyze-csv', { csv: CUSTOMERS_CSV, fileName: 'customers.csv', prompt: 'How much did Anita Rao spend?' });
+    assert.equal(analyzed.status, 200);
+    assert.equal(analyzed.body.response, '[NAME_1] spent 1200.');
+    assert.deepEqual(analyzed.body.queryResults[0].rows, [{ 'Customer Name': '[NAME_1]', Email: '[EMAIL_1]', Spend: '1200' }]);
+    assertNoSecrets(analyzed.body);
+    const sessionId = analyzed.body.sessionId;
+
+    ollama.enqueue(planner({ needsData: true, query: { select: ['Customer Name', 'Email'] } }));
+    const generated = await post(server.baseUrl, '/generate-csv', { prompt: 'List the customers', sessionId });
+    assert.equal(generated.status, 200);
+    assert.equal(generated.body.csvContent, 'Customer Name,Email\n[NAME_1],[EMAIL_1]\n[NAME_2],[EMAIL_2]\n');
+    assertNoSecrets(generated.body);
+
+    ollama.enqueue(planner({ type: 'bar', x: 'Customer Name', y: 'Spend', aggregation: 'sum', title: 'Spend of Anita Rao and others' }));
+    const chart = await post(server.baseUrl, '/generate-image', { prompt: 'Plot spend per customer', sessionId });
+    assert.equal(chart.status, 200);
+    const svg = Buffer.from(chart.body.image.split(',')[1], 'base64').toString('utf8');
+    assert.match(svg, /\[NAME_2\]/);
+    assertNoSecrets([svg, chart.body.chartSpec, chart.body.response, chart.body.fileName]);
+});
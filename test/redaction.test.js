@@ -0,0 +1,148 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, post, request } = require('./support/testServer');
+
+let server;
+let ollama;
+
+before(async () => {
+    server = await startTestServer();
+    ollama = server.ollama;
+});
+after(() => server.close());
+beforeEach(() => ollama.reset());
+
+const planner = (plan) => ({ match: body => body.format === 'json', content: JSON.stringify(plan) });
+// Valid Aadhaar (Verhoeff) and card (Luhn) numbers, and a PAN.
+const CUSTOMERS_CSV = [
+    'Customer Name,Email,Phone,Aadhaar,PAN,Spend',
+    'Anita Rao,anita.rao@example.com,98765 43210,2345 6789 0124,ABCPE1234F,1200',
+    'Vikram Shah,vikram@example.org,+91 91234 56789,4987 6543 2102,BNZPM2501F,300'
+].join('\n') + '\n';
+const SECRETS = ['Anita Rao', 'anita.rao@example.com', '98765 43210', '2345 6789 0124', 'ABCPE1234F', 'Vikram Shah', 'vikram@example.org', '91234 56789', '4987 6543 2102', 'BNZPM2501F'];
+
+// Every text the mock Ollama received, joined.
+function sentToModel() {
+    return JSON.stringify(ollama.requests.map(entry => entry.body));
+}
+
+async function placeholdersOf(sessionId) {
+    const redactions = (await request(server.baseUrl, 'GET', `/sessions/${sessionId}/redactions`)).body;
+    return Object.fromEntries(redactions.placeholders.map(entry => [entry.value, entry.placeholder]));
+}
+
+test('names, e-mails, phones, Aadhaar and PAN numbers reach the model only as placeholders', async () => {
+    // The planner filters on a name placeholder; the query still runs on the real rows.
+    ollama.enqueue(
+        planner({ needsData: true, query: { filter: [{ column: 'Customer Name', op: 'eq', value: '[NAME_1]' }], select: ['Email', 'Spend'] } }),
+        { content: 'placeholder reply' }
+    );
+    const analyzed = await post(server.baseUrl, '/analyze-csv', { csv: CUSTOMERS_CSV, fileName: 'customers.csv', prompt: 'How much did Anita Rao spend? Write to anita.rao@example.com.' });
+    assert.equal(analyzed.status, 200);
+    assert.deepEqual(analyzed.body.queryResults[0].rows, [{ Email: 'anita.rao@example.com', Spend: '1200' }]);
+    for (const secret of SECRETS) {
+        assert.ok(!sentToModel().includes(secret), `${secret} was sent to the model`);
+    }
+    assert.match(sentToModel(), /\[NAME_1\].*\[EMAIL_1\]/);
+
+    const sessionId = analyzed.body.sessionId;
+    const placeholders = await placeholdersOf(sessionId);
+    assert.equal(placeholders['Anita Rao'], '[NAME_1]');
+    assert.equal(placeholders['ABCPE1234F'], '[PAN_1]');
+
+    // Answers come back with the values, streamed ones too, and a value keeps its placeholder on the next turn.
+    ollama.enqueue(planner({ needsData: false }), { content: `${placeholders['Anita Rao']} can be reached at ${placeholders['anita.rao@example.com']}.` });
+    const answer = await post(server.baseUrl, '/chat', { question: 'How do I reach Anita Rao?', sessionId, stream: true });
+    assert.equal(answer.tokens, 'Anita Rao can be reached at anita.rao@example.com.');
+    assert.equal(answer.body.answer, 'Anita Rao can be reached at anita.rao@example.com.');
+    const question = ollama.requestsTo('/api/chat').at(-1).messages.at(-1).content;
+    assert.equal(question, 'How do I reach [NAME_1]?');
+
+    const audit = (await request(server.baseUrl, 'GET', `/sessions/${sessionId}/redactions`)).body.audit;
+    assert.equal(audit.length, 2);
+    assert.equal(audit[0].route, '/analyze-csv');
+    assert.equal(audit[0].restored, true);
+    assert.equal(audit[0].redacted.AADHAAR, 2);
+    assert.equal(audit[1].redacted.NAME, 2);
+    assert.ok(!JSON.stringify(audit).includes('Anita'));
+
+    // Exports leave the placeholders (and their values) behind, and imports drop a vault put into the file.
+    const exported = (await request(server.baseUrl, 'GET', `/sessions/${sessionId}/export?format=json`)).body;
+    assert.equal(exported.session.redaction, undefined);
+    exported.session.redaction = { placeholders: { '[EMAIL_1]': { label: 'EMAIL', key: 'x@evil.test', value: 'x@evil.test' } }, audit: [] };
+    const imported = await post(server.baseUrl, '/sessions/import', exported);
+    assert.equal(imported.status, 201);
+    assert.deepEqual(await placeholdersOf(imported.body.sessionId), {});
+});
+
+test('generated CSVs get the original values back', async () => {
+    ollama.enqueue({ path: '/api/generate', content: JSON.stringify({ rows: [{ Contact: '[EMAIL_1]', Phone: '[PHONE_1]' }] }) });
+    const generated = await post(server.baseUrl, '/generate-csv', { prompt: 'A row for vikram@example.org, phone +91 91234 56789', columns: ['Contact', 'Phone'] });
+    assert.equal(generated.status, 200);
+    assert.equal(generated.body.csvContent, 'Contact,Phone\nvikram@example.org,+91 91234 56789\n');
+    assert.match(ollama.requestsTo('/api/generate')[0].prompt, /A row for \[EMAIL_1\], phone \[PHONE_1\]/);
+});
+
+test('OpenAI-compatible requests are redacted with placeholders of their own', async () => {
+    ollama.enqueue({ content: 'Mail [EMAIL_1] back.' });
+    const completion = await post(server.baseUrl, '/v1/chat/completions', { messages: [{ role: 'user', content: 'Who is vikram@example.org?' }] });
+    assert.equal(completion.status, 200);
+    assert.equal(completion.body.choices[0].message.content, 'Mail vikram@example.org back.');
+    assert.equal(ollama.requestsTo('/api/chat')[0].messages.at(-1).content, 'Who is [EMAIL_1]?');
+
+    assert.equal((await post(server.baseUrl, '/v1/embeddings', { input: 'Call 98765 43210' })).status, 200);
+    assert.ok(!sentToModel().includes('vikram@example.org') && !sentToModel().includes('98765 43210'));
+});
+
+test('batch jobs redact every file and restore the values in the merged CSV', async () => {
+    const fs = require('fs');
+    const path = require('path');
+    ollama.enqueue({ match: body => body.format === 'json', content: JSON.stringify({ contact: '[EMAIL_1]', total: 5 }) });
+    const started = await post(server.baseUrl, '/jobs', {
+        prompt: 'Give the total; the contact is anita.rao@example.com',
+        files: [{ fileName: 'invoice.pdf', content: fs.readFileSync(path.join(__dirname, 'fixtures', 'report.pdf')).toString('base64') }]
+    });
+    assert.equal(started.status, 202);
+    let job;
+    for (let attempt = 0; attempt < 100 && !(job && job.status === 'completed'); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        job = (await request(server.baseUrl, 'GET', `/jobs/${started.body.jobId}`)).body;
+    }
+    assert.equal(job.status, 'completed');
+    assert.ok(!sentToModel().includes('anita.rao@example.com'), 'the job prompt was sent to the model');
+    assert.ok(ollama.requestsTo('/api/chat')[0].messages.at(-1).content.includes('[EMAIL_1]'));
+    const csv = await request(server.baseUrl, 'GET', `/jobs/${started.body.jobId}/csv`);
+    assert.equal(csv.body, 'file,contact,total\ninvoice.pdf,anita.rao@example.com,5\n');
+});
+
+test('detectors check digits and the redactor restores split placeholders', () => {
+    const { Redactor, redactText, isVerhoeffValid, isLuhnValid } = require('../lib/redaction');
+    assert.ok(isVerhoeffValid('2345 6789 0124'));
+    assert.ok(!isVerhoeffValid('2345 6789 0123'));
+    assert.ok(isLuhnValid('4111 1111 1111 1111'));
+    assert.ok(!isLuhnValid('4111 1111 1111 1112'));
+    // Order numbers, amounts and numbers failing their check digit are left alone.
+    assert.equal(redactText('Order 2345 6789 0123 for 1200 rupees, card 4111-1111-1111-1111, call +44 20 7946 0958'), 'Order 2345 6789 0123 for 1200 rupees, card [CARD], call [PHONE]');
+    assert.equal(redactText('mail a@b.co', ['phone']), 'mail a@b.co');
+    assert.throws(() => redactText('x', ['ssn']), /Unknown redaction detector/);
+    const { loadConfig } = require('../lib/config');
+    assert.equal(loadConfig({ REDACT_RESTORE: 'admins' }).redactRestore, 'admins');
+    assert.throws(() => loadConfig({ REDACT_RESTORE: 'admin' }), /Unknown redactRestore "admin". Use all, admins, none/);
+    assert.deepEqual(loadConfig({ REDACT_DETECTORS: 'pan,email' }).redactDetectors, ['pan', 'email']);
+    assert.throws(() => loadConfig({ REDACT_DETECTORS: 'email,ssn' }), /Unknown redactDetectors "ssn". Use email, aadhaar, pan, card, phone/);
+
+    const session = { history: [], attachments: [] };
+    const redactor = new Redactor(session);
+    assert.equal(redactor.redact('Mail a@b.co or A@B.co, call 9876543210'), 'Mail [EMAIL_1] or [EMAIL_1], call [PHONE_1]');
+    const tokens = [];
+    const push = redactor.restoreStream(token => tokens.push(token));
+    ['Write to [EMA', 'IL_1] or [PHO', 'NE_1]', ' [x'].forEach(push);
+    push.flush();
+    assert.equal(tokens.join(''), 'Write to a@b.co or 9876543210 [x');
+
+    // Without permission the reply keeps its placeholders; the session remembers them for the next request.
+    const hidden = new Redactor(session, { restore: false });
+    assert.equal(hidden.restoreReply('Write to [EMAIL_1]'), 'Write to [EMAIL_1]');
+    assert.equal(hidden.redact('a@b.co'), '[EMAIL_1]');
+    assert.equal(session.redaction.audit.length, 2);
+});
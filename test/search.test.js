@@ -0,0 +1,105 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestServer, post, request } = require('./support/testServer');
+
+let server;
+let ollama;
+
+before(async () => {
+    server = await startTestServer();
+    ollama = server.ollama;
+});
+after(() => server.close());
+beforeEach(() => ollama.reset());
+
+const planner = (plan) => ({ match: body => body.format === 'json', content: JSON.stringify(plan) });
+const search = (query, limit = '') => request(server.baseUrl, 'GET', `/search?q=${encodeURIComponent(query)}${limit ? `&limit=${limit}` : ''}`);
+
+async function chat(question, answer) {
+    ollama.enqueue({ content: answer });
+    return (await post(server.baseUrl, '/chat', { question })).body.sessionId;
+}
+
+test('questions, answers and attachments of past sessions are found by meaning', async () => {
+    const vendorSession = await chat('Which vendor had the highest Q3 spend?', 'Acme Supplies had the highest Q3 spend.');
+    const weatherSession = await chat('Will it rain in Dhaka tomorrow?', 'Expect heavy rain and wind in the evening.');
+    ollama.enqueue(planner({ needsData: false }), { content: 'The file lists two invoices.' });
+    const csvSession = (await post(server.baseUrl, '/analyze-csv', { csv: 'invoice,vendor,amount\nINV-7,Globex,1200\nINV-8,Initech,300\n', fileName: 'invoices.csv', prompt: 'What is in this file?' })).body.sessionId;
+
+    const vendor = await search('Q3 vendor spend');
+    assert.equal(vendor.status, 200);
+    assert.equal(vendor.body.mode, 'semantic');
+    assert.equal(vendor.body.hits[0].sessionId, vendorSession);
+    assert.equal(vendor.body.hits[0].title, 'Which vendor had the highest Q3 spend?');
+    assert.match(vendor.body.hits[0].snippet, /Q3/);
+    assert.ok(['user', 'assistant'].includes(vendor.body.hits[0].role));
+
+    const rain = await search('heavy wind and rain', 1);
+    assert.deepEqual(rain.body.hits.map(hit => [hit.sessionId, hit.role, hit.messageIndex]), [[weatherSession, 'assistant', 2]]);
+
+    const invoice = (await search('invoice vendor amount Globex Initech')).body.hits[0];
+    assert.equal(invoice.sessionId, csvSession);
+    assert.equal(invoice.kind, 'attachment');
+    assert.equal(invoice.attachmentName, 'invoices.csv');
+
+    // Only the query is embedded again: the sessions did not change since the last search.
+    ollama.reset();
+    await search('Acme');
+    assert.equal(ollama.requestsTo('/api/embeddings').length, 1);
+});
+
+test('personal data is embedded only as placeholders, in the sessions and in the query', async () => {
+    const sessionId = await chat('Send the refund to meera.iyer@example.com, PAN ABCPE1234F', 'Refunded meera.iyer@example.com.');
+    ollama.reset();
+    const found = await search('refund for meera.iyer@example.com ABCPE1234F');
+    assert.equal(found.status, 200);
+    const hit = found.body.hits.find(hit => hit.sessionId === sessionId);
+    assert.match(hit.snippet, /meera\.iyer@example\.com/);
+
+    const embedded = JSON.stringify(ollama.requestsTo('/api/embeddings'));
+    assert.ok(embedded.includes('[EMAIL_1]') && embedded.includes('[PAN_1]'));
+    for (const secret of ['meera.iyer@example.com', 'ABCPE1234F']) {
+        assert.ok(!embedded.includes(secret), `${secret} was embedded`);
+    }
+});
+
+test('search falls back to words without embeddings and forgets deleted sessions', async () => {
+    const sessionId = await chat('Summarize the zeppelin maintenance log', 'The zeppelin needs new gas cells.');
+    const notFound = { path: '/api/embeddings', status: 404, error: 'model "nomic-embed-text" not found' };
+    ollama.enqueue(notFound, notFound);
+    const keyword = await search('zeppelin cells');
+    assert.equal(keyword.body.mode, 'keyword');
+    assert.equal(keyword.body.hits[0].sessionId, sessionId);
+    assert.equal(keyword.body.hits[0].role, 'assistant');
+
+    await post(server.baseUrl, '/clear-chat-history', { sessionId });
+    assert.ok((await search('zeppelin')).body.hits.every(hit => hit.sessionId !== sessionId));
+
+    assert.equal((await search('')).status, 400);
+    assert.equal((await search('zeppelin', 100)).status, 400);
+});
+
+test('the index file keeps embeddings and is rebuilt for another model', async () => {
+    const { SearchIndex } = require('../lib/searchIndex');
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'gd-search-')), 'index.json');
+    const embedded = [];
+    const embed = async text => {
+        embedded.push(text);
+        return [text.length, 1];
+    };
+    const session = { history: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hello\n\n[att1] notes.md\nDocument Text:\n...' }], attachments: [], updatedAt: 1 };
+
+    await new SearchIndex({ filePath, model: 'embed-a', embed }).update([{ id: 's1', session }]);
+    assert.deepEqual(embedded, ['Hello']);
+
+    const reloaded = new SearchIndex({ filePath, model: 'embed-a', embed });
+    await reloaded.update([{ id: 's1', session }]);
+    assert.equal(embedded.length, 1);
+    assert.equal(new SearchIndex({ filePath, model: 'embed-b', embed }).sessions.size, 0);
+
+    await reloaded.update([], { prune: true });
+    assert.equal(new SearchIndex({ filePath, model: 'embed-a', embed }).sessions.size, 0);
+});
@@ -0,0 +1,182 @@
+const http = require('http');
+
+// --- Mock Ollama ---
+// A stand-in for the parts of Ollama's API the server uses (/api/chat, /api/generate, /api/tags,
+// /api/embeddings, /api/version, /api/pull and /api/delete) that replays scripted replies, so every route
+// can be exercised without a model:
+//   const ollama = await startMockOllama();
+//   ollama.enqueue({ content: 'CSV_REQUEST: list the rows' });                  // next chat/generate reply
+//   ollama.enqueue({ path: '/api/generate', content: '```json\n[{"a": 1}]\n```' });
+//   ollama.enqueue({ match: body => body.format === 'json', content: '{"needsData": false}' });
+//   ollama.enqueue({ status: 500, error: 'model crashed' });                    // error status
+//   ollama.enqueue({ toolCalls: [{ function: { name: 'get_date_time', arguments: {} } }] });
+//   ollama.enqueue({ content: 'slow', delay: 500 });                              // answers after 500 ms
+//   ollama.enqueue({ path: '/api/pull', streamError: 'file does not exist' });  // a pull that fails
+// Each request takes the first queued reply whose `path` (default: chat or generate) and `match` fit it.
+// Without one, chat and generate answer DEFAULT_REPLY. Every request is kept in ollama.requests, with
+// `aborted: true` once the server hung up before the reply was complete. Pulled models are added to the
+// list /api/tags reports and deleted ones removed from it.
+// Run it on its own (npm run mock-ollama) to try the UI without Ollama; it then answers DEFAULT_REPLY.
+
+const DEFAULT_REPLY = 'Mock reply';
+const DEFAULT_MODELS = ['llama3.2-vision:11b', 'nomic-embed-text'];
+const EMBEDDING_SIZE = 32;
+
+// Deterministic bag-of-words vector, so texts sharing words come out similar in retrieval.
+function embed(text) {
+    const vector = new Array(EMBEDDING_SIZE).fill(0);
+    for (const word of String(text).toLowerCase().match(/[a-z0-9]+/g) || []) {
+        let hash = 0;
+        for (const char of word) hash = (hash * 31 + char.charCodeAt(0)) % EMBEDDING_SIZE;
+        vector[hash] += 1;
+    }
+    return vector;
+}
+
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function createMockOllama({ models: initialModels = DEFAULT_MODELS } = {}) {
+    const models = [...initialModels];
+    const queue = [];
+    const requests = [];
+
+    const takeReply = (path, body) => {
+        const index = queue.findIndex(reply =>
+            (reply.path ? reply.path === path : path === '/api/chat' || path === '/api/generate') && (!reply.match || reply.match(body))
+        );
+        return index === -1 ? { content: DEFAULT_REPLY } : queue.splice(index, 1)[0];
+    };
+
+    const answer = (res, path, body) => {
+        const reply = takeReply(path, body);
+        if (reply.delay) {
+            const timer = setTimeout(() => respond(res, path, body, reply), reply.delay);
+            res.on('close', () => clearTimeout(timer));
+            return;
+        }
+        respond(res, path, body, reply);
+    };
+
+    const respond = (res, path, body, reply) => {
+        if (reply.status && reply.status >= 400) {
+            return sendJson(res, reply.status, { error: reply.error || `mock error ${reply.status}` });
+        }
+        const content = reply.content || '';
+        const stats = { done: true, done_reason: reply.doneReason || 'stop', prompt_eval_count: 10, eval_count: content.split(/\s+/).filter(Boolean).length };
+        const message = (text, withToolCalls) => {
+            const part = { role: 'assistant', content: text };
+            if (withToolCalls && reply.toolCalls) part.tool_calls = reply.toolCalls;
+            return path === '/api/chat' ? { message: part } : { response: text };
+        };
+
+        if (!body.stream) {
+            return sendJson(res, 200, { model: body.model, ...message(content, true), ...stats });
+        }
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        for (const token of content.split(/(?<= )/).filter(Boolean)) {
+            res.write(JSON.stringify({ model: body.model, ...message(token, false), done: false }) + '\n');
+        }
+        if (reply.streamError) {
+            return res.end(JSON.stringify({ error: reply.streamError }) + '\n');
+        }
+        res.end(JSON.stringify({ model: body.model, ...message('', true), ...stats }) + '\n');
+    };
+
+    // Streams the progress lines of a download, then "success"; the model is installed from then on.
+    const pull = (res, body) => {
+        const reply = takeReply('/api/pull', body);
+        if (reply.status) return sendJson(res, reply.status, { error: reply.error || `mock error ${reply.status}` });
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        res.write(JSON.stringify({ status: 'pulling manifest' }) + '\n');
+        if (reply.streamError) {
+            return res.end(JSON.stringify({ error: reply.streamError }) + '\n');
+        }
+        for (const completed of [0, 50, 100]) {
+            res.write(JSON.stringify({ status: 'pulling sha256:mock', digest: 'sha256:mock', total: 100, completed: completed }) + '\n');
+        }
+        if (!models.includes(body.model)) models.push(body.model);
+        res.end(JSON.stringify({ status: 'success' }) + '\n');
+    };
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = raw ? JSON.parse(raw) : {};
+            const record = { method: req.method, path: req.url, body: body, aborted: false };
+            requests.push(record);
+            res.on('close', () => {
+                if (!res.writableFinished) record.aborted = true;
+            });
+            if (req.url === '/api/tags') {
+                return sendJson(res, 200, { models: models.map(name => ({ name: name, model: name, modified_at: '2025-01-01T00:00:00Z', size: 0 })) });
+            }
+            if (req.url === '/api/version') {
+                return sendJson(res, 200, { version: '0.0.0-mock' });
+            }
+            if (req.url === '/api/pull') {
+                return pull(res, body);
+            }
+            if (req.url === '/api/delete') {
+                const index = models.indexOf(body.model);
+                if (index === -1) return sendJson(res, 404, { error: `model '${body.model}' not found` });
+                models.splice(index, 1);
+                return sendJson(res, 200, {});
+            }
+            if (req.url === '/api/embeddings') {
+                const reply = takeReply('/api/embeddings', body);
+                if (reply.status) return sendJson(res, reply.status, { error: reply.error || `mock error ${reply.status}` });
+                return sendJson(res, 200, { embedding: embed(body.prompt) });
+            }
+            if (req.url === '/api/chat' || req.url === '/api/generate') {
+                return answer(res, req.url, body);
+            }
+            sendJson(res, 404, { error: `mock has no route for ${req.method} ${req.url}` });
+        });
+    });
+
+    return {
+        requests: requests,
+        models: models,
+        enqueue(...replies) {
+            queue.push(...replies);
+        },
+        // Bodies of the requests sent to one endpoint, oldest first.
+        requestsTo(path) {
+            return requests.filter(request => request.path === path).map(request => request.body);
+        },
+        reset() {
+            queue.length = 0;
+            requests.length = 0;
+        },
+        listen(port = 0) {
+            return new Promise(resolve => {
+                server.listen(port, '127.0.0.1', () => {
+                    this.url = `http://127.0.0.1:${server.address().port}`;
+                    resolve(this);
+                });
+            });
+        },
+        close() {
+            return new Promise(resolve => {
+                server.close(() => resolve());
+                server.closeAllConnections();
+            });
+        }
+    };
+}
+
+async function startMockOllama(options) {
+    return createMockOllama(options).listen();
+}
+
+if (require.main === module) {
+    createMockOllama().listen(Number(process.env.PORT) || 11434).then(ollama => {
+        console.log(`Mock Ollama listening on ${ollama.url}`);
+    });
+}
+
+module.exports = { DEFAULT_REPLY, createMockOllama, startMockOllama };
@@ -0,0 +1,65 @@
+const path = require('path');
+const crypto = require('crypto');
+const { startMockOllama } = require('./mockOllama');
+
+// Starts the mock Ollama and the app (in-memory sessions, no config.json) on free ports.
+// The configuration is read when server.js is first required, so call this once per test file.
+async function startTestServer(env = {}) {
+    const ollama = await startMockOllama();
+    Object.assign(process.env, {
+        GD_ASSISTANT_CONFIG: path.join(__dirname, 'no-config.json'),
+        OLLAMA_HOST: ollama.url,
+        SESSION_STORE: 'memory',
+        // The routes log every step; keep the test output readable unless TEST_VERBOSE is set.
+        LOG_LEVEL: process.env.TEST_VERBOSE ? 'debug' : 'silent',
+        LOG_FORMAT: 'text',
+        ...env
+    });
+    const { app } = require('../../server');
+    const server = await new Promise(resolve => {
+        const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        ollama: ollama,
+        baseUrl: baseUrl,
+        async close() {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(() => resolve()));
+            await ollama.close();
+        }
+    };
+}
+
+// Sent with every request of post() and request(), like the UI sends its own: anonymous sessions belong
+// to the client token that created them.
+const CLIENT_TOKEN = crypto.randomBytes(24).toString('hex');
+
+// POSTs a JSON body (or FormData) and returns { status, body }. NDJSON stream replies are returned
+// as { status, body: final line, tokens } so streaming routes can be checked the same way.
+// `headers` adds request headers, e.g. an Authorization header or another X-Client-Token.
+async function post(baseUrl, route, body, headers = {}) {
+    headers = { 'X-Client-Token': CLIENT_TOKEN, ...headers };
+    const response = await fetch(`${baseUrl}${route}`, body instanceof FormData
+        ? { method: 'POST', headers: headers, body: body }
+        : { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body) });
+    return readResponse(response);
+}
+
+async function request(baseUrl, method, route, headers = {}) {
+    return readResponse(await fetch(`${baseUrl}${route}`, { method: method, headers: { 'X-Client-Token': CLIENT_TOKEN, ...headers } }));
+}
+
+async function readResponse(response) {
+    const contentType = response.headers.get('Content-Type') || '';
+    const text = await response.text();
+    if (contentType.includes('application/x-ndjson')) {
+        const lines = text.trim().split('\n').map(line => JSON.parse(line));
+        const tokens = lines.filter(line => line.type === 'token').map(line => line.content).join('');
+        return { status: response.status, body: lines[lines.length - 1], tokens: tokens };
+    }
+    return { status: response.status, body: contentType.includes('json') ? JSON.parse(text) : text };
+}
+
+module.exports = { CLIENT_TOKEN, startTestServer, post, request };
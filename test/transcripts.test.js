@@ -0,0 +1,93 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { CLIENT_TOKEN, startTestServer, post, request } = require('./support/testServer');
+
+let server;
+let ollama;
+
+before(async () => {
+    server = await startTestServer();
+    ollama = server.ollama;
+});
+after(() => server.close());
+beforeEach(() => ollama.reset());
+
+const PNG_BASE64 = fs.readFileSync(path.join(__dirname, 'fixtures', 'pixel.png')).toString('base64');
+
+// A session with an image attachment, a tool call and a generated CSV.
+async function buildSession() {
+    const analyzed = await post(server.baseUrl, '/analyze-image', { image: PNG_BASE64, fileName: 'pixel.png', prompt: 'Describe <this>' });
+    const sessionId = analyzed.body.sessionId;
+    ollama.enqueue(
+        { content: '', toolCalls: [{ function: { name: 'get_date_time', arguments: {} } }] },
+        { content: 'It is Monday.' }
+    );
+    await post(server.baseUrl, '/chat', { question: 'What day is it?', sessionId });
+    ollama.enqueue({ path: '/api/generate', content: JSON.stringify({ rows: [{ day: 'Monday', mood: 'a | b' }] }) });
+    await post(server.baseUrl, '/generate-csv', { prompt: 'Days and moods', sessionId, attachmentId: [] });
+    return sessionId;
+}
+
+test('Markdown export has the transcript, tool output, generated CSV and embedded images', async () => {
+    const sessionId = await buildSession();
+    const response = await fetch(`${server.baseUrl}/sessions/${sessionId}/export?format=md`, { headers: { 'X-Client-Token': CLIENT_TOKEN } });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('Content-Type'), /text\/markdown/);
+    assert.match(response.headers.get('Content-Disposition'), new RegExp(`conversation-${sessionId}\\.md`));
+    const markdown = await response.text();
+
+    assert.match(markdown, /- \[att1\] pixel\.png \(image/);
+    assert.match(markdown, /!\[att1 pixel\.png\]\(data:image\/png;base64,/);
+    assert.match(markdown, /_Tool calls: get_date_time\(\{\}\)_/);
+    assert.match(markdown, /### Tool output: get_date_time/);
+    assert.match(markdown, /### Generated file: generated_data\.csv\n\n_Request: Days and moods_\n\n\| day \| mood \|\n\| --- \| --- \|\n\| Monday \| a \\\| b \|/);
+    // The CSV follows the answer it was generated after.
+    assert.ok(markdown.indexOf('It is Monday.') < markdown.indexOf('Generated file'));
+});
+
+test('HTML export escapes content and renders tables and images', async () => {
+    const sessionId = await buildSession();
+    const html = (await request(server.baseUrl, 'GET', `/sessions/${sessionId}/export?format=html`)).body;
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /Describe &lt;this&gt;/);
+    assert.match(html, /<th>day<\/th><th>mood<\/th>/);
+    assert.match(html, /<img src="data:image\/png;base64,/);
+});
+
+test('a JSON export can be imported into a new session and continued', async () => {
+    const sessionId = await buildSession();
+    const exported = (await request(server.baseUrl, 'GET', `/sessions/${sessionId}/export?format=json`)).body;
+    assert.equal(exported.format, 'gd-assistant-session');
+    assert.equal(exported.session.generatedFiles.length, 1);
+
+    const imported = await post(server.baseUrl, '/sessions/import', exported);
+    assert.equal(imported.status, 201);
+    assert.notEqual(imported.body.sessionId, sessionId);
+    assert.equal(imported.body.importedFrom, sessionId);
+    assert.deepEqual(imported.body.attachments.map(attachment => attachment.id), ['att1']);
+
+    await post(server.baseUrl, '/chat', { question: 'And tomorrow?', sessionId: imported.body.sessionId });
+    const contents = ollama.requestsTo('/api/chat').at(-1).messages.map(message => message.content);
+    assert.ok(contents.includes('What day is it?'));
+    assert.ok(contents.includes('It is Monday.'));
+
+    const again = (await request(server.baseUrl, 'GET', `/sessions/${imported.body.sessionId}/export?format=json`)).body;
+    assert.equal(again.session.generatedFiles[0].content, exported.session.generatedFiles[0].content);
+});
+
+test('export and import reject unknown sessions, formats and invalid exports', async () => {
+    const missing = await request(server.baseUrl, 'GET', '/sessions/missing/export');
+    assert.equal(missing.status, 404);
+
+    const chat = await post(server.baseUrl, '/chat', { question: 'Hi' });
+    const badFormat = await request(server.baseUrl, 'GET', `/sessions/${chat.body.sessionId}/export?format=pdf`);
+    assert.equal(badFormat.status, 400);
+
+    const notAnExport = await post(server.baseUrl, '/sessions/import', { history: [] });
+    assert.equal(notAnExport.status, 400);
+    const badMessage = await post(server.baseUrl, '/sessions/import', { format: 'gd-assistant-session', version: 1, session: { history: [{ role: 'robot', content: 'x' }] } });
+    assert.equal(badMessage.status, 400);
+    assert.match(badMessage.body.error, /history\[0\]/);
+});